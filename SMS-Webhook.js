@@ -130,42 +130,54 @@ function getCustomerIdFromPhone(phoneNumber) {
     }
     
     // Create customer with phone as ID (fallback)
-    const newCustomerId = `phone_${phoneNumber.replace(/\D/g, '')}`;
+    const newCustomerId = `phone_${(normalizePhoneNumber(phoneNumber) || phoneNumber).replace(/\D/g, '')}`;
     Logger.log(`Created phone-based customer ID: ${newCustomerId}`);
     return newCustomerId;
     
   } catch (error) {
     Logger.log(`Error getting customer ID: ${error.message}`);
     // Fallback to phone-based ID
-    return `phone_${phoneNumber.replace(/\D/g, '')}`;
+    return `phone_${(normalizePhoneNumber(phoneNumber) || phoneNumber).replace(/\D/g, '')}`;
   }
 }
 
 /**
  * Normalize phone number to E.164 format for consistent matching
+ * Apps Script port of services/phone.js - numbers without a country code are read as Australian.
+ * Returns null if the number can't be valid.
  */
 function normalizePhoneNumber(phoneNumber) {
-  if (!phoneNumber) return '';
+  if (!phoneNumber) return null;
   
-  // Remove all non-digits
-  const digits = phoneNumber.replace(/\D/g, '');
+  const raw = String(phoneNumber).trim();
+  let digits = raw.replace(/\D/g, '');
   
-  // If it starts with 1 and is 11 digits, it's already in good format
-  if (digits.length === 11 && digits.startsWith('1')) {
-    return '+' + digits;
+  if (!digits) return null;
+  
+  if (!raw.startsWith('+')) {
+    if (digits.startsWith('0011')) {
+      // Dialled with the Australian international prefix
+      digits = digits.slice(4);
+    } else if (/^0[23478]\d{8}$/.test(digits)) {
+      // National format: 04xx xxx xxx, 02 xxxx xxxx
+      return '+61' + digits.slice(1);
+    } else if (/^[23478]\d{8}$/.test(digits)) {
+      // National number without trunk prefix: 4xx xxx xxx
+      return '+61' + digits;
+    }
   }
   
-  // If it's 10 digits, add +1 for US/Canada
-  if (digits.length === 10) {
-    return '+1' + digits;
+  if (digits.startsWith('61')) {
+    // +61 4xx xxx xxx, also written +61 (0)4xx xxx xxx
+    const national = digits.slice(2).replace(/^0/, '');
+    return /^[23478]\d{8}$/.test(national) ? '+61' + national : null;
   }
   
-  // For other formats, just add + if not present
-  if (phoneNumber.startsWith('+')) {
-    return phoneNumber.replace(/\D/g, '').replace(/^/, '+');
+  if (digits.startsWith('1')) {
+    return /^1[2-9]\d{9}$/.test(digits) ? '+' + digits : null;
   }
   
-  return '+' + digits;
+  return /^[1-9]\d{7,14}$/.test(digits) ? '+' + digits : null;
 }
 
 /**
@@ -178,7 +190,7 @@ function getShopifyCustomerIdByPhone(phoneNumber) {
       phoneNumber,
       normalizePhoneNumber(phoneNumber),
       phoneNumber.replace(/\D/g, ''), // digits only
-      phoneNumber.replace('+1', ''), // remove +1 prefix
+      (normalizePhoneNumber(phoneNumber) || '').replace(/^\+61/, '0'), // national format, e.g. 0412345678
     ];
     
     for (const phone of phoneFormats) {
@@ -215,7 +227,7 @@ function getShopifyCustomerData(phoneNumber) {
       phoneNumber,
       normalizePhoneNumber(phoneNumber),
       phoneNumber.replace(/\D/g, ''), // digits only
-      phoneNumber.replace('+1', ''), // remove +1 prefix
+      (normalizePhoneNumber(phoneNumber) || '').replace(/^\+61/, '0'), // national format, e.g. 0412345678
     ];
     
     for (const phone of phoneFormats) {
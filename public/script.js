@@ -3,6 +3,56 @@ let currentOrders = [];
 let selectedOrders = [];
 let conversations = [];
 let selectedCustomer = null;
+let duplicateGroups = [];
+
+// The inbox list and the open thread are both loaded a page at a time
+let conversationsCursor = null;
+let loadingMoreConversations = false;
+let selectedThread = null;
+
+// Conversation status and assignment - the list filter, and who "mine" is in this browser
+const STAFF_NAME_KEY = 'smsStaffName';
+const CONVERSATION_STATUS_LABELS = { open: 'Open', waiting: 'Waiting on customer', closed: 'Closed' };
+let conversationFilter = 'all';
+let staffNameSaved = Promise.resolve();
+
+// Conversation labels - the coloured ones from the server, and the label the list is filtered to
+let conversationLabels = [];
+let conversationLabelFilter = '';
+
+// Conversation search - results stand in for the customer list while a search is active
+let conversationSearch = null;
+let searchRequestId = 0;
+let searchDebounce = null;
+
+// Live inbox updates
+const INBOX_TITLE = document.title;
+const INBOX_NOTIFICATIONS_KEY = 'smsInboxNotifications';
+let inboxStream = null;
+
+// Idempotency keys are kept until a send succeeds so retries of the same send aren't duplicated
+let pendingReply = null;
+let pendingBulkKey = null;
+let pendingAudienceKey = null;
+
+// Twilio rejects MMS whose attachments add up to more than 5MB (the server checks this too)
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Bulk SMS campaign being watched on the Orders tab
+let currentCampaign = null;
+let watchedCampaignId = null;
+
+// Scheduled sends - times are entered and shown in the business timezone
+const SCHEDULE_TIMEZONE = 'Australia/Sydney';
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+let schedules = [];
+
+// Saved audiences for bulk sends beyond the current order list
+let audiences = [];
+
+// Template library - the Orders tab textareas are edited copies of these
+const FIXED_TEMPLATE_IDS = ['home-delivery-default', 'pickup-default', 'pickup-ready'];
+let messageTemplates = [];
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
@@ -15,6 +65,11 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Load initial data
     loadConversations();
+    loadTemplates();
+    resumeActiveCampaign();
+    connectInboxStream();
+    updateNotificationsButton();
+    loadConversationLabels();
     
     // Update character count for message template
     updateCharCount();
@@ -44,12 +99,128 @@ function setupEventListeners() {
         loadConversationsBtn.addEventListener('click', loadConversations);
     }
     
+    // Find Duplicates button
+    const findDuplicatesBtn = document.getElementById('find-duplicates-btn');
+    if (findDuplicatesBtn) {
+        findDuplicatesBtn.addEventListener('click', findDuplicateCustomers);
+    }
+    
+    // Infinite scroll - more customers at the bottom of the list, older messages at the top of a thread
+    const customerList = document.getElementById('customer-list');
+    if (customerList) {
+        customerList.addEventListener('scroll', handleConversationListScroll);
+    }
+    
+    const conversationContent = document.getElementById('conversation-content');
+    if (conversationContent) {
+        conversationContent.addEventListener('scroll', handleThreadScroll);
+    }
+    
+    // Conversation search - searches as you type, and again when a filter changes
+    const searchInput = document.getElementById('conversation-search-input');
+    if (searchInput) {
+        searchInput.addEventListener('input', scheduleConversationSearch);
+        searchInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') searchConversations();
+        });
+    }
+    
+    ['conversation-search-from', 'conversation-search-to', 'conversation-search-direction'].forEach(id => {
+        const filter = document.getElementById(id);
+        if (filter) {
+            filter.addEventListener('change', () => {
+                if (conversationSearch || searchInput.value.trim()) searchConversations();
+            });
+        }
+    });
+    
+    // Conversation filter, and the name "Mine" and "Assign to me" use
+    const conversationFilterSelect = document.getElementById('conversation-filter');
+    if (conversationFilterSelect) {
+        conversationFilterSelect.addEventListener('change', changeConversationFilter);
+    }
+    
+    const labelFilterSelect = document.getElementById('conversation-label-filter');
+    if (labelFilterSelect) {
+        labelFilterSelect.addEventListener('change', changeConversationLabelFilter);
+    }
+    
+    const staffNameBtn = document.getElementById('staff-name-btn');
+    if (staffNameBtn) {
+        staffNameBtn.addEventListener('click', setStaffName);
+        updateStaffNameButton();
+    }
+    staffNameSaved = saveStaffName();
+    
+    // Status, assignee and snooze of the open conversation
+    const conversationStatusSelect = document.getElementById('conversation-status');
+    if (conversationStatusSelect) {
+        conversationStatusSelect.addEventListener('change', () => updateConversationState({ status: conversationStatusSelect.value }));
+    }
+    
+    const conversationAssigneeSelect = document.getElementById('conversation-assignee');
+    if (conversationAssigneeSelect) {
+        conversationAssigneeSelect.addEventListener('change', changeConversationAssignee);
+    }
+    
+    const conversationSnoozeSelect = document.getElementById('conversation-snooze');
+    if (conversationSnoozeSelect) {
+        conversationSnoozeSelect.addEventListener('change', changeConversationSnooze);
+    }
+    
+    // Internal notes on the open conversation
+    const addNoteBtn = document.getElementById('add-note-btn');
+    if (addNoteBtn) {
+        addNoteBtn.addEventListener('click', addNote);
+    }
+    
+    const noteInput = document.getElementById('note-input');
+    if (noteInput) {
+        noteInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') addNote();
+        });
+    }
+    
+    // Browser notifications button
+    const inboxNotificationsBtn = document.getElementById('inbox-notifications-btn');
+    if (inboxNotificationsBtn) {
+        inboxNotificationsBtn.addEventListener('click', toggleInboxNotifications);
+    }
+    
     // Send Test SMS button
     const sendTestBtn = document.getElementById('send-test-sms-btn');
     if (sendTestBtn) {
         sendTestBtn.addEventListener('click', sendTestSMS);
     }
     
+    // Template library buttons
+    const saveTemplatesBtn = document.getElementById('save-templates-btn');
+    if (saveTemplatesBtn) {
+        saveTemplatesBtn.addEventListener('click', saveTemplates);
+    }
+    
+    const testTemplateSelect = document.getElementById('test-template');
+    if (testTemplateSelect) {
+        testTemplateSelect.addEventListener('change', applyTestTemplate);
+    }
+    
+    const saveTestTemplateBtn = document.getElementById('save-test-template-btn');
+    if (saveTestTemplateBtn) {
+        saveTestTemplateBtn.addEventListener('click', saveTestTemplate);
+    }
+    
+    // SMS consent override button
+    const toggleConsentBtn = document.getElementById('toggle-consent-btn');
+    if (toggleConsentBtn) {
+        toggleConsentBtn.addEventListener('click', toggleCustomerConsent);
+    }
+    
+    // Reply attachments
+    const replyAttachments = document.getElementById('reply-attachments');
+    if (replyAttachments) {
+        replyAttachments.addEventListener('change', updateAttachmentList);
+    }
+    
     // Send Reply button
     const sendReplyBtn = document.getElementById('send-reply-btn');
     if (sendReplyBtn) {
@@ -67,6 +238,86 @@ function setupEventListeners() {
         bulkSendBtn.addEventListener('click', () => sendBulkSMS(false));
     }
     
+    // Scheduled send buttons
+    const bulkScheduleBtn = document.getElementById('bulk-schedule-btn');
+    if (bulkScheduleBtn) {
+        bulkScheduleBtn.addEventListener('click', scheduleBulkSMS);
+    }
+    
+    const scheduleReplyBtn = document.getElementById('schedule-reply-btn');
+    if (scheduleReplyBtn) {
+        scheduleReplyBtn.addEventListener('click', scheduleReply);
+    }
+    
+    const loadSchedulesBtn = document.getElementById('load-schedules-btn');
+    if (loadSchedulesBtn) {
+        loadSchedulesBtn.addEventListener('click', loadSchedules);
+    }
+    
+    const showFinishedSchedules = document.getElementById('show-finished-schedules');
+    if (showFinishedSchedules) {
+        showFinishedSchedules.addEventListener('change', loadSchedules);
+    }
+    
+    const saveScheduleBtn = document.getElementById('save-schedule-btn');
+    if (saveScheduleBtn) {
+        saveScheduleBtn.addEventListener('click', saveSchedule);
+    }
+    
+    const resetScheduleBtn = document.getElementById('reset-schedule-btn');
+    if (resetScheduleBtn) {
+        resetScheduleBtn.addEventListener('click', resetScheduleForm);
+    }
+    
+    // Audience buttons
+    const loadAudiencesBtn = document.getElementById('load-audiences-btn');
+    if (loadAudiencesBtn) {
+        loadAudiencesBtn.addEventListener('click', loadAudiences);
+    }
+    
+    const previewAudienceBtn = document.getElementById('preview-audience-btn');
+    if (previewAudienceBtn) {
+        previewAudienceBtn.addEventListener('click', previewAudienceForm);
+    }
+    
+    const saveAudienceBtn = document.getElementById('save-audience-btn');
+    if (saveAudienceBtn) {
+        saveAudienceBtn.addEventListener('click', saveAudience);
+    }
+    
+    const resetAudienceBtn = document.getElementById('reset-audience-btn');
+    if (resetAudienceBtn) {
+        resetAudienceBtn.addEventListener('click', resetAudienceForm);
+    }
+    
+    const audienceTestBtn = document.getElementById('audience-test-btn');
+    if (audienceTestBtn) {
+        audienceTestBtn.addEventListener('click', () => sendToAudience(true));
+    }
+    
+    const audienceSendBtn = document.getElementById('audience-send-btn');
+    if (audienceSendBtn) {
+        audienceSendBtn.addEventListener('click', () => sendToAudience(false));
+    }
+    
+    const audienceSendCloseBtn = document.getElementById('audience-send-close-btn');
+    if (audienceSendCloseBtn) {
+        audienceSendCloseBtn.addEventListener('click', () => {
+            document.getElementById('audience-send-form').style.display = 'none';
+        });
+    }
+    
+    // Campaign progress buttons
+    const campaignDetailsBtn = document.getElementById('campaign-details-btn');
+    if (campaignDetailsBtn) {
+        campaignDetailsBtn.addEventListener('click', () => currentCampaign && showCampaignResults(currentCampaign));
+    }
+    
+    const campaignCancelBtn = document.getElementById('campaign-cancel-btn');
+    if (campaignCancelBtn) {
+        campaignCancelBtn.addEventListener('click', cancelCurrentCampaign);
+    }
+    
     // Close modal button
     const closeModalBtn = document.getElementById('close-modal-btn');
     if (closeModalBtn) {
@@ -155,12 +406,10 @@ function showTab(tabName, event) {
     if (event && event.target) {
         event.target.classList.add('active');
     } else {
-        // Fallback - find tab by index
-        const tabs = document.querySelectorAll('.tab');
-        const tabNames = ['orders', 'conversations', 'test'];
-        const tabIndex = tabNames.indexOf(tabName);
-        if (tabIndex >= 0 && tabs[tabIndex]) {
-            tabs[tabIndex].classList.add('active');
+        // Fallback - find tab by name
+        const tab = document.querySelector(`.tab[data-tab="${tabName}"]`);
+        if (tab) {
+            tab.classList.add('active');
         }
     }
     
@@ -171,6 +420,14 @@ function showTab(tabName, event) {
     if (tabName === 'conversations') {
         loadConversations();
     }
+    
+    if (tabName === 'schedules') {
+        loadSchedules();
+    }
+    
+    if (tabName === 'audiences') {
+        loadAudiences();
+    }
 };
 
 // Status Management
@@ -336,13 +593,10 @@ function displayOrders(orders) {
         const deliveryMethod = determineDeliveryMethod(order);
         const tags = order.tags || [];
         const orderNumber = order.orderNumber || order.name || order.order_number || 'N/A';
-        
-        // Get personalized message template
-        const messageTemplate = getMessageTemplate(deliveryMethod, tags, order);
-        const personalizedMessage = personalizeMessage(messageTemplate, order);
+        const alreadyNotified = findMatchingNotification(order);
         
         html += `
-            <tr class="order-row ${!hasPhone ? 'order-disabled' : ''}">
+            <tr class="order-row ${!hasPhone ? 'order-disabled' : ''} ${alreadyNotified ? 'order-notified' : ''}">
                 <td class="checkbox-column">
                     <input type="checkbox" class="order-checkbox" data-index="${index}" 
                            ${!hasPhone ? 'disabled' : ''}>
@@ -351,7 +605,11 @@ function displayOrders(orders) {
                     <div class="customer-name">${customerName}</div>
                     <div class="customer-phone ${!hasPhone ? 'no-phone' : ''}">${phone || 'No phone number'}</div>
                 </td>
-                <td class="order-number">#${orderNumber}</td>
+                <td class="order-number">
+                    #${orderNumber}
+                    ${renderNotificationBadges(order)}
+                    ${alreadyNotified ? '<div class="notified-hint">Already sent - skipped unless resending</div>' : ''}
+                </td>
                 <td class="delivery-method">
                     <span class="delivery-badge ${deliveryMethod.toLowerCase().replace(' ', '-')}">${deliveryMethod}</span>
                 </td>
@@ -359,8 +617,9 @@ function displayOrders(orders) {
                     ${tags.map(tag => `<span class="tag-badge">${tag.trim()}</span>`).join('')}
                 </td>
                 <td class="message-column">
-                    <textarea class="message-box" id="message-${index}" data-index="${index}">${personalizedMessage}</textarea>
+                    <textarea class="message-box" id="message-${index}" data-index="${index}" placeholder="Rendering preview..."></textarea>
                     <div class="char-counter" id="message-${index}-counter">0 chars</div>
+                    <div class="template-errors" id="message-${index}-errors"></div>
                 </td>
             </tr>
         `;
@@ -391,6 +650,8 @@ function displayOrders(orders) {
     
     // Update current orders reference to sorted orders
     currentOrders = sortedOrders;
+    
+    renderMessagePreviews();
 }
 
 function toggleOrderSelection(index) {
@@ -422,6 +683,52 @@ function updateBulkActions() {
     }
 }
 
+// Collect the selected orders with the message from each order's message box
+function collectBulkMessages() {
+    const resendCheckbox = document.getElementById('resend-notified');
+    const resend = resendCheckbox ? resendCheckbox.checked : false;
+    const bulkData = [];
+    selectedOrders.forEach((order, orderIndex) => {
+        // Find the original index in currentOrders
+        const originalIndex = currentOrders.findIndex(o => o.id === order.id);
+        if (originalIndex >= 0) {
+            const messageBox = document.getElementById(`message-${originalIndex}`);
+            if (messageBox && messageBox.value.trim()) {
+                const customerName = order.customer?.name || 
+                    `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim() ||
+                    'Customer';
+                const phone = order.customer?.phone || order.billing_address?.phone || order.shipping_address?.phone;
+                const orderNumber = order.orderNumber || order.name || order.order_number;
+                
+                if (phone) {
+                    bulkData.push({
+                        id: order.id,
+                        orderNumber: orderNumber,
+                        customer: {
+                            name: customerName,
+                            phone: phone
+                        },
+                        deliveryMethod: determineDeliveryMethod(order),
+                        totalPrice: order.totalPrice || order.total_price || '0',
+                        template: getMessageTemplateRef(determineDeliveryMethod(order), order.tags || []),
+                        event: selectTemplateSource(determineDeliveryMethod(order), order.tags || []).event,
+                        resend: resend
+                    });
+                }
+            }
+        }
+    });
+    
+    return bulkData.map(order => {
+        const originalIndex = currentOrders.findIndex(o => o.id === order.id);
+        const messageBox = document.getElementById(`message-${originalIndex}`);
+        return {
+            ...order,
+            message: messageBox ? messageBox.value.trim() : ''
+        };
+    });
+}
+
 window.sendBulkSMS = async function sendBulkSMS(testMode = false) {
     try {
         if (selectedOrders.length === 0) {
@@ -429,52 +736,18 @@ window.sendBulkSMS = async function sendBulkSMS(testMode = false) {
             return;
         }
         
-        // Collect messages from individual message boxes
-        const bulkData = [];
-        selectedOrders.forEach((order, orderIndex) => {
-            // Find the original index in currentOrders
-            const originalIndex = currentOrders.findIndex(o => o.id === order.id);
-            if (originalIndex >= 0) {
-                const messageBox = document.getElementById(`message-${originalIndex}`);
-                if (messageBox && messageBox.value.trim()) {
-                    const customerName = order.customer?.name || 
-                        `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim() ||
-                        'Customer';
-                    const phone = order.customer?.phone || order.billing_address?.phone || order.shipping_address?.phone;
-                    const orderNumber = order.orderNumber || order.name || order.order_number;
-                    
-                    if (phone) {
-                        bulkData.push({
-                            id: order.id,
-                            orderNumber: orderNumber,
-                            customer: {
-                                name: customerName,
-                                phone: phone
-                            },
-                            deliveryMethod: determineDeliveryMethod(order),
-                            totalPrice: order.totalPrice || order.total_price || '0'
-                        });
-                    }
-                }
-            }
-        });
+        const bulkMessages = collectBulkMessages();
         
-        if (bulkData.length === 0) {
+        if (bulkMessages.length === 0) {
             showError('No valid orders with messages and phone numbers found');
             return;
         }
         
-        updateStatus('connecting', `${testMode ? 'Testing' : 'Sending'} ${bulkData.length} SMS messages...`);
+        updateStatus('connecting', `${testMode ? 'Testing' : 'Sending'} ${bulkMessages.length} SMS messages...`);
         
-        // Create a custom bulk send with individual messages
-        const bulkMessages = bulkData.map(order => {
-            const originalIndex = currentOrders.findIndex(o => o.id === order.id);
-            const messageBox = document.getElementById(`message-${originalIndex}`);
-            return {
-                ...order,
-                message: messageBox ? messageBox.value.trim() : ''
-            };
-        });
+        if (!testMode && !pendingBulkKey) {
+            pendingBulkKey = generateIdempotencyKey();
+        }
         
         const response = await fetch('/api/sms/bulk', {
             method: 'POST',
@@ -485,16 +758,21 @@ window.sendBulkSMS = async function sendBulkSMS(testMode = false) {
             body: JSON.stringify({
                 orders: bulkMessages,
                 message: '', // Not used since each order has its own message
-                testMode: testMode
+                testMode: testMode,
+                idempotencyKey: testMode ? undefined : pendingBulkKey
             })
         });
         
         const data = await response.json();
         
-        if (data.success || data.totalSent !== undefined) {
-            const results = data;
-            updateStatus('connected', `${testMode ? 'Test completed' : 'Bulk SMS sent'}`);
-            showBulkResults(results, testMode);
+        if (testMode && (data.success || data.totalSent !== undefined)) {
+            updateStatus('connected', 'Test completed');
+            showBulkResults(data, testMode);
+        } else if (!testMode && data.success && data.campaign) {
+            // Sends run in the background - watch the campaign until it finishes
+            pendingBulkKey = null;
+            updateStatus('connected', `Campaign queued: ${data.campaign.total} messages`);
+            watchCampaign(data.campaign.id);
         } else {
             throw new Error(data.error || 'Failed to send bulk SMS');
         }
@@ -506,259 +784,2398 @@ window.sendBulkSMS = async function sendBulkSMS(testMode = false) {
     }
 }
 
-// Conversations Management
-window.loadConversations = async function loadConversations() {
+// Bulk SMS Campaigns
+async function resumeActiveCampaign() {
     try {
-        updateStatus('connecting', 'Loading conversations...');
-        
-        const response = await fetch('/api/sms/conversations?limit=50', {
+        const response = await fetch('/api/sms/campaigns?active=true', {
             credentials: 'include'
         });
         
-        if (!response.ok) {
-            const text = await response.text();
-            console.log('API Response:', text);
-            throw new Error(`HTTP ${response.status}: ${text}`);
-        }
-        
         const data = await response.json();
         
-        if (data.success) {
-            conversations = data.conversations;
-            displayConversations(conversations);
-            updateStatus('connected', `${conversations.length} conversations loaded`);
-        } else {
-            throw new Error(data.error || 'Failed to load conversations');
+        if (data.success && data.campaigns.length > 0) {
+            watchCampaign(data.campaigns[0].id);
         }
-        
     } catch (error) {
-        console.error('Error loading conversations:', error);
-        updateStatus('error', 'Failed to load conversations');
-        showError('Failed to load conversations: ' + error.message);
+        console.error('Error checking for active campaigns:', error);
     }
 }
 
-function displayConversations(conversations) {
-    const container = document.getElementById('customer-list');
-    
-    if (conversations.length === 0) {
-        container.innerHTML = '<div class="loading">No conversations found</div>';
+// Keep the campaign moving and show progress until it completes or is cancelled
+async function watchCampaign(campaignId) {
+    if (watchedCampaignId === campaignId) return;
+    watchedCampaignId = campaignId;
+    
+    while (watchedCampaignId === campaignId) {
+        try {
+            const response = await fetch(`/api/sms/campaigns/${encodeURIComponent(campaignId)}/process`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load campaign');
+            }
+            
+            currentCampaign = data.campaign;
+            renderCampaignProgress(currentCampaign);
+            
+            // Held recipients are picked up by the background worker once quiet hours end
+            if (isCampaignHeld(currentCampaign)) {
+                watchedCampaignId = null;
+                updateStatus('connected', `Campaign held for quiet hours until ${formatScheduleTime(currentCampaign.heldUntil)}`);
+                break;
+            }
+            
+            if (!['queued', 'running'].includes(currentCampaign.status)) {
+                watchedCampaignId = null;
+                updateStatus('connected', `Campaign ${currentCampaign.status}: ${currentCampaign.counts.sent} sent`);
+                showCampaignResults(currentCampaign);
+                break;
+            }
+        } catch (error) {
+            console.error('Error watching campaign:', error);
+            updateStatus('error', 'Lost contact with campaign - retrying');
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+}
+
+// Campaign whose remaining recipients are waiting for quiet hours to end
+function isCampaignHeld(campaign) {
+    return ['queued', 'running'].includes(campaign.status) && campaign.heldUntil && new Date(campaign.heldUntil) > new Date();
+}
+
+function renderCampaignProgress(campaign) {
+    const panel = document.getElementById('campaign-progress');
+    const counts = campaign.counts || {};
+    const done = (counts.sent || 0) + (counts.failed || 0) + (counts.skipped || 0) + (counts.cancelled || 0);
+    const percent = campaign.total > 0 ? Math.round((done / campaign.total) * 100) : 100;
+    const isActive = ['queued', 'running'].includes(campaign.status);
+    
+    panel.style.display = 'block';
+    document.getElementById('campaign-progress-status').textContent = campaign.status;
+    document.getElementById('campaign-progress-status').className = `campaign-status campaign-${campaign.status}`;
+    document.getElementById('campaign-progress-fill').style.width = `${percent}%`;
+    document.getElementById('campaign-progress-counts').textContent = 
+        `${done} of ${campaign.total} processed · ${counts.sent || 0} sent · ${counts.failed || 0} failed · ` +
+        `${counts.skipped || 0} skipped${counts.cancelled ? ` · ${counts.cancelled} cancelled` : ''}` +
+        (isCampaignHeld(campaign) ? ` · 🌙 held for quiet hours until ${formatScheduleTime(campaign.heldUntil)}` : '');
+    document.getElementById('campaign-cancel-btn').style.display = isActive ? 'inline-block' : 'none';
+}
+
+window.cancelCurrentCampaign = async function cancelCurrentCampaign() {
+    if (!currentCampaign || !confirm('Stop sending this campaign? Messages already sent cannot be recalled.')) {
         return;
     }
     
-    container.innerHTML = conversations.map((customer, index) => {
-        const latestMessage = customer.latestMessage;
-        const messagePreview = latestMessage ? 
-            (latestMessage.content && latestMessage.content.length > 50 ? 
-                latestMessage.content.substring(0, 50) + '...' : 
-                latestMessage.content || 'No content') : 
-            'No messages';
+    try {
+        updateStatus('connecting', 'Cancelling campaign...');
         
-        const timestamp = latestMessage && latestMessage.timestamp ? 
-            formatTimestamp(latestMessage.timestamp) : '';
+        const response = await fetch(`/api/sms/campaigns/${encodeURIComponent(currentCampaign.id)}/cancel`, {
+            method: 'POST',
+            credentials: 'include'
+        });
         
-        const unreadCount = customer.unreadCount || 0;
-        const hasUnread = unreadCount > 0;
-        const unreadClass = hasUnread ? 'customer-item-unread' : '';
-        const unreadBadge = hasUnread ? `<span class="unread-badge">${unreadCount}</span>` : '';
+        const data = await response.json();
         
-        return `
-            <div class="customer-item ${unreadClass}" data-customer-id="${customer.customerId}" data-index="${index}">
-                <div class="message-timestamp">${timestamp}${unreadBadge}</div>
-                <div class="customer-name ${hasUnread ? 'customer-name-unread' : ''}">${customer.profile.name || 'Unknown Customer'}</div>
-                <div class="customer-phone">${customer.profile.phone || 'No phone'}</div>
-                <div class="message-preview ${hasUnread ? 'message-preview-unread' : ''}">${escapeHtml(messagePreview)}</div>
-            </div>
-        `;
-    }).join('');
-    
-    // Add event listeners to customer items
-    container.querySelectorAll('.customer-item').forEach((item) => {
-        item.addEventListener('click', function() {
-            const customerId = this.getAttribute('data-customer-id');
-            const index = parseInt(this.getAttribute('data-index'));
-            selectCustomer(customerId, index);
-        });
-    });
+        if (data.campaign) {
+            currentCampaign = { ...currentCampaign, ...data.campaign };
+            renderCampaignProgress(currentCampaign);
+        }
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to cancel campaign');
+        }
+        
+        updateStatus('connected', 'Campaign cancelled');
+    } catch (error) {
+        console.error('Error cancelling campaign:', error);
+        updateStatus('error', 'Failed to cancel campaign');
+        showError('Failed to cancel campaign: ' + error.message);
+    }
 }
 
-function selectCustomer(customerId, index) {
-    // Remove previous selection
-    document.querySelectorAll('.customer-item').forEach(item => {
-        item.classList.remove('selected');
+// Show campaign recipients in the same layout as the old bulk results
+function showCampaignResults(campaign) {
+    const recipients = campaign.recipients || [];
+    const toResult = recipient => ({
+        phone: recipient.phone,
+        customerName: recipient.customerName,
+        orderNumber: recipient.orderNumber,
+        message: recipient.message,
+        segments: recipient.segments,
+        sid: recipient.sid,
+        error: recipient.lastError || 'Failed to send SMS',
+        errorCode: recipient.errorCode,
+        errorDescription: recipient.errorDescription,
+        permanent: recipient.permanent,
+        attempts: recipient.attempts,
+        reason: recipient.status === 'cancelled' ? 'Campaign cancelled' : 
+            (recipient.status === 'skipped' ? recipient.lastError : `Waiting to send${recipient.attempts > 0 ? ` (attempt ${recipient.attempts + 1})` : ''}`)
     });
     
-    // Find and select the clicked item
-    const customerItems = document.querySelectorAll('.customer-item');
-    if (customerItems[index]) {
-        customerItems[index].classList.add('selected');
-    }
+    const results = {
+        success: recipients.filter(r => r.status === 'sent').map(toResult),
+        errors: recipients.filter(r => r.status === 'failed').map(toResult),
+        skipped: recipients.filter(r => !['sent', 'failed'].includes(r.status)).map(toResult)
+    };
+    results.totalSent = results.success.length;
+    results.totalErrors = results.errors.length;
+    results.totalSkipped = results.skipped.length;
+    results.totalSegments = campaign.totalSegments;
+    results.estimatedCost = campaign.estimatedCost;
+    
+    showBulkResults(results, false);
+}
+
+// Scheduled Sends
+async function postSchedule(payload) {
+    const response = await fetch('/api/sms/schedules', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(payload)
+    });
     
-    selectedCustomer = conversations[index];
-    displayConversation(selectedCustomer);
+    const data = await response.json();
     
-    // Mark conversation as read if it has unread messages
-    if (selectedCustomer.unreadCount > 0) {
-        markConversationAsRead(customerId);
+    if (!data.success) {
+        const error = new Error(data.error || 'Failed to create schedule');
+        error.quietHours = data.quietHours;
+        throw error;
     }
     
-    // Show quick reply
-    document.getElementById('quick-reply').style.display = 'block';
+    return data.schedule;
 }
 
-// Function to mark conversation as read
-async function markConversationAsRead(customerId) {
+window.scheduleBulkSMS = async function scheduleBulkSMS() {
     try {
-        const response = await fetch(`/api/sms/mark-read/${customerId}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            credentials: 'include'
-        });
+        const sendAt = document.getElementById('bulk-schedule-time').value;
         
-        const data = await response.json();
+        if (!sendAt) {
+            showError('Please choose a send time');
+            return;
+        }
         
-        if (data.success) {
-            // Update the conversation in memory to reflect read status
-            const customerIndex = conversations.findIndex(c => c.customerId === customerId);
-            if (customerIndex >= 0) {
-                conversations[customerIndex].unreadCount = 0;
-                
-                // Update visual indicators
-                const customerItem = document.querySelector(`[data-customer-id="${customerId}"]`);
-                if (customerItem) {
-                    customerItem.classList.remove('customer-item-unread');
-                    customerItem.querySelector('.customer-name').classList.remove('customer-name-unread');
-                    customerItem.querySelector('.message-preview').classList.remove('message-preview-unread');
-                    const unreadBadge = customerItem.querySelector('.unread-badge');
-                    if (unreadBadge) {
-                        unreadBadge.remove();
-                    }
-                }
-            }
+        if (selectedOrders.length === 0) {
+            showError('Please select at least one order');
+            return;
+        }
+        
+        const bulkMessages = collectBulkMessages();
+        
+        if (bulkMessages.length === 0) {
+            showError('No valid orders with messages and phone numbers found');
+            return;
         }
+        
+        updateStatus('connecting', 'Scheduling bulk SMS...');
+        
+        const schedule = await postSchedule({
+            type: 'bulk',
+            name: `Bulk SMS to ${bulkMessages.length} orders`,
+            sendAt: sendAt,
+            orders: bulkMessages,
+            message: ''
+        });
+        
+        document.getElementById('bulk-schedule-time').value = '';
+        updateStatus('connected', `Scheduled for ${formatScheduleTime(schedule.nextRunAt)}`);
+        
     } catch (error) {
-        console.error('Error marking conversation as read:', error);
+        console.error('Error scheduling bulk SMS:', error);
+        updateStatus('error', 'Failed to schedule SMS');
+        showError('Failed to schedule bulk SMS: ' + error.message);
     }
 }
 
-function displayConversation(customerData) {
+window.scheduleReply = async function scheduleReply() {
+    try {
+        const replyMessage = document.getElementById('reply-message');
+        const sendAtInput = document.getElementById('reply-schedule-time');
+        const attachmentInput = document.getElementById('reply-attachments');
+        const message = replyMessage.value.trim();
+        
+        if (!selectedCustomer) {
+            showError('Please select a customer');
+            return;
+        }
+        
+        if (!message || !sendAtInput.value) {
+            showError('Please enter a message and choose a send time');
+            return;
+        }
+        
+        if (attachmentInput && attachmentInput.files.length > 0) {
+            showError('Attachments can only be sent straight away, not scheduled');
+            return;
+        }
+        
+        updateStatus('connecting', 'Scheduling reply...');
+        
+        const payload = {
+            type: 'reply',
+            name: `Reply to ${selectedCustomer.profile.name}`,
+            customerId: selectedCustomer.customerId,
+            message: message,
+            sendAt: sendAtInput.value
+        };
+        
+        let schedule;
+        try {
+            schedule = await postSchedule(payload);
+        } catch (error) {
+            if (!error.quietHours || !confirm(`${error.message}\n\nSchedule this reply anyway?`)) {
+                throw error;
+            }
+            schedule = await postSchedule({ ...payload, overrideQuietHours: true });
+        }
+        
+        replyMessage.value = '';
+        sendAtInput.value = '';
+        updateStatus('connected', `Reply scheduled for ${formatScheduleTime(schedule.nextRunAt)}`);
+        
+    } catch (error) {
+        console.error('Error scheduling reply:', error);
+        updateStatus('error', 'Failed to schedule reply');
+        showError('Failed to schedule reply: ' + error.message);
+    }
+}
+
+window.loadSchedules = async function loadSchedules() {
+    try {
+        const showFinished = document.getElementById('show-finished-schedules').checked;
+        const response = await fetch(`/api/sms/schedules${showFinished ? '?all=true' : ''}`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            schedules = data.schedules;
+            displaySchedules(schedules);
+        } else {
+            throw new Error(data.error || 'Failed to load schedules');
+        }
+        
+    } catch (error) {
+        console.error('Error loading schedules:', error);
+        updateStatus('error', 'Failed to load schedules');
+        showError('Failed to load schedules: ' + error.message);
+    }
+}
+
+function formatScheduleTime(date) {
+    if (!date) return '—';
+    return new Date(date).toLocaleString('en-AU', {
+        timeZone: SCHEDULE_TIMEZONE,
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+// datetime-local value for an instant, in the business timezone
+function toScheduleInputValue(date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone: SCHEDULE_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(date)).forEach(({ type, value }) => { parts[type] = value; });
+    
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+function describeSchedule(schedule) {
+    const target = schedule.type === 'reply' ? 'Reply' : 
+        (schedule.orderFilter ? 
+            [schedule.orderFilter.fulfillmentStatus, schedule.orderFilter.deliveryMethod !== 'all' ? schedule.orderFilter.deliveryMethod : null, 
+                'orders', schedule.orderFilter.tag ? `tagged "${schedule.orderFilter.tag}"` : null].filter(Boolean).join(' ') :
+            `${(schedule.orders || []).length} selected orders`);
+    
+    const when = schedule.recurrence ? 
+        `Every ${schedule.recurrence.daysOfWeek.map(day => WEEKDAY_NAMES[day]).join(', ')} at ${schedule.recurrence.time}` :
+        `Once at ${formatScheduleTime(schedule.sendAt)}`;
+    
+    return { target, when };
+}
+
+function displaySchedules(list) {
+    const container = document.getElementById('schedules-list');
+    
+    if (list.length === 0) {
+        container.innerHTML = '<div class="loading">No scheduled sends</div>';
+        return;
+    }
+    
+    container.innerHTML = list.map(schedule => {
+        const { target, when } = describeSchedule(schedule);
+        const lastRun = schedule.lastRunResult ? 
+            `${formatScheduleTime(schedule.lastRunAt)} – ${schedule.lastRunResult.success ? 
+                (schedule.lastRunResult.note || (schedule.lastRunResult.recipients !== undefined ? `${schedule.lastRunResult.recipients} recipients` : 'sent')) : 
+                `failed: ${schedule.lastRunResult.error}`}` : 
+            'Never';
+        const isEditable = ['active', 'paused'].includes(schedule.status);
+        
+        return `
+            <div class="schedule-item schedule-${schedule.status}" data-schedule-id="${escapeHtml(schedule.id)}">
+                <div class="schedule-main">
+                    <div class="schedule-name">${escapeHtml(schedule.name)} <span class="campaign-status campaign-${escapeHtml(schedule.status)}">${escapeHtml(schedule.status)}</span></div>
+                    <div class="schedule-detail">${escapeHtml(when)} · ${escapeHtml(target)}</div>
+                    <div class="schedule-detail">Next: ${schedule.status === 'active' ? formatScheduleTime(schedule.nextRunAt) : '—'} · Last: ${escapeHtml(lastRun)}</div>
+                    ${schedule.message ? `<div class="schedule-message">${escapeHtml(schedule.message)}</div>` : ''}
+                </div>
+                ${isEditable ? `
+                <div class="schedule-actions">
+                    <button class="btn btn-secondary btn-small edit-schedule-btn">✏️ Edit</button>
+                    <button class="btn btn-secondary btn-small pause-schedule-btn">${schedule.status === 'paused' ? '▶️ Resume' : '⏸️ Pause'}</button>
+                    <button class="btn btn-danger btn-small cancel-schedule-btn">🛑 Cancel</button>
+                </div>` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('.schedule-item').forEach((item) => {
+        const scheduleId = item.getAttribute('data-schedule-id');
+        item.querySelector('.edit-schedule-btn')?.addEventListener('click', () => editSchedule(scheduleId));
+        item.querySelector('.pause-schedule-btn')?.addEventListener('click', () => toggleSchedulePause(scheduleId));
+        item.querySelector('.cancel-schedule-btn')?.addEventListener('click', () => cancelSchedule(scheduleId));
+    });
+}
+
+async function updateSchedule(scheduleId, payload) {
+    const response = await fetch(`/api/sms/schedules/${encodeURIComponent(scheduleId)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(payload)
+    });
+    
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to update schedule');
+    }
+    
+    return data.schedule;
+}
+
+function editSchedule(scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) return;
+    
+    const isRecurring = !!schedule.recurrence;
+    const hasFilter = !!schedule.orderFilter;
+    
+    document.getElementById('schedule-form-title').textContent = `✏️ Edit: ${schedule.name}`;
+    document.getElementById('schedule-id').value = schedule.id;
+    document.getElementById('schedule-name').value = schedule.name;
+    document.getElementById('schedule-message').value = schedule.message || '';
+    document.getElementById('schedule-message').disabled = schedule.type === 'bulk' && !hasFilter;
+    
+    document.getElementById('schedule-recurrence-group').style.display = isRecurring ? 'block' : 'none';
+    document.getElementById('schedule-send-at-group').style.display = isRecurring ? 'none' : 'block';
+    document.getElementById('schedule-filter-group').style.display = hasFilter ? 'flex' : 'none';
+    
+    if (isRecurring) {
+        document.querySelectorAll('#schedule-days input').forEach(checkbox => {
+            checkbox.checked = schedule.recurrence.daysOfWeek.includes(parseInt(checkbox.value));
+        });
+        document.getElementById('schedule-time').value = schedule.recurrence.time;
+    } else {
+        document.getElementById('schedule-send-at').value = toScheduleInputValue(schedule.sendAt);
+    }
+    
+    if (hasFilter) {
+        document.getElementById('schedule-fulfillment').value = schedule.orderFilter.fulfillmentStatus || 'any';
+        document.getElementById('schedule-delivery').value = schedule.orderFilter.deliveryMethod || 'all';
+        document.getElementById('schedule-tag').value = schedule.orderFilter.tag || '';
+        document.getElementById('schedule-days-back').value = String(schedule.orderFilter.days || 7);
+    }
+    
+    document.getElementById('schedule-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetScheduleForm() {
+    document.getElementById('schedule-form-title').textContent = '🔁 New Recurring Bulk Send';
+    document.getElementById('schedule-id').value = '';
+    document.getElementById('schedule-name').value = '';
+    document.getElementById('schedule-message').value = '';
+    document.getElementById('schedule-message').disabled = false;
+    document.getElementById('schedule-tag').value = '';
+    document.getElementById('schedule-time').value = '17:00';
+    document.querySelectorAll('#schedule-days input').forEach(checkbox => { checkbox.checked = false; });
+    document.getElementById('schedule-recurrence-group').style.display = 'block';
+    document.getElementById('schedule-send-at-group').style.display = 'none';
+    document.getElementById('schedule-filter-group').style.display = 'flex';
+}
+
+window.saveSchedule = async function saveSchedule() {
+    try {
+        const scheduleId = document.getElementById('schedule-id').value;
+        const existing = schedules.find(s => s.id === scheduleId);
+        const isRecurring = existing ? !!existing.recurrence : true;
+        const hasFilter = existing ? !!existing.orderFilter : true;
+        
+        const payload = {
+            name: document.getElementById('schedule-name').value.trim()
+        };
+        
+        if (!existing || existing.type === 'reply' || hasFilter) {
+            payload.message = document.getElementById('schedule-message').value.trim();
+        }
+        
+        if (isRecurring) {
+            payload.recurrence = {
+                daysOfWeek: Array.from(document.querySelectorAll('#schedule-days input:checked')).map(checkbox => parseInt(checkbox.value)),
+                time: document.getElementById('schedule-time').value
+            };
+        } else {
+            payload.sendAt = document.getElementById('schedule-send-at').value;
+        }
+        
+        if (hasFilter) {
+            payload.orderFilter = {
+                fulfillmentStatus: document.getElementById('schedule-fulfillment').value,
+                deliveryMethod: document.getElementById('schedule-delivery').value,
+                tag: document.getElementById('schedule-tag').value.trim() || null,
+                days: parseInt(document.getElementById('schedule-days-back').value)
+            };
+        }
+        
+        updateStatus('connecting', 'Saving schedule...');
+        
+        if (existing) {
+            await updateSchedule(scheduleId, payload);
+        } else {
+            await postSchedule({ type: 'bulk', ...payload });
+        }
+        
+        resetScheduleForm();
+        updateStatus('connected', 'Schedule saved');
+        loadSchedules();
+        
+    } catch (error) {
+        console.error('Error saving schedule:', error);
+        updateStatus('error', 'Failed to save schedule');
+        showError('Failed to save schedule: ' + error.message);
+    }
+}
+
+async function toggleSchedulePause(scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) return;
+    
+    try {
+        await updateSchedule(scheduleId, { status: schedule.status === 'paused' ? 'active' : 'paused' });
+        loadSchedules();
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        showError('Failed to update schedule: ' + error.message);
+    }
+}
+
+async function cancelSchedule(scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule || !confirm(`Cancel "${schedule.name}"? It won't send again.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/sms/schedules/${encodeURIComponent(scheduleId)}/cancel`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to cancel schedule');
+        }
+        
+        updateStatus('connected', 'Schedule cancelled');
+        loadSchedules();
+    } catch (error) {
+        console.error('Error cancelling schedule:', error);
+        showError('Failed to cancel schedule: ' + error.message);
+    }
+}
+
+// Audiences
+window.loadAudiences = async function loadAudiences() {
+    try {
+        const response = await fetch('/api/sms/audiences', {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            audiences = data.audiences;
+            displayAudiences(audiences);
+        } else {
+            throw new Error(data.error || 'Failed to load audiences');
+        }
+        
+    } catch (error) {
+        console.error('Error loading audiences:', error);
+        updateStatus('error', 'Failed to load audiences');
+        showError('Failed to load audiences: ' + error.message);
+    }
+}
+
+function describeAudienceRules(rules) {
+    const parts = [];
+    
+    if (rules.orderedWithinDays) parts.push(`ordered in the last ${rules.orderedWithinDays} days`);
+    if (rules.notOrderedWithinDays) parts.push(`not in the last ${rules.notOrderedWithinDays} days`);
+    if (rules.deliveryMethod) parts.push(`has used ${rules.deliveryMethod === 'pickup' ? 'pickup' : 'home delivery'}`);
+    if (rules.orderTag) parts.push(`order tagged "${rules.orderTag}"`);
+    if (rules.minOrders) parts.push(`${rules.minOrders}+ orders`);
+    if (rules.repliedWithinDays) parts.push(`texted us in the last ${rules.repliedWithinDays} days`);
+    if (rules.optedInOnly) parts.push('opted in');
+    
+    return parts.length > 0 ? parts.join(' · ') : 'Everyone we\'ve had a conversation with';
+}
+
+function displayAudiences(list) {
+    const container = document.getElementById('audiences-list');
+    
+    if (list.length === 0) {
+        container.innerHTML = '<div class="loading">No saved audiences</div>';
+        return;
+    }
+    
+    container.innerHTML = list.map(audience => `
+        <div class="schedule-item" data-audience-id="${escapeHtml(audience.id)}">
+            <div class="schedule-main">
+                <div class="schedule-name">${escapeHtml(audience.name)}</div>
+                <div class="schedule-detail">${escapeHtml(describeAudienceRules(audience.rules || {}))}</div>
+                <div class="schedule-detail">${audience.lastCount !== null && audience.lastCount !== undefined ? 
+                    `${audience.lastCount} customer${audience.lastCount === 1 ? '' : 's'} as of ${formatTimestamp(audience.lastCountedAt)}` : 'Not counted yet'}</div>
+                ${audience.description ? `<div class="schedule-message">${escapeHtml(audience.description)}</div>` : ''}
+            </div>
+            <div class="schedule-actions">
+                <button class="btn btn-secondary btn-small count-audience-btn">🔢 Count</button>
+                <a class="btn btn-secondary btn-small" href="/api/sms/audiences/${encodeURIComponent(audience.id)}/export">⬇️ CSV</a>
+                <button class="btn btn-secondary btn-small send-audience-btn">📤 Send</button>
+                <button class="btn btn-secondary btn-small edit-audience-btn">✏️ Edit</button>
+                <button class="btn btn-danger btn-small delete-audience-btn">🗑️ Delete</button>
+            </div>
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('.schedule-item').forEach((item) => {
+        const audienceId = item.getAttribute('data-audience-id');
+        item.querySelector('.count-audience-btn').addEventListener('click', () => countAudience(audienceId));
+        item.querySelector('.send-audience-btn').addEventListener('click', () => openAudienceSend(audienceId));
+        item.querySelector('.edit-audience-btn').addEventListener('click', () => editAudience(audienceId));
+        item.querySelector('.delete-audience-btn').addEventListener('click', () => deleteAudience(audienceId));
+    });
+}
+
+function readAudienceForm() {
+    return {
+        name: document.getElementById('audience-name').value.trim(),
+        description: document.getElementById('audience-description').value.trim(),
+        rules: {
+            orderedWithinDays: document.getElementById('audience-ordered-within').value,
+            notOrderedWithinDays: document.getElementById('audience-not-ordered-within').value,
+            deliveryMethod: document.getElementById('audience-delivery').value,
+            orderTag: document.getElementById('audience-tag').value.trim(),
+            minOrders: document.getElementById('audience-min-orders').value,
+            repliedWithinDays: document.getElementById('audience-replied-within').value,
+            optedInOnly: document.getElementById('audience-opted-in').checked
+        }
+    };
+}
+
+function displayAudiencePreview(preview) {
+    const container = document.getElementById('audience-preview');
+    const warnings = [];
+    
+    if (preview.excludedOptedOut > 0) {
+        warnings.push(`${preview.excludedOptedOut} opted-out customer${preview.excludedOptedOut === 1 ? '' : 's'} left out`);
+    }
+    if (preview.truncated) {
+        warnings.push(`only the most recent orders within ${preview.lookbackDays} days were checked - older customers may be missing`);
+    }
+    
+    container.innerHTML = `
+        <div class="audience-count">${preview.count} customer${preview.count === 1 ? '' : 's'} match</div>
+        ${warnings.length > 0 ? `<div class="audience-warning">${escapeHtml(warnings.join('; '))}</div>` : ''}
+        ${preview.sample.length > 0 ? `<ul>${preview.sample.map(member => `
+            <li>${escapeHtml(member.name)} (${escapeHtml(member.phone)})${member.lastOrderNumber ? ` · last order ${escapeHtml(String(member.lastOrderNumber))} ${formatTimestamp(member.lastOrderAt)}` : ''}</li>
+        `).join('')}</ul>` : ''}
+    `;
+    container.style.display = 'block';
+}
+
+window.previewAudienceForm = async function previewAudienceForm() {
+    try {
+        updateStatus('connecting', 'Counting matching customers...');
+        
+        const response = await fetch('/api/sms/audiences/preview', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ rules: readAudienceForm().rules })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to count audience');
+        }
+        
+        displayAudiencePreview(data);
+        updateStatus('connected', `${data.count} matching customers`);
+    } catch (error) {
+        console.error('Error previewing audience:', error);
+        updateStatus('error', 'Failed to count audience');
+        showError('Failed to count audience: ' + error.message);
+    }
+}
+
+async function countAudience(audienceId) {
+    try {
+        updateStatus('connecting', 'Counting audience...');
+        
+        const response = await fetch(`/api/sms/audiences/${encodeURIComponent(audienceId)}/preview`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to count audience');
+        }
+        
+        updateStatus('connected', `${data.count} customers in audience`);
+        loadAudiences();
+    } catch (error) {
+        console.error('Error counting audience:', error);
+        updateStatus('error', 'Failed to count audience');
+        showError('Failed to count audience: ' + error.message);
+    }
+}
+
+function editAudience(audienceId) {
+    const audience = audiences.find(a => a.id === audienceId);
+    if (!audience) return;
+    
+    const rules = audience.rules || {};
+    document.getElementById('audience-form-title').textContent = `✏️ Edit: ${audience.name}`;
+    document.getElementById('audience-id').value = audience.id;
+    document.getElementById('audience-name').value = audience.name;
+    document.getElementById('audience-description').value = audience.description || '';
+    document.getElementById('audience-ordered-within').value = rules.orderedWithinDays || '';
+    document.getElementById('audience-not-ordered-within').value = rules.notOrderedWithinDays || '';
+    document.getElementById('audience-delivery').value = rules.deliveryMethod || '';
+    document.getElementById('audience-tag').value = rules.orderTag || '';
+    document.getElementById('audience-min-orders').value = rules.minOrders || '';
+    document.getElementById('audience-replied-within').value = rules.repliedWithinDays || '';
+    document.getElementById('audience-opted-in').checked = !!rules.optedInOnly;
+    document.getElementById('audience-preview').style.display = 'none';
+    
+    document.getElementById('audience-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetAudienceForm() {
+    document.getElementById('audience-form-title').textContent = '➕ New Audience';
+    ['audience-id', 'audience-name', 'audience-description', 'audience-ordered-within', 'audience-not-ordered-within',
+        'audience-delivery', 'audience-tag', 'audience-min-orders', 'audience-replied-within'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('audience-opted-in').checked = false;
+    document.getElementById('audience-preview').style.display = 'none';
+}
+
+window.saveAudience = async function saveAudience() {
+    try {
+        const audienceId = document.getElementById('audience-id').value;
+        
+        updateStatus('connecting', 'Saving audience...');
+        
+        const response = await fetch(audienceId ? `/api/sms/audiences/${encodeURIComponent(audienceId)}` : '/api/sms/audiences', {
+            method: audienceId ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify(readAudienceForm())
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to save audience');
+        }
+        
+        resetAudienceForm();
+        updateStatus('connected', 'Audience saved');
+        loadAudiences();
+    } catch (error) {
+        console.error('Error saving audience:', error);
+        updateStatus('error', 'Failed to save audience');
+        showError('Failed to save audience: ' + error.message);
+    }
+}
+
+async function deleteAudience(audienceId) {
+    const audience = audiences.find(a => a.id === audienceId);
+    if (!audience || !confirm(`Delete the "${audience.name}" audience? Campaigns already sent to it aren't affected.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/sms/audiences/${encodeURIComponent(audienceId)}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to delete audience');
+        }
+        
+        updateStatus('connected', 'Audience deleted');
+        loadAudiences();
+    } catch (error) {
+        console.error('Error deleting audience:', error);
+        showError('Failed to delete audience: ' + error.message);
+    }
+}
+
+function openAudienceSend(audienceId) {
+    const audience = audiences.find(a => a.id === audienceId);
+    if (!audience) return;
+    
+    // A new audience gets a new idempotency key
+    if (document.getElementById('audience-send-id').value !== audienceId) {
+        pendingAudienceKey = null;
+    }
+    
+    document.getElementById('audience-send-title').textContent = `📤 Send to: ${audience.name}`;
+    document.getElementById('audience-send-id').value = audienceId;
+    document.getElementById('audience-send-form').style.display = 'block';
+    document.getElementById('audience-send-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+window.sendToAudience = async function sendToAudience(testMode = false) {
+    try {
+        const audienceId = document.getElementById('audience-send-id').value;
+        const audience = audiences.find(a => a.id === audienceId);
+        const message = document.getElementById('audience-message').value.trim();
+        
+        if (!audience) {
+            showError('Choose an audience to send to');
+            return;
+        }
+        if (!message) {
+            showError('Please enter a message');
+            return;
+        }
+        if (!testMode && !confirm(`Send this message to everyone in "${audience.name}"?`)) {
+            return;
+        }
+        
+        updateStatus('connecting', `${testMode ? 'Testing' : 'Sending'} to ${audience.name}...`);
+        
+        if (!testMode && !pendingAudienceKey) {
+            pendingAudienceKey = generateIdempotencyKey();
+        }
+        
+        const response = await fetch('/api/sms/bulk', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                audienceId,
+                message,
+                resend: document.getElementById('audience-resend').checked,
+                testMode,
+                idempotencyKey: testMode ? undefined : pendingAudienceKey
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (testMode && (data.success || data.totalSent !== undefined)) {
+            updateStatus('connected', 'Test completed');
+            showBulkResults(data, testMode);
+        } else if (!testMode && data.success && data.campaign) {
+            // Progress is shown on the Orders tab, like any other bulk send
+            pendingAudienceKey = null;
+            document.getElementById('audience-send-form').style.display = 'none';
+            updateStatus('connected', `Campaign queued: ${data.campaign.total} messages`);
+            showTab('orders');
+            watchCampaign(data.campaign.id);
+        } else {
+            throw new Error(data.error || 'Failed to send to audience');
+        }
+        
+    } catch (error) {
+        console.error('Error sending to audience:', error);
+        updateStatus('error', 'Failed to send SMS');
+        showError('Failed to send to audience: ' + error.message);
+    }
+}
+
+// Live Inbox Updates - pushed from /api/sms/stream. EventSource reconnects by itself and the
+// server replays anything missed, so the list only needs a full reload when it's first opened.
+function connectInboxStream() {
+    if (!window.EventSource) {
+        console.log('⚠️ Live updates not supported in this browser - use Refresh');
+        return;
+    }
+    
+    inboxStream = new EventSource('/api/sms/stream');
+    
+    inboxStream.addEventListener('open', () => console.log('📡 Live inbox updates connected'));
+    inboxStream.addEventListener('message', event => applyInboxMessage(JSON.parse(event.data)));
+    inboxStream.addEventListener('status', event => applyMessageStatus(JSON.parse(event.data)));
+    inboxStream.addEventListener('read', event => applyReadState(JSON.parse(event.data)));
+    inboxStream.addEventListener('conversation', event => applyConversationSummary(JSON.parse(event.data)));
+    inboxStream.addEventListener('error', () => {
+        console.log(`📡 Live inbox updates ${inboxStream.readyState === EventSource.CLOSED ? 'stopped' : 'reconnecting'}`);
+    });
+}
+
+function isInboxStreamConnected() {
+    return !!inboxStream && inboxStream.readyState === EventSource.OPEN;
+}
+
+// Most recent activity first - the order the server pages in. Snoozed conversations are
+// listed soonest to wake first.
+function getConversationSortTime(customer) {
+    if (conversationFilter === 'snoozed') {
+        return -new Date(customer.profile?.snoozedUntil || 0).getTime();
+    }
+    return new Date(customer.profile?.lastActivity || customer.latestMessage?.timestamp || 0).getTime();
+}
+
+function sortConversations() {
+    conversations.sort((a, b) => getConversationSortTime(b) - getConversationSortTime(a));
+}
+
+// Re-render the customer list, keeping the open conversation highlighted
+function refreshConversationList() {
+    displayConversations(conversations);
+    
+    if (selectedCustomer) {
+        const item = document.querySelector(`.customer-item[data-customer-id="${CSS.escape(selectedCustomer.customerId)}"]`);
+        if (item) {
+            item.classList.add('selected');
+        }
+    }
+    
+    const totalUnread = conversations.reduce((sum, customer) => sum + (customer.unreadCount || 0), 0);
+    document.title = totalUnread > 0 ? `(${totalUnread}) ${INBOX_TITLE}` : INBOX_TITLE;
+    
+    // Labels made up on other conversations become filter options as they load
+    updateLabelFilterOptions();
+}
+
+function applyInboxMessage(event) {
+    const message = event.message;
+    let customer = conversations.find(c => c.customerId === event.customerId);
+    
+    if (!customer) {
+        customer = { customerId: event.customerId, profile: event.profile };
+        conversations.push(customer);
+    }
+    
+    customer.profile = { ...customer.profile, ...event.profile };
+    customer.latestMessage = message;
+    customer.messageCount = event.messageCount;
+    customer.unreadCount = event.unreadCount;
+    
+    const isOpen = !!selectedCustomer && selectedCustomer.customerId === customer.customerId;
+    const isWatching = isOpen && !document.hidden && document.getElementById('conversations-tab').classList.contains('active');
+    
+    if (isOpen) {
+        selectedCustomer = customer;
+        if (selectedThread && !selectedThread.messages.some(m => m.id === message.id)) {
+            selectedThread.messages.push(message);
+        }
+        displayConversation(customer);
+    }
+    
+    if (message.direction === 'inbound') {
+        if (isWatching) {
+            markConversationAsRead(customer.customerId);
+        } else {
+            notifyInboundMessage(customer, message);
+        }
+    }
+    
+    // A reply reopens the thread, which can move it in or out of the filtered list
+    if (!matchesConversationFilter(customer)) {
+        conversations = conversations.filter(c => c !== customer);
+    }
+    
+    sortConversations();
+    refreshConversationList();
+}
+
+function applyMessageStatus(event) {
+    const customer = conversations.find(c => c.customerId === event.customerId);
+    if (customer?.latestMessage?.id === event.messageId) {
+        customer.latestMessage.status = event.status;
+    }
+    
+    const message = selectedThread?.customerId === event.customerId ?
+        selectedThread.messages.find(m => m.id === event.messageId) : null;
+    if (!message) return;
+    
+    message.status = event.status;
+    message.errorCode = event.errorCode;
+    message.errorMessage = event.errorMessage;
+    
+    // Swap just the tick so the open thread doesn't jump back to the bottom
+    const bubble = document.querySelector(`.message-bubble[data-message-id="${CSS.escape(event.messageId)}"]`);
+    if (bubble && selectedCustomer?.customerId === event.customerId) {
+        bubble.querySelector('.delivery-status')?.remove();
+        bubble.querySelector('.message-time').insertAdjacentHTML('beforeend', renderDeliveryStatus(message));
+    }
+}
+
+function applyReadState(event) {
+    const customer = conversations.find(c => c.customerId === event.customerId);
+    if (!customer || customer.unreadCount === event.unreadCount) return;
+    
+    customer.unreadCount = event.unreadCount;
+    sortConversations();
+    refreshConversationList();
+}
+
+// Conversation Status and Assignment
+function getStaffName() {
+    return localStorage.getItem(STAFF_NAME_KEY) || '';
+}
+
+function updateStaffNameButton() {
+    const button = document.getElementById('staff-name-btn');
+    if (button) {
+        button.textContent = getStaffName() ? `👤 ${getStaffName()}` : '👤 Set your name';
+    }
+}
+
+// Everyone shares one login, so each browser says whose conversations are "Mine" - the server
+// keeps the name for the session, and it's remembered here to send again after the next login
+window.setStaffName = function setStaffName() {
+    const name = window.prompt('Your name - conversations assigned to it are listed under "Mine":', getStaffName());
+    if (name === null || !name.trim()) {
+        return '';
+    }
+    
+    localStorage.setItem(STAFF_NAME_KEY, name.trim());
+    updateStaffNameButton();
+    staffNameSaved = saveStaffName();
+    
+    if (conversationFilter === 'mine') {
+        loadConversations();
+    }
+    if (selectedCustomer) {
+        updateConversationControls(selectedCustomer);
+    }
+    return name.trim();
+}
+
+async function saveStaffName() {
+    const name = getStaffName();
+    if (!name) {
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/sms/staff', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ name })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to save your name');
+        }
+    } catch (error) {
+        console.error('Error saving staff name:', error);
+        showError('Failed to save your name: ' + error.message);
+    }
+}
+
+function isSnoozed(profile) {
+    return !!profile?.snoozedUntil && new Date(profile.snoozedUntil) > new Date();
+}
+
+// The same rules the server filters the list by, for conversations that change while it's open
+function matchesConversationFilter(customer) {
+    const profile = customer.profile || {};
+    const status = profile.status || 'open';
+    
+    if (conversationLabelFilter === '__notes' && !profile.hasNotes) return false;
+    if (conversationLabelFilter && conversationLabelFilter !== '__notes' && !(profile.labels || []).includes(conversationLabelFilter)) return false;
+    
+    switch (conversationFilter) {
+        case 'mine':
+            return profile.assignee === getStaffName() && status !== 'closed' && !profile.snoozedUntil;
+        case 'unassigned':
+            return !profile.assignee && status !== 'closed' && !profile.snoozedUntil;
+        case 'open':
+        case 'waiting':
+        case 'closed':
+            return status === conversationFilter && !profile.snoozedUntil;
+        case 'snoozed':
+            return isSnoozed(profile);
+        default:
+            return true;
+    }
+}
+
+function getConversationListParams(cursor = null) {
+    const params = new URLSearchParams({ filter: conversationFilter });
+    if (conversationLabelFilter === '__notes') params.set('notes', '1');
+    else if (conversationLabelFilter) params.set('label', conversationLabelFilter);
+    if (cursor) params.set('cursor', cursor);
+    return params;
+}
+
+window.changeConversationFilter = function changeConversationFilter() {
+    const select = document.getElementById('conversation-filter');
+    
+    if (select.value === 'mine' && !getStaffName() && !setStaffName()) {
+        select.value = conversationFilter;
+        return;
+    }
+    
+    conversationFilter = select.value;
+    reloadConversationList();
+}
+
+window.changeConversationLabelFilter = function changeConversationLabelFilter() {
+    conversationLabelFilter = document.getElementById('conversation-label-filter').value;
+    reloadConversationList();
+}
+
+// Start the list again from the first page after a filter changes
+function reloadConversationList() {
+    conversations = [];
+    conversationsCursor = null;
+    document.getElementById('customer-list').innerHTML = '<div class="loading">Loading conversations...</div>';
+    loadConversations();
+}
+
+// Labels
+async function loadConversationLabels() {
+    try {
+        const response = await fetch('/api/sms/labels', {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            conversationLabels = data.labels;
+            updateLabelFilterOptions();
+        }
+    } catch (error) {
+        console.error('Error loading labels:', error);
+    }
+}
+
+// Labels staff made up themselves aren't in the list from the server - they're shown in grey
+function getLabelInfo(label) {
+    return conversationLabels.find(known => known.id === label) ||
+        { id: label, name: label.replace(/_/g, ' '), color: '#6b7280' };
+}
+
+function renderLabelChip(label, { removable = false } = {}) {
+    const info = getLabelInfo(label);
+    return `<span class="label-chip" style="background-color: ${escapeHtml(info.color)};">${escapeHtml(info.name)}${removable ? `<button class="remove-label-btn" data-label="${escapeHtml(label)}" title="Remove label">✕</button>` : ''}</span>`;
+}
+
+// The known labels plus any others on loaded conversations
+function getAvailableLabels() {
+    const labels = new Set(conversationLabels.map(label => label.id));
+    conversations.forEach(customer => (customer.profile?.labels || []).forEach(label => labels.add(label)));
+    return [...labels];
+}
+
+function updateLabelFilterOptions() {
+    const select = document.getElementById('conversation-label-filter');
+    if (!select) return;
+    
+    select.innerHTML = `
+        <option value="">Any label</option>
+        <option value="__notes">📝 Has notes</option>
+        ${getAvailableLabels().map(label => `<option value="${escapeHtml(label)}">🏷️ ${escapeHtml(getLabelInfo(label).name)}</option>`).join('')}
+    `;
+    select.value = conversationLabelFilter;
+}
+
+// Label chips in the conversation header, with a picker to add another
+function updateConversationLabels(customerData) {
+    const container = document.getElementById('conversation-labels');
+    const labels = customerData.profile.labels || [];
+    const addable = getAvailableLabels().filter(label => !labels.includes(label));
+    
+    container.innerHTML = `
+        ${labels.map(label => renderLabelChip(label, { removable: true })).join('')}
+        <select class="add-label-select" title="Add a label">
+            <option value="">+ Label</option>
+            ${addable.map(label => `<option value="${escapeHtml(label)}">${escapeHtml(getLabelInfo(label).name)}</option>`).join('')}
+            <option value="__other">Other...</option>
+        </select>
+    `;
+    
+    container.querySelectorAll('.remove-label-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            updateConversationState({ labels: labels.filter(label => label !== button.getAttribute('data-label')) });
+        });
+    });
+    container.querySelector('.add-label-select').addEventListener('change', event => {
+        let label = event.target.value;
+        if (label === '__other') {
+            label = (window.prompt('New label (e.g. allergy, regular):') || '').trim().toLowerCase().replace(/\s+/g, '_');
+        }
+        if (label) {
+            updateConversationState({ labels: [...labels, label] });
+        } else {
+            event.target.value = '';
+        }
+    });
+}
+
+// Status, assignee and snooze shown under each customer in the list
+function renderConversationState(customer) {
+    const profile = customer.profile || {};
+    const status = profile.status || 'open';
+    const parts = [];
+    
+    if (isSnoozed(profile)) {
+        parts.push(`<span class="status-pill status-snoozed">💤 Until ${formatTimestamp(profile.snoozedUntil)}</span>`);
+    } else if (status !== 'open') {
+        parts.push(`<span class="status-pill status-${status}">${CONVERSATION_STATUS_LABELS[status] || status}</span>`);
+    }
+    if (profile.assignee) {
+        parts.push(`<span>👤 ${escapeHtml(profile.assignee)}</span>`);
+    }
+    if (profile.hasNotes) {
+        parts.push('<span title="Has internal notes">📝</span>');
+    }
+    (profile.labels || []).forEach(label => parts.push(renderLabelChip(label)));
+    
+    return parts.length > 0 ? `<div class="conversation-state">${parts.join('')}</div>` : '';
+}
+
+// Status, assignee and snooze controls in the conversation header
+function updateConversationControls(customerData) {
+    const profile = customerData.profile || {};
+    const me = getStaffName();
+    
+    document.getElementById('conversation-status').value = profile.status || 'open';
+    
+    // Everyone anything is assigned to in the loaded list, so reassigning is one click
+    const names = new Set(conversations.map(c => c.profile?.assignee).filter(Boolean));
+    if (profile.assignee) names.add(profile.assignee);
+    if (me) names.delete(me);
+    
+    const assigneeSelect = document.getElementById('conversation-assignee');
+    assigneeSelect.innerHTML = `
+        <option value="">👤 Unassigned</option>
+        ${me ? `<option value="${escapeHtml(me)}">👤 Me (${escapeHtml(me)})</option>` : '<option value="__me">👤 Assign to me</option>'}
+        ${[...names].sort().map(name => `<option value="${escapeHtml(name)}">👤 ${escapeHtml(name)}</option>`).join('')}
+        <option value="__other">Someone else...</option>
+    `;
+    assigneeSelect.value = profile.assignee || '';
+    
+    const snoozeSelect = document.getElementById('conversation-snooze');
+    snoozeSelect.innerHTML = `
+        <option value="">${isSnoozed(profile) ? `💤 Until ${formatTimestamp(profile.snoozedUntil)}` : '💤 Snooze...'}</option>
+        <option value="1h">For 1 hour</option>
+        <option value="3h">For 3 hours</option>
+        <option value="tomorrow">Until tomorrow 9am</option>
+        <option value="next_week">Until Monday 9am</option>
+        ${profile.snoozedUntil ? '<option value="wake">Wake it now</option>' : ''}
+    `;
+    snoozeSelect.value = '';
+}
+
+window.changeConversationAssignee = function changeConversationAssignee() {
+    const choice = document.getElementById('conversation-assignee').value;
+    let assignee = choice;
+    
+    if (choice === '__me') {
+        assignee = setStaffName();
+    } else if (choice === '__other') {
+        assignee = (window.prompt('Assign this conversation to:') || '').trim();
+    }
+    
+    // Cancelled - put the select back how it was
+    if ((choice === '__me' || choice === '__other') && !assignee) {
+        updateConversationControls(selectedCustomer);
+        return;
+    }
+    
+    updateConversationState({ assignee: assignee || null });
+}
+
+window.changeConversationSnooze = function changeConversationSnooze() {
+    const value = document.getElementById('conversation-snooze').value;
+    if (!value) return;
+    
+    updateConversationState({ snooze: value === 'wake' ? null : value });
+}
+
+window.updateConversationState = async function updateConversationState(changes) {
+    if (!selectedCustomer) {
+        showError('Please select a customer');
+        return;
+    }
+    
+    try {
+        updateStatus('connecting', 'Updating conversation...');
+        
+        const response = await fetch(`/api/sms/conversations/${encodeURIComponent(selectedCustomer.customerId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify(changes)
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to update conversation');
+        }
+        
+        applyConversationSummary(data.conversation);
+        updateStatus('connected', 'Conversation updated');
+    } catch (error) {
+        console.error('Error updating conversation:', error);
+        updateStatus('error', 'Failed to update conversation');
+        showError('Failed to update conversation: ' + error.message);
+        updateConversationControls(selectedCustomer);
+    }
+}
+
+// A conversation was assigned, snoozed, closed or reopened - here or by someone else
+function applyConversationSummary({ type, at, ...summary }) {
+    const index = conversations.findIndex(c => c.customerId === summary.customerId);
+    const customer = index >= 0 ? Object.assign(conversations[index], summary) : summary;
+    
+    if (index >= 0 && !matchesConversationFilter(customer)) {
+        conversations.splice(index, 1);
+    } else if (index < 0 && matchesConversationFilter(customer)) {
+        // Only add it if it sorts inside what's loaded - further down, the next page will bring it
+        const lastLoaded = conversations[conversations.length - 1];
+        if (!conversationsCursor || !lastLoaded || getConversationSortTime(customer) >= getConversationSortTime(lastLoaded)) {
+            conversations.push(customer);
+        }
+    }
+    
+    if (selectedCustomer?.customerId === customer.customerId) {
+        selectedCustomer = customer;
+        updateConversationControls(customer);
+        updateConversationLabels(customer);
+        
+        // Someone added or deleted a note on the open thread
+        const notesUpdatedAt = customer.profile?.notesUpdatedAt || null;
+        if (selectedThread?.customerId === customer.customerId && notesUpdatedAt !== selectedThread.notesUpdatedAt) {
+            refreshThreadNotes(selectedThread, notesUpdatedAt);
+        }
+    }
+    
+    sortConversations();
+    refreshConversationList();
+}
+
+// Internal Notes - shown in the thread among the texts, never sent to the customer
+async function fetchCustomerNotes(customerId) {
+    const response = await fetch(`/api/sms/conversations/${encodeURIComponent(customerId)}/notes`, {
+        credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to load notes');
+    }
+    
+    return data.notes;
+}
+
+async function refreshThreadNotes(thread, notesUpdatedAt) {
+    thread.notesUpdatedAt = notesUpdatedAt;
+    
+    try {
+        const notes = await fetchCustomerNotes(thread.customerId);
+        if (selectedThread !== thread) return;
+        
+        thread.notes = notes;
+        displayConversation(selectedCustomer, { keepScrollPosition: true });
+    } catch (error) {
+        console.error('Error loading notes:', error);
+    }
+}
+
+window.addNote = async function addNote() {
+    const input = document.getElementById('note-input');
+    const content = input.value.trim();
+    
+    if (!selectedCustomer) {
+        showError('Please select a customer');
+        return;
+    }
+    if (!content) {
+        showError('Please enter a note');
+        return;
+    }
+    
+    try {
+        updateStatus('connecting', 'Adding note...');
+        
+        const response = await fetch(`/api/sms/conversations/${encodeURIComponent(selectedCustomer.customerId)}/notes`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ content, author: getStaffName() })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to add note');
+        }
+        
+        input.value = '';
+        if (selectedThread?.customerId === selectedCustomer.customerId && !selectedThread.notes.some(note => note.id === data.note.id)) {
+            selectedThread.notes.push(data.note);
+            displayConversation(selectedCustomer);
+        }
+        updateStatus('connected', 'Note added');
+    } catch (error) {
+        console.error('Error adding note:', error);
+        updateStatus('error', 'Failed to add note');
+        showError('Failed to add note: ' + error.message);
+    }
+}
+
+window.deleteNote = async function deleteNote(noteId) {
+    if (!selectedCustomer || !confirm('Delete this note?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/sms/conversations/${encodeURIComponent(selectedCustomer.customerId)}/notes/${encodeURIComponent(noteId)}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to delete note');
+        }
+        
+        if (selectedThread?.customerId === selectedCustomer.customerId) {
+            selectedThread.notes = selectedThread.notes.filter(note => note.id !== noteId);
+            displayConversation(selectedCustomer, { keepScrollPosition: true });
+        }
+        updateStatus('connected', 'Note deleted');
+    } catch (error) {
+        console.error('Error deleting note:', error);
+        showError('Failed to delete note: ' + error.message);
+    }
+}
+
+// Browser notifications for inbound texts, switched on per browser
+function areInboxNotificationsOn() {
+    return 'Notification' in window && Notification.permission === 'granted' && localStorage.getItem(INBOX_NOTIFICATIONS_KEY) === 'on';
+}
+
+function updateNotificationsButton() {
+    const button = document.getElementById('inbox-notifications-btn');
+    if (button) {
+        button.textContent = areInboxNotificationsOn() ? '🔔 Notify' : '🔕 Notify';
+    }
+}
+
+window.toggleInboxNotifications = async function toggleInboxNotifications() {
+    if (!('Notification' in window)) {
+        showError('This browser does not support notifications');
+        return;
+    }
+    
+    if (areInboxNotificationsOn()) {
+        localStorage.removeItem(INBOX_NOTIFICATIONS_KEY);
+    } else {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showError('Notifications are blocked for this site - allow them in your browser settings');
+            return;
+        }
+        localStorage.setItem(INBOX_NOTIFICATIONS_KEY, 'on');
+    }
+    
+    updateNotificationsButton();
+}
+
+function notifyInboundMessage(customer, message) {
+    if (!areInboxNotificationsOn()) return;
+    
+    const mediaCount = (message.media || []).length;
+    const notification = new Notification(`💬 ${customer.profile.name || customer.profile.phone || 'Customer'}`, {
+        body: message.content || (mediaCount > 0 ? '📷 Attachment' : ''),
+        tag: `sms-${customer.customerId}`
+    });
+    
+    notification.onclick = () => {
+        window.focus();
+        showTab('conversations');
+        const index = conversations.findIndex(c => c.customerId === customer.customerId);
+        if (index >= 0) {
+            selectCustomer(customer.customerId, index);
+        }
+        notification.close();
+    };
+}
+
+// Conversations Management
+window.loadConversations = async function loadConversations() {
+    const filter = conversationFilter;
+    
+    try {
+        updateStatus('connecting', 'Loading conversations...');
+        
+        // Mine is looked up by the name saved for this session
+        if (filter === 'mine') {
+            await staffNameSaved;
+        }
+        
+        const response = await fetch(`/api/sms/conversations?${getConversationListParams()}`, {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            const text = await response.text();
+            console.log('API Response:', text);
+            throw new Error(`HTTP ${response.status}: ${text}`);
+        }
+        
+        const data = await response.json();
+        
+        // The filter was changed while this was loading
+        if (filter !== conversationFilter) return;
+        
+        if (data.success) {
+            conversations = data.conversations;
+            conversationsCursor = data.nextCursor;
+            if (selectedCustomer) {
+                selectedCustomer = conversations.find(c => c.customerId === selectedCustomer.customerId) || selectedCustomer;
+            }
+            refreshConversationList();
+            fillConversationList();
+            updateStatus('connected', `${conversations.length} conversations loaded`);
+        } else {
+            throw new Error(data.error || 'Failed to load conversations');
+        }
+        
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+        updateStatus('error', 'Failed to load conversations');
+        showError('Failed to load conversations: ' + error.message);
+    }
+}
+
+// Next page of the inbox, when the list is scrolled to the bottom
+async function loadMoreConversations() {
+    if (!conversationsCursor || loadingMoreConversations) return;
+    loadingMoreConversations = true;
+    const filter = conversationFilter;
+    
+    try {
+        const response = await fetch(`/api/sms/conversations?${getConversationListParams(conversationsCursor)}`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load conversations');
+        }
+        
+        if (filter !== conversationFilter) return;
+        
+        // Live updates can already have added some of these to the top
+        const loadedIds = new Set(conversations.map(c => c.customerId));
+        conversations.push(...data.conversations.filter(c => !loadedIds.has(c.customerId)));
+        conversationsCursor = data.nextCursor;
+        refreshConversationList();
+    } catch (error) {
+        console.error('Error loading more conversations:', error);
+        updateStatus('error', 'Failed to load more conversations');
+    } finally {
+        loadingMoreConversations = false;
+    }
+    
+    fillConversationList();
+}
+
+// Keep loading until the list can scroll, otherwise there's no scroll to trigger the next page
+function fillConversationList() {
+    const container = document.getElementById('customer-list');
+    if (conversationsCursor && !conversationSearch && container.scrollHeight <= container.clientHeight) {
+        loadMoreConversations();
+    }
+}
+
+function handleConversationListScroll() {
+    const container = document.getElementById('customer-list');
+    if (container.scrollTop + container.clientHeight >= container.scrollHeight - 100) {
+        loadMoreConversations();
+    }
+}
+
+// Load a page of the open thread - the newest messages first, then older ones as it's scrolled up.
+// `from` loads everything from that message to the newest, for opening a search result.
+async function loadThreadPage(customerId, before = null, from = null) {
+    const params = new URLSearchParams();
+    if (before) params.set('before', before);
+    if (from) params.set('from', from);
+    
+    const response = await fetch(`/api/sms/conversations/${encodeURIComponent(customerId)}/messages?${params}`, {
+        credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to load messages');
+    }
+    
+    // Pages come newest first; the thread is shown oldest first
+    return { messages: data.messages.reverse(), nextCursor: data.nextCursor };
+}
+
+async function loadOlderMessages() {
+    const thread = selectedThread;
+    if (!thread || !thread.nextCursor || thread.loading) return;
+    thread.loading = true;
+    
+    try {
+        const page = await loadThreadPage(thread.customerId, thread.nextCursor);
+        if (selectedThread !== thread) return;
+        
+        const loadedIds = new Set(thread.messages.map(m => m.id));
+        thread.messages = [...page.messages.filter(m => !loadedIds.has(m.id)), ...thread.messages];
+        thread.nextCursor = page.nextCursor;
+        displayConversation(selectedCustomer, { keepScrollPosition: true });
+    } catch (error) {
+        console.error('Error loading older messages:', error);
+        updateStatus('error', 'Failed to load older messages');
+    } finally {
+        thread.loading = false;
+    }
+}
+
+function handleThreadScroll() {
+    if (document.getElementById('conversation-content').scrollTop < 80) {
+        loadOlderMessages();
+    }
+}
+
+// Conversation Search
+function getSearchFilters() {
+    return {
+        q: document.getElementById('conversation-search-input').value.trim(),
+        from: document.getElementById('conversation-search-from').value,
+        to: document.getElementById('conversation-search-to').value,
+        direction: document.getElementById('conversation-search-direction').value
+    };
+}
+
+function scheduleConversationSearch() {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(searchConversations, 300);
+}
+
+window.searchConversations = async function searchConversations() {
+    clearTimeout(searchDebounce);
+    const filters = getSearchFilters();
+    
+    if (!filters.q) {
+        clearConversationSearch();
+        return;
+    }
+    
+    const requestId = ++searchRequestId;
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    
+    try {
+        updateStatus('connecting', 'Searching conversations...');
+        
+        const response = await fetch(`/api/sms/search?${params}`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        // Typing on has started a newer search
+        if (requestId !== searchRequestId) return;
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Search failed');
+        }
+        
+        conversationSearch = {
+            words: filters.q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [],
+            results: data.results,
+            customers: data.customers,
+            truncated: data.truncated
+        };
+        displaySearchResults();
+        updateStatus('connected', `${data.results.length} matching messages`);
+    } catch (error) {
+        if (requestId !== searchRequestId) return;
+        console.error('Error searching conversations:', error);
+        updateStatus('error', 'Search failed');
+        showError('Search failed: ' + error.message);
+    }
+}
+
+window.clearConversationSearch = function clearConversationSearch() {
+    clearTimeout(searchDebounce);
+    searchRequestId++;
+    conversationSearch = null;
+    
+    document.getElementById('conversation-search-input').value = '';
+    document.getElementById('search-results').style.display = 'none';
+    document.getElementById('customer-list').style.display = '';
+    refreshConversationList();
+    fillConversationList();
+}
+
+// The part of a long message around the first match
+function getSearchSnippet(content, words, length = 140) {
+    const lower = content.toLowerCase();
+    const matchIndex = Math.min(...words.map(word => lower.indexOf(word)).filter(index => index >= 0));
+    const start = Number.isFinite(matchIndex) && matchIndex > 40 ? matchIndex - 40 : 0;
+    
+    return (start > 0 ? '…' : '') + content.slice(start, start + length) + (content.length > start + length ? '…' : '');
+}
+
+// Escape text for display with the search words marked
+function highlightSearchWords(text, words) {
+    if (words.length === 0) return escapeHtml(text);
+    
+    // Search words are only letters and digits, so they're safe in a pattern as they are
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+function displaySearchResults() {
+    const container = document.getElementById('search-results');
+    const { words, results, customers, truncated } = conversationSearch;
+    const matchLabels = { content: 'message', name: 'name', phone: 'phone', order: 'order number' };
+    
+    document.getElementById('customer-list').style.display = 'none';
+    container.style.display = '';
+    
+    const summary = results.length === 0 ? 'No matching messages' :
+        `${results.length} matching message${results.length === 1 ? '' : 's'}`;
+    
+    let html = `
+        <div class="search-summary">
+            <span>${summary}${truncated ? ' - most recent only, narrow the dates to see older ones' : ''}</span>
+            <button class="btn btn-secondary btn-small clear-search-btn">✕ Clear</button>
+        </div>
+    `;
+    
+    html += results.map((result, index) => {
+        const profile = customers[result.customerId].profile;
+        const content = result.content || (result.mediaCount > 0 ?
+            `📷 ${result.mediaCount === 1 ? 'Attachment' : `${result.mediaCount} attachments`}` : 'No content');
+        const mentions = result.orderNumbers.length > 0 ? ` · mentions #${result.orderNumbers.join(', #')}` : '';
+        
+        return `
+            <div class="customer-item search-result" data-index="${index}">
+                <div class="message-timestamp">${formatTimestamp(result.timestamp)} · ${result.direction === 'inbound' ? 'from customer' : 'sent'}</div>
+                <div class="customer-name">${escapeHtml(profile.name || 'Unknown Customer')}</div>
+                <div class="customer-phone">${escapeHtml(profile.phone || 'No phone')}</div>
+                <div class="message-preview">${highlightSearchWords(getSearchSnippet(content, words), words)}</div>
+                <div class="search-match">Matched ${result.matchedOn.map(field => matchLabels[field]).join(', ')}${mentions}</div>
+            </div>
+        `;
+    }).join('');
+    
+    container.innerHTML = html;
+    container.querySelector('.clear-search-btn').addEventListener('click', clearConversationSearch);
+    container.querySelectorAll('.search-result').forEach(item => {
+        item.addEventListener('click', () => openSearchResult(parseInt(item.getAttribute('data-index'))));
+    });
+}
+
+// Open the result's conversation scrolled to the matching message
+function openSearchResult(index) {
+    const result = conversationSearch.results[index];
+    
+    document.querySelectorAll('.customer-item').forEach(item => item.classList.remove('selected'));
+    document.querySelector(`.search-result[data-index="${index}"]`)?.classList.add('selected');
+    
+    // Prefer the inbox's copy - live updates keep it current
+    selectedCustomer = conversations.find(c => c.customerId === result.customerId) || conversationSearch.customers[result.customerId];
+    openThread(selectedCustomer, { fromMessageId: result.messageId });
+    
+    if (selectedCustomer.unreadCount > 0) {
+        markConversationAsRead(result.customerId);
+    }
+    
+    document.getElementById('quick-reply').style.display = 'block';
+}
+
+function displayConversations(conversations) {
+    const container = document.getElementById('customer-list');
+    
+    if (conversations.length === 0) {
+        container.innerHTML = '<div class="loading">No conversations found</div>';
+        return;
+    }
+    
+    container.innerHTML = conversations.map((customer, index) => {
+        const latestMessage = customer.latestMessage;
+        const mediaCount = latestMessage && latestMessage.media ? latestMessage.media.length : 0;
+        const messagePreview = latestMessage ? 
+            (latestMessage.content && latestMessage.content.length > 50 ? 
+                latestMessage.content.substring(0, 50) + '...' : 
+                latestMessage.content || (mediaCount > 0 ? `📷 ${mediaCount === 1 ? 'Attachment' : `${mediaCount} attachments`}` : 'No content')) : 
+            'No messages';
+        
+        const timestamp = latestMessage && latestMessage.timestamp ? 
+            formatTimestamp(latestMessage.timestamp) : '';
+        
+        const unreadCount = customer.unreadCount || 0;
+        const hasUnread = unreadCount > 0;
+        const unreadClass = hasUnread ? 'customer-item-unread' : '';
+        const unreadBadge = hasUnread ? `<span class="unread-badge">${unreadCount}</span>` : '';
+        
+        return `
+            <div class="customer-item ${unreadClass}" data-customer-id="${customer.customerId}" data-index="${index}">
+                <div class="message-timestamp">${timestamp}${unreadBadge}</div>
+                <div class="customer-name ${hasUnread ? 'customer-name-unread' : ''}">${customer.profile.name || 'Unknown Customer'}</div>
+                <div class="customer-phone">${customer.profile.phone || 'No phone'}</div>
+                <div class="message-preview ${hasUnread ? 'message-preview-unread' : ''}">${escapeHtml(messagePreview)}</div>
+                ${renderConversationState(customer)}
+            </div>
+        `;
+    }).join('');
+    
+    // Add event listeners to customer items
+    container.querySelectorAll('.customer-item').forEach((item) => {
+        item.addEventListener('click', function() {
+            const customerId = this.getAttribute('data-customer-id');
+            const index = parseInt(this.getAttribute('data-index'));
+            selectCustomer(customerId, index);
+        });
+    });
+}
+
+function selectCustomer(customerId, index) {
+    // Remove previous selection
+    document.querySelectorAll('.customer-item').forEach(item => {
+        item.classList.remove('selected');
+    });
+    
+    // Find and select the clicked item
+    const customerItems = document.querySelectorAll('.customer-item');
+    if (customerItems[index]) {
+        customerItems[index].classList.add('selected');
+    }
+    
+    selectedCustomer = conversations[index];
+    openThread(selectedCustomer);
+    
+    // Mark conversation as read if it has unread messages
+    if (selectedCustomer.unreadCount > 0) {
+        markConversationAsRead(customerId);
+    }
+    
+    // Show quick reply
+    document.getElementById('quick-reply').style.display = 'block';
+}
+
+async function openThread(customer, { fromMessageId = null } = {}) {
+    const thread = {
+        customerId: customer.customerId,
+        messages: [],
+        notes: [],
+        notesUpdatedAt: customer.profile?.notesUpdatedAt || null,
+        nextCursor: null,
+        loading: true,
+        highlightId: fromMessageId
+    };
+    selectedThread = thread;
+    displayConversation(customer);
+    
+    try {
+        const [page, notes] = await Promise.all([
+            loadThreadPage(customer.customerId, null, fromMessageId),
+            fetchCustomerNotes(customer.customerId)
+        ]);
+        if (selectedThread !== thread) return;
+        
+        // Keep anything the live stream delivered while the page was loading
+        const loadedIds = new Set(page.messages.map(m => m.id));
+        thread.messages = [...page.messages, ...thread.messages.filter(m => !loadedIds.has(m.id))];
+        thread.nextCursor = page.nextCursor;
+        thread.notes = notes;
+    } catch (error) {
+        console.error('Error loading conversation:', error);
+        showError('Failed to load conversation: ' + error.message);
+    } finally {
+        thread.loading = false;
+    }
+    
+    if (selectedThread === thread) {
+        displayConversation(selectedCustomer);
+        
+        if (fromMessageId) {
+            const bubble = document.querySelector(`.message-bubble[data-message-id="${CSS.escape(fromMessageId)}"]`);
+            if (bubble) {
+                bubble.scrollIntoView({ block: 'center' });
+            } else {
+                updateStatus('connected', 'That message is further back - scroll up to load older messages');
+            }
+        }
+    }
+}
+
+// Function to mark conversation as read
+async function markConversationAsRead(customerId) {
+    try {
+        const response = await fetch(`/api/sms/mark-read/${customerId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            // Update the conversation in memory to reflect read status
+            const customerIndex = conversations.findIndex(c => c.customerId === customerId);
+            if (customerIndex >= 0) {
+                conversations[customerIndex].unreadCount = 0;
+                
+                // Update visual indicators
+                const customerItem = document.querySelector(`[data-customer-id="${customerId}"]`);
+                if (customerItem) {
+                    customerItem.classList.remove('customer-item-unread');
+                    customerItem.querySelector('.customer-name').classList.remove('customer-name-unread');
+                    customerItem.querySelector('.message-preview').classList.remove('message-preview-unread');
+                    const unreadBadge = customerItem.querySelector('.unread-badge');
+                    if (unreadBadge) {
+                        unreadBadge.remove();
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error marking conversation as read:', error);
+    }
+}
+
+function displayConversation(customerData, { keepScrollPosition = false } = {}) {
     const container = document.getElementById('conversation-content');
     const header = document.getElementById('conversation-header');
     const customerName = document.getElementById('selected-customer-name');
     const customerPhone = document.getElementById('selected-customer-phone');
     
     // Update header
-    header.style.display = 'block';
+    header.style.display = 'flex';
     customerName.textContent = customerData.profile.name;
     customerPhone.textContent = customerData.profile.phone || 'No phone number';
+    updateConsentDisplay(customerData);
+    updateConversationControls(customerData);
+    updateConversationLabels(customerData);
+    
+    const thread = selectedThread?.customerId === customerData.customerId ? selectedThread : null;
+    const messages = thread ? thread.messages : [];
+    
+    // Notes older than the loaded messages wait until those messages are scrolled back to
+    const loadedFrom = thread?.nextCursor && messages.length > 0 ? new Date(messages[0].timestamp) : null;
+    const notes = thread ? thread.notes.filter(note => !loadedFrom || new Date(note.createdAt) >= loadedFrom) : [];
+    
+    if (messages.length === 0 && thread?.loading) {
+        container.innerHTML = '<div class="loading">Loading messages...</div>';
+        return;
+    }
+    
+    if (messages.length === 0 && notes.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <h3>No Messages</h3>
+                <p>Start a conversation with ${customerData.profile.name}</p>
+            </div>
+        `;
+        return;
+    }
+    
+    // Measured from the bottom, so prepending older messages leaves the visible ones in place
+    const distanceFromBottom = container.scrollHeight - container.scrollTop;
+    
+    let html = '<div class="messages-container">';
+    if (thread.nextCursor) {
+        html += '<div class="loading older-messages">Scroll up for older messages</div>';
+    }
+    const timeline = [
+        ...messages.map(message => ({ at: new Date(message.timestamp), message })),
+        ...notes.map(note => ({ at: new Date(note.createdAt), note }))
+    ].sort((a, b) => a.at - b.at);
+    
+    timeline.forEach(({ message, note }) => {
+        if (note) {
+            html += `
+                <div class="message-bubble message-note" data-note-id="${escapeHtml(note.id)}">
+                    <button class="delete-note-btn" data-note-id="${escapeHtml(note.id)}" title="Delete note">✕</button>
+                    <div class="note-meta">📝 ${escapeHtml(note.author || 'Staff')} · ${formatTimestamp(note.createdAt)}</div>
+                    <div class="message-content">${escapeHtml(note.content)}</div>
+                </div>
+            `;
+            return;
+        }
+        
+        const isInbound = message.direction === 'inbound';
+        const bubbleClass = isInbound ? 'message-inbound' : 'message-outbound';
+        const highlightClass = message.id === thread.highlightId ? 'message-highlight' : '';
+        const timestamp = formatTimestamp(message.timestamp);
+        
+        html += `
+            <div class="message-bubble ${bubbleClass} ${highlightClass}" data-message-id="${escapeHtml(message.id || '')}">
+                ${renderMessageMedia(message.media)}
+                ${message.content ? `<div class="message-content">${escapeHtml(message.content)}</div>` : ''}
+                <div class="message-time">${timestamp}${isInbound ? '' : renderDeliveryStatus(message)}</div>
+            </div>
+        `;
+    });
+    html += '</div>';
+    
+    container.innerHTML = html;
+    container.querySelectorAll('.delete-note-btn').forEach(button => {
+        button.addEventListener('click', () => deleteNote(button.getAttribute('data-note-id')));
+    });
+    container.scrollTop = keepScrollPosition ? container.scrollHeight - distanceFromBottom : container.scrollHeight;
+}
+
+function updateConsentDisplay(customerData) {
+    const consentBadge = document.getElementById('selected-customer-consent');
+    const toggleConsentBtn = document.getElementById('toggle-consent-btn');
+    const optedOut = customerData.profile.smsConsent?.status === 'opted_out';
+    
+    consentBadge.className = `consent-badge ${optedOut ? 'opted-out' : 'opted-in'}`;
+    consentBadge.textContent = optedOut ? '🚫 Opted out of SMS' : '✅ Subscribed';
+    toggleConsentBtn.textContent = optedOut ? 'Resubscribe' : 'Opt Out';
+}
+
+window.toggleCustomerConsent = async function toggleCustomerConsent() {
+    if (!selectedCustomer) {
+        showError('Please select a customer');
+        return;
+    }
+    
+    const optedOut = selectedCustomer.profile.smsConsent?.status === 'opted_out';
+    const status = optedOut ? 'opted_in' : 'opted_out';
+    const prompt = optedOut ?
+        `Resubscribe ${selectedCustomer.profile.name}? Only do this if they have asked to receive SMS again.` :
+        `Opt ${selectedCustomer.profile.name} out of all SMS?`;
+    
+    const note = window.prompt(`${prompt}\n\nReason (optional):`);
+    if (note === null) {
+        return;
+    }
+    
+    try {
+        updateStatus('connecting', 'Updating SMS consent...');
+        
+        const response = await fetch(`/api/sms/consent/${selectedCustomer.customerId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ status, note })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            selectedCustomer.profile.smsConsent = {
+                status: data.consent.status,
+                source: data.consent.source,
+                updatedAt: data.consent.updatedAt
+            };
+            updateConsentDisplay(selectedCustomer);
+            updateStatus('connected', 'SMS consent updated');
+        } else {
+            throw new Error(data.error || 'Failed to update SMS consent');
+        }
+        
+    } catch (error) {
+        console.error('Error updating SMS consent:', error);
+        updateStatus('error', 'Failed to update SMS consent');
+        showError('Failed to update SMS consent: ' + error.message);
+    }
+}
+
+window.sendReply = async function sendReply(overrideQuietHours) {
+    // Also bound as a click handler, so only an explicit true counts as an override
+    overrideQuietHours = overrideQuietHours === true;
+    
+    try {
+        const replyMessage = document.getElementById('reply-message');
+        const attachmentInput = document.getElementById('reply-attachments');
+        const message = replyMessage.value.trim();
+        const attachments = attachmentInput ? Array.from(attachmentInput.files) : [];
+        
+        if (!message && attachments.length === 0) {
+            showError('Please enter a message or attach a file');
+            return;
+        }
+        
+        if (attachments.reduce((total, file) => total + file.size, 0) > MAX_ATTACHMENT_BYTES) {
+            showError('Attachments must total under 5MB');
+            return;
+        }
+        
+        if (!selectedCustomer) {
+            showError('Please select a customer');
+            return;
+        }
+        
+        updateStatus('connecting', 'Sending reply...');
+        
+        // Reuse the key when retrying the same reply to the same customer
+        const attachmentSignature = attachments.map(file => `${file.name}:${file.size}`).join('|');
+        if (!pendingReply || pendingReply.customerId !== selectedCustomer.customerId || pendingReply.message !== message || pendingReply.attachments !== attachmentSignature) {
+            pendingReply = {
+                customerId: selectedCustomer.customerId,
+                message: message,
+                attachments: attachmentSignature,
+                key: generateIdempotencyKey()
+            };
+        }
+        
+        let response;
+        if (attachments.length > 0) {
+            // Multipart upload - the browser sets the Content-Type boundary
+            const formData = new FormData();
+            formData.append('customerId', selectedCustomer.customerId);
+            formData.append('message', message);
+            formData.append('idempotencyKey', pendingReply.key);
+            formData.append('overrideQuietHours', overrideQuietHours);
+            attachments.forEach(file => formData.append('attachments', file));
+            
+            response = await fetch('/api/sms/reply', {
+                method: 'POST',
+                credentials: 'include',
+                body: formData
+            });
+        } else {
+            response = await fetch('/api/sms/reply', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({
+                    customerId: selectedCustomer.customerId,
+                    message: message,
+                    idempotencyKey: pendingReply.key,
+                    overrideQuietHours: overrideQuietHours
+                })
+            });
+        }
+        
+        const data = await response.json();
+        
+        // It's late for the customer - only send if staff confirm
+        if (data.quietHours && !overrideQuietHours) {
+            if (confirm(`${data.error}\n\nSend this reply anyway?`)) {
+                return sendReply(true);
+            }
+            updateStatus('connected', 'Reply not sent (quiet hours)');
+            return;
+        }
+        
+        if (data.success) {
+            pendingReply = null;
+            replyMessage.value = '';
+            if (attachmentInput) {
+                attachmentInput.value = '';
+                updateAttachmentList();
+            }
+            updateStatus('connected', 'Reply sent');
+            
+            // Add the sent message to the conversation display
+            addMessageToConversation(message, 'outbound', data.media || []);
+            
+            // The live stream brings the stored message back - only poll when it's down
+            if (!isInboxStreamConnected()) {
+                setTimeout(loadConversations, 1000);
+            }
+        } else {
+            throw new Error(data.error || 'Failed to send reply');
+        }
+        
+    } catch (error) {
+        console.error('Error sending reply:', error);
+        updateStatus('error', 'Failed to send reply');
+        showError('Failed to send reply: ' + error.message);
+    }
+}
+
+// Show which files will be attached to the reply
+function updateAttachmentList() {
+    const attachmentInput = document.getElementById('reply-attachments');
+    const attachmentList = document.getElementById('reply-attachment-list');
+    const files = Array.from(attachmentInput.files);
+    
+    attachmentList.innerHTML = files.map(file => 
+        `<span class="attachment-chip">📎 ${escapeHtml(file.name)} (${Math.ceil(file.size / 1024)} KB)</span>`
+    ).join('');
+}
+
+// MMS attachments - images as thumbnails, anything else as a download link
+function renderMessageMedia(media) {
+    if (!media || media.length === 0) return '';
+    
+    const items = media.map(item => {
+        if (!item.url) {
+            return `<div class="media-unavailable" title="${escapeHtml(item.error || '')}">📎 Attachment unavailable</div>`;
+        }
+        
+        const url = escapeHtml(item.url);
+        if ((item.contentType || '').startsWith('image/')) {
+            return `<a href="${url}" target="_blank" rel="noopener"><img class="media-thumbnail" src="${url}" alt="Image attachment" loading="lazy"></a>`;
+        }
+        
+        return `<a class="media-link" href="${url}" target="_blank" rel="noopener">📎 ${escapeHtml(item.contentType || 'Attachment')}</a>`;
+    }).join('');
+    
+    return `<div class="message-media">${items}</div>`;
+}
+
+// Delivery ticks for outbound messages, updated by Twilio status callbacks
+function renderDeliveryStatus(message) {
+    const status = message.status || 'sent';
+    
+    if (status === 'failed' || status === 'undelivered') {
+        const title = [message.errorCode ? `Error ${message.errorCode}` : '', message.errorMessage || ''].filter(Boolean).join(': ');
+        return ` <span class="delivery-status delivery-failed" title="${escapeHtml(title)}">⚠️ ${status === 'failed' ? 'Failed' : 'Not delivered'}${message.errorCode ? ` (${escapeHtml(String(message.errorCode))})` : ''}</span>`;
+    }
+    
+    const ticks = {
+        accepted: '🕓',
+        scheduled: '🕓',
+        queued: '🕓',
+        sending: '🕓',
+        sent: '✓',
+        delivered: '✓✓'
+    };
+    
+    return ` <span class="delivery-status delivery-${escapeHtml(status)}" title="${escapeHtml(status)}">${ticks[status] || ''}</span>`;
+}
+
+function addMessageToConversation(content, direction, media = []) {
+    const container = document.getElementById('conversation-content');
+    const isInbound = direction === 'inbound';
+    const bubbleClass = isInbound ? 'message-inbound' : 'message-outbound';
+    const timestamp = formatTimestamp(new Date());
+    
+    const messageHtml = `
+        <div class="message-bubble ${bubbleClass}">
+            ${renderMessageMedia(media)}
+            ${content ? `<div class="message-content">${escapeHtml(content)}</div>` : ''}
+            <div class="message-time">${timestamp}</div>
+        </div>
+    `;
+    
+    // Remove empty state if present
+    const emptyState = container.querySelector('.empty-state');
+    if (emptyState) {
+        container.innerHTML = '<div class="messages-container"></div>';
+    }
+    
+    const messagesContainer = container.querySelector('.messages-container');
+    if (messagesContainer) {
+        messagesContainer.insertAdjacentHTML('beforeend', messageHtml);
+        container.scrollTop = container.scrollHeight;
+    }
+}
+
+// Duplicate Customers
+window.findDuplicateCustomers = async function findDuplicateCustomers() {
+    try {
+        updateStatus('connecting', 'Looking for duplicate customers...');
+        
+        const response = await fetch('/api/sms/duplicates', {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            duplicateGroups = data.groups;
+            showDuplicateGroups(duplicateGroups);
+            updateStatus('connected', `${duplicateGroups.length} possible duplicates found`);
+        } else {
+            throw new Error(data.error || 'Failed to find duplicates');
+        }
+        
+    } catch (error) {
+        console.error('Error finding duplicates:', error);
+        updateStatus('error', 'Failed to find duplicates');
+        showError('Failed to find duplicates: ' + error.message);
+    }
+}
+
+function showDuplicateGroups(groups) {
+    const modal = document.getElementById('results-modal');
+    const modalTitle = document.getElementById('modal-title');
+    const modalBody = document.getElementById('modal-body');
     
-    const messages = customerData.conversations || [];
+    modalTitle.textContent = 'Duplicate Customers';
     
-    if (messages.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <h3>No Messages</h3>
-                <p>Start a conversation with ${customerData.profile.name}</p>
-            </div>
-        `;
+    if (groups.length === 0) {
+        modalBody.innerHTML = '<div class="loading">No duplicate customers found</div>';
+        modal.style.display = 'flex';
         return;
     }
     
-    let html = '<div class="messages-container">';
-    messages.forEach(message => {
-        const isInbound = message.direction === 'inbound';
-        const bubbleClass = isInbound ? 'message-inbound' : 'message-outbound';
-        const timestamp = formatTimestamp(message.timestamp);
+    let html = `
+        <div class="results-summary">
+            <p>Choose the record to keep for each group. Messages are combined and unread counts added up.</p>
+        </div>
+    `;
+    
+    groups.forEach((group, groupIndex) => {
+        html += `
+            <div class="duplicate-group">
+                <h5>Matched on: ${group.matchedOn.map(escapeHtml).join(', ')}</h5>
+                <ul>
+        `;
+        
+        group.customers.forEach(customer => {
+            const lastActivity = customer.profile.lastActivity ? formatTimestamp(customer.profile.lastActivity) : 'No activity';
+            html += `
+                <li>
+                    <label>
+                        <input type="radio" name="primary-${groupIndex}" value="${escapeHtml(customer.customerId)}"
+                               ${customer.customerId === group.suggestedPrimaryId ? 'checked' : ''}>
+                        <strong>${escapeHtml(customer.profile.name || 'Unknown Customer')}</strong>
+                        (${escapeHtml(customer.profile.phone || 'No phone')})
+                    </label>
+                    <br><em>${escapeHtml(customer.customerId)} · ${customer.messageCount} messages · ${customer.unreadCount} unread · ${lastActivity}</em>
+                </li>
+            `;
+        });
         
         html += `
-            <div class="message-bubble ${bubbleClass}">
-                <div class="message-content">${escapeHtml(message.content)}</div>
-                <div class="message-time">${timestamp}</div>
+                </ul>
+                <button class="btn btn-primary btn-small merge-group-btn" data-group-index="${groupIndex}">🔀 Merge</button>
             </div>
         `;
     });
-    html += '</div>';
     
-    container.innerHTML = html;
-    container.scrollTop = container.scrollHeight;
+    modalBody.innerHTML = html;
+    modal.style.display = 'flex';
+    
+    modalBody.querySelectorAll('.merge-group-btn').forEach((button) => {
+        button.addEventListener('click', function() {
+            mergeDuplicateGroup(parseInt(this.getAttribute('data-group-index')));
+        });
+    });
 }
 
-window.sendReply = async function sendReply() {
+async function mergeDuplicateGroup(groupIndex) {
+    const group = duplicateGroups[groupIndex];
+    const selected = document.querySelector(`input[name="primary-${groupIndex}"]:checked`);
+    
+    if (!group || !selected) {
+        showError('Please choose the record to keep');
+        return;
+    }
+    
+    const primaryId = selected.value;
+    const duplicateIds = group.customers
+        .map(customer => customer.customerId)
+        .filter(customerId => customerId !== primaryId);
+    
+    if (!confirm(`Merge ${duplicateIds.length} record(s) into ${primaryId}? This can't be undone.`)) {
+        return;
+    }
+    
     try {
-        const replyMessage = document.getElementById('reply-message');
-        const message = replyMessage.value.trim();
-        
-        if (!message) {
-            showError('Please enter a message');
-            return;
-        }
-        
-        if (!selectedCustomer) {
-            showError('Please select a customer');
-            return;
-        }
+        updateStatus('connecting', 'Merging customers...');
         
-        updateStatus('connecting', 'Sending reply...');
-        
-        const response = await fetch('/api/sms/reply', {
+        const response = await fetch('/api/sms/duplicates/merge', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             credentials: 'include',
-            body: JSON.stringify({
-                customerId: selectedCustomer.customerId,
-                message: message
-            })
+            body: JSON.stringify({ primaryId, duplicateIds })
         });
         
         const data = await response.json();
         
         if (data.success) {
-            replyMessage.value = '';
-            updateStatus('connected', 'Reply sent');
-            
-            // Add the sent message to the conversation display
-            addMessageToConversation(message, 'outbound');
-            
-            // Refresh conversations to update latest message
-            setTimeout(loadConversations, 1000);
+            updateStatus('connected', `Merged ${data.mergedIds.length} record(s)`);
+            duplicateGroups.splice(groupIndex, 1);
+            showDuplicateGroups(duplicateGroups);
+            loadConversations();
         } else {
-            throw new Error(data.error || 'Failed to send reply');
+            throw new Error(data.error || 'Failed to merge customers');
         }
         
     } catch (error) {
-        console.error('Error sending reply:', error);
-        updateStatus('error', 'Failed to send reply');
-        showError('Failed to send reply: ' + error.message);
-    }
-}
-
-function addMessageToConversation(content, direction) {
-    const container = document.getElementById('conversation-content');
-    const isInbound = direction === 'inbound';
-    const bubbleClass = isInbound ? 'message-inbound' : 'message-outbound';
-    const timestamp = formatTimestamp(new Date());
-    
-    const messageHtml = `
-        <div class="message-bubble ${bubbleClass}">
-            <div class="message-content">${escapeHtml(content)}</div>
-            <div class="message-time">${timestamp}</div>
-        </div>
-    `;
-    
-    // Remove empty state if present
-    const emptyState = container.querySelector('.empty-state');
-    if (emptyState) {
-        container.innerHTML = '<div class="messages-container"></div>';
-    }
-    
-    const messagesContainer = container.querySelector('.messages-container');
-    if (messagesContainer) {
-        messagesContainer.insertAdjacentHTML('beforeend', messageHtml);
-        container.scrollTop = container.scrollHeight;
+        console.error('Error merging customers:', error);
+        updateStatus('error', 'Failed to merge customers');
+        showError('Failed to merge customers: ' + error.message);
     }
 }
 
@@ -787,7 +3204,8 @@ window.sendTestSMS = async function sendTestSMS() {
             credentials: 'include',
             body: JSON.stringify({
                 phone: phone,
-                message: message
+                message: message,
+                template: getTestTemplateRef(message)
             })
         });
         
@@ -857,16 +3275,36 @@ function formatTimestamp(date) {
     }
 }
 
+function generateIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes as they are - escape them too so the result is safe in attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function showError(message) {
     alert('Error: ' + message); // Simple error handling - could be improved with better UI
 }
 
+// Provider error code, what it means and whether trying again could help
+function describeSendError(item) {
+    if (!item.errorCode && !item.errorDescription) return '';
+    
+    const parts = [];
+    if (item.errorCode) parts.push(`Error ${escapeHtml(item.errorCode)}`);
+    if (item.errorDescription) parts.push(escapeHtml(item.errorDescription));
+    parts.push(item.permanent ? 'won\'t succeed if retried' : `gave up after ${item.attempts || 1} attempt${item.attempts === 1 ? '' : 's'}`);
+    
+    return `<br><span class="send-error-detail ${item.permanent ? 'permanent' : ''}">${parts.join(' · ')}</span>`;
+}
+
 function showBulkResults(results, testMode) {
     const modal = document.getElementById('results-modal');
     const modalTitle = document.getElementById('modal-title');
@@ -877,9 +3315,13 @@ function showBulkResults(results, testMode) {
     let html = `
         <div class="results-summary">
             <h4>${testMode ? '🧪 Test Mode Results' : '📤 Bulk SMS Results'}</h4>
-            <p><strong>Total Processed:</strong> ${results.totalSent + results.totalErrors}</p>
+            <p><strong>Total Processed:</strong> ${results.totalSent + results.totalErrors + (results.totalSkipped || 0) + (results.totalHeldBack || 0)}</p>
             <p><strong>Successful:</strong> ${results.totalSent}</p>
             <p><strong>Errors:</strong> ${results.totalErrors}</p>
+            ${results.totalSkipped ? `<p><strong>Skipped:</strong> ${results.totalSkipped}</p>` : ''}
+            ${results.totalHeldBack ? `<p><strong>Held back (quiet hours):</strong> ${results.totalHeldBack}</p>` : ''}
+            ${results.totalSegments !== undefined ? `<p><strong>Total Segments:</strong> ${results.totalSegments}</p>` : ''}
+            ${results.estimatedCost ? `<p><strong>Estimated Cost:</strong> ${formatEstimatedCost(results.estimatedCost)}</p>` : ''}
         </div>
     `;
     
@@ -893,8 +3335,9 @@ function showBulkResults(results, testMode) {
         results.success.forEach(item => {
             html += `
                 <li>
-                    <strong>${item.customerName}</strong> (${item.phone})
-                    <br><em>Order #${item.orderNumber}</em>
+                    <strong>${escapeHtml(item.customerName)}</strong> (${escapeHtml(item.phone)})
+                    <br><em>Order #${escapeHtml(item.orderNumber)}</em>
+                    ${item.segments ? `<br><span class="segment-info">${item.segments} SMS${item.encoding ? ` · ${escapeHtml(item.encoding)}` : ''}${item.nonGsmCharacters && item.nonGsmCharacters.length > 0 ? ` (because of ${escapeHtml(item.nonGsmCharacters.join(' '))})` : ''}</span>` : ''}
                     ${testMode ? '<br><span style="color: #059669;">✓ Test passed</span>' : ''}
                 </li>
             `;
@@ -913,10 +3356,53 @@ function showBulkResults(results, testMode) {
         results.errors.forEach(item => {
             html += `
                 <li>
-                    <strong>${item.customerName || 'Unknown'}</strong> 
-                    ${item.phone ? `(${item.phone})` : ''}
-                    <br><em>Order #${item.orderNumber}</em>
-                    <br><span style="color: #dc2626;">${item.error}</span>
+                    <strong>${escapeHtml(item.customerName || 'Unknown')}</strong> 
+                    ${item.phone ? `(${escapeHtml(item.phone)})` : ''}
+                    <br><em>Order #${escapeHtml(item.orderNumber)}</em>
+                    <br><span style="color: #dc2626;">${escapeHtml(item.error || 'Failed to send SMS')}</span>
+                    ${describeSendError(item)}
+                </li>
+            `;
+        });
+        
+        html += '</ul></div>';
+    }
+    
+    if (results.skipped && results.skipped.length > 0) {
+        html += `
+            <div class="error-section">
+                <h5>⏭️ Skipped</h5>
+                <ul>
+        `;
+        
+        results.skipped.forEach(item => {
+            html += `
+                <li>
+                    <strong>${escapeHtml(item.customerName || 'Unknown')}</strong> 
+                    ${item.phone ? `(${escapeHtml(item.phone)})` : ''}
+                    <br><em>Order #${escapeHtml(item.orderNumber)}</em>
+                    <br><span style="color: #d97706;">${escapeHtml(item.reason)}</span>
+                </li>
+            `;
+        });
+        
+        html += '</ul></div>';
+    }
+    
+    if (results.heldBack && results.heldBack.length > 0) {
+        html += `
+            <div class="error-section">
+                <h5>🌙 Held Back for Quiet Hours</h5>
+                <ul>
+        `;
+        
+        results.heldBack.forEach(item => {
+            html += `
+                <li>
+                    <strong>${escapeHtml(item.customerName || 'Unknown')}</strong> 
+                    ${item.phone ? `(${escapeHtml(item.phone)})` : ''}
+                    <br><em>Order #${escapeHtml(item.orderNumber)}</em>
+                    <br><span style="color: #6366f1;">${escapeHtml(item.reason)}</span>
                 </li>
             `;
         });
@@ -955,6 +3441,195 @@ function parseTagTemplates() {
     return templates;
 }
 
+window.loadTemplates = async function loadTemplates() {
+    try {
+        const response = await fetch('/api/sms/templates', {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load templates');
+        }
+        
+        messageTemplates = data.templates;
+        
+        FIXED_TEMPLATE_IDS.forEach(id => {
+            const template = messageTemplates.find(t => t.id === id);
+            const textarea = document.getElementById(id);
+            if (template && textarea) {
+                textarea.value = template.body;
+                updateCharCount(id);
+            }
+            setTemplateVersionLabel(`${id}-version`, template);
+        });
+        
+        const tagTemplates = messageTemplates.filter(t => t.category === 'tag');
+        const tagTextarea = document.getElementById('tag-templates');
+        if (tagTextarea) {
+            tagTextarea.value = tagTemplates.map(t => `${t.tag}=${t.body}`).join('\n');
+            updateCharCount('tag-templates');
+        }
+        const latestTagEdit = tagTemplates.reduce((latest, t) => 
+            (!latest || new Date(t.updatedAt) > new Date(latest.updatedAt) ? t : latest), null);
+        setTemplateVersionLabel('tag-templates-version', latestTagEdit, tagTemplates.length);
+        
+        populateTestTemplates();
+        
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        showError('Failed to load saved templates - using the built-in defaults: ' + error.message);
+    }
+}
+
+// "v3 · edited by sam@... 12 Mar" under a template textarea
+function setTemplateVersionLabel(elementId, template, tagCount = null) {
+    const label = document.getElementById(elementId);
+    if (!label) return;
+    
+    if (!template) {
+        label.textContent = 'Not saved yet';
+        return;
+    }
+    
+    const edited = `${template.updatedBy ? `edited by ${template.updatedBy}` : 'edited'} ${formatTimestamp(new Date(template.updatedAt))}`;
+    label.textContent = tagCount !== null ? 
+        `${tagCount} tag templates · last ${edited}` : 
+        `v${template.version} · ${edited}`;
+}
+
+async function saveTemplateRequest(method, url, payload) {
+    const response = await fetch(url, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: payload ? JSON.stringify(payload) : undefined
+    });
+    
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to save template');
+    }
+    
+    return data.template;
+}
+
+// Save each changed Orders tab template as a new version
+window.saveTemplates = async function saveTemplates() {
+    try {
+        updateStatus('connecting', 'Saving templates...');
+        let saved = 0;
+        
+        for (const id of FIXED_TEMPLATE_IDS) {
+            const textarea = document.getElementById(id);
+            const template = messageTemplates.find(t => t.id === id);
+            if (!textarea || !template || textarea.value.trim() === template.body.trim()) continue;
+            
+            await saveTemplateRequest('PUT', `/api/sms/templates/${encodeURIComponent(id)}`, {
+                body: textarea.value.trim(),
+                expectedVersion: template.version
+            });
+            saved++;
+        }
+        
+        const editedTags = parseTagTemplates();
+        const storedTags = messageTemplates.filter(t => t.category === 'tag');
+        
+        for (const [tag, body] of Object.entries(editedTags)) {
+            const template = storedTags.find(t => t.tag === tag);
+            if (!template) {
+                await saveTemplateRequest('POST', '/api/sms/templates', { category: 'tag', tag: tag, name: tag, body: body });
+                saved++;
+            } else if (template.body.trim() !== body) {
+                await saveTemplateRequest('PUT', `/api/sms/templates/${encodeURIComponent(template.id)}`, {
+                    body: body,
+                    expectedVersion: template.version
+                });
+                saved++;
+            }
+        }
+        
+        for (const template of storedTags.filter(t => !editedTags[t.tag])) {
+            await saveTemplateRequest('DELETE', `/api/sms/templates/${encodeURIComponent(template.id)}`);
+            saved++;
+        }
+        
+        await loadTemplates();
+        updateStatus('connected', saved > 0 ? `Saved ${saved} template change${saved === 1 ? '' : 's'}` : 'Templates already up to date');
+        
+    } catch (error) {
+        console.error('Error saving templates:', error);
+        updateStatus('error', 'Failed to save templates');
+        showError('Failed to save templates: ' + error.message);
+        await loadTemplates();
+    }
+}
+
+// Test tab template picker
+function populateTestTemplates() {
+    const select = document.getElementById('test-template');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = '<option value="">— Custom message —</option>' + messageTemplates.map(template => 
+        `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)} (v${template.version})</option>`
+    ).join('');
+    select.value = messageTemplates.some(t => t.id === selected) ? selected : '';
+}
+
+function applyTestTemplate() {
+    const template = messageTemplates.find(t => t.id === document.getElementById('test-template').value);
+    if (template) {
+        document.getElementById('test-message').value = template.body;
+    }
+}
+
+function getTestTemplateRef(message) {
+    const template = messageTemplates.find(t => t.id === document.getElementById('test-template')?.value);
+    if (!template) return null;
+    
+    return { id: template.id, version: template.version, name: template.name, edited: template.body.trim() !== message };
+}
+
+// Save the test message as a new version of the picked template, or as a new template
+window.saveTestTemplate = async function saveTestTemplate() {
+    try {
+        const select = document.getElementById('test-template');
+        const body = document.getElementById('test-message').value.trim();
+        const template = messageTemplates.find(t => t.id === select.value);
+        
+        if (!body) {
+            showError('Please enter a message to save');
+            return;
+        }
+        
+        let saved;
+        if (template) {
+            saved = await saveTemplateRequest('PUT', `/api/sms/templates/${encodeURIComponent(template.id)}`, {
+                body: body,
+                expectedVersion: template.version
+            });
+        } else {
+            const name = prompt('Name for the new template:');
+            if (!name) return;
+            saved = await saveTemplateRequest('POST', '/api/sms/templates', { name: name, category: 'general', body: body });
+        }
+        
+        await loadTemplates();
+        select.value = saved.id;
+        updateStatus('connected', `Saved "${saved.name}" (v${saved.version})`);
+        
+    } catch (error) {
+        console.error('Error saving template:', error);
+        updateStatus('error', 'Failed to save template');
+        showError('Failed to save template: ' + error.message);
+    }
+}
+
 /**
  * Determine delivery method using enhanced logic with shipping line analysis
  * This matches the logic used in the delivery system for consistency
@@ -1059,14 +3734,17 @@ function determineDeliveryMethod(order) {
     return 'Pickup';
 }
 
-function getMessageTemplate(deliveryMethod, tags, order) {
+// Which template applies to an order: a tag template first, then the delivery method default.
+// event is what the send ledger records the text as, so the same notification isn't sent twice
+function selectTemplateSource(deliveryMethod, tags) {
     const tagTemplates = parseTagTemplates();
     
     // Check for tag-specific templates first
     for (const tag of tags) {
         const lowerTag = tag.toLowerCase();
         if (tagTemplates[lowerTag]) {
-            return tagTemplates[lowerTag];
+            const stored = messageTemplates.find(template => template.category === 'tag' && template.tag === lowerTag);
+            return { id: stored ? stored.id : null, event: `tag_${lowerTag}`, text: tagTemplates[lowerTag] };
         }
     }
     
@@ -1077,54 +3755,135 @@ function getMessageTemplate(deliveryMethod, tags, order) {
     if (isPickup) {
         if (hasReadyTag) {
             const pickupReadyTemplate = document.getElementById('pickup-ready');
-            return pickupReadyTemplate ? pickupReadyTemplate.value : 'Hi {customerName}, your order is ready for pickup!';
+            return { id: 'pickup-ready', event: 'ready_for_pickup', text: pickupReadyTemplate ? pickupReadyTemplate.value : 'Hi {customerName}, your order is ready for pickup!' };
         }
         const pickupDefaultTemplate = document.getElementById('pickup-default');
-        return pickupDefaultTemplate ? pickupDefaultTemplate.value : 'Hi {customerName}, your order is packed and ready to go for pickup at the Markets on Sunday, See you there.';
+        return { id: 'pickup-default', event: 'order_packed', text: pickupDefaultTemplate ? pickupDefaultTemplate.value : 'Hi {customerName}, your order is packed and ready to go for pickup at the Markets on Sunday, See you there.' };
     } else {
         const deliveryDefaultTemplate = document.getElementById('home-delivery-default');
-        return deliveryDefaultTemplate ? deliveryDefaultTemplate.value : 'Hi {customerName}, thanks for your order! We\'ll be in touch with delivery details.';
+        return { id: 'home-delivery-default', event: 'order_packed', text: deliveryDefaultTemplate ? deliveryDefaultTemplate.value : 'Hi {customerName}, thanks for your order! We\'ll be in touch with delivery details.' };
     }
 }
 
-function personalizeMessage(template, order) {
-    const customerName = order.customer?.first_name || order.customer?.name?.split(' ')[0] || 'there';
-    const orderNumber = order.orderNumber || order.name || order.order_number;
+function getMessageTemplate(deliveryMethod, tags, order) {
+    return selectTemplateSource(deliveryMethod, tags).text;
+}
+
+// Template version an order's message comes from, recorded on the sent message
+function getMessageTemplateRef(deliveryMethod, tags) {
+    const source = selectTemplateSource(deliveryMethod, tags);
+    const stored = messageTemplates.find(template => template.id === source.id);
+    
+    if (!stored) return null;
+    
+    return {
+        id: stored.id,
+        version: stored.version,
+        name: stored.name,
+        edited: stored.body.trim() !== source.text.trim()
+    };
+}
+
+// Earlier send of the notification this order would get now, from the send ledger
+function findMatchingNotification(order) {
     const deliveryMethod = determineDeliveryMethod(order);
-    const totalPrice = order.totalPrice || order.total_price || '';
-    const orderItems = order.subscriptionItems || 'order';
+    const source = selectTemplateSource(deliveryMethod, order.tags || []);
+    const templateRef = getMessageTemplateRef(deliveryMethod, order.tags || []);
+    const templateId = templateRef ? templateRef.id : 'custom';
     
-    return template
-        .replace(/\{customerName\}/g, customerName)
-        .replace(/\{orderNumber\}/g, orderNumber)
-        .replace(/\{deliveryMethod\}/g, deliveryMethod)
-        .replace(/\{totalPrice\}/g, totalPrice)
-        .replace(/\{orderItems\}/g, orderItems);
+    return (order.notifications || []).find(notification =>
+        notification.event === source.event && notification.templateId === templateId
+    ) || null;
+}
+
+function renderNotificationBadges(order) {
+    return (order.notifications || []).map(notification => `
+        <span class="notified-badge" title="${escapeHtml(notification.message || '')}">
+            ✓ ${escapeHtml(notification.templateName || notification.event)} · ${formatTimestamp(notification.lastSentAt)}${notification.sendCount > 1 ? ` (×${notification.sendCount})` : ''}
+        </span>
+    `).join('');
+}
+
+// Order fields the template engine uses, with the delivery method as shown on the Orders tab
+function toTemplateOrder(order) {
+    return {
+        id: order.id,
+        orderNumber: order.orderNumber || order.name || order.order_number,
+        customer: {
+            name: order.customer?.name || `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
+            first_name: order.customer?.first_name,
+            last_name: order.customer?.last_name
+        },
+        deliveryMethod: determineDeliveryMethod(order),
+        totalPrice: order.totalPrice || order.total_price || '',
+        createdAt: order.createdAt || order.created_at,
+        tags: order.tags || [],
+        lineItems: order.lineItems || [],
+        subscriptionItems: order.subscriptionItems
+    };
+}
+
+// Fill each order's message box using the server's template engine, the same one that sends
+async function renderMessagePreviews() {
+    try {
+        const orders = currentOrders.map(order => {
+            const templateOrder = toTemplateOrder(order);
+            return {
+                ...templateOrder,
+                template: getMessageTemplate(templateOrder.deliveryMethod, templateOrder.tags, order)
+            };
+        });
+        
+        const response = await fetch('/api/sms/templates/preview', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ orders: orders })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to render previews');
+        }
+        
+        let problems = 0;
+        data.previews.forEach((preview, index) => {
+            const messageBox = document.getElementById(`message-${index}`);
+            const errors = document.getElementById(`message-${index}-errors`);
+            if (!messageBox) return;
+            
+            messageBox.value = preview.message || '';
+            updateCharCount(`message-${index}`);
+            if (errors) {
+                errors.textContent = preview.errors.join('; ');
+            }
+            if (preview.errors.length > 0) problems++;
+        });
+        
+        if (problems > 0) {
+            updateStatus('error', `${problems} message${problems === 1 ? '' : 's'} have template errors`);
+        }
+        return problems;
+        
+    } catch (error) {
+        console.error('Error rendering previews:', error);
+        showError('Failed to render message previews: ' + error.message);
+    }
 }
 
-function updateMessagePreviews() {
+async function updateMessagePreviews() {
     if (currentOrders.length === 0) {
         showError('Please load orders first');
         return;
     }
     
-    const container = document.getElementById('orders-list');
-    const messageBoxes = container.querySelectorAll('.message-box');
-    
-    messageBoxes.forEach((messageBox, index) => {
-        if (currentOrders[index]) {
-            const order = currentOrders[index];
-            const deliveryMethod = determineDeliveryMethod(order);
-            const tags = order.tags || [];
-            const messageTemplate = getMessageTemplate(deliveryMethod, tags, order);
-            const personalizedMessage = personalizeMessage(messageTemplate, order);
-            
-            messageBox.value = personalizedMessage;
-            updateCharCount(`message-${index}`);
-        }
-    });
-    
-    updateStatus('connected', 'Message previews updated');
+    const problems = await renderMessagePreviews();
+    if (problems === 0) {
+        updateStatus('connected', 'Message previews updated');
+    }
 }
 
 function selectAllOrders() {
@@ -1154,42 +3913,51 @@ function updateCharCount(textareaId) {
     
     if (!textarea || !counter) return;
     
-    const text = textarea.value;
-    const length = text.length;
-    
-    // Calculate SMS segments
-    let segments = 1;
-    let maxChars = 160;
-    
-    // Check if text contains non-GSM characters (emojis, unicode)
-    const hasUnicode = /[^\x00-\x7F]/.test(text);
-    if (hasUnicode) {
-        maxChars = 70;
-    }
-    
-    if (length > maxChars) {
-        segments = Math.ceil(length / (maxChars - 7)); // -7 for concatenation header
-    }
+    const result = SmsSegments.calculateSegments(textarea.value);
     
     // Update counter text
-    let counterText = `${length} chars`;
-    if (segments > 1) {
-        counterText += ` (${segments} SMS)`;
+    let counterText = `${result.length} chars · ${result.segments} SMS · ${result.encoding}`;
+    if (result.encoding === 'UCS-2') {
+        counterText += ` (because of ${result.nonGsmCharacters.map(character => `"${character}"`).join(' ')})`;
     }
     
     counter.textContent = counterText;
     
-    // Update color based on length
+    // Smart quotes and dashes can be swapped out to get back to GSM-7
+    if (result.fixableCharacters.length > 0) {
+        const fixButton = document.createElement('button');
+        fixButton.type = 'button';
+        fixButton.className = 'link-btn';
+        fixButton.textContent = 'Replace smart quotes';
+        fixButton.addEventListener('click', () => fixSmartCharacters(textareaId));
+        counter.appendChild(document.createTextNode(' '));
+        counter.appendChild(fixButton);
+    }
+    
+    // Update color based on segments - each one is billed as a separate SMS
     counter.className = 'char-counter';
-    if (length <= 140) {
-        // Safe range - green
-    } else if (length <= 160) {
+    if (result.segments === 2) {
         counter.classList.add('warning');
-    } else {
+    } else if (result.segments > 2) {
         counter.classList.add('danger');
     }
 }
 
+function fixSmartCharacters(textareaId) {
+    const textarea = document.getElementById(textareaId);
+    if (!textarea) return;
+    
+    textarea.value = SmsSegments.replaceSmartCharacters(textarea.value);
+    textarea.dispatchEvent(new Event('input'));
+    updateCharCount(textareaId);
+}
+
+// Estimated send cost for the results modal, e.g. "$0.36 USD (7 segments)"
+function formatEstimatedCost(estimatedCost) {
+    if (!estimatedCost) return '';
+    return `$${estimatedCost.amount.toFixed(2)} ${estimatedCost.currency} (${estimatedCost.segments} segments at $${estimatedCost.pricePerSegment})`;
+}
+
 // Logout functionality
 async function handleLogout() {
     try {
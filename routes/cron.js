@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { processCampaignQueue } = require('../services/campaigns');
+const { runDueSchedules } = require('../services/schedules');
+const { runDueSnoozes } = require('../services/conversation-workflow');
+
+/**
+ * Vercel Cron sends "Authorization: Bearer <CRON_SECRET>" - reject anything else
+ */
+function verifyCronRequest(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  
+  if (secret && req.get('authorization') === `Bearer ${secret}`) {
+    return next();
+  }
+  
+  console.log('🚫 Rejected cron request without a valid CRON_SECRET');
+  res.status(401).json({ success: false, error: 'Unauthorized' });
+}
+
+// Process queued bulk SMS campaigns (scheduled in vercel.json)
+router.get('/campaigns', verifyCronRequest, async (req, res) => {
+  try {
+    const result = await processCampaignQueue();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error running campaign cron:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fire scheduled and recurring sends that are due (scheduled in vercel.json)
+router.get('/schedules', verifyCronRequest, async (req, res) => {
+  try {
+    const result = await runDueSchedules();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error running schedule cron:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reopen snoozed conversations whose snooze has run out (scheduled in vercel.json)
+router.get('/snoozes', verifyCronRequest, async (req, res) => {
+  try {
+    const result = await runDueSnoozes();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error running snooze cron:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,288 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const { getCustomerConversations, sendReplyToCustomer, markConversationAsRead, fixCustomerProfile } = require('../services/firestore');
+const { listConversations, getCustomerMessagesPage, searchMessages, listCustomerNotes, deleteCustomerNote, sendReplyToCustomer, markConversationAsRead, watchInboxChanges, fixCustomerProfile, findDuplicateCustomers, mergeCustomers, getCustomerSmsConsent, updateCustomerSmsConsent } = require('../services/firestore');
 const { sendTestSMS, sendBulkSMS } = require('../services/twilio');
 const { fetchOrdersForSMS } = require('../services/shopify');
+const { CONSENT_STATUSES } = require('../services/consent');
+const { getMediaFile, ALLOWED_UPLOAD_TYPES, MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS, ATTACHMENTS_TOO_LARGE, getAttachmentsSize } = require('../services/media');
+const { createCampaign, getCampaign, listCampaigns, cancelCampaign, processCampaignQueue } = require('../services/campaigns');
+const { createSchedule, listSchedules, updateSchedule, cancelSchedule } = require('../services/schedules');
+const { listTemplates, getTemplate, createTemplate, updateTemplate, archiveTemplate, toTemplateRef } = require('../services/templates');
+const { renderTemplate, validateBulkMessages, SAMPLE_ORDER } = require('../services/template-engine');
+const { getOrderKey, listOrderSends, listSendsForOrders } = require('../services/send-ledger');
+const { getSmsProvider } = require('../services/sms-provider');
+const { handleInboundMessage } = require('../services/inbound');
+const { normalizePhoneNumber } = require('../services/phone');
+const { SEARCH_DIRECTIONS, parseSearchDate } = require('../services/search');
+const { CONVERSATION_FILTERS, CONVERSATION_LABELS, normalizeLabel, normalizeStaffName, updateConversation, addConversationNote } = require('../services/conversation-workflow');
+const { listAudiences, getAudience, createAudience, updateAudience, deleteAudience, previewAudience, exportAudienceCsv, getAudienceRecipients } = require('../services/audiences');
 
-// Get customer conversations for inbox
+/**
+ * Read a client-supplied idempotency key from the request header or body
+ */
+function getIdempotencyKey(req) {
+  const key = req.get('Idempotency-Key') || req.body.idempotencyKey;
+  
+  if (typeof key !== 'string' || !key.trim()) {
+    return null;
+  }
+  
+  return key.trim().slice(0, 128);
+}
+
+// Reply attachments are held in memory until they're copied to media storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_UPLOAD_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error(`Unsupported attachment type: ${file.mimetype}. Use JPEG, PNG, GIF or PDF`));
+  }
+});
+
+// Room in a reply upload for the multipart boundaries and the message and other text fields
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+/**
+ * Parse multipart reply attachments, turning upload errors into a 400 response.
+ * multer's limits are per file, so the request as a whole is held to the combined attachment limit
+ * before anything is buffered, and the files' combined size is checked once they're parsed.
+ */
+function parseAttachments(req, res, next) {
+  if (req.is('multipart/form-data')) {
+    const contentLength = Number(req.get('Content-Length'));
+    if (!(contentLength <= MAX_ATTACHMENT_BYTES + MULTIPART_OVERHEAD_BYTES)) {
+      return res.status(400).json({ success: false, error: ATTACHMENTS_TOO_LARGE });
+    }
+  }
+  
+  upload.array('attachments', MAX_ATTACHMENTS)(req, res, (error) => {
+    if (!error) {
+      if (getAttachmentsSize(req.files) > MAX_ATTACHMENT_BYTES) {
+        return res.status(400).json({ success: false, error: ATTACHMENTS_TOO_LARGE });
+      }
+      return next();
+    }
+    
+    const messages = {
+      LIMIT_FILE_SIZE: ATTACHMENTS_TOO_LARGE,
+      LIMIT_FILE_COUNT: `No more than ${MAX_ATTACHMENTS} attachments can be sent at once`,
+      LIMIT_UNEXPECTED_FILE: `No more than ${MAX_ATTACHMENTS} attachments can be sent at once`
+    };
+    
+    res.status(400).json({ success: false, error: messages[error.code] || error.message });
+  });
+}
+
+// Inbox list, most recently active first (?limit=, ?cursor= from the previous page's nextCursor,
+// ?filter= all/mine/unassigned/open/waiting/closed/snoozed, ?assignee= your name for mine,
+// ?label= and ?notes=1 to narrow to a label or to conversations with internal notes)
 router.get('/conversations', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const conversations = await getCustomerConversations(limit);
-    res.json({ success: true, conversations });
+    const filter = req.query.filter || 'all';
+    // Mine is whoever this session says it is - see PUT /staff
+    const assignee = req.session.staffName || null;
+    
+    if (!CONVERSATION_FILTERS.includes(filter)) {
+      return res.status(400).json({
+        success: false,
+        error: `filter must be one of: ${CONVERSATION_FILTERS.join(', ')}`
+      });
+    }
+    
+    if (filter === 'mine' && !assignee) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set your name to see the conversations assigned to you'
+      });
+    }
+    
+    const { conversations, nextCursor } = await listConversations({
+      limit: req.query.limit,
+      cursor: req.query.cursor || null,
+      filter,
+      assignee,
+      label: normalizeLabel(req.query.label) || null,
+      hasNotes: req.query.notes === '1' || req.query.notes === 'true'
+    });
+    res.json({ success: true, filter, conversations, nextCursor });
   } catch (error) {
     console.error('Error fetching conversations:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Everyone shares one login, so each browser says which staff member is using it - { name }.
+// It's kept in the session and is who the mine filter lists conversations for.
+router.put('/staff', (req, res) => {
+  try {
+    req.session.staffName = normalizeStaffName(req.body.name);
+    res.json({ success: true, staffName: req.session.staffName });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
+// Labels with their own colour - any other label is allowed too
+router.get('/labels', (req, res) => {
+  res.json({ success: true, labels: CONVERSATION_LABELS });
+});
+
+// Assign, snooze, label or change the status of a conversation - { status, assignee, snooze, labels }, any of them
+router.put('/conversations/:customerId', async (req, res) => {
+  try {
+    const conversation = await updateConversation(req.params.customerId, req.body, req.session.email || null);
+    res.json({ success: true, conversation });
+  } catch (error) {
+    console.error('Error updating conversation:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// A customer's messages, newest first (?limit=, ?before= from the previous page's nextCursor)
+router.get('/conversations/:customerId/messages', async (req, res) => {
+  try {
+    const { messages, nextCursor } = await getCustomerMessagesPage(req.params.customerId, {
+      limit: req.query.limit,
+      before: req.query.before || null,
+      from: req.query.from || null
+    });
+    res.json({ success: true, customerId: req.params.customerId, messages, nextCursor });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Internal notes on a conversation - staff only, never sent by SMS
+router.get('/conversations/:customerId/notes', async (req, res) => {
+  try {
+    const notes = await listCustomerNotes(req.params.customerId);
+    res.json({ success: true, customerId: req.params.customerId, notes });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a note - { content, author } where author is the staff name shown on it
+router.post('/conversations/:customerId/notes', async (req, res) => {
+  try {
+    const note = await addConversationNote(req.params.customerId, req.body, req.session.email || null);
+    res.json({ success: true, note });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/conversations/:customerId/notes/:noteId', async (req, res) => {
+  try {
+    const result = await deleteCustomerNote(req.params.customerId, req.params.noteId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Search messages by content, customer name, phone number or order number
+// ?q=refund&from=2025-03-01&to=2025-03-31&direction=inbound - dates are days in business time
+router.get('/search', async (req, res) => {
+  try {
+    const { q, from, to, direction, limit } = req.query;
+    
+    if (direction && !SEARCH_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        error: `direction must be one of: ${SEARCH_DIRECTIONS.join(', ')}`
+      });
+    }
+    
+    const { results, customers, truncated } = await searchMessages({
+      query: q,
+      from: parseSearchDate(from),
+      to: parseSearchDate(to, { endOfDay: true }),
+      direction: direction || null,
+      limit
+    });
+    
+    res.json({ success: true, query: q, results, customers, truncated });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Live inbox stream settings - Vercel ends requests at maxDuration (30s), so the stream is closed
+// first and EventSource reconnects, replaying what it missed from Last-Event-ID
+const STREAM_MAX_DURATION_MS = process.env.VERCEL ? 25000 : 10 * 60 * 1000;
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_RETRY_MS = 2000;
+const STREAM_MAX_REPLAY_MS = 60 * 60 * 1000;
+
+// New messages, delivery statuses, read-state and conversation status changes as Server-Sent Events
+router.get('/stream', (req, res) => {
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.since, 10);
+  const since = new Date(Math.max(lastEventId || Date.now(), Date.now() - STREAM_MAX_REPLAY_MS));
+  let lastSentAt = since.getTime();
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  
+  const stopWatching = watchInboxChanges({
+    since,
+    onEvent: event => {
+      // Events can arrive slightly out of order - the ID only moves forward so a reconnect never skips back
+      lastSentAt = Math.max(lastSentAt, event.at ? new Date(event.at).getTime() : Date.now());
+      res.write(`id: ${lastSentAt}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+    onError: error => {
+      console.error('Inbox stream error:', error.message);
+      res.end();
+    }
+  });
+  
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+  const closeTimer = setTimeout(() => res.end(), STREAM_MAX_DURATION_MS);
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(closeTimer);
+    stopWatching();
+  });
+});
+
 // Send reply to customer
-router.post('/reply', async (req, res) => {
+router.post('/reply', parseAttachments, async (req, res) => {
   try {
     const { customerId, message } = req.body;
+    const idempotencyKey = getIdempotencyKey(req);
+    const attachments = req.files || [];
+    // Multipart bodies send the flag as a string
+    const overrideQuietHours = req.body.overrideQuietHours === true || req.body.overrideQuietHours === 'true';
     
-    if (!customerId || !message) {
+    if (!customerId || (!message && attachments.length === 0)) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Customer ID and message are required' 
+        error: 'Customer ID and a message or attachment are required' 
       });
     }
     
-    const result = await sendReplyToCustomer(customerId, message);
+    const result = await sendReplyToCustomer(customerId, message || '', idempotencyKey, attachments, {
+      overrideQuietHours,
+      sentBy: req.session.email || null
+    });
     res.json(result);
   } catch (error) {
     console.error('Error sending reply:', error);
@@ -59,7 +313,7 @@ router.post('/mark-read/:customerId', async (req, res) => {
 // Send test SMS
 router.post('/test', async (req, res) => {
   try {
-    const { phone, message } = req.body;
+    const { phone, message, template } = req.body;
     
     if (!phone || !message) {
       return res.status(400).json({ 
@@ -68,11 +322,12 @@ router.post('/test', async (req, res) => {
       });
     }
     
-    const result = await sendTestSMS(phone, message);
+    // Placeholders in a test message are filled in from a sample order
+    const result = await sendTestSMS(phone, renderTemplate(message, SAMPLE_ORDER), await toTemplateRef(template));
     res.json(result);
   } catch (error) {
     console.error('Error sending test SMS:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message, validationErrors: error.validationErrors });
   }
 });
 
@@ -93,6 +348,12 @@ router.get('/orders', async (req, res) => {
       tag
     });
     
+    // Badge orders that have already been texted
+    const sends = await listSendsForOrders(orders.map(getOrderKey));
+    orders.forEach(order => {
+      order.notifications = sends.get(getOrderKey(order)) || [];
+    });
+    
     res.json({ success: true, orders });
   } catch (error) {
     console.error('Error fetching orders:', error);
@@ -100,10 +361,32 @@ router.get('/orders', async (req, res) => {
   }
 });
 
-// Send bulk SMS
+// Notifications already sent for an order (by Shopify order ID, or order number when there isn't one)
+router.get('/orders/:orderId/notifications', async (req, res) => {
+  try {
+    const notifications = await listOrderSends(req.params.orderId);
+    res.json({ success: true, orderId: req.params.orderId, notifications });
+  } catch (error) {
+    console.error('Error fetching order notifications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send bulk SMS - test mode runs immediately, real sends are queued as a campaign
 router.post('/bulk', async (req, res) => {
   try {
-    const { orders, message, testMode = false } = req.body;
+    const { message, testMode = false, audienceId, resend = false } = req.body;
+    const idempotencyKey = getIdempotencyKey(req);
+    let { orders } = req.body;
+    let audience = null;
+    
+    // A saved audience is resolved to its current members in place of an order list
+    if (audienceId) {
+      ({ audience, orders } = await getAudienceRecipients(audienceId, { resend: Boolean(resend) }));
+      if (orders.length === 0) {
+        return res.status(400).json({ success: false, error: `Nobody is in the "${audience.name}" audience right now` });
+      }
+    }
     
     if (!orders || !Array.isArray(orders)) {
       return res.status(400).json({ 
@@ -120,14 +403,299 @@ router.post('/bulk', async (req, res) => {
       });
     }
     
-    const result = await sendBulkSMS(orders, message || '', testMode);
-    res.json(result);
+    const problems = validateBulkMessages(orders, message || '');
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${problems.length} message${problems.length === 1 ? '' : 's'} can't be sent: ${problems[0].errors.join('; ')}`,
+        validationErrors: problems
+      });
+    }
+    
+    if (testMode) {
+      const result = await sendBulkSMS(orders, message || '', true);
+      return res.json(result);
+    }
+    
+    const { campaign, duplicate } = await createCampaign(orders, message || '', {
+      idempotencyKey,
+      createdBy: req.session.email || null,
+      ...(audience ? { event: `audience_${audience.id}`, audience } : {})
+    });
+    res.status(duplicate ? 200 : 202).json({ success: true, campaign, duplicate });
   } catch (error) {
     console.error('Error sending bulk SMS:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, validationErrors: error.validationErrors });
+  }
+});
+
+// List saved audiences
+router.get('/audiences', async (req, res) => {
+  try {
+    const audiences = await listAudiences();
+    res.json({ success: true, audiences });
+  } catch (error) {
+    console.error('Error listing audiences:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Count the customers matching a set of rules before saving them
+router.post('/audiences/preview', async (req, res) => {
+  try {
+    const preview = await previewAudience({ rules: req.body.rules || {} });
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Error previewing audience:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/audiences/:audienceId', async (req, res) => {
+  try {
+    const audience = await getAudience(req.params.audienceId);
+    res.json({ success: true, audience });
+  } catch (error) {
+    console.error('Error fetching audience:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/audiences', async (req, res) => {
+  try {
+    const audience = await createAudience(req.body, req.session.email || null);
+    res.status(201).json({ success: true, audience });
+  } catch (error) {
+    console.error('Error creating audience:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.put('/audiences/:audienceId', async (req, res) => {
+  try {
+    const audience = await updateAudience(req.params.audienceId, req.body, req.session.email || null);
+    res.json({ success: true, audience });
+  } catch (error) {
+    console.error('Error updating audience:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/audiences/:audienceId', async (req, res) => {
+  try {
+    await deleteAudience(req.params.audienceId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting audience:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Current member count of a saved audience, with a few example members
+router.get('/audiences/:audienceId/preview', async (req, res) => {
+  try {
+    const preview = await previewAudience({ audienceId: req.params.audienceId });
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Error previewing audience:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Download a saved audience's current members as CSV
+router.get('/audiences/:audienceId/export', async (req, res) => {
+  try {
+    const { audience, csv } = await exportAudienceCsv(req.params.audienceId);
+    const filename = `${audience.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'audience'}.csv`;
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting audience:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// List bulk SMS campaigns (?active=true for queued/running only)
+router.get('/campaigns', async (req, res) => {
+  try {
+    const campaigns = await listCampaigns({
+      limit: parseInt(req.query.limit) || 20,
+      activeOnly: req.query.active === 'true'
+    });
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    console.error('Error listing campaigns:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Campaign progress with per-recipient state
+router.get('/campaigns/:campaignId', async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.campaignId, { includeRecipients: true });
+    
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run the campaign worker for one time slice, then return progress.
+// The Orders tab calls this while it's watching so sends progress even without cron.
+router.post('/campaigns/:campaignId/process', async (req, res) => {
+  try {
+    // Short slices keep the progress display responsive
+    await processCampaignQueue({ campaignId: req.params.campaignId, timeBudgetMs: 8000 });
+    const campaign = await getCampaign(req.params.campaignId, { includeRecipients: true });
+    
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Error processing campaign:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Cancel a queued or running campaign
+router.post('/campaigns/:campaignId/cancel', async (req, res) => {
+  try {
+    const result = await cancelCampaign(req.params.campaignId, req.session.email || null);
+    res.status(result.success ? 200 : 409).json(result);
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    res.status(error.message === 'Campaign not found' ? 404 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// List scheduled sends (?all=true includes completed and cancelled ones)
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await listSchedules({ includeFinished: req.query.all === 'true' });
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Schedule a bulk send or reply for later, once or on a recurring rule
+router.post('/schedules', async (req, res) => {
+  try {
+    const schedule = await createSchedule(req.body, req.session.email || null);
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, quietHours: error.quietHours });
+  }
+});
+
+// Edit, pause or resume a schedule
+router.put('/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await updateSchedule(req.params.scheduleId, req.body, req.session.email || null);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, quietHours: error.quietHours });
+  }
+});
+
+// Cancel a schedule
+router.post('/schedules/:scheduleId/cancel', async (req, res) => {
+  try {
+    const schedule = await cancelSchedule(req.params.scheduleId, req.session.email || null);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error cancelling schedule:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// List message templates (?all=true includes archived ones)
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await listTemplates({ includeArchived: req.query.all === 'true' });
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Render message previews with the template engine used for sending.
+// Each order can carry its own template, otherwise the shared one is used.
+router.post('/templates/preview', async (req, res) => {
+  const { template = '', orders = [] } = req.body;
+  
+  if (!Array.isArray(orders)) {
+    return res.status(400).json({ success: false, error: 'Orders must be an array' });
+  }
+  
+  const previews = (orders.length > 0 ? orders : [SAMPLE_ORDER]).map(order => {
+    try {
+      return { id: order.id || null, message: renderTemplate(order.template ?? template, order), errors: [] };
+    } catch (error) {
+      return { id: order.id || null, message: null, errors: error.validationErrors || [error.message] };
+    }
+  });
+  
+  res.json({ success: true, previews });
+});
+
+// Get a template with its version history
+router.get('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId);
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a template
+router.post('/templates', async (req, res) => {
+  try {
+    const template = await createTemplate(req.body, req.session.email || null);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Save a new version of a template
+router.put('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await updateTemplate(req.params.templateId, req.body, req.session.email || null);
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Archive a template (its versions are kept for message history)
+router.delete('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await archiveTemplate(req.params.templateId, req.session.email || null);
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error archiving template:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // Fix customer profile with incorrect phone number
 router.post('/fix-customer/:customerId', async (req, res) => {
   try {
@@ -149,4 +717,144 @@ router.post('/fix-customer/:customerId', async (req, res) => {
   }
 });
 
+// Find customer records that look like the same person
+router.get('/duplicates', async (req, res) => {
+  try {
+    const groups = await findDuplicateCustomers();
+    res.json({ success: true, groups });
+  } catch (error) {
+    console.error('Error finding duplicate customers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Merge duplicate customer records into one surviving record
+router.post('/duplicates/merge', async (req, res) => {
+  try {
+    const { primaryId, duplicateIds } = req.body;
+    
+    if (!primaryId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Primary customer ID and duplicate customer IDs are required' 
+      });
+    }
+    
+    const result = await mergeCustomers(primaryId, duplicateIds);
+    res.json(result);
+  } catch (error) {
+    console.error('Error merging customers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a customer's SMS consent (opt-out) status
+router.get('/consent/:customerId', async (req, res) => {
+  try {
+    const consent = await getCustomerSmsConsent(req.params.customerId);
+    res.json({ success: true, consent });
+  } catch (error) {
+    console.error('Error fetching SMS consent:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Staff override of a customer's SMS consent
+router.post('/consent/:customerId', async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { status, note } = req.body;
+    
+    if (!CONSENT_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Status must be opted_in or opted_out' 
+      });
+    }
+    
+    const consent = await updateCustomerSmsConsent(customerId, status, {
+      updatedBy: req.session.email || null,
+      note: note || null
+    });
+    res.json({ success: true, consent });
+  } catch (error) {
+    console.error('Error updating SMS consent:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stream a stored MMS attachment
+router.get('/media/:messageSid/:index', async (req, res) => {
+  try {
+    const file = await getMediaFile(req.params.messageSid, req.params.index);
+    
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': file.size,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    
+    file.stream.on('error', (error) => {
+      console.error('Error streaming media:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Mock provider tools are only available when SMS_PROVIDER=mock
+ */
+function requireMockProvider(req, res, next) {
+  if (getSmsProvider().name !== 'mock') {
+    return res.status(404).json({ success: false, error: 'Only available with SMS_PROVIDER=mock' });
+  }
+  next();
+}
+
+// Messages the mock provider has "sent" (optionally ?to=+614...)
+router.get('/mock/messages', requireMockProvider, (req, res) => {
+  const to = req.query.to ? normalizePhoneNumber(req.query.to) || req.query.to : null;
+  res.json({
+    success: true,
+    sent: getSmsProvider().getSentMessages({ to }),
+    inbound: getSmsProvider().getInboundMessages()
+  });
+});
+
+router.delete('/mock/messages', requireMockProvider, (req, res) => {
+  getSmsProvider().clearMessages();
+  res.json({ success: true });
+});
+
+// Simulate a customer texting in - handled exactly like a real inbound webhook
+router.post('/mock/inbound', requireMockProvider, async (req, res) => {
+  try {
+    const { from, body = '' } = req.body;
+    const media = Array.isArray(req.body.media) ? req.body.media : [];
+    const phone = normalizePhoneNumber(from);
+    
+    if (!phone || (!body && media.length === 0)) {
+      return res.status(400).json({ success: false, error: 'A valid from number and a body or media are required' });
+    }
+    
+    const provider = getSmsProvider();
+    const inbound = provider.parseInboundMessage(provider.injectInboundMessage({ from: phone, body, media }));
+    const { customerId, stored, replies } = await handleInboundMessage(inbound);
+    provider.buildWebhookResponse(replies, inbound);
+    
+    res.json({ success: true, sid: inbound.sid, customerId, stored, replies });
+  } catch (error) {
+    console.error('Error injecting mock inbound message:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
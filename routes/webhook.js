@@ -1,63 +1,128 @@
 const express = require('express');
 const router = express.Router();
-const { storeCustomerMessage, getCustomerIdFromPhone } = require('../services/firestore');
+const { updateMessageStatus } = require('../services/firestore');
+const { validateWebhookSignature } = require('../services/twilio');
+const { getSmsProvider, getWebhookUrl } = require('../services/sms-provider');
+const { handleInboundMessage } = require('../services/inbound');
+const { getOutboundMediaFile } = require('../services/media');
 
-// Twilio SMS webhook endpoint
-router.post('/sms', async (req, res) => {
+// Signature checks can only be skipped for local development, never in production
+const isProduction = process.env.VERCEL || process.env.NODE_ENV === 'production';
+const skipSignatureValidation = !isProduction && process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true';
+
+if (skipSignatureValidation) {
+  console.log('⚠️ Webhook signature validation is DISABLED (local development only)');
+}
+
+/**
+ * Send the provider's answer to an inbound webhook (TwiML for Twilio) - no replies means no auto-reply
+ */
+function sendWebhookResponse(res, replies = [], inbound = null, status = 200) {
+  const response = getSmsProvider().buildWebhookResponse(replies, inbound);
+  res.status(status)
+    .set('Content-Type', response.contentType)
+    .send(response.body);
+}
+
+/**
+ * Reject webhook requests that were not signed by the SMS provider
+ */
+function verifyProviderRequest(req, res, next) {
+  if (skipSignatureValidation) {
+    return next();
+  }
+  
+  if (validateWebhookSignature(req)) {
+    return next();
+  }
+  
+  console.log('🚫 Rejected webhook with invalid signature:', {
+    provider: getSmsProvider().name,
+    url: getWebhookUrl(req),
+    hasSignature: !!(req.get('x-twilio-signature') || req.get('x-mock-signature')),
+    ip: req.get('x-forwarded-for') || req.ip
+  });
+  
+  sendWebhookResponse(res, [], null, 403);
+}
+
+// Incoming SMS webhook endpoint
+router.post('/sms', verifyProviderRequest, async (req, res) => {
   try {
     const timestamp = new Date().toISOString();
     console.log(`🔥 SMS Webhook received at ${timestamp}`);
     console.log('📋 Request body:', JSON.stringify(req.body, null, 2));
     
-    // Extract Twilio webhook parameters
-    const { From, To, Body, MessageSid } = req.body;
+    const inbound = getSmsProvider().parseInboundMessage(req.body);
     
-    console.log(`📱 SMS from ${From} to ${To}: ${Body}`);
-    console.log('🔍 Webhook parameters:', { From, To, Body, MessageSid });
+    console.log(`📱 SMS from ${inbound.from} to ${inbound.to}: ${inbound.body}${inbound.numMedia ? ` (+${inbound.numMedia} media)` : ''}`);
     
-    // Validate required parameters
-    if (!From || !To || !Body || !MessageSid) {
+    // Validate required parameters - MMS can arrive with media and no caption
+    if (!inbound.from || !inbound.to || (!inbound.body && inbound.numMedia === 0) || !inbound.sid) {
       console.log('❌ Missing required SMS parameters');
-      return res.status(400)
-        .set('Content-Type', 'text/xml')
-        .send('<Response></Response>');
+      return sendWebhookResponse(res, [], null, 400);
     }
     
-    // Get customer ID and store message
-    console.log(`🔍 Looking up customer for phone: ${From}`);
-    const customerId = await getCustomerIdFromPhone(From);
-    console.log(`👤 Customer ID: ${customerId}`);
+    const { replies } = await handleInboundMessage(inbound);
     
-    const success = await storeCustomerMessage({
-      customerId: customerId,
-      channel: 'sms',
-      direction: 'inbound',
-      content: Body,
-      channelData: {
-        from: From,
-        to: To,
-        twilioSid: MessageSid
-      },
-      timestamp: new Date()
-    });
+    sendWebhookResponse(res, replies, inbound);
+    
+  } catch (error) {
+    console.error(`❌ Error processing SMS webhook:`, error);
+    
+    // Still return an empty response even on error to prevent auto-reply
+    sendWebhookResponse(res, [], null, 500);
+  }
+});
+
+// Delivery status callback for outbound messages
+router.post('/status', verifyProviderRequest, async (req, res) => {
+  try {
+    const { sid, status, errorCode, errorMessage } = getSmsProvider().parseStatusCallback(req.body);
+    
+    console.log(`📬 Status callback: ${sid} → ${status}${errorCode ? ` (error ${errorCode})` : ''}`);
     
-    if (success) {
-      console.log(`✅ Stored SMS message for customer ${customerId}`);
-    } else {
-      console.log(`⚠️ Failed to store SMS message for customer ${customerId}`);
+    if (!sid || !status) {
+      console.log('❌ Missing required status callback parameters');
+      return res.status(400).send('');
     }
     
-    // Return empty TwiML to prevent auto-reply
-    res.set('Content-Type', 'text/xml');
-    res.send('<Response></Response>');
+    await updateMessageStatus(sid, status, {
+      errorCode: errorCode || null,
+      errorMessage: errorMessage || null
+    });
+    
+    res.status(200).send('');
     
   } catch (error) {
-    console.error(`❌ Error processing SMS webhook:`, error);
+    console.error(`❌ Error processing status callback:`, error);
+    res.status(500).send('');
+  }
+});
+
+// Outbound MMS attachments - public so Twilio can fetch them, guarded by an unguessable media ID
+router.get('/media/:mediaId', async (req, res) => {
+  try {
+    const file = await getOutboundMediaFile(req.params.mediaId);
+    
+    if (!file) {
+      return res.status(404).send('Not found');
+    }
     
-    // Still return empty TwiML even on error to prevent auto-reply
-    res.status(500)
-      .set('Content-Type', 'text/xml')
-      .send('<Response></Response>');
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': file.size,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    
+    file.stream.on('error', (error) => {
+      console.error('Error streaming outbound media:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error(`❌ Error serving outbound media:`, error);
+    res.status(500).send('');
   }
 });
 
@@ -0,0 +1,6 @@
+// One-off migration: start every existing customer open and unassigned so the inbox filters list them
+// Usage: node scripts/backfill-conversation-state.js [--dry-run]
+const { runScript } = require('./run-script');
+const { backfillConversationState } = require('../services/firestore');
+
+runScript('Backfilling conversation status and assignee', backfillConversationState);
@@ -0,0 +1,6 @@
+// One-off migration: set each customer's timezone from their Shopify address so quiet hours use their local time
+// Usage: node scripts/backfill-customer-timezones.js [--dry-run]
+const { runScript } = require('./run-script');
+const { backfillCustomerTimezones } = require('../services/firestore');
+
+runScript('Backfilling customer timezones from Shopify addresses', backfillCustomerTimezones);
@@ -0,0 +1,6 @@
+// One-off migration: give every customer a profile.lastActivity timestamp so the paginated inbox lists them
+// Usage: node scripts/backfill-last-activity.js [--dry-run]
+const { runScript } = require('./run-script');
+const { backfillLastActivity } = require('../services/firestore');
+
+runScript('Backfilling customer last activity', backfillLastActivity);
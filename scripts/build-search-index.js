@@ -0,0 +1,6 @@
+// One-off migration: index messages stored before conversation search existed
+// Usage: node scripts/build-search-index.js [--dry-run]
+const { runScript } = require('./run-script');
+const { rebuildSearchIndex } = require('../services/firestore');
+
+runScript('Building conversation search index', rebuildSearchIndex);
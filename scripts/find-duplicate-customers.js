@@ -0,0 +1,14 @@
+// Duplicate detection job: list customer records that share a phone number, Shopify ID or email
+// Usage: node scripts/find-duplicate-customers.js
+const { runScript } = require('./run-script');
+const { findDuplicateCustomers } = require('../services/firestore');
+
+runScript('Looking for duplicate customer records', findDuplicateCustomers, groups => {
+  groups.forEach(group => {
+    console.log(`\n👥 Matched on ${group.matchedOn.join(', ')} (suggested survivor: ${group.suggestedPrimaryId})`);
+    group.customers.forEach(customer => {
+      console.log(`   - ${customer.customerId}: ${customer.profile.name || 'Unknown'} ${customer.profile.phone || ''} (${customer.messageCount} messages)`);
+    });
+  });
+  console.log(`\n✅ Done: ${groups.length} duplicate groups found. Review and merge them from the Conversations tab.`);
+});
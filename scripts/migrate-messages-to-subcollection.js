@@ -0,0 +1,6 @@
+// One-off migration: move customer conversation arrays into per-customer messages subcollections
+// Usage: node scripts/migrate-messages-to-subcollection.js [--dry-run]
+const { runScript } = require('./run-script');
+const { migrateConversationsToSubcollections } = require('../services/firestore');
+
+runScript('Migrating conversations to messages subcollections', migrateConversationsToSubcollections);
@@ -0,0 +1,6 @@
+// One-off migration: re-key phone_ customer documents to IDs built from E.164 numbers
+// Usage: node scripts/rekey-phone-customers.js [--dry-run]
+const { runScript } = require('./run-script');
+const { rekeyPhoneCustomers } = require('../services/firestore');
+
+runScript('Re-keying phone-based customer documents', rekeyPhoneCustomers);
@@ -0,0 +1,32 @@
+// Shared runner for the scripts in this folder - require it before anything that reads .env.
+// Passes --dry-run through to the job, prints what it returns and exits non-zero when the job
+// throws or its summary lists errors.
+require('dotenv').config();
+
+function printSummary(summary) {
+  console.log('✅ Done:', JSON.stringify(summary, null, 2));
+}
+
+/**
+ * Run job({ dryRun }) once and exit. report prints the result (the summary as JSON by default).
+ */
+function runScript(description, job, report = printSummary) {
+  const dryRun = process.argv.includes('--dry-run');
+  
+  console.log(`🚀 ${description}${dryRun ? ' (dry run)' : ''}...`);
+  
+  Promise.resolve()
+    .then(() => job({ dryRun }))
+    .then(result => {
+      report(result);
+      process.exit(result?.errors?.length > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`❌ ${description} failed:`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runScript
+};
@@ -18,14 +18,22 @@ const PORT = process.env.PORT || 3000;
 
 // Add startup validation
 console.log('🔧 Validating environment variables...');
+
+// The SMS provider decides which credentials are needed (the mock provider needs none)
+const { SMS_PROVIDER, PROVIDER_NAMES, getSmsProvider } = require('./services/sms-provider');
+if (!PROVIDER_NAMES.includes(SMS_PROVIDER)) {
+  console.error(`❌ Unknown SMS_PROVIDER "${SMS_PROVIDER}" - use ${PROVIDER_NAMES.join(' or ')}`);
+  process.exit(1);
+}
+const smsProvider = getSmsProvider();
+console.log(`📱 SMS provider: ${smsProvider.name}`);
+
 const requiredEnvVars = [
   'FIRESTORE_PROJECT_ID',
   'FIREBASE_SERVICE_ACCOUNT', 
   'SHOPIFY_SHOP',
   'SHOPIFY_ACCESS_TOKEN',
-  'TWILIO_ACCOUNT_SID',
-  'TWILIO_AUTH_TOKEN',
-  'TWILIO_PHONE_NUMBER'
+  ...smsProvider.requiredEnvVars
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -35,6 +43,10 @@ if (missingVars.length > 0) {
 }
 console.log('✅ All required environment variables present');
 
+if (smsProvider.name === 'mock' && (process.env.VERCEL || process.env.NODE_ENV === 'production')) {
+  console.log('⚠️ SMS_PROVIDER=mock in production - no messages will actually be sent');
+}
+
 // Middleware - Environment-aware Helmet configuration
 const isVercel = process.env.VERCEL || process.env.NODE_ENV === 'production';
 
@@ -101,6 +113,7 @@ app.post('/auth/login', (req, res) => {
   
   if (email === AUTH_EMAIL && password === AUTH_PASSWORD) {
     req.session.authenticated = true;
+    req.session.email = email;
     console.log('✅ User authenticated successfully:', {
       sessionID: req.sessionID,
       sessionAfter: { ...req.session }
@@ -135,7 +148,7 @@ app.post('/auth/logout', (req, res) => {
 });
 
 // Import routes with error handling
-let webhookRoutes, smsRoutes, deliveryRoutes;
+let webhookRoutes, smsRoutes, deliveryRoutes, cronRoutes;
 try {
   console.log('📦 Loading webhook routes...');
   webhookRoutes = require('./routes/webhook');
@@ -148,6 +161,10 @@ try {
   console.log('📦 Loading delivery routes...');
   deliveryRoutes = require('./routes/delivery');
   console.log('✅ Delivery routes loaded');
+  
+  console.log('📦 Loading cron routes...');
+  cronRoutes = require('./routes/cron');
+  console.log('✅ Cron routes loaded');
 } catch (error) {
   console.error('❌ Error loading routes:', error.message);
   console.error('Stack:', error.stack);
@@ -157,6 +174,9 @@ try {
 // Public webhook routes (MUST be before authentication middleware)
 app.use('/webhook', webhookRoutes);
 
+// Scheduled jobs - authenticated with CRON_SECRET rather than a session
+app.use('/cron', cronRoutes);
+
 // Authentication middleware for HTML pages only
 const requireAuth = (req, res, next) => {
   console.log('🔐 Auth check for:', req.path, {
@@ -219,6 +239,12 @@ app.get('/delivery.html', requireAuth, (req, res) => {
 app.use('/api/sms', requireAuth, smsRoutes);
 app.use('/api/delivery', requireAuth, deliveryRoutes);
 
+// The segment calculator is shared with the browser
+app.get('/js/sms-segments.js', (req, res) => {
+  res.type('application/javascript');
+  res.sendFile(path.join(__dirname, 'services', 'sms-segments.js'));
+});
+
 // Serve static files AFTER specific routes (allows CSS/JS to load but doesn't override routes)
 app.use(express.static(path.join(__dirname, 'public'), {
   setHeaders: (res, path) => {
@@ -241,7 +267,8 @@ app.get('/health', (req, res) => {
     env_check: {
       firebase: !!process.env.FIREBASE_SERVICE_ACCOUNT,
       shopify: !!process.env.SHOPIFY_SHOP,
-      twilio: !!process.env.TWILIO_ACCOUNT_SID
+      twilio: !!process.env.TWILIO_ACCOUNT_SID,
+      smsProvider: smsProvider.name
     }
   };
   
@@ -257,6 +284,7 @@ app.get('/deployment-status', (req, res) => {
     message: 'SMS Webhook server is running successfully',
     endpoints: {
       webhook: '/webhook/sms',
+      statusCallback: '/webhook/status',
       conversations: '/api/sms/conversations',
       health: '/health'
     }
@@ -280,6 +308,13 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 SMS Webhook server running on port ${PORT}`);
   console.log(`🌐 Access at: http://localhost:${PORT}`);
+  
+  // Serverless functions don't stay running between requests - Vercel uses the cron in vercel.json
+  if (!process.env.VERCEL) {
+    require('./services/campaigns').startCampaignWorker();
+    require('./services/schedules').startScheduleRunner();
+    require('./services/conversation-workflow').startSnoozeRunner();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,406 @@
+const admin = require('firebase-admin');
+const { fetchOrderHistory } = require('./shopify');
+const { listContactActivity } = require('./firestore');
+const { normalizePhoneNumber } = require('./phone');
+
+/**
+ * Saved audiences - a named set of rules picking customers to text, e.g. "ordered in the last
+ * 90 days but not in the last 7" or "has ever picked up at the markets". Members are worked out
+ * fresh from Shopify order history and our conversation records each time they're used.
+ * Every rule must match. Anyone who has opted out is always left out.
+ */
+
+const db = admin.firestore();
+const AUDIENCES_COLLECTION = process.env.AUDIENCES_COLLECTION || 'sms-audiences';
+
+// How far back "ever" reaches for delivery method, tag and order count rules
+const AUDIENCE_LOOKBACK_DAYS = parseInt(process.env.AUDIENCE_LOOKBACK_DAYS, 10) || 730;
+
+const DELIVERY_METHODS = {
+  pickup: 'Pickup',
+  delivery: 'Home Delivery'
+};
+
+// Rules that need Shopify order history - without any, the audience is drawn from conversations
+const ORDER_RULES = ['orderedWithinDays', 'notOrderedWithinDays', 'deliveryMethod', 'orderTag', 'minOrders'];
+
+const PREVIEW_SAMPLE_SIZE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error carrying the HTTP status the audience routes should respond with
+ */
+function audienceError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Convert Firestore Timestamps on an audience to Dates for the API
+ */
+function toPlainObject(doc) {
+  const data = doc.data();
+  const result = { id: doc.id };
+  
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = value && typeof value.toDate === 'function' ? value.toDate() : value;
+  }
+  
+  return result;
+}
+
+/**
+ * Read a day-count rule: a whole number of days within the lookback, or null when it isn't set
+ */
+function parseDays(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > AUDIENCE_LOOKBACK_DAYS) {
+    throw audienceError(`${label} must be between 1 and ${AUDIENCE_LOOKBACK_DAYS} days`);
+  }
+  return days;
+}
+
+/**
+ * Validate a rule set, dropping rules that aren't set
+ */
+function buildRules(input = {}) {
+  const rules = {
+    orderedWithinDays: parseDays(input.orderedWithinDays, 'Ordered within'),
+    notOrderedWithinDays: parseDays(input.notOrderedWithinDays, 'Not ordered within'),
+    deliveryMethod: input.deliveryMethod || null,
+    orderTag: (input.orderTag || '').toString().trim().toLowerCase() || null,
+    minOrders: null,
+    repliedWithinDays: parseDays(input.repliedWithinDays, 'Replied within'),
+    optedInOnly: Boolean(input.optedInOnly)
+  };
+  
+  if (input.minOrders !== undefined && input.minOrders !== null && input.minOrders !== '') {
+    rules.minOrders = Number(input.minOrders);
+    if (!Number.isInteger(rules.minOrders) || rules.minOrders < 1) {
+      throw audienceError('Minimum orders must be a whole number of at least 1');
+    }
+  }
+  if (rules.deliveryMethod && !DELIVERY_METHODS[rules.deliveryMethod]) {
+    throw audienceError(`Delivery method must be one of ${Object.keys(DELIVERY_METHODS).join(', ')}`);
+  }
+  if (rules.orderedWithinDays && rules.notOrderedWithinDays && rules.notOrderedWithinDays >= rules.orderedWithinDays) {
+    throw audienceError('"Not ordered within" must be shorter than "ordered within", or nobody can match');
+  }
+  
+  return rules;
+}
+
+/**
+ * Validate the editable fields of an audience
+ */
+function buildAudienceFields(input, existing = null) {
+  const fields = {
+    name: (input.name ?? existing?.name ?? '').toString().trim(),
+    description: (input.description ?? existing?.description ?? '').toString().trim() || null,
+    rules: buildRules(input.rules ?? existing?.rules ?? {})
+  };
+  
+  if (!fields.name) {
+    throw audienceError('Audience name is required');
+  }
+  if (fields.name.length > 100) {
+    throw audienceError('Audience names are limited to 100 characters');
+  }
+  
+  return fields;
+}
+
+/**
+ * Group order history by customer phone number, newest order first
+ */
+function groupOrdersByPhone(orders) {
+  const customers = new Map();
+  let withoutPhone = 0;
+  
+  for (const order of orders) {
+    const phone = normalizePhoneNumber(order.customer.phone);
+    if (!phone) {
+      withoutPhone++;
+      continue;
+    }
+    
+    if (!customers.has(phone)) {
+      customers.set(phone, { phone, orders: [] });
+    }
+    customers.get(phone).orders.push(order);
+  }
+  
+  customers.forEach(customer => {
+    customer.orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  });
+  
+  return { customers, withoutPhone };
+}
+
+/**
+ * One audience member from their orders (if any) and conversation record (if any)
+ */
+function toMember(phone, orders, contact) {
+  const lastOrder = orders[0] || null;
+  const tags = new Set();
+  const deliveryMethods = new Set();
+  
+  orders.forEach(order => {
+    order.tags.forEach(tag => tags.add(tag.toLowerCase()));
+    deliveryMethods.add(order.deliveryMethod);
+  });
+  
+  return {
+    phone,
+    customerId: contact?.customerId || null,
+    name: lastOrder?.customer.name || contact?.name || 'Customer',
+    firstName: lastOrder?.customer.first_name || null,
+    lastName: lastOrder?.customer.last_name || null,
+    email: lastOrder?.customer.email || contact?.email || null,
+    orderCount: orders.length,
+    lastOrderAt: lastOrder ? new Date(lastOrder.createdAt) : null,
+    lastOrder,
+    tags: [...tags],
+    deliveryMethods: [...deliveryMethods],
+    lastInboundAt: contact?.lastInboundAt || null,
+    consent: contact?.consent?.status || null
+  };
+}
+
+/**
+ * Check a member against every rule set on the audience
+ */
+function matchesRules(member, rules, now) {
+  const within = (date, days) => Boolean(date) && now - date.getTime() <= days * DAY_MS;
+  
+  if (rules.orderedWithinDays && !within(member.lastOrderAt, rules.orderedWithinDays)) return false;
+  if (rules.notOrderedWithinDays && within(member.lastOrderAt, rules.notOrderedWithinDays)) return false;
+  if (rules.deliveryMethod && !member.deliveryMethods.includes(DELIVERY_METHODS[rules.deliveryMethod])) return false;
+  if (rules.orderTag && !member.tags.includes(rules.orderTag)) return false;
+  if (rules.minOrders && member.orderCount < rules.minOrders) return false;
+  if (rules.repliedWithinDays && !within(member.lastInboundAt, rules.repliedWithinDays)) return false;
+  if (rules.optedInOnly && member.consent !== 'opted_in') return false;
+  
+  return true;
+}
+
+/**
+ * Work out who's in an audience right now. Returns { members, excludedOptedOut, withoutPhone,
+ * truncated, lookbackDays } - truncated means order history hit AUDIENCE_MAX_ORDERS and older
+ * orders weren't considered.
+ */
+async function resolveAudience(rulesInput) {
+  const rules = buildRules(rulesInput);
+  const usesOrders = ORDER_RULES.some(rule => rules[rule] !== null);
+  
+  // "Ordered within N days" (and "but not within M") only needs the last N days of history
+  const recencyRules = ['orderedWithinDays', 'notOrderedWithinDays'];
+  const onlyRecentOrders = rules.orderedWithinDays && ORDER_RULES.every(rule => recencyRules.includes(rule) || rules[rule] === null);
+  const lookbackDays = usesOrders ? (onlyRecentOrders ? rules.orderedWithinDays : AUDIENCE_LOOKBACK_DAYS) : null;
+  
+  const [history, contacts] = await Promise.all([
+    usesOrders ? fetchOrderHistory({ days: lookbackDays }) : { orders: [], truncated: false },
+    listContactActivity()
+  ]);
+  
+  const { customers, withoutPhone } = groupOrdersByPhone(history.orders);
+  
+  // Without order rules, everyone we've had a conversation with is a candidate
+  const candidates = usesOrders ?
+    [...customers.values()].map(customer => toMember(customer.phone, customer.orders, contacts.get(customer.phone))) :
+    [...contacts.values()].filter(contact => contact.customerId).map(contact => toMember(contact.phone, [], contact));
+  
+  const now = Date.now();
+  const matching = candidates.filter(member => matchesRules(member, rules, now));
+  const members = matching
+    .filter(member => member.consent !== 'opted_out')
+    .sort((a, b) => a.name.localeCompare(b.name));
+  
+  console.log(`👥 Audience resolved: ${members.length} members (${matching.length - members.length} opted out, ${withoutPhone} orders without a phone)`);
+  
+  return {
+    members,
+    excludedOptedOut: matching.length - members.length,
+    withoutPhone,
+    truncated: history.truncated,
+    lookbackDays
+  };
+}
+
+/**
+ * Member details for the API - the full last order stays server-side
+ */
+function summarizeMember(member) {
+  const { lastOrder, ...summary } = member;
+  return { ...summary, lastOrderNumber: lastOrder ? lastOrder.name || lastOrder.orderNumber : null };
+}
+
+/**
+ * List saved audiences by name
+ */
+async function listAudiences() {
+  const snapshot = await db.collection(AUDIENCES_COLLECTION).get();
+  return snapshot.docs.map(toPlainObject).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getAudience(audienceId) {
+  const doc = await db.collection(AUDIENCES_COLLECTION).doc(audienceId).get();
+  
+  if (!doc.exists) {
+    throw audienceError('Audience not found', 404);
+  }
+  return toPlainObject(doc);
+}
+
+async function createAudience(input, createdBy = null) {
+  const fields = buildAudienceFields(input);
+  const now = new Date();
+  const docRef = db.collection(AUDIENCES_COLLECTION).doc();
+  
+  await docRef.set({
+    ...fields,
+    lastCount: null,
+    lastCountedAt: null,
+    createdBy,
+    createdAt: now,
+    updatedBy: createdBy,
+    updatedAt: now
+  });
+  
+  console.log(`👥 Created audience ${docRef.id} (${fields.name})`);
+  return getAudience(docRef.id);
+}
+
+async function updateAudience(audienceId, input, updatedBy = null) {
+  const existing = await getAudience(audienceId);
+  const fields = buildAudienceFields(input, existing);
+  
+  await db.collection(AUDIENCES_COLLECTION).doc(audienceId).update({
+    ...fields,
+    // The saved count no longer describes these rules
+    lastCount: null,
+    lastCountedAt: null,
+    updatedBy,
+    updatedAt: new Date()
+  });
+  
+  return getAudience(audienceId);
+}
+
+/**
+ * Delete an audience. Campaigns sent to it keep its name and ID.
+ */
+async function deleteAudience(audienceId) {
+  await getAudience(audienceId);
+  await db.collection(AUDIENCES_COLLECTION).doc(audienceId).delete();
+  console.log(`🗑️ Deleted audience ${audienceId}`);
+}
+
+/**
+ * Count an audience and show a few members. A saved audience remembers its latest count for the list.
+ */
+async function previewAudience({ audienceId = null, rules = null } = {}) {
+  const audience = audienceId ? await getAudience(audienceId) : null;
+  const result = await resolveAudience(audience ? audience.rules : rules);
+  
+  if (audience) {
+    await db.collection(AUDIENCES_COLLECTION).doc(audienceId).update({
+      lastCount: result.members.length,
+      lastCountedAt: new Date()
+    });
+  }
+  
+  return {
+    count: result.members.length,
+    excludedOptedOut: result.excludedOptedOut,
+    withoutPhone: result.withoutPhone,
+    truncated: result.truncated,
+    lookbackDays: result.lookbackDays,
+    sample: result.members.slice(0, PREVIEW_SAMPLE_SIZE).map(summarizeMember)
+  };
+}
+
+/**
+ * Quote a CSV value. Text cells starting with a formula character are prefixed with ' so
+ * spreadsheets don't run them; phone numbers like +614... are left alone.
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text) && !/^\+?\d+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  ['phone', member => member.phone],
+  ['name', member => member.name],
+  ['email', member => member.email],
+  ['order_count', member => member.orderCount],
+  ['last_order', member => member.lastOrderNumber],
+  ['last_order_at', member => member.lastOrderAt],
+  ['delivery_methods', member => member.deliveryMethods.join('; ')],
+  ['last_replied_at', member => member.lastInboundAt],
+  ['consent', member => member.consent || ''],
+  ['customer_id', member => member.customerId]
+];
+
+/**
+ * Export a saved audience's current members as CSV
+ */
+async function exportAudienceCsv(audienceId) {
+  const audience = await getAudience(audienceId);
+  const { members } = await resolveAudience(audience.rules);
+  
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  members.map(summarizeMember).forEach(member => {
+    lines.push(CSV_COLUMNS.map(([, getValue]) => toCsvValue(getValue(member))).join(','));
+  });
+  
+  return { audience, csv: `${lines.join('\r\n')}\r\n`, count: members.length };
+}
+
+/**
+ * Turn a saved audience into the order list bulk sends and campaigns take. Each member carries
+ * their latest order (when they have one) so templates can still use order placeholders, and is
+ * tracked in the send ledger per customer rather than per order.
+ */
+async function getAudienceRecipients(audienceId, { resend = false } = {}) {
+  const audience = await getAudience(audienceId);
+  const { members, truncated } = await resolveAudience(audience.rules);
+  
+  const orders = members.map(member => ({
+    ...(member.lastOrder || { tags: [], lineItems: [] }),
+    id: `customer_${member.phone.replace(/\D/g, '')}`,
+    orderNumber: member.lastOrder ? member.lastOrder.orderNumber : null,
+    customer: {
+      ...(member.lastOrder?.customer || {}),
+      name: member.name,
+      phone: member.phone,
+      first_name: member.firstName || member.name.split(' ')[0],
+      last_name: member.lastName
+    },
+    event: `audience_${audience.id}`,
+    resend
+  }));
+  
+  return { audience, orders, truncated };
+}
+
+module.exports = {
+  DELIVERY_METHODS,
+  AUDIENCE_LOOKBACK_DAYS,
+  listAudiences,
+  getAudience,
+  createAudience,
+  updateAudience,
+  deleteAudience,
+  previewAudience,
+  exportAudienceCsv,
+  getAudienceRecipients
+};
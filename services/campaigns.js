@@ -0,0 +1,638 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { getCustomerIdFromPhone, getCustomerTimezone, storeCustomerMessage } = require('./firestore');
+const { sendSingleSMS, findRecentOutboundMessage, estimateSegmentCost, getSenderNumber } = require('./twilio');
+const { renderBulkMessage } = require('./template-engine');
+const { calculateSegments } = require('./sms-segments');
+const { normalizePhoneNumber } = require('./phone');
+const { checkSendWindow } = require('./quiet-hours');
+const { backoffDelay } = require('./rate-limit');
+const { toTemplateRef } = require('./templates');
+const { findPreviousSends, findPreviousSend, describePreviousSend, recordSend } = require('./send-ledger');
+
+const db = admin.firestore();
+const CAMPAIGNS_COLLECTION = process.env.CAMPAIGNS_COLLECTION || 'sms-campaigns';
+const RECIPIENTS_SUBCOLLECTION = 'recipients';
+
+// gRPC status code Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// A worker run holds a campaign for LEASE_MS and renews it between sends; an expired lease means the run died
+const LEASE_MS = 60 * 1000;
+// Vercel stops functions at 30s, so each worker run stops picking up new sends after this long
+const DEFAULT_TIME_BUDGET_MS = parseInt(process.env.CAMPAIGN_TIME_BUDGET_MS) || 20 * 1000;
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+const RECIPIENT_BATCH_SIZE = 25;
+// Recipients are written in transactions, which are capped at 500 writes
+const RECIPIENT_WRITE_LIMIT = 450;
+
+const ACTIVE_CAMPAIGN_STATUSES = ['queued', 'running'];
+// A campaign whose recipients are still being written - the worker leaves it alone until it's queued
+const CREATING_STATUS = 'creating';
+
+const workerId = `${process.env.VERCEL_REGION || 'local'}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Firestore document IDs can't contain slashes - keep client keys and order IDs usable as IDs
+ */
+function toDocumentId(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 128);
+}
+
+/**
+ * Convert Firestore Timestamps on a campaign or recipient to Dates for the API
+ */
+function toPlainObject(doc) {
+  const data = doc.data();
+  const result = { id: doc.id };
+  
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'lease') continue;
+    result[key] = value && typeof value.toDate === 'function' ? value.toDate() : value;
+  }
+  
+  return result;
+}
+
+/**
+ * Queue a bulk send as a campaign - one recipient document per order, sent later by the worker.
+ * Reusing an idempotency key returns the campaign it already created instead of queueing a second one,
+ * or finishes queueing it if the earlier request failed before all its recipients were written.
+ * Orders that already had this event's notification are skipped unless they're marked resend;
+ * event is used for orders that don't name their own. audience records the saved audience it was sent to.
+ */
+async function createCampaign(orders, messageTemplate, { idempotencyKey = null, createdBy = null, event = 'bulk', audience = null } = {}) {
+  const campaignRef = idempotencyKey ?
+    db.collection(CAMPAIGNS_COLLECTION).doc(toDocumentId(idempotencyKey)) :
+    db.collection(CAMPAIGNS_COLLECTION).doc();
+  
+  const now = new Date();
+  const recipients = new Map();
+  const previousSends = await findPreviousSends(orders, event);
+  const templateRefs = new Map();
+  
+  for (const [index, order] of orders.entries()) {
+    const recipientId = toDocumentId(order.id || order.orderNumber || `order_${recipients.size}`);
+    if (recipients.has(recipientId)) continue;
+    
+    const phone = order.customer?.phone ? normalizePhoneNumber(order.customer.phone) : null;
+    const error = !order.customer?.phone ? 'No phone number' : (!phone ? 'Invalid phone number' : null);
+    const previousSend = order.resend ? null : previousSends.get(index);
+    
+    const message = order.customer ? renderBulkMessage(order, messageTemplate) : '';
+    
+    recipients.set(recipientId, {
+      orderId: order.id ? String(order.id) : null,
+      orderNumber: order.orderNumber || null,
+      customerName: order.customer?.name || 'Customer',
+      phone: phone || order.customer?.phone || null,
+      message,
+      segments: calculateSegments(message).segments,
+      template: await toTemplateRef(order.template, templateRefs),
+      event: order.event || event,
+      resend: Boolean(order.resend),
+      status: error ? 'failed' : (previousSend ? 'skipped' : 'pending'),
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: error || (previousSend ? describePreviousSend(previousSend) : null),
+      alreadySentAt: previousSend ? previousSend.lastSentAt : null,
+      errorCode: null,
+      sid: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+  
+  const counts = { pending: 0, sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+  recipients.forEach(recipient => { counts[recipient.status]++; });
+  
+  const totalSegments = [...recipients.values()]
+    .filter(recipient => recipient.status === 'pending')
+    .reduce((sum, recipient) => sum + recipient.segments, 0);
+  
+  const summary = {
+    total: recipients.size,
+    counts,
+    totalSegments,
+    estimatedCost: estimateSegmentCost(totalSegments)
+  };
+  
+  let resumed = false;
+  try {
+    await campaignRef.create({
+      status: CREATING_STATUS,
+      ...summary,
+      messageTemplate: messageTemplate || null,
+      audience: audience ? { id: audience.id, name: audience.name } : null,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      lease: { token: null, expiresAt: null }
+    });
+  } catch (error) {
+    if (error.code !== ALREADY_EXISTS) {
+      throw error;
+    }
+    
+    const existing = await getCampaign(campaignRef.id);
+    if (existing?.status !== CREATING_STATUS) {
+      console.log(`⏭️ Campaign ${campaignRef.id} already queued, returning existing campaign`);
+      return { campaign: existing, duplicate: true };
+    }
+    
+    // An earlier request with this key failed part way through writing recipients - finish the job
+    console.log(`🔁 Campaign ${campaignRef.id} was interrupted while queueing, writing its recipients again`);
+    resumed = true;
+  }
+  
+  const written = await writeCampaignRecipients(campaignRef, [...recipients.entries()]);
+  const queued = written && await finishCreatingCampaign(campaignRef, summary);
+  
+  if (!queued) {
+    // A concurrent request with the same key got there first
+    console.log(`⏭️ Campaign ${campaignRef.id} already queued, returning existing campaign`);
+    return { campaign: await getCampaign(campaignRef.id), duplicate: true };
+  }
+  
+  console.log(`📋 Queued campaign ${campaignRef.id} with ${recipients.size} recipients (${counts.failed} invalid, ${counts.skipped} already sent)${resumed ? ' on retry' : ''}`);
+  return { campaign: await getCampaign(campaignRef.id), duplicate: false };
+}
+
+/**
+ * Write a new campaign's recipients. Each chunk checks the campaign is still being created, so a
+ * retried request can't reset recipients a worker has started sending to. Returns false if it isn't.
+ */
+async function writeCampaignRecipients(campaignRef, recipientEntries) {
+  for (let i = 0; i < recipientEntries.length; i += RECIPIENT_WRITE_LIMIT) {
+    const written = await db.runTransaction(async (transaction) => {
+      const campaignDoc = await transaction.get(campaignRef);
+      
+      if (!campaignDoc.exists || campaignDoc.data().status !== CREATING_STATUS) {
+        return false;
+      }
+      
+      recipientEntries.slice(i, i + RECIPIENT_WRITE_LIMIT).forEach(([recipientId, recipient]) => {
+        transaction.set(campaignRef.collection(RECIPIENTS_SUBCOLLECTION).doc(recipientId), recipient);
+      });
+      return true;
+    });
+    
+    if (!written) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Hand a campaign whose recipients are all written to the worker (or complete it if there's nothing to send).
+ * Returns false if it had already left the creating state.
+ */
+async function finishCreatingCampaign(campaignRef, summary) {
+  return db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    
+    if (!campaignDoc.exists || campaignDoc.data().status !== CREATING_STATUS) {
+      return false;
+    }
+    
+    const now = new Date();
+    const hasPending = summary.counts.pending > 0;
+    transaction.update(campaignRef, {
+      ...summary,
+      status: hasPending ? 'queued' : 'completed',
+      completedAt: hasPending ? null : now,
+      updatedAt: now
+    });
+    return true;
+  });
+}
+
+/**
+ * Get a campaign and optionally its recipients
+ */
+async function getCampaign(campaignId, { includeRecipients = false } = {}) {
+  const campaignRef = db.collection(CAMPAIGNS_COLLECTION).doc(campaignId);
+  const campaignDoc = await campaignRef.get();
+  
+  if (!campaignDoc.exists) {
+    return null;
+  }
+  
+  const campaign = toPlainObject(campaignDoc);
+  
+  if (includeRecipients) {
+    const recipientsSnapshot = await campaignRef.collection(RECIPIENTS_SUBCOLLECTION).get();
+    campaign.recipients = recipientsSnapshot.docs.map(toPlainObject);
+  }
+  
+  return campaign;
+}
+
+/**
+ * List recent campaigns, newest first
+ */
+async function listCampaigns({ limit = 20, activeOnly = false } = {}) {
+  let query = db.collection(CAMPAIGNS_COLLECTION);
+  
+  if (activeOnly) {
+    query = query.where('status', 'in', ACTIVE_CAMPAIGN_STATUSES);
+  } else {
+    query = query.orderBy('createdAt', 'desc').limit(limit);
+  }
+  
+  const snapshot = await query.get();
+  return snapshot.docs.map(toPlainObject)
+    .sort((a, b) => (b.createdAt?.getTime?.() || 0) - (a.createdAt?.getTime?.() || 0));
+}
+
+/**
+ * Cancel a campaign - recipients not yet sent are marked cancelled, a send already in flight still finishes
+ */
+async function cancelCampaign(campaignId, cancelledBy = null) {
+  const campaignRef = db.collection(CAMPAIGNS_COLLECTION).doc(campaignId);
+  
+  const cancelled = await db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    
+    if (!campaignDoc.exists) {
+      throw new Error('Campaign not found');
+    }
+    
+    if (!ACTIVE_CAMPAIGN_STATUSES.includes(campaignDoc.data().status)) {
+      return false;
+    }
+    
+    transaction.update(campaignRef, {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy,
+      updatedAt: new Date()
+    });
+    return true;
+  });
+  
+  if (!cancelled) {
+    return { success: false, error: 'Campaign has already finished', campaign: await getCampaign(campaignId) };
+  }
+  
+  const pendingSnapshot = await campaignRef.collection(RECIPIENTS_SUBCOLLECTION)
+    .where('status', '==', 'pending')
+    .get();
+  
+  // One transaction per recipient so a send the worker claimed at the same moment isn't overwritten
+  let cancelledCount = 0;
+  for (const doc of pendingSnapshot.docs) {
+    if (await transitionRecipient(campaignRef, doc.ref, 'pending', 'cancelled')) {
+      cancelledCount++;
+    }
+  }
+  
+  console.log(`🛑 Cancelled campaign ${campaignId} - ${cancelledCount} recipients not sent`);
+  return { success: true, campaign: await getCampaign(campaignId) };
+}
+
+/**
+ * Take (or renew) the lease on a campaign for one processing run, identified by leaseToken.
+ * Returns the campaign data, or null if it's finished, cancelled or held by another run - even
+ * one in this process, so the interval worker and a manual run never send side by side.
+ */
+async function acquireCampaignLease(campaignRef, leaseToken) {
+  return db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    
+    if (!campaignDoc.exists) return null;
+    
+    const campaign = campaignDoc.data();
+    const leaseExpiresAt = campaign.lease?.expiresAt?.toDate ? campaign.lease.expiresAt.toDate() : null;
+    const heldByOther = campaign.lease?.token && campaign.lease.token !== leaseToken &&
+      leaseExpiresAt && leaseExpiresAt > new Date();
+    
+    if (!ACTIVE_CAMPAIGN_STATUSES.includes(campaign.status) || heldByOther) {
+      return null;
+    }
+    
+    const now = new Date();
+    transaction.update(campaignRef, {
+      status: 'running',
+      startedAt: campaign.startedAt || now,
+      lease: { token: leaseToken, expiresAt: new Date(now.getTime() + LEASE_MS) },
+      updatedAt: now
+    });
+    
+    return campaign;
+  });
+}
+
+/**
+ * Give up the lease so another run can pick the campaign up straight away - only if this run still holds it
+ */
+async function releaseCampaignLease(campaignRef, leaseToken) {
+  await db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    
+    if (campaignDoc.exists && campaignDoc.data().lease?.token === leaseToken) {
+      transaction.update(campaignRef, { lease: { token: null, expiresAt: null } });
+    }
+  });
+}
+
+/**
+ * Move a recipient from one state to another, keeping the campaign counts in step.
+ * Returns false if the recipient was no longer in the expected state.
+ */
+async function transitionRecipient(campaignRef, recipientRef, fromStatus, toStatus, updates = {}) {
+  return db.runTransaction(async (transaction) => {
+    const recipientDoc = await transaction.get(recipientRef);
+    
+    if (!recipientDoc.exists || recipientDoc.data().status !== fromStatus) {
+      return false;
+    }
+    
+    transaction.update(recipientRef, { ...updates, status: toStatus, updatedAt: new Date() });
+    
+    // 'sending' is still counted as pending until it resolves
+    const fromCount = fromStatus === 'sending' ? 'pending' : fromStatus;
+    const toCount = toStatus === 'sending' ? 'pending' : toStatus;
+    if (fromCount !== toCount) {
+      transaction.update(campaignRef, {
+        [`counts.${fromCount}`]: admin.firestore.FieldValue.increment(-1),
+        [`counts.${toCount}`]: admin.firestore.FieldValue.increment(1),
+        updatedAt: new Date()
+      });
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Store a campaign message on the customer's conversation thread
+ */
+async function storeCampaignMessage(campaignId, recipient, sid, status) {
+  try {
+    const customerId = await getCustomerIdFromPhone(recipient.phone);
+    await storeCustomerMessage({
+      customerId,
+      channel: 'sms',
+      direction: 'outbound',
+      content: recipient.message,
+      template: recipient.template || null,
+      channelData: {
+        from: getSenderNumber(),
+        to: recipient.phone,
+        type: 'bulk',
+        campaignId,
+        twilioSid: sid
+      },
+      status,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to store campaign message: ${error.message}`);
+  }
+}
+
+/**
+ * Add a campaign send to the ledger so the order isn't sent the same notification again
+ */
+async function recordCampaignSend(campaignId, recipient, sid) {
+  await recordSend(recipient, {
+    phone: recipient.phone,
+    customerName: recipient.customerName,
+    message: recipient.message,
+    sid,
+    campaignId
+  });
+}
+
+/**
+ * Recipients left in 'sending' by a worker that died mid-send. Twilio is checked before
+ * retrying so a message it already accepted isn't sent twice.
+ */
+async function recoverInterruptedSends(campaignRef) {
+  const staleBefore = new Date(Date.now() - LEASE_MS);
+  const sendingSnapshot = await campaignRef.collection(RECIPIENTS_SUBCOLLECTION)
+    .where('status', '==', 'sending')
+    .get();
+  
+  for (const doc of sendingSnapshot.docs) {
+    const recipient = doc.data();
+    const sendingAt = recipient.sendingAt?.toDate ? recipient.sendingAt.toDate() : recipient.sendingAt;
+    
+    if (sendingAt && sendingAt > staleBefore) continue;
+    
+    const existing = await findRecentOutboundMessage(recipient.phone, recipient.message, sendingAt || staleBefore);
+    
+    if (existing) {
+      console.log(`🔁 Interrupted send to ${recipient.phone} had reached Twilio (${existing.sid}), marking sent`);
+      await transitionRecipient(campaignRef, doc.ref, 'sending', 'sent', { sid: existing.sid, completedAt: new Date() });
+      await storeCampaignMessage(campaignRef.id, recipient, existing.sid, existing.status);
+      await recordCampaignSend(campaignRef.id, recipient, existing.sid);
+    } else {
+      console.log(`🔁 Interrupted send to ${recipient.phone} never reached Twilio, requeueing`);
+      await transitionRecipient(campaignRef, doc.ref, 'sending', 'pending', { nextAttemptAt: new Date() });
+    }
+  }
+}
+
+/**
+ * Send to one recipient and record the outcome
+ */
+async function sendToRecipient(campaignRef, recipientDoc) {
+  const recipient = recipientDoc.data();
+  const attempts = (recipient.attempts || 0) + 1;
+  
+  // Another campaign may have sent this notification since this one was queued
+  if (!recipient.resend) {
+    const previousSend = await findPreviousSend(recipient);
+    if (previousSend) {
+      await transitionRecipient(campaignRef, recipientDoc.ref, 'pending', 'skipped', {
+        lastError: describePreviousSend(previousSend),
+        alreadySentAt: previousSend.lastSentAt,
+        completedAt: new Date()
+      });
+      return;
+    }
+  }
+  
+  // Hold bulk sends until the customer's quiet hours end - this isn't a failed attempt
+  const sendWindow = checkSendWindow('bulk', await getCustomerTimezone(recipient.phone));
+  if (!sendWindow.allowed) {
+    console.log(`🌙 Holding send to ${recipient.phone} until ${sendWindow.nextAllowedAt.toISOString()} (quiet hours)`);
+    await transitionRecipient(campaignRef, recipientDoc.ref, 'pending', 'pending', {
+      nextAttemptAt: sendWindow.nextAllowedAt,
+      deferredReason: sendWindow.reason
+    });
+    await campaignRef.update({ heldUntil: sendWindow.nextAllowedAt, updatedAt: new Date() });
+    return;
+  }
+  
+  // Mark as sending first - if we crash after Twilio accepts the message, recovery checks Twilio
+  const claimed = await transitionRecipient(campaignRef, recipientDoc.ref, 'pending', 'sending', {
+    attempts,
+    sendingAt: new Date()
+  });
+  if (!claimed) return;
+  
+  const sendResult = await sendSingleSMS(recipient.phone, recipient.message, recipient.customerName, 'BULK');
+  
+  if (sendResult.success) {
+    await transitionRecipient(campaignRef, recipientDoc.ref, 'sending', 'sent', {
+      sid: sendResult.sid,
+      lastError: null,
+      errorCode: null,
+      deferredReason: null,
+      completedAt: new Date()
+    });
+    await storeCampaignMessage(campaignRef.id, recipient, sendResult.sid, sendResult.status);
+    await recordCampaignSend(campaignRef.id, recipient, sendResult.sid);
+    return;
+  }
+  
+  if (sendResult.suppressed) {
+    await transitionRecipient(campaignRef, recipientDoc.ref, 'sending', 'skipped', {
+      lastError: sendResult.error,
+      completedAt: new Date()
+    });
+    return;
+  }
+  
+  // sendSingleSMS has already retried transient errors a few times - give the provider longer to recover
+  if (sendResult.retryable && attempts < MAX_SEND_ATTEMPTS) {
+    const delay = backoffDelay(attempts, { baseMs: RETRY_BASE_DELAY_MS, maxMs: RETRY_MAX_DELAY_MS });
+    console.log(`⏳ Send to ${recipient.phone} failed (${sendResult.error}), retrying in ${Math.round(delay / 1000)}s`);
+    await transitionRecipient(campaignRef, recipientDoc.ref, 'sending', 'pending', {
+      lastError: sendResult.error,
+      errorCode: sendResult.errorCode || null,
+      errorDescription: sendResult.errorDescription || null,
+      nextAttemptAt: new Date(Date.now() + delay)
+    });
+    return;
+  }
+  
+  await transitionRecipient(campaignRef, recipientDoc.ref, 'sending', 'failed', {
+    lastError: sendResult.error || 'Failed to send SMS',
+    errorCode: sendResult.errorCode || null,
+    errorDescription: sendResult.errorDescription || null,
+    permanent: Boolean(sendResult.permanent),
+    completedAt: new Date()
+  });
+}
+
+/**
+ * Work through a campaign's pending recipients until it's done or the deadline passes.
+ * leaseToken is the lease this run took in processCampaignQueue.
+ */
+async function processCampaign(campaignRef, deadline, leaseToken) {
+  await recoverInterruptedSends(campaignRef);
+  
+  while (Date.now() < deadline) {
+    // Due recipients, longest-waiting first - ones in a retry backoff or held for quiet hours
+    // never fill the batch ahead of them (index in firestore.indexes.json)
+    const dueSnapshot = await campaignRef.collection(RECIPIENTS_SUBCOLLECTION)
+      .where('status', '==', 'pending')
+      .where('nextAttemptAt', '<=', new Date())
+      .orderBy('nextAttemptAt', 'asc')
+      .limit(RECIPIENT_BATCH_SIZE)
+      .get();
+    
+    if (dueSnapshot.empty) {
+      const remainingSnapshot = await campaignRef.collection(RECIPIENTS_SUBCOLLECTION)
+        .where('status', 'in', ['pending', 'sending'])
+        .limit(1)
+        .get();
+      
+      if (remainingSnapshot.empty) {
+        await campaignRef.update({ status: 'completed', completedAt: new Date(), updatedAt: new Date() });
+        console.log(`✅ Campaign ${campaignRef.id} completed`);
+      }
+      
+      // Anything left is waiting on a retry backoff or quiet hours - pick it up on a later run
+      return;
+    }
+    
+    for (const recipientDoc of dueSnapshot.docs) {
+      if (Date.now() >= deadline) return;
+      
+      // Renewing the lease also notices a cancellation between sends
+      if (!(await acquireCampaignLease(campaignRef, leaseToken))) {
+        console.log(`⏹️ Stopped processing campaign ${campaignRef.id} (cancelled or taken over)`);
+        return;
+      }
+      
+      // sendSingleSMS waits for the shared rate limiter, so there's no delay between sends here
+      await sendToRecipient(campaignRef, recipientDoc);
+    }
+  }
+}
+
+/**
+ * Process queued campaigns for up to timeBudgetMs. Safe to run from several places at once
+ * (interval worker, cron, the Orders tab) - the lease makes sure each campaign has one sender.
+ */
+async function processCampaignQueue({ campaignId = null, timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  
+  const campaignRefs = campaignId ?
+    [db.collection(CAMPAIGNS_COLLECTION).doc(campaignId)] :
+    (await db.collection(CAMPAIGNS_COLLECTION).where('status', 'in', ACTIVE_CAMPAIGN_STATUSES).get())
+      .docs
+      .sort((a, b) => a.data().createdAt.toMillis() - b.data().createdAt.toMillis())
+      .map(doc => doc.ref);
+  
+  let processed = 0;
+  
+  for (const campaignRef of campaignRefs) {
+    if (Date.now() >= deadline) break;
+    
+    // Each run gets its own lease, so two runs in the same process can't both hold it
+    const leaseToken = `${workerId}-${crypto.randomBytes(4).toString('hex')}`;
+    if (!(await acquireCampaignLease(campaignRef, leaseToken))) continue;
+    
+    try {
+      await processCampaign(campaignRef, deadline, leaseToken);
+      processed++;
+    } catch (error) {
+      console.error(`❌ Error processing campaign ${campaignRef.id}: ${error.message}`);
+    } finally {
+      await releaseCampaignLease(campaignRef, leaseToken);
+    }
+  }
+  
+  return { processed };
+}
+
+/**
+ * Run the queue on an interval for long-running servers (Vercel relies on cron instead)
+ */
+function startCampaignWorker(intervalMs = 5000) {
+  let running = false;
+  
+  console.log(`👷 Campaign worker ${workerId} started`);
+  
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    
+    try {
+      await processCampaignQueue();
+    } catch (error) {
+      console.error(`❌ Campaign worker error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  cancelCampaign,
+  processCampaignQueue,
+  startCampaignWorker
+};
@@ -0,0 +1,53 @@
+const BUSINESS_NAME = process.env.SMS_BUSINESS_NAME || 'Allynview Farm';
+const HELP_CONTACT = process.env.SMS_HELP_CONTACT || 'orders@allynview.com.au';
+
+/**
+ * Carrier-standard SMS keywords. A message only counts as a keyword
+ * when it's the whole message, so "stop by Sunday?" isn't an opt-out.
+ */
+const CONSENT_KEYWORDS = {
+  opt_out: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT', 'REVOKE'],
+  opt_in: ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN'],
+  help: ['HELP', 'INFO']
+};
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+/**
+ * Detect an opt-out, opt-in or help keyword in an inbound message
+ */
+function detectConsentKeyword(body) {
+  if (!body) return null;
+  
+  const normalized = body.trim().toUpperCase().replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim();
+  
+  for (const [type, keywords] of Object.entries(CONSENT_KEYWORDS)) {
+    if (keywords.includes(normalized)) {
+      return { type, keyword: normalized };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Confirmation text sent back in TwiML for a consent keyword
+ */
+function getKeywordReply(type) {
+  switch (type) {
+    case 'opt_out':
+      return `You have been unsubscribed from ${BUSINESS_NAME} SMS and will not receive any more messages. Reply START to resubscribe.`;
+    case 'opt_in':
+      return `You have been resubscribed to ${BUSINESS_NAME} SMS. Reply STOP to unsubscribe.`;
+    case 'help':
+      return `${BUSINESS_NAME}: for help contact ${HELP_CONTACT}. Reply STOP to unsubscribe.`;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  CONSENT_STATUSES,
+  detectConsentKeyword,
+  getKeywordReply
+};
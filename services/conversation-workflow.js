@@ -0,0 +1,210 @@
+const { updateConversationState, reopenSnoozedConversations, addCustomerNote } = require('./firestore');
+const { BUSINESS_TIMEZONE, getZonedParts, zonedTimeToUtc, parseLocalDateTime } = require('./timezone');
+
+/**
+ * Who's handling a conversation and where it's up to. A thread is open until someone marks it
+ * waiting on the customer or closed; a reply from the customer opens it again. Snoozing hides
+ * a thread from the open lists until the snooze time, when it's reopened. Reading a thread is
+ * separate - markConversationAsRead never changes its status.
+ * Labels and internal notes are for staff only - notes are never sent to the customer.
+ */
+
+const CONVERSATION_STATUSES = ['open', 'waiting', 'closed'];
+
+// Conversation list filters - mine and unassigned leave out closed and snoozed threads
+const CONVERSATION_FILTERS = ['all', 'mine', 'unassigned', 'open', 'waiting', 'closed', 'snoozed'];
+
+// Snooze choices in the inbox - mornings are in business time
+const SNOOZE_PRESETS = ['1h', '3h', 'tomorrow', 'next_week'];
+const SNOOZE_MORNING_HOUR = 9;
+const MAX_ASSIGNEE_LENGTH = 60;
+
+// Labels with their own colour in the inbox. Staff can add others, which are shown in grey.
+const CONVERSATION_LABELS = [
+  { id: 'complaint', name: 'Complaint', color: '#dc2626' },
+  { id: 'wholesale', name: 'Wholesale', color: '#2563eb' },
+  { id: 'vip', name: 'VIP', color: '#d97706' },
+  { id: 'follow_up', name: 'Follow up', color: '#7c3aed' }
+];
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+const MAX_LABELS = 10;
+const MAX_NOTE_LENGTH = 2000;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * When a snooze ends - a preset, or a date and time ("2025-03-08T09:00" is business time)
+ */
+function getSnoozeUntil(snooze, now = new Date()) {
+  const today = getZonedParts(now, BUSINESS_TIMEZONE);
+  
+  switch (snooze) {
+    case '1h':
+      return new Date(now.getTime() + 60 * 60 * 1000);
+    case '3h':
+      return new Date(now.getTime() + 3 * 60 * 60 * 1000);
+    case 'tomorrow':
+      return zonedTimeToUtc(today.year, today.month, today.day + 1, SNOOZE_MORNING_HOUR, 0, BUSINESS_TIMEZONE);
+    case 'next_week': {
+      // Next Monday, or the Monday after when it's already Monday
+      const daysToMonday = ((8 - today.weekday) % 7) || 7;
+      return zonedTimeToUtc(today.year, today.month, today.day + daysToMonday, SNOOZE_MORNING_HOUR, 0, BUSINESS_TIMEZONE);
+    }
+  }
+  
+  const until = parseLocalDateTime(snooze);
+  if (!until) {
+    throw validationError(`snooze must be one of ${SNOOZE_PRESETS.join(', ')}, or a date and time`);
+  }
+  if (until <= now) {
+    throw validationError('Snooze time must be in the future');
+  }
+  return until;
+}
+
+/**
+ * Label as stored - lowercase, spaces as underscores ("Follow up" is follow_up)
+ */
+function normalizeLabel(label) {
+  return String(label || '').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Check the name a browser gives for its staff member - the one their conversations are assigned to
+ */
+function normalizeStaffName(name) {
+  const staffName = typeof name === 'string' ? name.trim() : '';
+  if (!staffName) {
+    throw validationError('Enter your name');
+  }
+  if (staffName.length > MAX_ASSIGNEE_LENGTH) {
+    throw validationError(`Your name must be ${MAX_ASSIGNEE_LENGTH} characters or fewer`);
+  }
+  return staffName;
+}
+
+/**
+ * Change a conversation's status, assignee, snooze and/or labels. Only the fields present in
+ * changes are touched: status, assignee (a staff name, or null to unassign), snooze (a preset
+ * or date and time, or null to wake it now) and labels (the full list). Returns the updated
+ * conversation summary.
+ */
+async function updateConversation(customerId, changes = {}, updatedBy = null) {
+  const updates = {};
+  
+  if (changes.status !== undefined) {
+    if (!CONVERSATION_STATUSES.includes(changes.status)) {
+      throw validationError(`status must be one of: ${CONVERSATION_STATUSES.join(', ')}`);
+    }
+    updates.status = changes.status;
+  }
+  
+  if (changes.assignee !== undefined) {
+    const assignee = typeof changes.assignee === 'string' ? changes.assignee.trim() : changes.assignee;
+    if (assignee !== null && assignee !== '' && typeof assignee !== 'string') {
+      throw validationError('assignee must be a name, or null to unassign');
+    }
+    if (assignee && assignee.length > MAX_ASSIGNEE_LENGTH) {
+      throw validationError(`assignee must be ${MAX_ASSIGNEE_LENGTH} characters or fewer`);
+    }
+    updates.assignee = assignee || null;
+  }
+  
+  if (changes.snooze !== undefined) {
+    updates.snoozedUntil = changes.snooze ? getSnoozeUntil(changes.snooze) : null;
+  }
+  
+  if (changes.labels !== undefined) {
+    if (!Array.isArray(changes.labels)) {
+      throw validationError('labels must be a list');
+    }
+    const labels = [...new Set(changes.labels.map(normalizeLabel))];
+    const invalid = labels.find(label => !LABEL_PATTERN.test(label));
+    if (invalid !== undefined) {
+      throw validationError(`Invalid label "${invalid}" - use up to 30 letters, numbers, spaces or dashes`);
+    }
+    if (labels.length > MAX_LABELS) {
+      throw validationError(`A conversation can have at most ${MAX_LABELS} labels`);
+    }
+    updates.labels = labels;
+  }
+  
+  if (Object.keys(updates).length === 0) {
+    throw validationError('Nothing to update - send status, assignee, snooze or labels');
+  }
+  
+  return updateConversationState(customerId, updates, { updatedBy });
+}
+
+/**
+ * Add an internal note to a conversation's timeline. author is the staff name shown on it;
+ * createdBy is the login it was added under.
+ */
+async function addConversationNote(customerId, { content, author } = {}, createdBy = null) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text) {
+    throw validationError('Note is empty');
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw validationError(`Notes must be ${MAX_NOTE_LENGTH} characters or fewer`);
+  }
+  
+  const name = typeof author === 'string' ? author.trim().slice(0, MAX_ASSIGNEE_LENGTH) : '';
+  
+  return addCustomerNote(customerId, {
+    content: text,
+    author: name || createdBy || 'Staff',
+    createdBy
+  });
+}
+
+/**
+ * Reopen conversations whose snooze has run out (run from cron, or the snooze runner)
+ */
+async function runDueSnoozes() {
+  const reopened = await reopenSnoozedConversations(new Date());
+  if (reopened > 0) {
+    console.log(`⏰ Reopened ${reopened} snoozed conversation(s)`);
+  }
+  return { reopened };
+}
+
+/**
+ * Check for snoozes that have run out on an interval for long-running servers (Vercel relies on cron instead)
+ */
+function startSnoozeRunner(intervalMs = 60000) {
+  let running = false;
+  
+  console.log('⏰ Snooze runner started');
+  
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    
+    try {
+      await runDueSnoozes();
+    } catch (error) {
+      console.error(`❌ Snooze runner error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  CONVERSATION_STATUSES,
+  CONVERSATION_FILTERS,
+  SNOOZE_PRESETS,
+  CONVERSATION_LABELS,
+  normalizeLabel,
+  normalizeStaffName,
+  getSnoozeUntil,
+  updateConversation,
+  addConversationNote,
+  runDueSnoozes,
+  startSnoozeRunner
+};
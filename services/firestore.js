@@ -1,5 +1,11 @@
 const admin = require('firebase-admin');
 const { getShopifyCustomerData } = require('./shopify');
+const { normalizePhoneNumber } = require('./phone');
+const { CONSENT_STATUSES } = require('./consent');
+const { storeOutboundMedia } = require('./media');
+const { BUSINESS_TIMEZONE, getAddressTimezone } = require('./timezone');
+const { checkSendWindow } = require('./quiet-hours');
+const { buildSearchEntry, parseSearchQuery, entryMatches, getMatchedFields } = require('./search');
 
 // Initialize Firebase Admin with error handling
 if (!admin.apps.length) {
@@ -32,32 +38,79 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 const CUSTOMER_COMMUNICATIONS_COLLECTION = process.env.CUSTOMER_COMMUNICATIONS_COLLECTION || 'customer-communications';
+const IDEMPOTENCY_KEYS_COLLECTION = process.env.IDEMPOTENCY_KEYS_COLLECTION || 'message-idempotency-keys';
+const CUSTOMER_ALIASES_COLLECTION = process.env.CUSTOMER_ALIASES_COLLECTION || 'customer-aliases';
+const SMS_CONSENT_COLLECTION = process.env.SMS_CONSENT_COLLECTION || 'sms-consent';
+const MESSAGE_STATUS_COLLECTION = process.env.MESSAGE_STATUS_COLLECTION || 'message-statuses';
+const SEARCH_INDEX_COLLECTION = process.env.SEARCH_INDEX_COLLECTION || 'message-search-index';
+const MESSAGES_SUBCOLLECTION = 'messages';
+const NOTES_SUBCOLLECTION = 'notes';
+
+// Inbox page sizes - the list shows a screenful of customers, a thread a screenful of messages
+const CONVERSATION_PAGE_SIZE = 30;
+const MESSAGE_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const BATCH_WRITE_LIMIT = 450;
+
+// Search reads this many index entries at most, then filters them down to a page of results
+const SEARCH_PAGE_SIZE = 25;
+const SEARCH_SCAN_LIMIT = 300;
+
+// Opening a search result loads the thread from that message to the newest, up to this many
+const MAX_CONTEXT_MESSAGES = 500;
+
+// Filters query these fields with ==, so every customer needs them set, even to null
+const NEW_CONVERSATION_STATE = { status: 'open', assignee: null, snoozedUntil: null };
+
+// Internal notes are few per customer - a thread loads them all, up to this many
+const MAX_NOTES = 500;
+
+// gRPC status code Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// Outbound message lifecycle - status callbacks can arrive out of order, so never move backwards
+const MESSAGE_STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4,
+  canceled: 4
+};
 
 /**
- * Normalize phone number to E.164 format for consistent matching
+ * Build the fallback customer ID used when a phone number has no Shopify customer
  */
-function normalizePhoneNumber(phoneNumber) {
-  if (!phoneNumber) return '';
-  
-  // Remove all non-digits
-  const digits = phoneNumber.replace(/\D/g, '');
-  
-  // If it starts with 1 and is 11 digits, it's already in good format
-  if (digits.length === 11 && digits.startsWith('1')) {
-    return '+' + digits;
-  }
-  
-  // If it's 10 digits, add +1 for US/Canada
-  if (digits.length === 10) {
-    return '+1' + digits;
+function getPhoneBasedCustomerId(phoneNumber) {
+  if (!phoneNumber || !String(phoneNumber).replace(/\D/g, '')) {
+    const error = new Error('A phone number is required to identify the customer');
+    error.status = 400;
+    throw error;
   }
   
-  // For other formats, just add + if not present
-  if (phoneNumber.startsWith('+')) {
-    return phoneNumber.replace(/\D/g, '').replace(/^/, '+');
+  const normalized = normalizePhoneNumber(phoneNumber) || String(phoneNumber);
+  return `phone_${normalized.replace(/\D/g, '')}`;
+}
+
+/**
+ * Follow the alias table to the surviving record for a merged customer ID
+ */
+async function resolveCustomerAlias(customerId) {
+  try {
+    const aliasDoc = await db.collection(CUSTOMER_ALIASES_COLLECTION).doc(customerId).get();
+    
+    if (aliasDoc.exists) {
+      console.log(`🔀 Customer ${customerId} was merged into ${aliasDoc.data().customerId}`);
+      return aliasDoc.data().customerId;
+    }
+  } catch (error) {
+    console.error(`Error resolving customer alias for ${customerId}: ${error.message}`);
   }
   
-  return '+' + digits;
+  return customerId;
 }
 
 /**
@@ -70,18 +123,18 @@ async function getCustomerIdFromPhone(phoneNumber) {
     
     if (shopifyCustomer) {
       console.log(`Found Shopify customer: ${shopifyCustomer.id}`);
-      return shopifyCustomer.id.toString();
+      return resolveCustomerAlias(shopifyCustomer.id.toString());
     }
     
     // Create customer with phone as ID (fallback)
-    const newCustomerId = `phone_${phoneNumber.replace(/\D/g, '')}`;
+    const newCustomerId = getPhoneBasedCustomerId(phoneNumber);
     console.log(`Created phone-based customer ID: ${newCustomerId}`);
-    return newCustomerId;
+    return resolveCustomerAlias(newCustomerId);
     
   } catch (error) {
     console.error(`Error getting customer ID: ${error.message}`);
     // Fallback to phone-based ID
-    return `phone_${phoneNumber.replace(/\D/g, '')}`;
+    return resolveCustomerAlias(getPhoneBasedCustomerId(phoneNumber));
   }
 }
 
@@ -90,6 +143,12 @@ async function getCustomerIdFromPhone(phoneNumber) {
  */
 async function fixCustomerProfile(customerId, correctPhone) {
   try {
+    const normalizedPhone = normalizePhoneNumber(correctPhone);
+    if (!normalizedPhone) {
+      console.log(`❌ Invalid phone number for customer ${customerId}: ${correctPhone}`);
+      return false;
+    }
+    
     const customerDocRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId);
     const customerDoc = await customerDocRef.get();
     
@@ -98,12 +157,13 @@ async function fixCustomerProfile(customerId, correctPhone) {
       const oldPhone = customerData.profile.phone;
       
       await customerDocRef.update({
-        'profile.phone': correctPhone,
-        'profile.name': `Customer ${correctPhone.slice(-4)}`,
+        'profile.phone': normalizedPhone,
+        'profile.name': `Customer ${normalizedPhone.slice(-4)}`,
         'profile.updatedAt': new Date().toISOString()
       });
+      await indexCustomerMessages(customerDocRef);
       
-      console.log(`✅ Fixed customer ${customerId}: ${oldPhone} → ${correctPhone}`);
+      console.log(`✅ Fixed customer ${customerId}: ${oldPhone} → ${normalizedPhone}`);
       return true;
     } else {
       console.log(`❌ Customer ${customerId} not found`);
@@ -115,11 +175,387 @@ async function fixCustomerProfile(customerId, correctPhone) {
   }
 }
 
+/**
+ * The customer's timezone for quiet hours - profile.timezone if it's a valid IANA zone, else business time.
+ * profile.timezone comes from the customer's Shopify address (see getAddressTimezone).
+ */
+function getProfileTimezone(profile) {
+  const timeZone = profile?.timezone;
+  if (!timeZone) return BUSINESS_TIMEZONE;
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    console.error(`⚠️ Ignoring invalid customer timezone "${timeZone}"`);
+    return BUSINESS_TIMEZONE;
+  }
+}
+
+/**
+ * Look up the timezone of the customer with this phone number (business time if there's no record)
+ */
+async function getCustomerTimezone(phoneNumber) {
+  const phone = normalizePhoneNumber(phoneNumber);
+  if (!phone) return BUSINESS_TIMEZONE;
+  
+  try {
+    const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION)
+      .where('profile.phone', '==', phone)
+      .limit(1)
+      .get();
+    return getProfileTimezone(snapshot.empty ? null : snapshot.docs[0].data().profile);
+  } catch (error) {
+    console.error(`Error looking up timezone for ${phone}: ${error.message}`);
+    return BUSINESS_TIMEZONE;
+  }
+}
+
+/**
+ * Timezone of the customer with this ID (business time if there's no record)
+ */
+async function getCustomerTimezoneById(customerId) {
+  const customerDoc = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId).get();
+  return getProfileTimezone(customerDoc.exists ? customerDoc.data().profile : null);
+}
+
+/**
+ * Get the SMS consent record for a phone number (null if the customer never opted in or out)
+ */
+async function getSmsConsent(phoneNumber) {
+  const phone = normalizePhoneNumber(phoneNumber);
+  if (!phone) return null;
+  
+  const consentDoc = await db.collection(SMS_CONSENT_COLLECTION).doc(phone).get();
+  return consentDoc.exists ? consentDoc.data() : null;
+}
+
+/**
+ * Check whether a phone number is on the suppression list (replied STOP or opted out by staff)
+ */
+async function isPhoneSuppressed(phoneNumber) {
+  const consent = await getSmsConsent(phoneNumber);
+  return consent?.status === 'opted_out';
+}
+
+/**
+ * Record an opt-out or opt-in for a phone number, keeping a history for compliance.
+ * The current status is mirrored onto the customer profile for the conversation view.
+ */
+async function setSmsConsent(phoneNumber, status, { customerId = null, source = 'staff', keyword = null, updatedBy = null, note = null } = {}) {
+  const phone = normalizePhoneNumber(phoneNumber);
+  
+  if (!phone) {
+    throw new Error('Invalid phone number');
+  }
+  if (!CONSENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid consent status: ${status}`);
+  }
+  
+  const now = new Date();
+  const change = { status, source, keyword, updatedBy, note, at: now };
+  const batch = db.batch();
+  
+  batch.set(db.collection(SMS_CONSENT_COLLECTION).doc(phone), {
+    phone,
+    status,
+    source,
+    keyword,
+    updatedBy,
+    note,
+    customerId,
+    updatedAt: now,
+    history: admin.firestore.FieldValue.arrayUnion(change)
+  }, { merge: true });
+  
+  if (customerId) {
+    batch.set(db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId), {
+      profile: {
+        smsConsent: { status, source, updatedAt: now }
+      }
+    }, { merge: true });
+  }
+  
+  await batch.commit();
+  console.log(`📋 SMS consent for ${phone} set to ${status} (${source}${keyword ? `: ${keyword}` : ''})`);
+  
+  return { phone, status, source, keyword, updatedBy, note, updatedAt: now };
+}
+
+/**
+ * Get the SMS consent status for a customer's phone number
+ */
+async function getCustomerSmsConsent(customerId) {
+  const customerDoc = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId).get();
+  
+  if (!customerDoc.exists) {
+    throw new Error('Customer not found');
+  }
+  
+  const phone = customerDoc.data().profile?.phone;
+  const consent = await getSmsConsent(phone);
+  
+  // Customers who never replied STOP can be texted
+  return consent || { phone: normalizePhoneNumber(phone), status: 'opted_in', source: 'default', history: [] };
+}
+
+/**
+ * Staff override of a customer's SMS consent from the conversation view
+ */
+async function updateCustomerSmsConsent(customerId, status, { updatedBy = null, note = null } = {}) {
+  const customerDoc = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId).get();
+  
+  if (!customerDoc.exists) {
+    throw new Error('Customer not found');
+  }
+  
+  return setSmsConsent(customerDoc.data().profile?.phone, status, {
+    customerId,
+    source: 'staff',
+    updatedBy,
+    note
+  });
+}
+
+/**
+ * Atomically claim an idempotency key (Twilio SID or client-supplied key).
+ * Returns false if the key has already been claimed by an earlier request.
+ */
+async function claimIdempotencyKey(key, metadata = {}) {
+  const docRef = db.collection(IDEMPOTENCY_KEYS_COLLECTION).doc(key.replace(/\//g, '_'));
+  
+  try {
+    // create() fails if the document exists, so two concurrent retries can't both win
+    await docRef.create({
+      ...metadata,
+      claimedAt: new Date()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a previously claimed idempotency key so a failed operation can be retried
+ */
+async function releaseIdempotencyKey(key) {
+  try {
+    await db.collection(IDEMPOTENCY_KEYS_COLLECTION).doc(key.replace(/\//g, '_')).delete();
+  } catch (error) {
+    console.error(`Error releasing idempotency key ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Summary of a message kept on the customer document for inbox previews
+ */
+function summarizeMessage(message) {
+  return {
+    id: message.id,
+    timestamp: message.timestamp,
+    channel: message.channel,
+    direction: message.direction,
+    content: message.content,
+    mediaCount: (message.media || []).length,
+    status: message.status
+  };
+}
+
+/**
+ * Check whether a delivery status is further along the lifecycle than the current one
+ */
+function isNewerStatus(newStatus, currentStatus) {
+  const newRank = MESSAGE_STATUS_RANK[newStatus];
+  const currentRank = MESSAGE_STATUS_RANK[currentStatus];
+  
+  if (newRank === undefined) return false;
+  if (currentRank === undefined) return true;
+  return newRank > currentRank;
+}
+
+/**
+ * Message fields copied from a delivery status record
+ */
+function getStatusFields(statusData) {
+  return {
+    status: statusData.status,
+    statusUpdatedAt: statusData.updatedAt || new Date(),
+    errorCode: statusData.errorCode || null,
+    errorMessage: statusData.errorMessage || null
+  };
+}
+
+/**
+ * Record a delivery status update from a Twilio status callback.
+ * The status is kept by SID so callbacks that arrive before the message is stored aren't lost.
+ */
+async function updateMessageStatus(twilioSid, status, { errorCode = null, errorMessage = null } = {}) {
+  const statusRef = db.collection(MESSAGE_STATUS_COLLECTION).doc(twilioSid);
+  
+  return db.runTransaction(async transaction => {
+    const statusDoc = await transaction.get(statusRef);
+    const current = statusDoc.exists ? statusDoc.data() : {};
+    
+    if (current.status && !isNewerStatus(status, current.status)) {
+      console.log(`⏭️ Ignoring out-of-order status ${status} for ${twilioSid} (already ${current.status})`);
+      return { updated: false, status: current.status };
+    }
+    
+    let customerDoc = null;
+    let messageDoc = null;
+    if (current.customerId) {
+      const customerDocRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(current.customerId);
+      [customerDoc, messageDoc] = await transaction.getAll(
+        customerDocRef,
+        customerDocRef.collection(MESSAGES_SUBCOLLECTION).doc(current.messageId)
+      );
+    }
+    
+    const statusData = {
+      status,
+      errorCode,
+      errorMessage,
+      updatedAt: new Date()
+    };
+    
+    transaction.set(statusRef, statusData, { merge: true });
+    
+    // The message may have moved if its customer was merged since it was sent
+    if (messageDoc?.exists) {
+      transaction.update(messageDoc.ref, getStatusFields(statusData));
+      
+      if (customerDoc.data().lastMessage?.id === current.messageId) {
+        transaction.update(customerDoc.ref, { 'lastMessage.status': status });
+      }
+    }
+    
+    console.log(`📬 Message ${twilioSid} status: ${status}${errorCode ? ` (error ${errorCode})` : ''}`);
+    return { updated: true, status, customerId: current.customerId || null };
+  });
+}
+
+/**
+ * Write a message to the customer's messages subcollection and update the profile summary.
+ * Runs in a transaction so concurrent inbound, outbound and read updates can't overwrite each other.
+ * newProfile is only applied if the customer document doesn't exist yet.
+ * Returns false if a message with the same ID was already stored.
+ */
+async function addMessageToCustomer(customerDocRef, message, { profileUpdates = {}, newProfile = null } = {}) {
+  const messageRef = customerDocRef.collection(MESSAGES_SUBCOLLECTION).doc(message.id);
+  const twilioSid = message.channelData?.twilioSid;
+  const statusRef = twilioSid ? db.collection(MESSAGE_STATUS_COLLECTION).doc(twilioSid) : null;
+  
+  return db.runTransaction(async transaction => {
+    const [customerDoc, messageDoc, statusDoc] = await transaction.getAll(
+      customerDocRef,
+      messageRef,
+      ...(statusRef ? [statusRef] : [])
+    );
+    
+    if (messageDoc.exists) {
+      return false;
+    }
+    
+    // A status callback can beat us here - pick up anything it recorded
+    if (statusDoc?.exists && isNewerStatus(statusDoc.data().status, message.status)) {
+      message = { ...message, ...getStatusFields(statusDoc.data()) };
+    }
+    
+    const profile = {
+      ...(customerDoc.exists ? {} : { ...newProfile, unreadCount: 0, ...NEW_CONVERSATION_STATE }),
+      ...profileUpdates,
+      updatedAt: new Date().toISOString(),
+      lastActivity: message.timestamp
+    };
+    
+    // Unread count is incremented atomically rather than recalculated from a stale read
+    if (message.direction === 'inbound' && !message.isRead) {
+      profile.unreadCount = admin.firestore.FieldValue.increment(1);
+    }
+    
+    // Audiences filter on when the customer last texted us, and a reply reopens a waiting,
+    // closed or snoozed thread
+    if (message.direction === 'inbound') {
+      profile.lastInboundAt = message.timestamp;
+      profile.status = 'open';
+      profile.snoozedUntil = null;
+    }
+    
+    transaction.set(messageRef, message);
+    transaction.set(db.collection(SEARCH_INDEX_COLLECTION).doc(message.id), buildSearchEntry(customerDocRef.id, message, {
+      ...(customerDoc.exists ? customerDoc.data().profile : {}),
+      ...profile
+    }));
+    if (statusRef) {
+      // Lets status callbacks find the message from its SID
+      transaction.set(statusRef, { customerId: customerDocRef.id, messageId: message.id }, { merge: true });
+    }
+    transaction.set(customerDocRef, {
+      profile,
+      lastMessage: summarizeMessage(message),
+      messageCount: admin.firestore.FieldValue.increment(1)
+    }, { merge: true });
+    
+    return true;
+  });
+}
+
+/**
+ * Rewrite the search index entries for all of a customer's messages - after their name or phone
+ * changes, or their messages have moved to them in a merge
+ */
+async function indexCustomerMessages(customerDocRef) {
+  const [customerDoc, messagesSnapshot] = await Promise.all([
+    customerDocRef.get(),
+    customerDocRef.collection(MESSAGES_SUBCOLLECTION).get()
+  ]);
+  const profile = customerDoc.exists ? (customerDoc.data().profile || {}) : {};
+  
+  await commitInBatches(messagesSnapshot.docs.map(doc => batch => batch.set(
+    db.collection(SEARCH_INDEX_COLLECTION).doc(doc.id),
+    buildSearchEntry(customerDocRef.id, { id: doc.id, ...doc.data() }, profile)
+  )));
+  
+  return messagesSnapshot.size;
+}
+
+/**
+ * Commit write operations in batches below Firestore's 500 writes per batch limit
+ */
+async function commitInBatches(operations) {
+  for (let i = 0; i < operations.length; i += BATCH_WRITE_LIMIT) {
+    const batch = db.batch();
+    operations.slice(i, i + BATCH_WRITE_LIMIT).forEach(apply => apply(batch));
+    await batch.commit();
+  }
+}
+
 /**
  * Store a customer message in Firestore
  */
 async function storeCustomerMessage(messageData) {
+  let claimedKey = null;
+  
   try {
+    // Twilio retries webhooks on timeouts - only store each MessageSid once
+    const twilioSid = messageData.channelData?.twilioSid;
+    if (twilioSid) {
+      const claimed = await claimIdempotencyKey(`sid_${twilioSid}`, {
+        customerId: messageData.customerId,
+        direction: messageData.direction
+      });
+      
+      if (!claimed) {
+        console.log(`⏭️ Message ${twilioSid} already stored, skipping duplicate`);
+        return true;
+      }
+      claimedKey = `sid_${twilioSid}`;
+    }
+    
     console.log('🔍 Storing message with data:', {
       customerId: messageData.customerId,
       direction: messageData.direction,
@@ -133,31 +569,38 @@ async function storeCustomerMessage(messageData) {
     // Get existing customer document
     const customerDoc = await customerDocRef.get();
     
-    let customerData;
+    // Only the profile fields that change are written, so concurrent updates aren't overwritten
+    const profileUpdates = {};
+    let newProfile = null;
     if (customerDoc.exists) {
-      // Customer exists, get current data
-      customerData = customerDoc.data();
+      const profile = customerDoc.data().profile || {};
       
       // If customer doesn't have Shopify data, try to enrich it
-      if (!customerData.profile.shopifyId) {
+      if (!profile.shopifyId) {
         // For outbound messages, the customer's phone is in 'to', for inbound it's in 'from'
         const customerPhone = messageData.direction === 'outbound' ? 
           messageData.channelData.to : messageData.channelData.from;
         const shopifyCustomer = await getShopifyCustomerData(customerPhone);
         if (shopifyCustomer) {
           const fullName = `${shopifyCustomer.first_name || ''} ${shopifyCustomer.last_name || ''}`.trim();
-          customerData.profile.name = fullName || customerData.profile.name;
-          customerData.profile.email = shopifyCustomer.email || customerData.profile.email;
-          customerData.profile.shopifyId = shopifyCustomer.id.toString();
-          customerData.profile.updatedAt = new Date().toISOString();
+          if (fullName) {
+            profileUpdates.name = fullName;
+          }
+          profileUpdates.email = shopifyCustomer.email || profile.email || null;
+          profileUpdates.shopifyId = shopifyCustomer.id.toString();
+          const timezone = getAddressTimezone(shopifyCustomer.default_address);
+          if (timezone) {
+            profileUpdates.timezone = timezone;
+          }
           console.log(`Enriched existing customer with Shopify data: ${fullName} (ID: ${shopifyCustomer.id})`);
         }
       }
     } else {
       // Create new customer - try to get Shopify data first
       // For outbound messages, the customer's phone is in 'to', for inbound it's in 'from'
-      const customerPhone = messageData.direction === 'outbound' ? 
+      const rawPhone = messageData.direction === 'outbound' ? 
         messageData.channelData.to : messageData.channelData.from;
+      const customerPhone = normalizePhoneNumber(rawPhone) || rawPhone;
       
       console.log(`🔍 Customer phone determined as: ${customerPhone} (direction: ${messageData.direction})`);
       const shopifyCustomer = await getShopifyCustomerData(customerPhone);
@@ -166,69 +609,65 @@ async function storeCustomerMessage(messageData) {
         // Use Shopify customer data
         const fullName = `${shopifyCustomer.first_name || ''} ${shopifyCustomer.last_name || ''}`.trim();
         console.log(`🔍 Creating Shopify customer profile with phone: ${customerPhone}`);
-        customerData = {
-          profile: {
-            name: fullName || `Customer ${customerPhone.slice(-4)}`,
-            phone: customerPhone,
-            email: shopifyCustomer.email || null,
-            shopifyId: shopifyCustomer.id.toString(),
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          },
-          conversations: []
+        newProfile = {
+          name: fullName || `Customer ${customerPhone.slice(-4)}`,
+          phone: customerPhone,
+          email: shopifyCustomer.email || null,
+          shopifyId: shopifyCustomer.id.toString(),
+          timezone: getAddressTimezone(shopifyCustomer.default_address),
+          createdAt: new Date().toISOString()
         };
         console.log(`Created new customer with Shopify data: ${fullName} (ID: ${shopifyCustomer.id})`);
       } else {
         // Fallback to basic customer
         console.log(`🔍 Creating basic customer profile with phone: ${customerPhone}`);
-        customerData = {
-          profile: {
-            name: `Customer ${customerPhone.slice(-4)}`,
-            phone: customerPhone,
-            email: null,
-            shopifyId: null,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          },
-          conversations: []
+        newProfile = {
+          name: `Customer ${customerPhone.slice(-4)}`,
+          phone: customerPhone,
+          email: null,
+          shopifyId: null,
+          timezone: null,
+          createdAt: new Date().toISOString()
         };
         console.log(`Created new customer without Shopify data: ${messageData.channelData.from}`);
       }
     }
     
-    // Add new message to conversations
     const newMessage = {
-      id: messageData.channelData.twilioSid || `msg_${Date.now()}`,
+      id: messageData.channelData.twilioSid || customerDocRef.collection(MESSAGES_SUBCOLLECTION).doc().id,
       timestamp: messageData.timestamp,
       channel: messageData.channel,
       direction: messageData.direction,
       content: messageData.content,
+      media: messageData.media || [],
       channelData: messageData.channelData,
-      status: 'received',
+      template: messageData.template || null,
+      status: messageData.status || (messageData.direction === 'inbound' ? 'received' : 'sent'),
       isRead: messageData.direction === 'outbound', // Outbound messages are automatically "read"
       readAt: messageData.direction === 'outbound' ? messageData.timestamp : null
     };
     
-    customerData.conversations = customerData.conversations || [];
-    customerData.conversations.push(newMessage);
-    
-    // Update profile with unread count and last activity
-    customerData.profile.updatedAt = new Date().toISOString();
-    customerData.profile.lastActivity = messageData.timestamp;
-    
-    // Update unread count for inbound messages
-    if (messageData.direction === 'inbound') {
-      customerData.profile.unreadCount = (customerData.profile.unreadCount || 0) + 1;
+    const stored = await addMessageToCustomer(customerDocRef, newMessage, { profileUpdates, newProfile });
+    if (!stored) {
+      console.log(`⏭️ Message ${newMessage.id} already stored, skipping duplicate`);
+      return true;
     }
     
-    // Save to Firestore
-    await customerDocRef.set(customerData);
+    // Earlier messages were indexed under the placeholder name
+    if (profileUpdates.name) {
+      await indexCustomerMessages(customerDocRef).catch(error => {
+        console.error(`⚠️ Failed to re-index messages for customer ${messageData.customerId}: ${error.message}`);
+      });
+    }
     
     console.log(`✅ Stored message for customer ${messageData.customerId}`);
     return true;
     
   } catch (error) {
     console.error(`Error storing message: ${error.message}`);
+    if (claimedKey) {
+      await releaseIdempotencyKey(claimedKey);
+    }
     return false;
   }
 }
@@ -269,82 +708,421 @@ function processConversationsTimestamps(conversations) {
 }
 
 /**
- * Get customer conversations for inbox display
+ * Get all messages for a customer, oldest first
+ */
+async function getCustomerMessages(customerId) {
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION)
+    .doc(customerId)
+    .collection(MESSAGES_SUBCOLLECTION)
+    .orderBy('timestamp', 'asc')
+    .get();
+  
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Profile with its timestamps as Dates for the API
  */
-async function getCustomerConversations(limit = 50) {
+function convertProfileTimestamps(profile = {}) {
+  return {
+    ...profile,
+    createdAt: convertFirestoreTimestamp(profile.createdAt),
+    updatedAt: convertFirestoreTimestamp(profile.updatedAt),
+    lastActivity: convertFirestoreTimestamp(profile.lastActivity),
+    lastInboundAt: convertFirestoreTimestamp(profile.lastInboundAt),
+    snoozedUntil: convertFirestoreTimestamp(profile.snoozedUntil),
+    statusChangedAt: convertFirestoreTimestamp(profile.statusChangedAt),
+    notesUpdatedAt: convertFirestoreTimestamp(profile.notesUpdatedAt)
+  };
+}
+
+/**
+ * The inbox summary of a customer document - what the conversation list shows
+ */
+function toConversationSummary(doc) {
+  const { profile = {}, lastMessage = null, messageCount = 0 } = doc.data();
+  return {
+    customerId: doc.id,
+    profile: convertProfileTimestamps(profile),
+    latestMessage: lastMessage ? processConversationsTimestamps([lastMessage])[0] : null,
+    messageCount,
+    unreadCount: profile.unreadCount || 0
+  };
+}
+
+/**
+ * Opaque page cursor - the sort timestamp and document ID of the last item returned
+ */
+function encodeCursor(timestamp, id) {
+  return Buffer.from(JSON.stringify({ t: convertFirestoreTimestamp(timestamp).getTime(), id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
   try {
-    const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION)
-      .limit(limit)
-      .get();
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isFinite(t) && typeof id === 'string' && id) {
+      return { timestamp: admin.firestore.Timestamp.fromMillis(t), id };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  
+  const error = new Error('Invalid page cursor');
+  error.status = 400;
+  throw error;
+}
+
+/**
+ * Clamp a requested page size to 1..MAX_PAGE_SIZE
+ */
+function getPageSize(limit, defaultSize) {
+  const size = parseInt(limit, 10);
+  return Number.isInteger(size) && size > 0 ? Math.min(size, MAX_PAGE_SIZE) : defaultSize;
+}
+
+/**
+ * One page of the inbox, most recently active first. Only the summary kept on each customer
+ * document is returned - use getCustomerMessagesPage for the messages themselves.
+ * Pass the returned nextCursor to get the next page; it's null on the last one.
+ * filter is one of the conversation-workflow filters; mine needs the staff name as assignee.
+ * Snoozed conversations come soonest to wake first, and are left out of every other filter but all;
+ * mine and unassigned also leave out closed ones. label and hasNotes narrow any filter further.
+ * Each combination needs a composite index on its where fields + profile.lastActivity desc
+ * (profile.snoozedUntil asc for snoozed) - they're in firestore.indexes.json.
+ */
+async function listConversations({ limit, cursor = null, filter = 'all', assignee = null, label = null, hasNotes = false } = {}) {
+  const pageSize = getPageSize(limit, CONVERSATION_PAGE_SIZE);
+  let query = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION);
+  let sortField = 'lastActivity';
+  let sortDirection = 'desc';
+  
+  switch (filter) {
+    case 'mine':
+    case 'unassigned':
+      query = query
+        .where('profile.assignee', '==', filter === 'mine' ? assignee : null)
+        .where('profile.status', 'in', ['open', 'waiting'])
+        .where('profile.snoozedUntil', '==', null);
+      break;
+    case 'open':
+    case 'waiting':
+    case 'closed':
+      query = query.where('profile.status', '==', filter).where('profile.snoozedUntil', '==', null);
+      break;
+    case 'snoozed':
+      query = query.where('profile.snoozedUntil', '>', new Date());
+      sortField = 'snoozedUntil';
+      sortDirection = 'asc';
+      break;
+  }
+  
+  if (label) {
+    query = query.where('profile.labels', 'array-contains', label);
+  }
+  if (hasNotes) {
+    query = query.where('profile.hasNotes', '==', true);
+  }
+  
+  query = query
+    .orderBy(`profile.${sortField}`, sortDirection)
+    .orderBy(admin.firestore.FieldPath.documentId(), sortDirection)
+    .limit(pageSize + 1);
+  
+  if (cursor) {
+    const { timestamp, id } = decodeCursor(cursor);
+    query = query.startAfter(timestamp, id);
+  }
+  
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, pageSize);
+  const lastDoc = docs[docs.length - 1];
+  
+  return {
+    conversations: docs.map(toConversationSummary),
+    nextCursor: snapshot.docs.length > pageSize ? encodeCursor(lastDoc.data().profile[sortField], lastDoc.id) : null
+  };
+}
+
+/**
+ * Set a conversation's status, assignee, snooze time and/or labels (validated by conversation-workflow).
+ * Bumping profile.updatedAt sends the change to everyone's inbox over the live stream.
+ */
+async function updateConversationState(customerId, updates, { updatedBy = null } = {}) {
+  const customerDocRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId);
+  const customerDoc = await customerDocRef.get();
+  
+  if (!customerDoc.exists) {
+    const error = new Error('Conversation not found');
+    error.status = 404;
+    throw error;
+  }
+  
+  const fields = {
+    'profile.updatedAt': new Date().toISOString(),
+    'profile.stateUpdatedBy': updatedBy
+  };
+  if (updates.status !== undefined) {
+    fields['profile.status'] = updates.status;
+    fields['profile.statusChangedAt'] = new Date();
+  }
+  if (updates.assignee !== undefined) {
+    fields['profile.assignee'] = updates.assignee;
+  }
+  if (updates.snoozedUntil !== undefined) {
+    fields['profile.snoozedUntil'] = updates.snoozedUntil;
+  }
+  if (updates.labels !== undefined) {
+    fields['profile.labels'] = updates.labels;
+  }
+  
+  await customerDocRef.update(fields);
+  console.log(`🗂️ Conversation ${customerId} updated by ${updatedBy || 'unknown'}:`, updates);
+  
+  return toConversationSummary(await customerDocRef.get());
+}
+
+/**
+ * A customer's internal notes, oldest first (the most recent MAX_NOTES)
+ */
+async function listCustomerNotes(customerId) {
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION)
+    .doc(customerId)
+    .collection(NOTES_SUBCOLLECTION)
+    .orderBy('createdAt', 'asc')
+    .limitToLast(MAX_NOTES)
+    .get();
+  
+  return snapshot.docs.map(doc => ({
+    ...doc.data(),
+    id: doc.id,
+    createdAt: convertFirestoreTimestamp(doc.data().createdAt)
+  }));
+}
+
+/**
+ * Add an internal note to a customer (validated by conversation-workflow). Notes live beside the
+ * messages, not among them, so they never count as messages, unread or the latest text.
+ */
+async function addCustomerNote(customerId, { content, author, createdBy = null }) {
+  const customerDocRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId);
+  const noteRef = customerDocRef.collection(NOTES_SUBCOLLECTION).doc();
+  
+  return db.runTransaction(async transaction => {
+    const customerDoc = await transaction.get(customerDocRef);
+    if (!customerDoc.exists) {
+      const error = new Error('Conversation not found');
+      error.status = 404;
+      throw error;
+    }
     
-    const customers = [];
+    const now = new Date();
+    const note = { id: noteRef.id, content, author, createdBy, createdAt: now };
     
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      const conversations = data.conversations || [];
-      
-      // Convert timestamps in all conversations
-      const processedConversations = processConversationsTimestamps(conversations);
-      
-      // Get latest message for preview
-      const latestMessage = processedConversations.length > 0 ? 
-        processedConversations[processedConversations.length - 1] : null;
-      
-      // Convert profile timestamps and set lastActivity if missing
-      const profile = {
-        ...data.profile,
-        createdAt: convertFirestoreTimestamp(data.profile?.createdAt),
-        updatedAt: convertFirestoreTimestamp(data.profile?.updatedAt),
-        lastActivity: convertFirestoreTimestamp(data.profile?.lastActivity) || (latestMessage ? latestMessage.timestamp : null)
-      };
-      
-      customers.push({
-        customerId: doc.id,
-        profile: profile,
-        latestMessage: latestMessage,
-        messageCount: processedConversations.length,
-        unreadCount: profile.unreadCount || 0,
-        conversations: processedConversations
-      });
+    transaction.set(noteRef, note);
+    // notesUpdatedAt tells open threads, over the live stream, to reload their notes
+    transaction.update(customerDocRef, {
+      'profile.hasNotes': true,
+      'profile.noteCount': admin.firestore.FieldValue.increment(1),
+      'profile.notesUpdatedAt': now,
+      'profile.updatedAt': now.toISOString()
     });
     
-    // Sort by unread status first, then by latest message timestamp
-    customers.sort((a, b) => {
-      // Unread messages first
-      if (a.unreadCount > 0 && b.unreadCount === 0) return -1;
-      if (a.unreadCount === 0 && b.unreadCount > 0) return 1;
-      
-      // Then by latest activity
-      const aTime = a.latestMessage?.timestamp ? a.latestMessage.timestamp.getTime() : 0;
-      const bTime = b.latestMessage?.timestamp ? b.latestMessage.timestamp.getTime() : 0;
-      return bTime - aTime;
-    });
+    console.log(`📝 Note added to ${customerId} by ${author}`);
+    return note;
+  });
+}
+
+async function deleteCustomerNote(customerId, noteId) {
+  const customerDocRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId);
+  const notesRef = customerDocRef.collection(NOTES_SUBCOLLECTION);
+  const noteDoc = await notesRef.doc(noteId).get();
+  
+  if (!noteDoc.exists) {
+    const error = new Error('Note not found');
+    error.status = 404;
+    throw error;
+  }
+  
+  await noteDoc.ref.delete();
+  await updateNoteSummary(customerDocRef);
+  
+  console.log(`🗑️ Note ${noteId} deleted from ${customerId}`);
+  return { deleted: true };
+}
+
+/**
+ * Recount a customer's notes - after one is deleted, or notes are moved in a merge
+ */
+async function updateNoteSummary(customerDocRef) {
+  const countSnapshot = await customerDocRef.collection(NOTES_SUBCOLLECTION).count().get();
+  const noteCount = countSnapshot.data().count;
+  const now = new Date();
+  
+  await customerDocRef.update({
+    'profile.hasNotes': noteCount > 0,
+    'profile.noteCount': noteCount,
+    'profile.notesUpdatedAt': now,
+    'profile.updatedAt': now.toISOString()
+  });
+}
+
+/**
+ * Reopen every conversation whose snooze ended by `now`. Returns how many were reopened.
+ */
+async function reopenSnoozedConversations(now = new Date()) {
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION)
+    .where('profile.snoozedUntil', '<=', now)
+    .get();
+  
+  await commitInBatches(snapshot.docs.map(doc => batch => batch.update(doc.ref, {
+    'profile.status': 'open',
+    'profile.snoozedUntil': null,
+    'profile.statusChangedAt': now,
+    'profile.updatedAt': now.toISOString()
+  })));
+  
+  return snapshot.size;
+}
+
+/**
+ * One page of a customer's messages, newest first. Pass nextCursor back as `before` for older messages.
+ * `from` (a message ID) returns everything from that message to the newest instead - how a
+ * search result is opened in context.
+ */
+async function getCustomerMessagesPage(customerId, { limit, before = null, from = null } = {}) {
+  const messagesRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION)
+    .doc(customerId)
+    .collection(MESSAGES_SUBCOLLECTION);
+  let pageSize = getPageSize(limit, MESSAGE_PAGE_SIZE);
+  let query = messagesRef
+    .orderBy('timestamp', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+  
+  if (from) {
+    const fromDoc = await messagesRef.doc(from).get();
+    if (!fromDoc.exists) {
+      const error = new Error('Message not found');
+      error.status = 404;
+      throw error;
+    }
+    query = query.endAt(fromDoc.data().timestamp, fromDoc.id);
+    pageSize = MAX_CONTEXT_MESSAGES;
+  } else if (before) {
+    const { timestamp, id } = decodeCursor(before);
+    query = query.startAfter(timestamp, id);
+  }
+  
+  const snapshot = await query.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+  const lastDoc = docs[docs.length - 1];
+  // A page ending at the `from` message doesn't show whether there are older ones, so always offer more
+  const hasMore = snapshot.docs.length > pageSize || Boolean(from && lastDoc);
+  
+  return {
+    messages: processConversationsTimestamps(docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+    nextCursor: hasMore ? encodeCursor(lastDoc.data().timestamp, lastDoc.id) : null
+  };
+}
+
+/**
+ * Search messages by content, customer name, phone number or order number, newest first.
+ * Needs composite indexes on the search index collection: terms (array-contains) + timestamp desc,
+ * and terms + direction + timestamp desc for the direction filter (in firestore.indexes.json).
+ * A name or phone match is true of every message with that customer, so only their latest
+ * message is returned for it. `customers` has the current inbox summary for each result's customer.
+ */
+async function searchMessages({ query, from = null, to = null, direction = null, limit } = {}) {
+  const words = parseSearchQuery(query);
+  if (words.length === 0) {
+    const error = new Error('Enter a word, name, phone number or order number to search for');
+    error.status = 400;
+    throw error;
+  }
+  
+  // The longest word narrows the lookup most; the rest are checked against each entry
+  const lookupTerm = words.reduce((longest, word) => word.length > longest.length ? word : longest);
+  let indexQuery = db.collection(SEARCH_INDEX_COLLECTION).where('terms', 'array-contains', lookupTerm);
+  if (direction) indexQuery = indexQuery.where('direction', '==', direction);
+  if (from) indexQuery = indexQuery.where('timestamp', '>=', from);
+  if (to) indexQuery = indexQuery.where('timestamp', '<', to);
+  
+  const snapshot = await indexQuery.orderBy('timestamp', 'desc').limit(SEARCH_SCAN_LIMIT).get();
+  const pageSize = getPageSize(limit, SEARCH_PAGE_SIZE);
+  const results = [];
+  const customersMatchedByProfile = new Set();
+  
+  for (const doc of snapshot.docs) {
+    const entry = doc.data();
+    if (!entryMatches(entry, words)) continue;
     
-    console.log(`Retrieved ${customers.length} customer conversations`);
-    return customers;
+    const matchedOn = getMatchedFields(entry, words);
+    if (!matchedOn.includes('content') && !matchedOn.includes('order')) {
+      if (customersMatchedByProfile.has(entry.customerId)) continue;
+      customersMatchedByProfile.add(entry.customerId);
+    }
     
-  } catch (error) {
-    console.error(`Error getting conversations: ${error.message}`);
-    return [];
+    results.push({
+      customerId: entry.customerId,
+      messageId: entry.messageId,
+      direction: entry.direction,
+      channel: entry.channel,
+      timestamp: convertFirestoreTimestamp(entry.timestamp),
+      content: entry.content,
+      mediaCount: entry.mediaCount || 0,
+      customerName: entry.customerName,
+      phone: entry.phone,
+      orderNumbers: entry.orderNumbers || [],
+      matchedOn
+    });
+    if (results.length >= pageSize) break;
   }
+  
+  const customerIds = [...new Set(results.map(result => result.customerId))];
+  const customerDocs = customerIds.length > 0
+    ? await db.getAll(...customerIds.map(id => db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(id)))
+    : [];
+  const customers = {};
+  customerDocs.filter(doc => doc.exists).forEach(doc => {
+    customers[doc.id] = toConversationSummary(doc);
+  });
+  
+  return {
+    results: results.filter(result => customers[result.customerId]),
+    customers,
+    // Only the newest SEARCH_SCAN_LIMIT entries with the lookup word were checked
+    truncated: snapshot.size >= SEARCH_SCAN_LIMIT
+  };
 }
 
 /**
- * Send reply to customer via SMS
+ * Send reply to customer via SMS, or MMS when attachments (multer upload files) are included
+ * An optional client-supplied idempotency key stops a resubmitted reply being sent twice.
+ * Replies in the customer's quiet hours are refused (quietHours: true) unless overrideQuietHours is set.
  */
-async function sendReplyToCustomer(customerId, message) {
+async function sendReplyToCustomer(customerId, message, idempotencyKey = null, attachments = [], { overrideQuietHours = false, sentBy = null } = {}) {
+  let claimedKey = null;
+  
   try {
-    const { sendSingleSMS } = require('./twilio');
+    const { sendSingleSMS, getPublicBaseUrl, getSenderNumber } = require('./twilio');
+    
+    if (idempotencyKey) {
+      const claimed = await claimIdempotencyKey(`reply_${idempotencyKey}`, { customerId, direction: 'outbound' });
+      if (!claimed) {
+        console.log(`⏭️ Reply with idempotency key ${idempotencyKey} already sent, skipping`);
+        return { success: true, duplicate: true, message: 'Reply already sent' };
+      }
+      claimedKey = `reply_${idempotencyKey}`;
+    }
     
     // Get customer data
-    const customerDoc = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId).get();
+    const customerDocRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId);
+    const customerDoc = await customerDocRef.get();
     
     if (!customerDoc.exists) {
       throw new Error('Customer not found');
     }
     
-    const customerData = customerDoc.data();
-    const profile = customerData.profile;
+    const profile = customerDoc.data().profile;
     
     if (!profile.phone) {
       throw new Error('Customer phone number not found');
@@ -353,46 +1131,88 @@ async function sendReplyToCustomer(customerId, message) {
     const phone = profile.phone;
     const customerName = profile.name || 'Customer';
     
+    if (await isPhoneSuppressed(phone)) {
+      if (claimedKey) {
+        await releaseIdempotencyKey(claimedKey);
+      }
+      return { success: false, error: `${customerName} has opted out of SMS (replied STOP)` };
+    }
+    
+    const sendWindow = checkSendWindow('reply', getProfileTimezone(profile));
+    if (!sendWindow.allowed && !overrideQuietHours) {
+      if (claimedKey) {
+        await releaseIdempotencyKey(claimedKey);
+      }
+      return {
+        success: false,
+        quietHours: true,
+        nextAllowedAt: sendWindow.nextAllowedAt,
+        error: `${customerName}: ${sendWindow.reason}`
+      };
+    }
+    
+    // Twilio fetches attachments itself, so they must be stored behind a public URL first
+    let media = [];
+    let mediaUrls = [];
+    if (attachments.length > 0) {
+      const baseUrl = getPublicBaseUrl();
+      if (!baseUrl) {
+        throw new Error('PUBLIC_BASE_URL must be set to send attachments');
+      }
+      media = await storeOutboundMedia(attachments);
+      mediaUrls = media.map(item => `${baseUrl}${item.url}`);
+    }
+    
     // Send SMS
-    const success = await sendSingleSMS(phone, message, customerName, 'REPLY');
+    const sendResult = await sendSingleSMS(phone, message, customerName, 'REPLY', mediaUrls);
     
-    if (success) {
+    if (sendResult.success) {
       // Store outbound message in Firestore
+      const now = new Date();
       const outboundMessage = {
-        id: `msg_${Date.now()}`,
-        timestamp: new Date(),
-        channel: 'sms',
+        id: sendResult.sid,
+        timestamp: now,
+        channel: media.length > 0 ? 'mms' : 'sms',
         direction: 'outbound',
-        content: message,
+        content: message || '',
+        media,
         channelData: {
-          from: process.env.TWILIO_PHONE_NUMBER,
-          to: phone
+          from: getSenderNumber(),
+          to: phone,
+          twilioSid: sendResult.sid
         },
-        status: 'sent',
+        status: sendResult.status,
         isRead: true, // Outbound messages are automatically "read"
-        readAt: new Date()
+        readAt: now
       };
       
-      customerData.conversations = customerData.conversations || [];
-      customerData.conversations.push(outboundMessage);
-      customerData.profile.updatedAt = new Date().toISOString();
-      customerData.profile.lastActivity = new Date();
+      if (!sendWindow.allowed) {
+        outboundMessage.quietHoursOverride = { by: sentBy, reason: sendWindow.reason };
+        console.log(`🌙 Reply to ${phone} sent in quiet hours (override by ${sentBy || 'unknown'})`);
+      }
       
-      await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId).set(customerData);
+      await addMessageToCustomer(customerDocRef, outboundMessage);
       
       return { 
         success: true, 
-        message: `Reply sent to ${customerName} (${phone})` 
+        message: `Reply sent to ${customerName} (${phone})`,
+        media
       };
     } else {
+      if (claimedKey) {
+        await releaseIdempotencyKey(claimedKey);
+      }
       return { 
         success: false, 
-        error: 'Failed to send SMS' 
+        error: sendResult.error || 'Failed to send SMS' 
       };
     }
     
   } catch (error) {
     console.error(`Error sending reply: ${error.message}`);
+    if (claimedKey) {
+      await releaseIdempotencyKey(claimedKey);
+    }
     return { success: false, error: error.message };
   }
 }
@@ -403,39 +1223,42 @@ async function sendReplyToCustomer(customerId, message) {
 async function markConversationAsRead(customerId) {
   try {
     const customerDocRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId);
-    const customerDoc = await customerDocRef.get();
-    
-    if (!customerDoc.exists) {
-      throw new Error('Customer not found');
-    }
-    
-    const customerData = customerDoc.data();
-    const conversations = customerData.conversations || [];
+    const unreadQuery = customerDocRef.collection(MESSAGES_SUBCOLLECTION)
+      .where('direction', '==', 'inbound')
+      .where('isRead', '==', false);
     
-    // Mark all unread messages as read
-    let hasUnreadMessages = false;
+    // Reset the count in a transaction, noting which messages it covered - a message arriving
+    // after this stays unread and counted. Transactions allow 500 writes, so the messages
+    // themselves are marked afterwards in batches.
     const now = new Date();
-    
-    const updatedConversations = conversations.map(message => {
-      if (message.direction === 'inbound' && !message.isRead) {
-        hasUnreadMessages = true;
-        return {
-          ...message,
-          isRead: true,
-          readAt: now
-        };
+    const unreadRefs = await db.runTransaction(async transaction => {
+      const customerDoc = await transaction.get(customerDocRef);
+      
+      if (!customerDoc.exists) {
+        throw new Error('Customer not found');
+      }
+      
+      const unreadSnapshot = await transaction.get(unreadQuery);
+      
+      if (unreadSnapshot.empty && !customerDoc.data().profile?.unreadCount) {
+        return [];
       }
-      return message;
+      
+      transaction.update(customerDocRef, {
+        'profile.unreadCount': 0,
+        'profile.updatedAt': now.toISOString()
+      });
+      
+      return unreadSnapshot.docs.map(doc => doc.ref);
     });
     
-    if (hasUnreadMessages) {
-      // Update conversations and reset unread count
-      customerData.conversations = updatedConversations;
-      customerData.profile.unreadCount = 0;
-      customerData.profile.updatedAt = now.toISOString();
-      
-      await customerDocRef.set(customerData);
-      console.log(`✅ Marked conversation as read for customer ${customerId}`);
+    await commitInBatches(unreadRefs.map(ref =>
+      batch => batch.update(ref, { isRead: true, readAt: now })
+    ));
+    const markedCount = unreadRefs.length;
+    
+    if (markedCount > 0) {
+      console.log(`✅ Marked ${markedCount} messages as read for customer ${customerId}`);
     }
     
     return { success: true };
@@ -446,12 +1269,665 @@ async function markConversationAsRead(customerId) {
   }
 }
 
+/**
+ * Watch for inbox changes since a point in time and call onEvent with each one:
+ *   { type: 'message', customerId, profile, message, messageCount, unreadCount }  - a message was stored
+ *   { type: 'read', customerId, unreadCount }                                     - unread count changed
+ *   { type: 'status', customerId, messageId, status, errorCode, errorMessage }    - delivery status update
+ * Every event has `at`, the time of the change, so a reconnecting client can ask for what it missed.
+ * Uses Firestore listeners, so changes made by any server instance are seen. Returns a stop function.
+ */
+function watchInboxChanges({ since = new Date(), onEvent, onError = () => {} }) {
+  // What each customer looked like last time, to tell new messages from read-state changes
+  const seen = new Map();
+  
+  const handleCustomerChange = async doc => {
+    const { profile = {}, lastMessage = null, messageCount = 0 } = doc.data();
+    const previous = seen.get(doc.id);
+    const unreadCount = profile.unreadCount || 0;
+    const at = convertFirestoreTimestamp(profile.updatedAt) || new Date();
+    const state = [
+      profile.status,
+      profile.assignee,
+      convertFirestoreTimestamp(profile.snoozedUntil)?.getTime(),
+      (profile.labels || []).join(','),
+      convertFirestoreTimestamp(profile.notesUpdatedAt)?.getTime()
+    ].join('|');
+    seen.set(doc.id, { lastMessageId: lastMessage?.id || null, unreadCount, state });
+    
+    const lastMessageAt = convertFirestoreTimestamp(lastMessage?.timestamp);
+    const isNewMessage = lastMessage && (previous ? previous.lastMessageId !== lastMessage.id : lastMessageAt >= since);
+    
+    if (isNewMessage) {
+      const messageDoc = await doc.ref.collection(MESSAGES_SUBCOLLECTION).doc(lastMessage.id).get();
+      const message = messageDoc.exists ? { id: messageDoc.id, ...messageDoc.data() } : lastMessage;
+      
+      onEvent({
+        type: 'message',
+        at,
+        customerId: doc.id,
+        profile: convertProfileTimestamps(profile),
+        message: processConversationsTimestamps([message])[0],
+        messageCount,
+        unreadCount
+      });
+    } else if (!previous || previous.state !== state) {
+      // Assigned, snoozed, closed, labelled, noted... - the whole summary, so filtered lists can add or drop it
+      onEvent({ type: 'conversation', at, ...toConversationSummary(doc) });
+    } else if (previous.unreadCount !== unreadCount) {
+      onEvent({ type: 'read', at, customerId: doc.id, unreadCount });
+    }
+  };
+  
+  const stopCustomers = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION)
+    .where('profile.updatedAt', '>', since.toISOString())
+    .onSnapshot(snapshot => {
+      snapshot.docChanges()
+        .filter(change => change.type !== 'removed')
+        .forEach(change => handleCustomerChange(change.doc).catch(onError));
+    }, onError);
+  
+  const stopStatuses = db.collection(MESSAGE_STATUS_COLLECTION)
+    .where('updatedAt', '>', since)
+    .onSnapshot(snapshot => {
+      snapshot.docChanges()
+        .filter(change => change.type !== 'removed')
+        .forEach(change => {
+          const status = change.doc.data();
+          // Statuses that arrived before their message was stored have nothing to update yet
+          if (!status.customerId || !status.messageId) return;
+          
+          onEvent({
+            type: 'status',
+            at: convertFirestoreTimestamp(status.updatedAt),
+            customerId: status.customerId,
+            messageId: status.messageId,
+            status: status.status,
+            errorCode: status.errorCode || null,
+            errorMessage: status.errorMessage || null
+          });
+        });
+    }, onError);
+  
+  return () => {
+    stopCustomers();
+    stopStatuses();
+  };
+}
+
+/**
+ * Recalculate message count, unread count and last message from a customer's messages subcollection
+ */
+async function recalculateCustomerSummary(customerDocRef) {
+  const messagesRef = customerDocRef.collection(MESSAGES_SUBCOLLECTION);
+  const [countSnapshot, unreadSnapshot, latestSnapshot] = await Promise.all([
+    messagesRef.count().get(),
+    messagesRef.where('direction', '==', 'inbound').where('isRead', '==', false).count().get(),
+    messagesRef.orderBy('timestamp', 'desc').limit(1).get()
+  ]);
+  const latestMessage = latestSnapshot.empty ? null : latestSnapshot.docs[0].data();
+  
+  await customerDocRef.update({
+    messageCount: countSnapshot.data().count,
+    lastMessage: latestMessage ? summarizeMessage(latestMessage) : null,
+    'profile.unreadCount': unreadSnapshot.data().count,
+    'profile.lastActivity': latestMessage ? latestMessage.timestamp : null,
+    'profile.updatedAt': new Date().toISOString()
+  });
+}
+
+/**
+ * Move a customer's messages into another customer document, then delete the source.
+ * Profile fields the target doesn't have yet are copied across.
+ */
+async function moveCustomerRecord(sourceDocRef, targetDocRef, profileOverrides = {}) {
+  const [sourceDoc, targetDoc, messagesSnapshot, notesSnapshot] = await Promise.all([
+    sourceDocRef.get(),
+    targetDocRef.get(),
+    sourceDocRef.collection(MESSAGES_SUBCOLLECTION).get(),
+    sourceDocRef.collection(NOTES_SUBCOLLECTION).get()
+  ]);
+  
+  const sourceData = sourceDoc.data() || {};
+  // Empty target fields (e.g. shopifyId: null) shouldn't hide the source's values
+  const targetProfile = Object.fromEntries(
+    Object.entries(targetDoc.exists ? (targetDoc.data().profile || {}) : {})
+      .filter(([, value]) => value !== null && value !== undefined)
+  );
+  const targetMessagesRef = targetDocRef.collection(MESSAGES_SUBCOLLECTION);
+  const targetNotesRef = targetDocRef.collection(NOTES_SUBCOLLECTION);
+  // Labels from both records are kept
+  const labels = [...new Set([...(sourceData.profile?.labels || []), ...(targetProfile.labels || [])])];
+  
+  const operations = [
+    ...messagesSnapshot.docs.map(doc => batch => batch.set(targetMessagesRef.doc(doc.id), doc.data())),
+    ...notesSnapshot.docs.map(doc => batch => batch.set(targetNotesRef.doc(doc.id), doc.data()))
+  ];
+  
+  // Point delivery status lookups at the message's new home
+  messagesSnapshot.docs
+    .filter(doc => doc.data().channelData?.twilioSid)
+    .forEach(doc => operations.push(batch => batch.set(
+      db.collection(MESSAGE_STATUS_COLLECTION).doc(doc.data().channelData.twilioSid),
+      { customerId: targetDocRef.id, messageId: doc.id },
+      { merge: true }
+    )));
+  operations.push(batch => batch.set(targetDocRef, {
+    ...(targetDoc.exists ? {} : sourceData),
+    profile: { ...sourceData.profile, ...targetProfile, labels, ...profileOverrides }
+  }, { merge: true }));
+  await commitInBatches(operations);
+  
+  // Only delete the source once everything is safely on the target
+  await commitInBatches([
+    ...messagesSnapshot.docs.map(doc => batch => batch.delete(doc.ref)),
+    ...notesSnapshot.docs.map(doc => batch => batch.delete(doc.ref)),
+    batch => batch.delete(sourceDocRef)
+  ]);
+  
+  await recalculateCustomerSummary(targetDocRef);
+  await updateNoteSummary(targetDocRef);
+  await indexCustomerMessages(targetDocRef);
+}
+
+/**
+ * Conversation activity and SMS consent for every phone number we've texted with, keyed by
+ * normalised phone - what audiences filter on. Older profiles predate lastInboundAt, so the
+ * last message stands in when it was from the customer.
+ */
+async function listContactActivity() {
+  const [customersSnapshot, consentSnapshot] = await Promise.all([
+    db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).select('profile', 'lastMessage', 'messageCount').get(),
+    db.collection(SMS_CONSENT_COLLECTION).get()
+  ]);
+  
+  const contacts = new Map();
+  
+  customersSnapshot.docs.forEach(doc => {
+    const { profile = {}, lastMessage = null, messageCount = 0 } = doc.data();
+    const phone = normalizePhoneNumber(profile.phone);
+    if (!phone) return;
+    
+    const lastInboundAt = convertFirestoreTimestamp(profile.lastInboundAt) ||
+      (lastMessage?.direction === 'inbound' ? convertFirestoreTimestamp(lastMessage.timestamp) : null);
+    const lastActivity = convertFirestoreTimestamp(profile.lastActivity);
+    
+    // Duplicate records for one number - keep the most recently active
+    const existing = contacts.get(phone);
+    if (existing && (existing.lastActivity || 0) > (lastActivity || 0)) return;
+    
+    contacts.set(phone, {
+      phone,
+      customerId: doc.id,
+      name: profile.name || null,
+      email: profile.email || null,
+      shopifyId: profile.shopifyId || null,
+      lastActivity,
+      lastInboundAt,
+      messageCount,
+      consent: null
+    });
+  });
+  
+  consentSnapshot.docs.forEach(doc => {
+    const consent = doc.data();
+    const phone = normalizePhoneNumber(consent.phone || doc.id);
+    if (!phone) return;
+    
+    // Consent can be recorded for a number we've never had a conversation with
+    const contact = contacts.get(phone) || {
+      phone,
+      customerId: consent.customerId || null,
+      name: null,
+      email: null,
+      shopifyId: null,
+      lastActivity: null,
+      lastInboundAt: null,
+      messageCount: 0
+    };
+    contact.consent = { status: consent.status, source: consent.source || null };
+    contacts.set(phone, contact);
+  });
+  
+  return contacts;
+}
+
+/**
+ * Find customer records that belong to the same person, grouped by
+ * normalised phone number, Shopify ID and email
+ */
+async function findDuplicateCustomers() {
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).get();
+  const customers = snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      customerId: doc.id,
+      profile: {
+        ...data.profile,
+        lastActivity: convertFirestoreTimestamp(data.profile?.lastActivity)
+      },
+      messageCount: data.messageCount || 0,
+      unreadCount: data.profile?.unreadCount || 0
+    };
+  });
+  
+  // Union-find over shared keys, so A~B by phone and B~C by email end up in one group
+  const parent = customers.map((customer, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const reasons = customers.map(() => new Set());
+  const firstIndexByKey = new Map();
+  
+  customers.forEach((customer, index) => {
+    const keys = [];
+    const phone = normalizePhoneNumber(customer.profile.phone);
+    if (phone) keys.push(['phone', phone]);
+    if (customer.profile.shopifyId) keys.push(['shopifyId', customer.profile.shopifyId]);
+    if (/^\d+$/.test(customer.customerId)) keys.push(['shopifyId', customer.customerId]);
+    if (customer.profile.email) keys.push(['email', customer.profile.email.trim().toLowerCase()]);
+    
+    keys.forEach(([type, value]) => {
+      const key = `${type}:${value}`;
+      if (firstIndexByKey.has(key)) {
+        const otherIndex = firstIndexByKey.get(key);
+        if (find(otherIndex) !== find(index)) {
+          parent[find(index)] = find(otherIndex);
+        }
+        reasons[index].add(type);
+        reasons[otherIndex].add(type);
+      } else {
+        firstIndexByKey.set(key, index);
+      }
+    });
+  });
+  
+  const groupsByRoot = new Map();
+  customers.forEach((customer, index) => {
+    const root = find(index);
+    if (!groupsByRoot.has(root)) {
+      groupsByRoot.set(root, { customers: [], matchedOn: new Set() });
+    }
+    groupsByRoot.get(root).customers.push(customer);
+    reasons[index].forEach(reason => groupsByRoot.get(root).matchedOn.add(reason));
+  });
+  
+  const groups = [...groupsByRoot.values()]
+    .filter(group => group.customers.length > 1)
+    .map(group => {
+      // Prefer the Shopify-keyed record, then the one with the most history
+      const sorted = [...group.customers].sort((a, b) => {
+        const aIsPhone = a.customerId.startsWith('phone_') ? 1 : 0;
+        const bIsPhone = b.customerId.startsWith('phone_') ? 1 : 0;
+        return aIsPhone - bIsPhone || b.messageCount - a.messageCount;
+      });
+      
+      return {
+        suggestedPrimaryId: sorted[0].customerId,
+        matchedOn: [...group.matchedOn],
+        customers: sorted
+      };
+    });
+  
+  console.log(`🔍 Found ${groups.length} duplicate customer groups across ${customers.length} customers`);
+  return groups;
+}
+
+/**
+ * Merge duplicate customer records into a surviving record.
+ * Messages are combined, unread counts added up, and aliases are written so
+ * future inbound SMS for the old IDs route to the survivor.
+ */
+async function mergeCustomers(primaryId, duplicateIds) {
+  const collectionRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION);
+  const aliasesRef = db.collection(CUSTOMER_ALIASES_COLLECTION);
+  const primaryRef = collectionRef.doc(primaryId);
+  const ids = [...new Set(duplicateIds)].filter(id => id && id !== primaryId);
+  
+  const primaryDoc = await primaryRef.get();
+  if (!primaryDoc.exists) {
+    throw new Error('Primary customer not found');
+  }
+  if (ids.length === 0) {
+    throw new Error('At least one duplicate customer ID is required');
+  }
+  
+  const duplicateDocs = await Promise.all(ids.map(id => collectionRef.doc(id).get()));
+  const missing = duplicateDocs.filter(doc => !doc.exists).map(doc => doc.id);
+  if (missing.length > 0) {
+    throw new Error(`Customer not found: ${missing.join(', ')}`);
+  }
+  
+  // Every ID a lookup could produce for the duplicates now points at the survivor
+  const aliasIds = new Set(ids);
+  duplicateDocs.forEach(doc => {
+    const profile = doc.data().profile || {};
+    if (profile.phone && normalizePhoneNumber(profile.phone)) aliasIds.add(getPhoneBasedCustomerId(profile.phone));
+    if (profile.shopifyId) aliasIds.add(profile.shopifyId);
+  });
+  aliasIds.delete(primaryId);
+  
+  // Existing aliases that pointed at a duplicate are redirected so lookups stay one hop
+  const existingAliases = await Promise.all(ids.map(id => aliasesRef.where('customerId', '==', id).get()));
+  const now = new Date();
+  
+  // Aliases are written before moving messages so inbound SMS arriving mid-merge go to the survivor
+  await commitInBatches([
+    ...[...aliasIds].map(aliasId => batch => batch.set(aliasesRef.doc(aliasId), { customerId: primaryId, mergedAt: now })),
+    ...existingAliases.flatMap(snapshot => snapshot.docs.map(doc => batch => batch.update(doc.ref, { customerId: primaryId })))
+  ]);
+  
+  for (const doc of duplicateDocs) {
+    console.log(`🔀 Merging customer ${doc.id} into ${primaryId}`);
+    await moveCustomerRecord(doc.ref, primaryRef);
+  }
+  
+  const mergedDoc = await primaryRef.get();
+  console.log(`✅ Merged ${ids.length} customers into ${primaryId}`);
+  
+  return {
+    success: true,
+    customerId: primaryId,
+    mergedIds: ids,
+    messageCount: mergedDoc.data().messageCount || 0,
+    unreadCount: mergedDoc.data().profile?.unreadCount || 0
+  };
+}
+
+/**
+ * Read the phone number of a legacy phone_ customer, undoing the old US-style
+ * normalisation that turned 0412345678 into +10412345678
+ */
+function getLegacyCustomerPhone(customerId, profile) {
+  const candidates = [profile?.phone, customerId.replace(/^phone_/, '')].filter(Boolean);
+  
+  for (const candidate of candidates) {
+    const digits = String(candidate).replace(/\D/g, '');
+    const repaired = /^10\d{9}$/.test(digits) ? digits.slice(1) : candidate;
+    const normalized = normalizePhoneNumber(repaired);
+    if (normalized) {
+      return normalized;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * One-off migration: re-key phone_ customer documents to IDs built from E.164 numbers.
+ * Documents that end up with the same ID are combined.
+ */
+async function rekeyPhoneCustomers({ dryRun = false } = {}) {
+  const summary = { customersScanned: 0, customersRekeyed: 0, phonesUpdated: 0, invalid: [], errors: [] };
+  const collectionRef = db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION);
+  const snapshot = await collectionRef
+    .where(admin.firestore.FieldPath.documentId(), '>=', 'phone_')
+    .where(admin.firestore.FieldPath.documentId(), '<', 'phone`')
+    .get();
+  
+  for (const doc of snapshot.docs) {
+    summary.customersScanned++;
+    const profile = doc.data().profile || {};
+    
+    try {
+      const phone = getLegacyCustomerPhone(doc.id, profile);
+      
+      if (!phone) {
+        console.log(`⚠️ Can't normalise phone for ${doc.id}: ${profile.phone}`);
+        summary.invalid.push({ customerId: doc.id, phone: profile.phone || null });
+        continue;
+      }
+      
+      const newCustomerId = getPhoneBasedCustomerId(phone);
+      
+      if (newCustomerId === doc.id) {
+        if (profile.phone !== phone) {
+          console.log(`📞 ${dryRun ? '[DRY RUN] Would update' : 'Updating'} phone for ${doc.id}: ${profile.phone} → ${phone}`);
+          if (!dryRun) {
+            await doc.ref.update({ 'profile.phone': phone, 'profile.updatedAt': new Date().toISOString() });
+          }
+          summary.phonesUpdated++;
+        }
+        continue;
+      }
+      
+      console.log(`🔑 ${dryRun ? '[DRY RUN] Would re-key' : 'Re-keying'} ${doc.id} → ${newCustomerId}`);
+      if (!dryRun) {
+        await moveCustomerRecord(doc.ref, collectionRef.doc(newCustomerId), { phone });
+      }
+      summary.customersRekeyed++;
+    } catch (error) {
+      console.error(`❌ Failed to re-key customer ${doc.id}: ${error.message}`);
+      summary.errors.push({ customerId: doc.id, error: error.message });
+    }
+  }
+  
+  console.log(`📊 Re-key complete: ${summary.customersRekeyed} re-keyed, ${summary.phonesUpdated} phones updated, ${summary.invalid.length} invalid, ${summary.errors.length} errors`);
+  return summary;
+}
+
+/**
+ * One-off migration: the inbox is ordered by profile.lastActivity, so customers without it (or
+ * with it saved as a string by older code) would never be listed. Recalculate it from their messages.
+ */
+async function backfillLastActivity({ dryRun = false } = {}) {
+  const summary = { customersScanned: 0, customersUpdated: 0, errors: [] };
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).get();
+  
+  for (const doc of snapshot.docs) {
+    summary.customersScanned++;
+    const lastActivity = doc.data().profile?.lastActivity;
+    if (lastActivity instanceof admin.firestore.Timestamp) continue;
+    
+    try {
+      console.log(`🕓 ${dryRun ? '[DRY RUN] Would recalculate' : 'Recalculating'} last activity for ${doc.id} (was ${lastActivity ?? 'missing'})`);
+      if (!dryRun) {
+        await recalculateCustomerSummary(doc.ref);
+      }
+      summary.customersUpdated++;
+    } catch (error) {
+      console.error(`❌ Failed to update customer ${doc.id}: ${error.message}`);
+      summary.errors.push({ customerId: doc.id, error: error.message });
+    }
+  }
+  
+  console.log(`📊 Backfill complete: ${summary.customersUpdated} of ${summary.customersScanned} customers updated, ${summary.errors.length} errors`);
+  return summary;
+}
+
+/**
+ * Set profile.timezone from Shopify addresses for customers stored before it was recorded.
+ * Customers Shopify has no address for (or whose address doesn't settle a timezone) keep business time.
+ */
+async function backfillCustomerTimezones({ dryRun = false } = {}) {
+  const summary = { customersScanned: 0, customersUpdated: 0, errors: [] };
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).get();
+  
+  for (const doc of snapshot.docs) {
+    summary.customersScanned++;
+    const profile = doc.data().profile || {};
+    if (profile.timezone || !profile.phone) continue;
+    
+    try {
+      const shopifyCustomer = await getShopifyCustomerData(profile.phone);
+      const timezone = shopifyCustomer ? getAddressTimezone(shopifyCustomer.default_address) : null;
+      if (!timezone) continue;
+      
+      console.log(`🕓 ${dryRun ? '[DRY RUN] Would set' : 'Setting'} timezone for ${doc.id} to ${timezone}`);
+      if (!dryRun) {
+        await doc.ref.update({ 'profile.timezone': timezone });
+      }
+      summary.customersUpdated++;
+    } catch (error) {
+      console.error(`❌ Failed to update customer ${doc.id}: ${error.message}`);
+      summary.errors.push({ customerId: doc.id, error: error.message });
+    }
+  }
+  
+  console.log(`📊 Backfill complete: ${summary.customersUpdated} of ${summary.customersScanned} customers given a timezone, ${summary.errors.length} errors`);
+  return summary;
+}
+
+/**
+ * Build search index entries for every stored message - for messages stored before search
+ * existed. Safe to re-run; entries are keyed by message ID and overwritten.
+ */
+async function rebuildSearchIndex({ dryRun = false } = {}) {
+  const summary = { customersScanned: 0, messagesIndexed: 0, errors: [] };
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).get();
+  
+  for (const doc of snapshot.docs) {
+    summary.customersScanned++;
+    
+    try {
+      if (dryRun) {
+        const countSnapshot = await doc.ref.collection(MESSAGES_SUBCOLLECTION).count().get();
+        console.log(`🔎 [DRY RUN] Would index ${countSnapshot.data().count} messages for customer ${doc.id}`);
+        summary.messagesIndexed += countSnapshot.data().count;
+      } else {
+        const indexed = await indexCustomerMessages(doc.ref);
+        console.log(`🔎 Indexed ${indexed} messages for customer ${doc.id}`);
+        summary.messagesIndexed += indexed;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to index customer ${doc.id}: ${error.message}`);
+      summary.errors.push({ customerId: doc.id, error: error.message });
+    }
+  }
+  
+  console.log(`📊 Search index rebuilt: ${summary.messagesIndexed} messages from ${summary.customersScanned} customers, ${summary.errors.length} errors`);
+  return summary;
+}
+
+/**
+ * One-off migration: the inbox filters match status, assignee and snoozedUntil with ==, which
+ * never matches a missing field. Start every customer that predates them open and unassigned.
+ */
+async function backfillConversationState({ dryRun = false } = {}) {
+  const summary = { customersScanned: 0, customersUpdated: 0, errors: [] };
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).get();
+  const operations = [];
+  
+  snapshot.docs.forEach(doc => {
+    summary.customersScanned++;
+    const profile = doc.data().profile || {};
+    const missing = Object.keys(NEW_CONVERSATION_STATE).filter(field => profile[field] === undefined);
+    if (missing.length === 0) return;
+    
+    console.log(`🗂️ ${dryRun ? '[DRY RUN] Would set' : 'Setting'} ${missing.join(', ')} for ${doc.id}`);
+    summary.customersUpdated++;
+    operations.push(batch => batch.update(doc.ref, Object.fromEntries(
+      missing.map(field => [`profile.${field}`, NEW_CONVERSATION_STATE[field]])
+    )));
+  });
+  
+  if (!dryRun) {
+    try {
+      await commitInBatches(operations);
+    } catch (error) {
+      console.error(`❌ Failed to update customers: ${error.message}`);
+      summary.errors.push({ error: error.message });
+    }
+  }
+  
+  console.log(`📊 Backfill complete: ${summary.customersUpdated} of ${summary.customersScanned} customers updated, ${summary.errors.length} errors`);
+  return summary;
+}
+
+/**
+ * One-off migration: move each customer's conversations array into a messages subcollection.
+ * Safe to re-run - message IDs are kept, so already migrated messages are just overwritten.
+ */
+async function migrateConversationsToSubcollections({ dryRun = false } = {}) {
+  const summary = { customersScanned: 0, customersMigrated: 0, messagesMigrated: 0, errors: [] };
+  const snapshot = await db.collection(CUSTOMER_COMMUNICATIONS_COLLECTION).get();
+  
+  for (const doc of snapshot.docs) {
+    summary.customersScanned++;
+    const conversations = doc.data().conversations;
+    
+    if (!Array.isArray(conversations)) {
+      continue;
+    }
+    
+    try {
+      const messagesRef = doc.ref.collection(MESSAGES_SUBCOLLECTION);
+      const seenIds = new Set();
+      
+      const messages = conversations.map(message => {
+        // Older messages used msg_<timestamp> IDs, which can collide
+        let id = message.id || message.channelData?.twilioSid;
+        if (!id || seenIds.has(id)) {
+          id = messagesRef.doc().id;
+        }
+        seenIds.add(id);
+        
+        return {
+          ...message,
+          id,
+          timestamp: convertFirestoreTimestamp(message.timestamp) || new Date(0),
+          readAt: convertFirestoreTimestamp(message.readAt),
+          isRead: message.isRead ?? message.direction === 'outbound',
+          status: message.status || 'received'
+        };
+      });
+      
+      console.log(`📦 ${dryRun ? '[DRY RUN] Would migrate' : 'Migrating'} ${messages.length} messages for customer ${doc.id}`);
+      
+      if (!dryRun) {
+        await commitInBatches(messages.map(message => batch => batch.set(messagesRef.doc(message.id), message)));
+        await doc.ref.update({ conversations: admin.firestore.FieldValue.delete() });
+        
+        // Recalculate from the subcollection so messages stored since deploy are counted too
+        await recalculateCustomerSummary(doc.ref);
+      }
+      
+      summary.customersMigrated++;
+      summary.messagesMigrated += messages.length;
+    } catch (error) {
+      console.error(`❌ Failed to migrate customer ${doc.id}: ${error.message}`);
+      summary.errors.push({ customerId: doc.id, error: error.message });
+    }
+  }
+  
+  console.log(`📊 Migration complete: ${summary.customersMigrated} customers, ${summary.messagesMigrated} messages, ${summary.errors.length} errors`);
+  return summary;
+}
+
 module.exports = {
-  normalizePhoneNumber,
+  getPhoneBasedCustomerId,
+  resolveCustomerAlias,
+  getCustomerTimezone,
+  getCustomerTimezoneById,
+  getSmsConsent,
+  isPhoneSuppressed,
+  setSmsConsent,
+  listContactActivity,
+  updateMessageStatus,
+  getCustomerSmsConsent,
+  updateCustomerSmsConsent,
+  claimIdempotencyKey,
+  releaseIdempotencyKey,
+  commitInBatches,
   getCustomerIdFromPhone,
   storeCustomerMessage,
-  getCustomerConversations,
+  getCustomerMessages,
+  listConversations,
+  updateConversationState,
+  reopenSnoozedConversations,
+  listCustomerNotes,
+  addCustomerNote,
+  deleteCustomerNote,
+  getCustomerMessagesPage,
+  searchMessages,
   sendReplyToCustomer,
   markConversationAsRead,
-  fixCustomerProfile
+  watchInboxChanges,
+  fixCustomerProfile,
+  findDuplicateCustomers,
+  mergeCustomers,
+  migrateConversationsToSubcollections,
+  backfillLastActivity,
+  backfillCustomerTimezones,
+  backfillConversationState,
+  rebuildSearchIndex,
+  rekeyPhoneCustomers
 };
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { storeCustomerMessage, getCustomerIdFromPhone, setSmsConsent, claimIdempotencyKey, releaseIdempotencyKey } = require('./firestore');
+const { detectConsentKeyword, getKeywordReply } = require('./consent');
+const { storeInboundMedia } = require('./media');
+
+/**
+ * Update consent for STOP/START and return the confirmation to send back (HELP gets contact details)
+ */
+async function handleConsentKeyword(inbound, customerId) {
+  const consentKeyword = detectConsentKeyword(inbound.body);
+  if (!consentKeyword) return [];
+  
+  console.log(`📋 Consent keyword "${consentKeyword.keyword}" from ${inbound.from}`);
+  
+  if (consentKeyword.type !== 'help') {
+    await setSmsConsent(inbound.from, consentKeyword.type === 'opt_out' ? 'opted_out' : 'opted_in', {
+      customerId,
+      source: 'keyword',
+      keyword: consentKeyword.keyword
+    });
+  }
+  
+  return [getKeywordReply(consentKeyword.type)];
+}
+
+/**
+ * Store a customer's incoming message and handle STOP/START/HELP.
+ * inbound is the provider's parsed webhook ({ sid, from, to, body, numMedia, media }).
+ * Returns { customerId, stored, duplicate, replies } - replies are sent back in the webhook response.
+ * A retried webhook for a MessageSid already handled gets no replies, so keyword confirmations go out once.
+ */
+async function handleInboundMessage(inbound) {
+  // Twilio retries webhooks it didn't get an answer to - only the first delivery is handled, and
+  // it's claimed before the slow customer lookup and media downloads so a retry returns straight away
+  const inboundKey = `inbound_${inbound.sid}`;
+  if (!(await claimIdempotencyKey(inboundKey, { from: inbound.from, direction: 'inbound' }))) {
+    console.log(`⏭️ Inbound message ${inbound.sid} already handled, skipping duplicate`);
+    return { customerId: null, stored: true, duplicate: true, replies: [] };
+  }
+  
+  try {
+    console.log(`🔍 Looking up customer for phone: ${inbound.from}`);
+    const customerId = await getCustomerIdFromPhone(inbound.from);
+    console.log(`👤 Customer ID: ${customerId}`);
+    
+    // Copy attachments into our own storage - provider media URLs need account credentials
+    const media = await storeInboundMedia(inbound);
+    
+    const stored = await storeCustomerMessage({
+      customerId: customerId,
+      channel: inbound.numMedia > 0 ? 'mms' : 'sms',
+      direction: 'inbound',
+      content: inbound.body || '',
+      media,
+      channelData: {
+        from: inbound.from,
+        to: inbound.to,
+        twilioSid: inbound.sid,
+        numMedia: inbound.numMedia
+      },
+      timestamp: new Date()
+    });
+    
+    if (stored) {
+      console.log(`✅ Stored SMS message for customer ${customerId}`);
+    } else {
+      console.log(`⚠️ Failed to store SMS message for customer ${customerId}`);
+      await releaseIdempotencyKey(inboundKey);
+    }
+    
+    // Opt-out compliance: STOP/START update consent, HELP gets contact details
+    const replies = await handleConsentKeyword(inbound, customerId);
+    
+    return { customerId, stored, duplicate: false, replies };
+  } catch (error) {
+    // Leave the message to Twilio's retry
+    await releaseIdempotencyKey(inboundKey);
+    throw error;
+  }
+}
+
+module.exports = {
+  handleInboundMessage
+};
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const admin = require('firebase-admin');
+const { getSmsProvider } = require('./sms-provider');
+
+const MEDIA_BUCKET = process.env.FIREBASE_STORAGE_BUCKET || null;
+const isVercel = process.env.VERCEL;
+
+// Vercel's filesystem is read-only apart from /tmp, which doesn't survive between invocations
+const MEDIA_STORAGE_DIR = process.env.MEDIA_STORAGE_DIR ||
+  (isVercel ? path.join(os.tmpdir(), 'sms-media') : path.join(__dirname, '..', 'media'));
+
+// Twilio caps MMS at 5MB - allow some headroom but don't buffer anything unbounded
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024;
+
+// Outbound attachments staff can upload from the reply box - Twilio allows up to 10 per message
+// and rejects messages whose media add up to more than 5MB, so the limit is on the combined size
+const ALLOWED_UPLOAD_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+const ATTACHMENTS_TOO_LARGE = `Attachments must total under ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB`;
+
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'video/quicktime': 'mov',
+  'audio/mpeg': 'mp3',
+  'audio/amr': 'amr',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf',
+  'text/vcard': 'vcf',
+  'text/x-vcard': 'vcf'
+};
+
+if (!MEDIA_BUCKET) {
+  console.log(`📁 MMS media will be stored on local disk at ${MEDIA_STORAGE_DIR}`);
+  if (isVercel) {
+    console.log('⚠️ FIREBASE_STORAGE_BUCKET is not set - media stored in /tmp will be lost between invocations');
+  }
+}
+
+/**
+ * Only allow Twilio-style SIDs and numeric indexes into storage paths
+ */
+function isValidMediaReference(messageSid, index) {
+  return /^[A-Z]{2}[0-9a-f]{32}$/i.test(messageSid) && /^\d{1,2}$/.test(String(index));
+}
+
+/**
+ * File extension for a stored attachment, from its MIME type
+ */
+function getMediaExtension(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return MEDIA_EXTENSIONS[type] || 'bin';
+}
+
+/**
+ * URL the inbox uses to load a stored attachment (served behind login by routes/sms.js)
+ */
+function getMediaUrl(messageSid, index) {
+  return `/api/sms/media/${messageSid}/${index}`;
+}
+
+/**
+ * Unauthenticated URL for an outbound attachment - Twilio fetches it when sending the MMS,
+ * so access relies on the random media ID being unguessable
+ */
+function getOutboundMediaUrl(mediaId) {
+  return `/webhook/media/${mediaId}`;
+}
+
+/**
+ * Write a media file to the configured bucket, or local disk if no bucket is set
+ */
+async function saveMediaFile(objectPath, buffer, contentType) {
+  if (MEDIA_BUCKET) {
+    await admin.storage().bucket(MEDIA_BUCKET).file(objectPath).save(buffer, {
+      contentType,
+      resumable: false,
+      metadata: { cacheControl: 'private, max-age=86400' }
+    });
+    return 'bucket';
+  }
+  
+  const filePath = path.join(MEDIA_STORAGE_DIR, objectPath);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+  return 'local';
+}
+
+/**
+ * Download one inbound attachment through the SMS provider (Twilio's need account credentials) and store a copy we control
+ */
+async function storeProviderMedia(messageSid, index, mediaUrl, contentType) {
+  const mediaItem = {
+    index,
+    contentType: contentType || 'application/octet-stream',
+    url: getMediaUrl(messageSid, index),
+    sourceUrl: mediaUrl
+  };
+  
+  try {
+    const download = await getSmsProvider().downloadMedia(mediaUrl, { maxBytes: MAX_MEDIA_BYTES });
+    
+    const buffer = download.buffer;
+    const resolvedType = contentType || download.contentType || mediaItem.contentType;
+    const objectPath = `mms/${messageSid}/${index}.${getMediaExtension(resolvedType)}`;
+    
+    mediaItem.contentType = resolvedType;
+    mediaItem.size = buffer.length;
+    mediaItem.path = objectPath;
+    mediaItem.storage = await saveMediaFile(objectPath, buffer, resolvedType);
+    
+    console.log(`📎 Stored media ${index} for ${messageSid} (${resolvedType}, ${buffer.length} bytes)`);
+  } catch (error) {
+    // Keep the provider's URL so the attachment can be recovered later
+    console.error(`❌ Error downloading media ${index} for ${messageSid}: ${error.message}`);
+    mediaItem.url = null;
+    mediaItem.error = error.message;
+  }
+  
+  return mediaItem;
+}
+
+/**
+ * Store every attachment on an inbound message (as parsed by the SMS provider)
+ */
+async function storeInboundMedia(inbound) {
+  if (inbound.media.length === 0 || !isValidMediaReference(inbound.sid, 0)) {
+    return [];
+  }
+  
+  return Promise.all(inbound.media.map((item, index) =>
+    storeProviderMedia(inbound.sid, index, item.url, item.contentType)
+  ));
+}
+
+/**
+ * Combined size in bytes of files uploaded from the reply box (multer files)
+ */
+function getAttachmentsSize(files = []) {
+  return files.reduce((total, file) => total + file.size, 0);
+}
+
+/**
+ * Store files uploaded from the reply box (multer memory-storage files) so Twilio can fetch them
+ */
+async function storeOutboundMedia(files) {
+  return Promise.all(files.map(async (file, index) => {
+    const mediaId = crypto.randomBytes(16).toString('hex');
+    const objectPath = `outbound/${mediaId}.${getMediaExtension(file.mimetype)}`;
+    const storage = await saveMediaFile(objectPath, file.buffer, file.mimetype);
+    
+    console.log(`📎 Stored outbound attachment ${file.originalname} (${file.mimetype}, ${file.size} bytes)`);
+    
+    return {
+      index,
+      contentType: file.mimetype,
+      size: file.size,
+      fileName: file.originalname,
+      url: getOutboundMediaUrl(mediaId),
+      path: objectPath,
+      storage
+    };
+  }));
+}
+
+/**
+ * Open the first stored file in a directory whose name starts with the given prefix
+ * Returns { stream, contentType, size } or null if it doesn't exist
+ */
+async function openMediaFile(directory, namePrefix) {
+  if (MEDIA_BUCKET) {
+    const [files] = await admin.storage().bucket(MEDIA_BUCKET).getFiles({ prefix: `${directory}/${namePrefix}`, maxResults: 1 });
+    if (files.length === 0) return null;
+    
+    const [metadata] = await files[0].getMetadata();
+    return {
+      stream: files[0].createReadStream(),
+      contentType: metadata.contentType,
+      size: metadata.size
+    };
+  }
+  
+  const localDirectory = path.join(MEDIA_STORAGE_DIR, directory);
+  const fileName = (await fs.promises.readdir(localDirectory).catch(() => []))
+    .find(name => name.startsWith(namePrefix));
+  
+  if (!fileName) return null;
+  
+  const filePath = path.join(localDirectory, fileName);
+  const contentType = Object.keys(MEDIA_EXTENSIONS)
+    .find(type => MEDIA_EXTENSIONS[type] === path.extname(fileName).slice(1)) || 'application/octet-stream';
+  
+  return {
+    stream: fs.createReadStream(filePath),
+    contentType,
+    size: (await fs.promises.stat(filePath)).size
+  };
+}
+
+/**
+ * Find a stored inbound attachment and open it for streaming
+ */
+async function getMediaFile(messageSid, index) {
+  if (!isValidMediaReference(messageSid, index)) {
+    return null;
+  }
+  
+  return openMediaFile(`mms/${messageSid}`, `${index}.`);
+}
+
+/**
+ * Find a stored outbound attachment by its media ID and open it for streaming
+ */
+async function getOutboundMediaFile(mediaId) {
+  if (!/^[0-9a-f]{32}$/.test(mediaId)) {
+    return null;
+  }
+  
+  return openMediaFile('outbound', `${mediaId}.`);
+}
+
+module.exports = {
+  ALLOWED_UPLOAD_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS,
+  ATTACHMENTS_TOO_LARGE,
+  getAttachmentsSize,
+  getMediaUrl,
+  storeInboundMedia,
+  storeOutboundMedia,
+  getMediaFile,
+  getOutboundMediaFile
+};
@@ -0,0 +1,141 @@
+const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || 'AU').toUpperCase();
+
+/**
+ * Numbering rules for the regions we normalise national-format numbers for.
+ * nationalPattern matches the national significant number (no trunk prefix).
+ */
+const PHONE_REGIONS = {
+  AU: {
+    countryCode: '61',
+    trunkPrefix: '0',
+    internationalPrefix: '0011',
+    nationalPattern: /^[23478]\d{8}$/ // 2/3/7/8 landlines, 4 mobiles
+  },
+  US: {
+    countryCode: '1',
+    trunkPrefix: '1',
+    internationalPrefix: '011',
+    nationalPattern: /^[2-9]\d{9}$/
+  }
+};
+
+/**
+ * Find the region rules for a number already in international digits (country code first)
+ */
+function getRegionForInternationalDigits(digits) {
+  return Object.values(PHONE_REGIONS).find(rules => digits.startsWith(rules.countryCode)) || null;
+}
+
+/**
+ * Validate international digits and return them in E.164, or null if they can't be a real number
+ */
+function toE164(digits) {
+  const rules = getRegionForInternationalDigits(digits);
+  
+  if (rules) {
+    let national = digits.slice(rules.countryCode.length);
+    
+    // Numbers written as +61 (0)4xx xxx xxx keep the trunk prefix after the country code
+    if (rules.trunkPrefix === '0' && national.startsWith('0')) {
+      national = national.slice(1);
+    }
+    
+    return rules.nationalPattern.test(national) ? `+${rules.countryCode}${national}` : null;
+  }
+  
+  // Other countries - only check the general E.164 shape
+  if (/^[1-9]\d{7,14}$/.test(digits)) {
+    return `+${digits}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Normalize a phone number to E.164 format for consistent matching.
+ * Numbers without a country code are read in the given region (DEFAULT_PHONE_REGION, AU by default).
+ * Returns null if the number can't be valid.
+ */
+function normalizePhoneNumber(phoneNumber, region = DEFAULT_PHONE_REGION) {
+  if (!phoneNumber) return null;
+  
+  const raw = String(phoneNumber).trim();
+  const digits = raw.replace(/\D/g, '');
+  const rules = PHONE_REGIONS[region.toUpperCase()] || PHONE_REGIONS.AU;
+  
+  if (!digits) return null;
+  
+  // Already international: +61 4xx, or dialled with the international prefix (0011 61 4xx)
+  if (raw.startsWith('+')) {
+    return toE164(digits);
+  }
+  if (digits.startsWith(rules.internationalPrefix)) {
+    return toE164(digits.slice(rules.internationalPrefix.length));
+  }
+  
+  // National format with trunk prefix: 04xx xxx xxx, 02 xxxx xxxx, 1 555 xxx xxxx
+  if (digits.startsWith(rules.trunkPrefix) && rules.nationalPattern.test(digits.slice(rules.trunkPrefix.length))) {
+    return `+${rules.countryCode}${digits.slice(rules.trunkPrefix.length)}`;
+  }
+  
+  // National number without trunk prefix: 4xx xxx xxx
+  if (rules.nationalPattern.test(digits)) {
+    return `+${rules.countryCode}${digits}`;
+  }
+  
+  // Country code without the plus: 61 4xx xxx xxx
+  return toE164(digits);
+}
+
+/**
+ * Check whether a phone number can be normalized to a valid E.164 number
+ */
+function isValidPhoneNumber(phoneNumber, region = DEFAULT_PHONE_REGION) {
+  return normalizePhoneNumber(phoneNumber, region) !== null;
+}
+
+/**
+ * Convert a phone number to national format for the default region (e.g. 0412345678)
+ */
+function toNationalFormat(phoneNumber, region = DEFAULT_PHONE_REGION) {
+  const normalized = normalizePhoneNumber(phoneNumber, region);
+  const rules = PHONE_REGIONS[region.toUpperCase()] || PHONE_REGIONS.AU;
+  
+  if (!normalized || !normalized.startsWith(`+${rules.countryCode}`)) {
+    return null;
+  }
+  
+  return rules.trunkPrefix + normalized.slice(rules.countryCode.length + 1);
+}
+
+/**
+ * Format phone number for display
+ */
+function formatPhoneNumber(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  
+  if (!normalized) return phoneNumber || '';
+  
+  // Australian mobiles: +61 412 345 678, landlines: +61 2 9876 5432
+  if (normalized.startsWith('+614')) {
+    return `+61 ${normalized.slice(3, 6)} ${normalized.slice(6, 9)} ${normalized.slice(9)}`;
+  }
+  if (normalized.startsWith('+61')) {
+    return `+61 ${normalized.slice(3, 4)} ${normalized.slice(4, 8)} ${normalized.slice(8)}`;
+  }
+  
+  // US/Canada: +1 (555) 123-4567
+  if (normalized.startsWith('+1')) {
+    return `+1 (${normalized.slice(2, 5)}) ${normalized.slice(5, 8)}-${normalized.slice(8)}`;
+  }
+  
+  return normalized;
+}
+
+module.exports = {
+  DEFAULT_PHONE_REGION,
+  normalizePhoneNumber,
+  isValidPhoneNumber,
+  toNationalFormat,
+  formatPhoneNumber
+};
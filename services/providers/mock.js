@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Mock SMS provider for local development and tests - nothing leaves the machine.
+ * Sends are recorded (in memory, or in MOCK_SMS_FILE so they survive restarts and can be
+ * inspected), and fake inbound messages can be injected through the same path as a real webhook.
+ * Numbers in MOCK_SMS_FAILING_NUMBERS fail with Twilio's "unreachable handset" error so retries can be tried out.
+ */
+
+const MOCK_SMS_PHONE_NUMBER = process.env.MOCK_SMS_PHONE_NUMBER || process.env.TWILIO_PHONE_NUMBER || '+61400000000';
+const MOCK_SMS_FILE = process.env.MOCK_SMS_FILE ? path.resolve(process.env.MOCK_SMS_FILE) : null;
+const MOCK_SMS_WEBHOOK_SECRET = process.env.MOCK_SMS_WEBHOOK_SECRET || null;
+const FAILING_NUMBERS = (process.env.MOCK_SMS_FAILING_NUMBERS || '').split(',').map(number => number.trim()).filter(Boolean);
+
+// Keep the log from growing without bound in a long-running dev server
+const MAX_STORED_MESSAGES = 500;
+
+const isProduction = process.env.VERCEL || process.env.NODE_ENV === 'production';
+
+let store = null;
+
+/**
+ * The recorded messages, loaded from MOCK_SMS_FILE on first use
+ */
+function getStore() {
+  if (store) return store;
+  
+  store = { sent: [], inbound: [] };
+  if (MOCK_SMS_FILE && fs.existsSync(MOCK_SMS_FILE)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(MOCK_SMS_FILE, 'utf8'));
+      store.sent = Array.isArray(saved.sent) ? saved.sent : [];
+      store.inbound = Array.isArray(saved.inbound) ? saved.inbound : [];
+    } catch (error) {
+      console.error(`⚠️ Could not read mock SMS log ${MOCK_SMS_FILE}, starting empty: ${error.message}`);
+    }
+  }
+  return store;
+}
+
+/**
+ * Write the log back to MOCK_SMS_FILE (memory-only when it isn't set)
+ */
+function saveStore() {
+  const current = getStore();
+  current.sent = current.sent.slice(-MAX_STORED_MESSAGES);
+  current.inbound = current.inbound.slice(-MAX_STORED_MESSAGES);
+  
+  if (MOCK_SMS_FILE) {
+    fs.mkdirSync(path.dirname(MOCK_SMS_FILE), { recursive: true });
+    fs.writeFileSync(MOCK_SMS_FILE, JSON.stringify(current, null, 2));
+  }
+}
+
+/**
+ * Message SID in Twilio's format (SM/MM + 32 hex), so media storage and status tracking accept it
+ */
+function generateSid(hasMedia = false) {
+  return `${hasMedia ? 'MM' : 'SM'}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Stored messages with their timestamps back as Dates
+ */
+function toMessage(record) {
+  return { ...record, dateCreated: new Date(record.dateCreated) };
+}
+
+/**
+ * Record an outbound message. Failing numbers throw like a Twilio API error would.
+ */
+async function send({ to, body, mediaUrls = [], statusCallback = null }) {
+  if (FAILING_NUMBERS.includes(to)) {
+    const error = new Error(`Mock provider: ${to} is unreachable`);
+    error.code = 30003;
+    throw error;
+  }
+  
+  const record = {
+    sid: generateSid(mediaUrls.length > 0),
+    from: MOCK_SMS_PHONE_NUMBER,
+    to,
+    body: body || '',
+    mediaUrls,
+    statusCallback,
+    status: 'delivered',
+    dateCreated: new Date().toISOString()
+  };
+  
+  getStore().sent.push(record);
+  saveStore();
+  
+  console.log(`🧪 Mock SMS to ${to} recorded (${record.sid})`);
+  return { sid: record.sid, status: record.status };
+}
+
+/**
+ * Mock messages are delivered as soon as they're recorded
+ */
+async function getMessageStatus(sid) {
+  const record = getStore().sent.find(message => message.sid === sid);
+  if (!record) {
+    const error = new Error(`Mock provider: no message ${sid}`);
+    error.code = 20404;
+    throw error;
+  }
+  return { sid, status: record.status, errorCode: null, errorMessage: null };
+}
+
+/**
+ * Recorded messages to a phone number, newest first
+ */
+async function listMessages({ to, limit = 20 }) {
+  return getStore().sent
+    .filter(message => !to || message.to === to)
+    .slice(-limit)
+    .reverse()
+    .map(toMessage);
+}
+
+/**
+ * Read a mock inbound webhook - plain field names rather than Twilio's
+ */
+function parseInboundMessage(webhookBody) {
+  const media = Array.isArray(webhookBody.media) ? webhookBody.media : [];
+  
+  return {
+    sid: webhookBody.sid,
+    from: webhookBody.from,
+    to: webhookBody.to || MOCK_SMS_PHONE_NUMBER,
+    body: webhookBody.body || '',
+    numMedia: media.length,
+    media: media.map(item => ({ url: item.url, contentType: item.contentType || null }))
+  };
+}
+
+function parseStatusCallback(webhookBody) {
+  return {
+    sid: webhookBody.sid,
+    status: webhookBody.status,
+    errorCode: webhookBody.errorCode || null,
+    errorMessage: webhookBody.errorMessage || null
+  };
+}
+
+/**
+ * Webhooks are signed with MOCK_SMS_WEBHOOK_SECRET when it's set. Without one, unsigned
+ * requests are only accepted outside production.
+ */
+function validateSignature(req) {
+  if (MOCK_SMS_WEBHOOK_SECRET) {
+    const signature = req.get('x-mock-signature') || '';
+    const expected = Buffer.from(MOCK_SMS_WEBHOOK_SECRET);
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), expected);
+  }
+  return !isProduction;
+}
+
+/**
+ * Replies to an inbound message are recorded as sends, the way Twilio would send them
+ */
+function buildWebhookResponse(replies = [], inbound = null) {
+  if (replies.length > 0) {
+    const current = getStore();
+    replies.forEach(reply => current.sent.push({
+      sid: generateSid(),
+      from: MOCK_SMS_PHONE_NUMBER,
+      to: inbound ? inbound.from : null,
+      body: reply,
+      mediaUrls: [],
+      statusCallback: null,
+      status: 'delivered',
+      dateCreated: new Date().toISOString(),
+      autoReply: true
+    }));
+    saveStore();
+  }
+  
+  return { contentType: 'application/json', body: JSON.stringify({ replies }) };
+}
+
+/**
+ * Attachments on injected messages can be data: URLs or any public URL
+ */
+async function downloadMedia(url, { maxBytes }) {
+  const dataUrl = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(url);
+  if (dataUrl) {
+    const buffer = dataUrl[2] ? Buffer.from(dataUrl[3], 'base64') : Buffer.from(decodeURIComponent(dataUrl[3]));
+    if (buffer.length > maxBytes) {
+      throw new Error('Attachment is too large');
+    }
+    return { buffer, contentType: dataUrl[1] || 'application/octet-stream' };
+  }
+  
+  const response = await axios.get(url, { responseType: 'arraybuffer', maxContentLength: maxBytes, timeout: 10000 });
+  return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || null };
+}
+
+async function validateConfig() {
+  console.log(`🧪 Mock SMS provider active - messages are recorded${MOCK_SMS_FILE ? ` in ${MOCK_SMS_FILE}` : ' in memory'}, not sent`);
+  return true;
+}
+
+/**
+ * Build a fake inbound message as the mock webhook would receive it. Pass the result to the
+ * inbound handler (or POST it to /webhook/sms) to simulate a customer texting in.
+ */
+function injectInboundMessage({ from, body = '', media = [] }) {
+  const webhookBody = {
+    sid: generateSid(media.length > 0),
+    from,
+    to: MOCK_SMS_PHONE_NUMBER,
+    body,
+    media
+  };
+  
+  getStore().inbound.push({ ...webhookBody, dateCreated: new Date().toISOString() });
+  saveStore();
+  
+  return webhookBody;
+}
+
+/**
+ * Everything the mock has sent (optionally to one number), oldest first
+ */
+function getSentMessages({ to = null } = {}) {
+  return getStore().sent.filter(message => !to || message.to === to).map(toMessage);
+}
+
+function getInboundMessages() {
+  return getStore().inbound.map(toMessage);
+}
+
+function clearMessages() {
+  store = { sent: [], inbound: [] };
+  saveStore();
+}
+
+module.exports = {
+  name: 'mock',
+  phoneNumber: MOCK_SMS_PHONE_NUMBER,
+  requiredEnvVars: [],
+  send,
+  getMessageStatus,
+  listMessages,
+  parseInboundMessage,
+  parseStatusCallback,
+  validateSignature,
+  buildWebhookResponse,
+  downloadMedia,
+  validateConfig,
+  injectInboundMessage,
+  getSentMessages,
+  getInboundMessages,
+  clearMessages
+};
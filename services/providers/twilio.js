@@ -0,0 +1,171 @@
+const twilio = require('twilio');
+const axios = require('axios');
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+
+let client = null;
+
+/**
+ * Twilio REST client, created on first use so requiring this module never needs credentials
+ */
+function getClient() {
+  if (!client) {
+    client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  }
+  return client;
+}
+
+/**
+ * Send an SMS, or an MMS when media URLs are given
+ */
+async function send({ to, body, mediaUrls = [], statusCallback = null }) {
+  const message = await getClient().messages.create({
+    ...(body ? { body } : {}),
+    from: TWILIO_PHONE_NUMBER,
+    to,
+    ...(mediaUrls.length > 0 ? { mediaUrl: mediaUrls } : {}),
+    ...(statusCallback ? { statusCallback } : {})
+  });
+  
+  return { sid: message.sid, status: message.status || 'queued' };
+}
+
+/**
+ * Current delivery status of a sent message
+ */
+async function getMessageStatus(sid) {
+  const message = await getClient().messages(sid).fetch();
+  return {
+    sid: message.sid,
+    status: message.status,
+    errorCode: message.errorCode || null,
+    errorMessage: message.errorMessage || null
+  };
+}
+
+/**
+ * Recent messages sent from our number to a phone number, newest first
+ */
+async function listMessages({ to, limit = 20 }) {
+  const messages = await getClient().messages.list({ to, from: TWILIO_PHONE_NUMBER, limit });
+  
+  return messages.map(message => ({
+    sid: message.sid,
+    from: message.from,
+    to: message.to,
+    body: message.body || '',
+    status: message.status,
+    dateCreated: message.dateCreated
+  }));
+}
+
+/**
+ * Read an incoming message webhook (From, To, Body, MessageSid, NumMedia, MediaUrlN, MediaContentTypeN)
+ */
+function parseInboundMessage(webhookBody) {
+  const numMedia = parseInt(webhookBody.NumMedia, 10) || 0;
+  const media = [];
+  
+  for (let i = 0; i < numMedia; i++) {
+    if (webhookBody[`MediaUrl${i}`]) {
+      media.push({ url: webhookBody[`MediaUrl${i}`], contentType: webhookBody[`MediaContentType${i}`] || null });
+    }
+  }
+  
+  return {
+    sid: webhookBody.MessageSid,
+    from: webhookBody.From,
+    to: webhookBody.To,
+    body: webhookBody.Body || '',
+    numMedia,
+    media
+  };
+}
+
+/**
+ * Read a delivery status callback
+ */
+function parseStatusCallback(webhookBody) {
+  return {
+    sid: webhookBody.MessageSid,
+    status: webhookBody.MessageStatus,
+    errorCode: webhookBody.ErrorCode || null,
+    errorMessage: webhookBody.ErrorMessage || null
+  };
+}
+
+/**
+ * Check the X-Twilio-Signature header against the URL Twilio called
+ */
+function validateSignature(req, url) {
+  const signature = req.get('x-twilio-signature');
+  
+  if (!signature || !TWILIO_AUTH_TOKEN) {
+    return false;
+  }
+  
+  const params = req.method === 'POST' ? (req.body || {}) : {};
+  return twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, params);
+}
+
+/**
+ * TwiML answering an inbound message - Twilio sends each reply, and an empty response sends nothing
+ */
+function buildWebhookResponse(replies = []) {
+  const twiml = new twilio.twiml.MessagingResponse();
+  replies.forEach(reply => twiml.message(reply));
+  return { contentType: 'text/xml', body: twiml.toString() };
+}
+
+/**
+ * Download an inbound attachment - Twilio media URLs need the account credentials
+ */
+async function downloadMedia(url, { maxBytes }) {
+  const response = await axios.get(url, {
+    auth: {
+      username: TWILIO_ACCOUNT_SID,
+      password: TWILIO_AUTH_TOKEN
+    },
+    responseType: 'arraybuffer',
+    maxContentLength: maxBytes,
+    timeout: 10000
+  });
+  
+  return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || null };
+}
+
+/**
+ * Check the credentials by fetching the account
+ */
+async function validateConfig() {
+  try {
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
+      throw new Error('Missing Twilio configuration');
+    }
+    
+    const account = await getClient().api.accounts(TWILIO_ACCOUNT_SID).fetch();
+    console.log(`✅ Twilio connection verified for account: ${account.friendlyName}`);
+    
+    return true;
+  } catch (error) {
+    console.error(`❌ Twilio configuration error: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  name: 'twilio',
+  phoneNumber: TWILIO_PHONE_NUMBER,
+  requiredEnvVars: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'],
+  send,
+  getMessageStatus,
+  listMessages,
+  parseInboundMessage,
+  parseStatusCallback,
+  validateSignature,
+  buildWebhookResponse,
+  downloadMedia,
+  validateConfig
+};
@@ -0,0 +1,97 @@
+const { BUSINESS_TIMEZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse a send window like "08:00-20:00" and an optional day list like "Mon,Tue,Sat"
+ */
+function parseSendWindow(windowText, daysText, fallback) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec((windowText || '').trim());
+  const start = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  const end = match ? parseInt(match[3]) * 60 + parseInt(match[4]) : null;
+  
+  if (windowText && (!match || start >= end || end > 24 * 60)) {
+    console.error(`⚠️ Invalid send window "${windowText}", using ${fallback}`);
+  }
+  
+  const days = daysText ?
+    daysText.split(',').map(day => WEEKDAYS.findIndex(name => name.toLowerCase() === day.trim().slice(0, 3).toLowerCase())).filter(day => day >= 0) :
+    [0, 1, 2, 3, 4, 5, 6];
+  
+  if (!match || start >= end || end > 24 * 60) {
+    return parseSendWindow(fallback, daysText, fallback);
+  }
+  
+  return { start, end, days: days.length > 0 ? days : [0, 1, 2, 3, 4, 5, 6] };
+}
+
+/**
+ * When texts may go out, in the customer's local time. Bulk sends are marketing-style and get
+ * a narrower window; one-to-one replies outside their window need an explicit override.
+ */
+const SEND_WINDOWS = {
+  bulk: parseSendWindow(process.env.BULK_SEND_WINDOW, process.env.BULK_SEND_DAYS, '08:00-20:00'),
+  reply: parseSendWindow(process.env.REPLY_SEND_WINDOW, process.env.REPLY_SEND_DAYS, '07:00-21:00')
+};
+
+/**
+ * Minutes since midnight as a short clock time, e.g. 1230 -> "8:30pm"
+ */
+function formatMinutes(minutes) {
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+  const suffix = hour >= 12 && hour < 24 ? 'pm' : 'am';
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return minute === 0 ? `${displayHour}${suffix}` : `${displayHour}:${String(minute).padStart(2, '0')}${suffix}`;
+}
+
+/**
+ * Format an instant for quiet-hours messages, e.g. "Sat 8am"
+ */
+function formatWindowTime(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return `${WEEKDAYS[parts.weekday]} ${formatMinutes(parts.hour * 60 + parts.minute)}`;
+}
+
+/**
+ * Check whether a bulk send or reply may go out now in the given timezone.
+ * Returns { allowed, nextAllowedAt, reason } - reason explains the hold-up when not allowed.
+ */
+function checkSendWindow(kind, timeZone = BUSINESS_TIMEZONE, at = new Date()) {
+  const window = SEND_WINDOWS[kind] || SEND_WINDOWS.bulk;
+  const zone = timeZone || BUSINESS_TIMEZONE;
+  const now = getZonedParts(at, zone);
+  const minutes = now.hour * 60 + now.minute;
+  
+  if (window.days.includes(now.weekday) && minutes >= window.start && minutes < window.end) {
+    return { allowed: true, nextAllowedAt: at, reason: null };
+  }
+  
+  // Find the start of the next allowed window, looking up to a week ahead
+  let nextAllowedAt = null;
+  for (let offset = 0; offset <= 7 && !nextAllowedAt; offset++) {
+    const day = new Date(Date.UTC(now.year, now.month - 1, now.day + offset));
+    if (!window.days.includes(day.getUTCDay())) continue;
+    
+    const candidate = zonedTimeToUtc(
+      day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+      Math.floor(window.start / 60), window.start % 60, zone
+    );
+    if (candidate > at) {
+      nextAllowedAt = candidate;
+    }
+  }
+  
+  const label = kind === 'reply' ? 'replies' : 'bulk messages';
+  return {
+    allowed: false,
+    nextAllowedAt,
+    reason: `Quiet hours - ${label} go out ${formatMinutes(window.start)}-${formatMinutes(window.end)} ` +
+      `(${zone}), it's ${formatWindowTime(at, zone)} there. Next window: ${nextAllowedAt ? formatWindowTime(nextAllowedAt, zone) : 'none'}`
+  };
+}
+
+module.exports = {
+  SEND_WINDOWS,
+  checkSendWindow
+};
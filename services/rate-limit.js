@@ -0,0 +1,51 @@
+/**
+ * Token bucket: up to `burst` sends straight away, then `ratePerSecond` after that.
+ * take() resolves when a token is free, so callers queue up in order.
+ */
+function createTokenBucket({ ratePerSecond, burst = ratePerSecond }) {
+  const capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+  
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  }
+  
+  async function waitForToken() {
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  }
+  
+  return {
+    take() {
+      queue = queue.then(waitForToken);
+      return queue;
+    }
+  };
+}
+
+/**
+ * Exponential backoff with jitter - a random delay between half and all of base * 2^(attempt - 1),
+ * capped at maxMs, so retries from several sends don't all land on the provider at the same moment
+ */
+function backoffDelay(attempt, { baseMs, maxMs }) {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createTokenBucket,
+  backoffDelay,
+  sleep
+};
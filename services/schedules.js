@@ -0,0 +1,422 @@
+const admin = require('firebase-admin');
+const { sendReplyToCustomer, getCustomerTimezoneById } = require('./firestore');
+const { createCampaign } = require('./campaigns');
+const { fetchOrdersForSMS } = require('./shopify');
+const { BUSINESS_TIMEZONE, getZonedParts, zonedTimeToUtc, parseLocalDateTime } = require('./timezone');
+const { checkSendWindow } = require('./quiet-hours');
+const { validateTemplate, validateBulkMessages } = require('./template-engine');
+
+const db = admin.firestore();
+const SCHEDULES_COLLECTION = process.env.SCHEDULES_COLLECTION || 'sms-schedules';
+
+const SCHEDULE_TYPES = ['bulk', 'reply'];
+const EDITABLE_STATUSES = ['active', 'paused'];
+
+/**
+ * Error carrying the HTTP status the schedule routes should respond with
+ */
+function scheduleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate a recurrence rule: { daysOfWeek: [0-6, Sunday = 0], time: "HH:MM" } in business time
+ */
+function normalizeRecurrence(recurrence) {
+  if (!recurrence) return null;
+  
+  const daysOfWeek = [...new Set((recurrence.daysOfWeek || []).map(Number))]
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    .sort();
+  const match = /^(\d{1,2}):(\d{2})$/.exec(recurrence.time || '');
+  
+  if (daysOfWeek.length === 0) {
+    throw scheduleError('Recurring schedules need at least one day of the week');
+  }
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    throw scheduleError('Recurring schedules need a time in HH:MM format');
+  }
+  
+  return { daysOfWeek, time: `${match[1].padStart(2, '0')}:${match[2]}` };
+}
+
+/**
+ * Next time a recurrence rule fires strictly after the given instant
+ */
+function getNextOccurrence(recurrence, after = new Date()) {
+  const [hour, minute] = recurrence.time.split(':').map(Number);
+  const today = getZonedParts(after);
+  
+  // Walk forward from today's business-timezone date; a week plus a day always finds the next slot
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!recurrence.daysOfWeek.includes(day.getUTCDay())) continue;
+    
+    const candidate = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute);
+    if (candidate > after) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build a schedule document from an API request body. Throws a 400 scheduleError if it's invalid.
+ */
+async function buildScheduleFields(input, existing = null) {
+  const type = existing ? existing.type : input.type;
+  if (!SCHEDULE_TYPES.includes(type)) {
+    throw scheduleError('Schedule type must be bulk or reply');
+  }
+  
+  const fields = {
+    name: (input.name ?? existing?.name ?? '').toString().trim() || (type === 'reply' ? 'Scheduled reply' : 'Scheduled bulk SMS'),
+    message: input.message ?? existing?.message ?? ''
+  };
+  
+  if (input.recurrence !== undefined || input.sendAt !== undefined || !existing) {
+    if (input.recurrence) {
+      fields.recurrence = normalizeRecurrence(input.recurrence);
+      fields.sendAt = null;
+      fields.nextRunAt = getNextOccurrence(fields.recurrence);
+    } else {
+      const sendAt = parseLocalDateTime(input.sendAt);
+      if (!sendAt) {
+        throw scheduleError('A send time or recurrence rule is required');
+      }
+      if (sendAt <= new Date()) {
+        throw scheduleError('Send time must be in the future');
+      }
+      fields.recurrence = null;
+      fields.sendAt = sendAt;
+      fields.nextRunAt = sendAt;
+    }
+  }
+  
+  if (type === 'reply') {
+    fields.customerId = input.customerId ?? existing?.customerId;
+    if (!fields.customerId || !fields.message) {
+      throw scheduleError('Scheduled replies need a customer and a message');
+    }
+    if (fields.recurrence) {
+      throw scheduleError('Replies can only be scheduled once');
+    }
+    
+    // Replies in quiet hours need the same explicit override as sending one now - in the
+    // customer's timezone, as when the reply goes out
+    fields.customerTimezone = await getCustomerTimezoneById(fields.customerId);
+    fields.overrideQuietHours = Boolean(input.overrideQuietHours ?? existing?.overrideQuietHours);
+    if (fields.sendAt && !fields.overrideQuietHours) {
+      const sendWindow = checkSendWindow('reply', fields.customerTimezone, fields.sendAt);
+      if (!sendWindow.allowed) {
+        const error = scheduleError(sendWindow.reason, 409);
+        error.quietHours = true;
+        throw error;
+      }
+    }
+  } else {
+    // Bulk sends either carry the orders picked on the Orders tab, or an order filter applied when they fire
+    fields.orders = input.orders ?? existing?.orders ?? null;
+    fields.orderFilter = input.orderFilter ?? existing?.orderFilter ?? null;
+    
+    if (!fields.orders && !fields.orderFilter) {
+      throw scheduleError('Bulk schedules need selected orders or an order filter');
+    }
+    if (fields.recurrence && !fields.orderFilter) {
+      throw scheduleError('Recurring bulk schedules need an order filter');
+    }
+    if (fields.orderFilter && !fields.message) {
+      throw scheduleError('A message template is required when orders are looked up at send time');
+    }
+    
+    // Filtered schedules render the template when they fire; selected orders already carry their messages
+    const errors = fields.orderFilter ?
+      validateTemplate(fields.message) :
+      validateBulkMessages(fields.orders, fields.message).flatMap(problem => problem.errors);
+    if (errors.length > 0) {
+      throw scheduleError(`Can't schedule this message: ${errors.join('; ')}`);
+    }
+  }
+  
+  return fields;
+}
+
+/**
+ * Convert Firestore Timestamps on a schedule to Dates for the API
+ */
+function toSchedule(doc) {
+  const data = doc.data();
+  const toDate = value => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+  
+  return {
+    id: doc.id,
+    ...data,
+    sendAt: toDate(data.sendAt),
+    nextRunAt: toDate(data.nextRunAt),
+    lastRunAt: toDate(data.lastRunAt),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+    // Send times are entered and shown in business time; replies also carry customerTimezone,
+    // the zone their quiet hours are checked in
+    timezone: BUSINESS_TIMEZONE
+  };
+}
+
+/**
+ * Create a one-off or recurring scheduled send
+ */
+async function createSchedule(input, createdBy = null) {
+  const now = new Date();
+  const docRef = db.collection(SCHEDULES_COLLECTION).doc();
+  
+  await docRef.set({
+    type: input.type,
+    ...(await buildScheduleFields(input)),
+    status: 'active',
+    runCount: 0,
+    lastRunAt: null,
+    lastRunResult: null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  });
+  
+  console.log(`🕓 Created ${input.type} schedule ${docRef.id}`);
+  return toSchedule(await docRef.get());
+}
+
+/**
+ * List schedules, next to run first (finished and cancelled ones last)
+ */
+async function listSchedules({ includeFinished = false } = {}) {
+  const snapshot = await db.collection(SCHEDULES_COLLECTION).get();
+  
+  return snapshot.docs.map(toSchedule)
+    .filter(schedule => includeFinished || EDITABLE_STATUSES.includes(schedule.status))
+    .sort((a, b) => {
+      const aTime = a.nextRunAt ? a.nextRunAt.getTime() : Infinity;
+      const bTime = b.nextRunAt ? b.nextRunAt.getTime() : Infinity;
+      return aTime - bTime;
+    });
+}
+
+/**
+ * Edit a schedule's timing, message or orders, or pause/resume it with { status }
+ */
+async function updateSchedule(scheduleId, input, updatedBy = null) {
+  const docRef = db.collection(SCHEDULES_COLLECTION).doc(scheduleId);
+  
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    
+    if (!doc.exists) {
+      throw scheduleError('Schedule not found', 404);
+    }
+    
+    const existing = doc.data();
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      throw scheduleError(`Schedule is ${existing.status} and can no longer be edited`, 409);
+    }
+    
+    const updates = { ...(await buildScheduleFields(input, existing)), updatedBy, updatedAt: new Date() };
+    
+    if (input.status !== undefined) {
+      if (!EDITABLE_STATUSES.includes(input.status)) {
+        throw scheduleError('Status must be active or paused');
+      }
+      updates.status = input.status;
+      
+      // A recurring schedule resumed after a pause picks up from the next slot, not the missed ones
+      const recurrence = updates.recurrence !== undefined ? updates.recurrence : existing.recurrence;
+      if (input.status === 'active' && existing.status === 'paused' && recurrence) {
+        updates.nextRunAt = getNextOccurrence(recurrence);
+      }
+    }
+    
+    transaction.update(docRef, updates);
+  });
+  
+  return toSchedule(await docRef.get());
+}
+
+/**
+ * Cancel a schedule so it never fires again
+ */
+async function cancelSchedule(scheduleId, cancelledBy = null) {
+  const docRef = db.collection(SCHEDULES_COLLECTION).doc(scheduleId);
+  const doc = await docRef.get();
+  
+  if (!doc.exists) {
+    throw scheduleError('Schedule not found', 404);
+  }
+  
+  if (!EDITABLE_STATUSES.includes(doc.data().status)) {
+    throw scheduleError(`Schedule is already ${doc.data().status}`, 409);
+  }
+  
+  await docRef.update({
+    status: 'cancelled',
+    nextRunAt: null,
+    cancelledBy,
+    cancelledAt: new Date(),
+    updatedAt: new Date()
+  });
+  
+  console.log(`🛑 Cancelled schedule ${scheduleId}`);
+  return toSchedule(await docRef.get());
+}
+
+/**
+ * Apply a schedule's order filter. The campaign renders the schedule's template for each order
+ * with the same engine the Orders tab previews use.
+ */
+async function getScheduledOrders(orderFilter) {
+  const orders = await fetchOrdersForSMS({
+    status: orderFilter.status || 'any',
+    limit: orderFilter.limit || 250,
+    days: orderFilter.days || 7,
+    tag: orderFilter.tag || null
+  });
+  
+  return orders
+    .filter(order => {
+      if (orderFilter.fulfillmentStatus && orderFilter.fulfillmentStatus !== 'any') {
+        const isFulfilled = order.fulfillmentStatus === 'fulfilled';
+        if ((orderFilter.fulfillmentStatus === 'fulfilled') !== isFulfilled) return false;
+      }
+      if (orderFilter.deliveryMethod === 'pickup') return order.deliveryMethod === 'Pickup';
+      if (orderFilter.deliveryMethod === 'delivery') return order.deliveryMethod === 'Home Delivery';
+      return true;
+    })
+    .map(order => ({
+      id: order.id,
+      orderNumber: order.orderNumber,
+      customer: order.customer,
+      deliveryMethod: order.deliveryMethod,
+      totalPrice: order.totalPrice,
+      createdAt: order.createdAt,
+      tags: order.tags,
+      lineItems: order.lineItems,
+      subscriptionItems: order.subscriptionItems
+    }));
+}
+
+/**
+ * Send whatever a schedule is for. runKey is unique to this firing and is used as the
+ * idempotency key, so a run repeated after a crash doesn't send twice.
+ */
+async function executeSchedule(schedule, runKey) {
+  if (schedule.type === 'reply') {
+    const result = await sendReplyToCustomer(schedule.customerId, schedule.message, runKey, [], {
+      overrideQuietHours: Boolean(schedule.overrideQuietHours),
+      sentBy: schedule.createdBy ? `schedule:${schedule.id} (${schedule.createdBy})` : `schedule:${schedule.id}`
+    });
+    return { success: result.success, error: result.error || null };
+  }
+  
+  const orders = schedule.orderFilter ?
+    await getScheduledOrders(schedule.orderFilter) :
+    schedule.orders;
+  
+  if (orders.length === 0) {
+    return { success: true, recipients: 0, note: 'No matching orders' };
+  }
+  
+  // Filtered orders are recorded against the schedule, so a recurring run doesn't re-text an order it already reached
+  const { campaign } = await createCampaign(orders, schedule.message, {
+    idempotencyKey: runKey,
+    createdBy: `schedule:${schedule.id}`,
+    event: `schedule_${schedule.id}`
+  });
+  
+  return { success: true, campaignId: campaign.id, recipients: campaign.total };
+}
+
+/**
+ * Fire every schedule that's due. The send happens before the schedule moves on, keyed to this
+ * firing - a crash in between repeats the run, and the idempotency key turns the repeat into a no-op.
+ */
+async function runDueSchedules() {
+  const now = new Date();
+  const snapshot = await db.collection(SCHEDULES_COLLECTION).where('status', '==', 'active').get();
+  
+  const dueSchedules = snapshot.docs
+    .map(toSchedule)
+    .filter(schedule => schedule.nextRunAt && schedule.nextRunAt <= now);
+  
+  let fired = 0;
+  
+  for (const schedule of dueSchedules) {
+    const runAt = schedule.nextRunAt;
+    const runKey = `schedule_${schedule.id}_${runAt.getTime()}`;
+    let result;
+    
+    console.log(`🕓 Running schedule ${schedule.id} (${schedule.name}) due ${runAt.toISOString()}`);
+    
+    try {
+      result = await executeSchedule(schedule, runKey);
+    } catch (error) {
+      console.error(`❌ Error running schedule ${schedule.id}: ${error.message}`);
+      result = { success: false, error: error.message };
+    }
+    
+    const docRef = db.collection(SCHEDULES_COLLECTION).doc(schedule.id);
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const current = doc.exists ? toSchedule(doc) : null;
+      
+      // Another runner already recorded this firing
+      if (!current || current.status !== 'active' || current.nextRunAt?.getTime() !== runAt.getTime()) {
+        return;
+      }
+      
+      const nextRunAt = current.recurrence ? getNextOccurrence(current.recurrence, new Date()) : null;
+      transaction.update(docRef, {
+        status: nextRunAt ? 'active' : 'completed',
+        nextRunAt,
+        lastRunAt: runAt,
+        lastRunResult: { ...result, ranAt: new Date() },
+        runCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: new Date()
+      });
+    });
+    
+    fired++;
+  }
+  
+  return { fired };
+}
+
+/**
+ * Check for due schedules on an interval for long-running servers (Vercel relies on cron instead)
+ */
+function startScheduleRunner(intervalMs = 30000) {
+  let running = false;
+  
+  console.log(`🕓 Schedule runner started (${BUSINESS_TIMEZONE})`);
+  
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    
+    try {
+      await runDueSchedules();
+    } catch (error) {
+      console.error(`❌ Schedule runner error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  updateSchedule,
+  cancelSchedule,
+  runDueSchedules,
+  startScheduleRunner
+};
@@ -0,0 +1,162 @@
+const { normalizePhoneNumber, toNationalFormat } = require('./phone');
+const { BUSINESS_TIMEZONE, zonedTimeToUtc } = require('./timezone');
+
+/**
+ * Conversation search. Firestore has no full-text search, so every message gets an index entry
+ * listing the terms it can be found by - its words (and their prefixes, so "refu" finds "refund"),
+ * the customer's name and phone number, and any order numbers it mentions. A search looks up its
+ * longest word with array-contains and checks the rest against the entry's terms.
+ */
+
+const MIN_PREFIX_LENGTH = 3;
+const MAX_TERMS = 1500;
+
+// Enough digits that a number is a phone number rather than an order number
+const MIN_PHONE_DIGITS = 8;
+
+// Order numbers as customers write them - "#1234", "order 1234", "order no. 1234"
+const ORDER_NUMBER_PATTERN = /#\s?(\d{3,8})\b|\border\s+(?:no\.?\s*|number\s*)?#?(\d{3,8})\b/gi;
+
+const SEARCH_DIRECTIONS = ['inbound', 'outbound'];
+
+/**
+ * Lowercased words with accents and apostrophes dropped, so "Don't" and "dont" match
+ */
+function tokenize(text) {
+  if (!text) return [];
+  
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function addWithPrefixes(terms, words, minPrefixLength = MIN_PREFIX_LENGTH) {
+  words.forEach(word => {
+    terms.add(word);
+    for (let length = minPrefixLength; length < word.length; length++) {
+      terms.add(word.slice(0, length));
+    }
+  });
+}
+
+/**
+ * Order numbers mentioned in a message, without the #
+ */
+function findOrderNumbers(text) {
+  const orderNumbers = new Set();
+  for (const match of String(text || '').matchAll(ORDER_NUMBER_PATTERN)) {
+    orderNumbers.add(match[1] || match[2]);
+  }
+  return [...orderNumbers];
+}
+
+/**
+ * A phone number's digits in international and national format - "61412345678" and "0412345678"
+ */
+function getPhoneTerms(phone) {
+  const normalized = normalizePhoneNumber(phone);
+  if (!normalized) return [];
+  
+  const national = toNationalFormat(normalized);
+  return [normalized.slice(1), ...(national ? [national] : [])];
+}
+
+function getFieldTerms(entry) {
+  const content = new Set();
+  const name = new Set();
+  const phone = new Set();
+  addWithPrefixes(content, tokenize(entry.content));
+  addWithPrefixes(name, tokenize(entry.customerName));
+  addWithPrefixes(phone, getPhoneTerms(entry.phone), 4);
+  
+  return { content, name, phone, order: new Set(entry.orderNumbers || []) };
+}
+
+/**
+ * The index entry for a message. profile is the customer's profile as it will be after the
+ * message is stored, so a name picked up from Shopify is searchable straight away.
+ */
+function buildSearchEntry(customerId, message, profile = {}) {
+  const entry = {
+    customerId,
+    messageId: message.id,
+    direction: message.direction,
+    channel: message.channel || 'sms',
+    timestamp: message.timestamp,
+    content: message.content || '',
+    mediaCount: (message.media || []).length,
+    customerName: profile.name || null,
+    phone: profile.phone || null,
+    orderNumbers: findOrderNumbers(message.content)
+  };
+  
+  const terms = new Set();
+  Object.values(getFieldTerms(entry)).forEach(fieldTerms => fieldTerms.forEach(term => terms.add(term)));
+  
+  return { ...entry, terms: [...terms].slice(0, MAX_TERMS) };
+}
+
+/**
+ * Split a search into the words every result must contain. Something that looks like a phone
+ * number is searched as one number however it's spaced.
+ */
+function parseSearchQuery(query) {
+  const text = String(query || '').trim();
+  
+  if (/^[\d\s+().-]+$/.test(text) && text.replace(/\D/g, '').length >= MIN_PHONE_DIGITS) {
+    const normalized = normalizePhoneNumber(text);
+    if (normalized) {
+      return [normalized.slice(1)];
+    }
+  }
+  
+  return [...new Set(tokenize(text))];
+}
+
+/**
+ * Whether an index entry has every search word
+ */
+function entryMatches(entry, words) {
+  const terms = new Set(entry.terms || []);
+  return words.every(word => terms.has(word));
+}
+
+/**
+ * Which parts of the entry the search words were found in - content, name, phone and/or order
+ */
+function getMatchedFields(entry, words) {
+  const fieldTerms = getFieldTerms(entry);
+  return Object.keys(fieldTerms).filter(field => words.some(word => fieldTerms[field].has(word)));
+}
+
+/**
+ * Read a date filter ("2025-03-08") as the start of that day in business time. The end of a
+ * range is inclusive, so it becomes the start of the next day.
+ */
+function parseSearchDate(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    const error = new Error(`Invalid date "${value}" - use YYYY-MM-DD`);
+    error.status = 400;
+    throw error;
+  }
+  
+  const [, year, month, day] = match.map(Number);
+  return zonedTimeToUtc(year, month, day + (endOfDay ? 1 : 0), 0, 0, BUSINESS_TIMEZONE);
+}
+
+module.exports = {
+  SEARCH_DIRECTIONS,
+  tokenize,
+  findOrderNumbers,
+  buildSearchEntry,
+  parseSearchQuery,
+  entryMatches,
+  getMatchedFields,
+  parseSearchDate
+};
@@ -0,0 +1,65 @@
+/**
+ * Twilio error codes we know how to treat. Transient ones are worth retrying; permanent ones
+ * will fail the same way every time, so the send is given up straight away.
+ * https://www.twilio.com/docs/api/errors
+ */
+const SEND_ERRORS = {
+  // Transient - rate limits, queue overflow and Twilio-side outages
+  20429: { retryable: true, category: 'rate_limited', description: 'Too many requests - Twilio rate limit' },
+  20500: { retryable: true, category: 'provider_error', description: 'Twilio internal error' },
+  20503: { retryable: true, category: 'provider_error', description: 'Twilio service unavailable' },
+  30001: { retryable: true, category: 'rate_limited', description: 'Queue overflow - sending too fast' },
+  30008: { retryable: true, category: 'provider_error', description: 'Unknown carrier error' },
+  
+  // Permanent - the number or recipient can't be texted
+  21211: { retryable: false, category: 'invalid_number', description: 'Invalid phone number' },
+  21214: { retryable: false, category: 'invalid_number', description: 'Phone number can\'t be reached' },
+  21408: { retryable: false, category: 'blocked', description: 'Sending to this region is not enabled' },
+  21610: { retryable: false, category: 'unsubscribed', description: 'Recipient has unsubscribed (replied STOP)' },
+  21612: { retryable: false, category: 'blocked', description: 'Twilio can\'t route to this number' },
+  21614: { retryable: false, category: 'invalid_number', description: 'Not a mobile number' },
+  30003: { retryable: false, category: 'unreachable', description: 'Handset unreachable' },
+  30004: { retryable: false, category: 'blocked', description: 'Message blocked by the recipient' },
+  30005: { retryable: false, category: 'invalid_number', description: 'Unknown or inactive number' },
+  30006: { retryable: false, category: 'invalid_number', description: 'Landline or unreachable carrier' },
+  30007: { retryable: false, category: 'blocked', description: 'Filtered by the carrier as spam' },
+  
+  // Permanent - our side needs fixing before anything will send
+  20003: { retryable: false, category: 'configuration', description: 'Twilio authentication failed' },
+  21606: { retryable: false, category: 'configuration', description: 'Sending number can\'t send SMS' },
+  21617: { retryable: false, category: 'message', description: 'Message is too long' },
+  30002: { retryable: false, category: 'configuration', description: 'Twilio account suspended' }
+};
+
+// Errors that never got a response from the provider
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ECONNABORTED'];
+
+/**
+ * Classify a failed send. error is what the provider threw (Twilio's RestException carries
+ * a numeric code and the HTTP status). Returns { errorCode, retryable, permanent, category, description, noResponse }.
+ */
+function classifySendError(error) {
+  const errorCode = typeof error.code === 'number' ? error.code : (parseInt(error.code, 10) || null);
+  const known = errorCode ? SEND_ERRORS[errorCode] : null;
+  
+  if (known) {
+    return { errorCode, ...known, permanent: !known.retryable, noResponse: false };
+  }
+  
+  // No HTTP response at all - the request may or may not have reached the provider
+  if (!error.status && (NETWORK_ERROR_CODES.includes(error.code) || !errorCode)) {
+    return { errorCode: null, retryable: true, permanent: false, category: 'network', description: 'Network error reaching the SMS provider', noResponse: true };
+  }
+  
+  if (error.status === 429 || error.status >= 500) {
+    return { errorCode, retryable: true, permanent: false, category: 'provider_error', description: `SMS provider error (HTTP ${error.status})`, noResponse: false };
+  }
+  
+  // Any other 4xx is a request the provider won't accept however often it's sent
+  return { errorCode, retryable: false, permanent: true, category: 'rejected', description: 'Rejected by the SMS provider', noResponse: false };
+}
+
+module.exports = {
+  SEND_ERRORS,
+  classifySendError
+};
@@ -0,0 +1,197 @@
+const admin = require('firebase-admin');
+const { BUSINESS_TIMEZONE } = require('./timezone');
+
+/**
+ * One entry per order, event and template - e.g. order 5123456 got its "ready_for_pickup" text from
+ * the pickup-ready template. Bulk sends check it first so re-sending the same batch doesn't re-text anyone.
+ * Events are short slugs chosen by the sender (the Orders tab uses order_packed, ready_for_pickup and
+ * tag_<tag>; schedules use schedule_<id>).
+ */
+
+const db = admin.firestore();
+const SEND_LEDGER_COLLECTION = process.env.SEND_LEDGER_COLLECTION || 'sms-send-ledger';
+
+// Firestore 'in' queries take at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Firestore document IDs can't contain slashes - keep order IDs and event names usable as IDs
+ */
+function toDocumentId(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 128);
+}
+
+/**
+ * Convert Firestore Timestamps on a ledger entry to Dates for the API
+ */
+function toPlainObject(doc) {
+  const data = doc.data();
+  const result = { id: doc.id };
+  
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = value && typeof value.toDate === 'function' ? value.toDate() : value;
+  }
+  
+  return result;
+}
+
+/**
+ * The key an order is tracked under - its Shopify ID, or the order number when there isn't one
+ */
+function getOrderKey(order) {
+  const key = order.orderId || order.id || order.orderNumber;
+  return key ? String(key) : null;
+}
+
+/**
+ * What a send is recorded as: { orderKey, event, templateId, docId }, or null for orders that can't be tracked
+ */
+function getLedgerKey(order, defaultEvent = 'bulk') {
+  const orderKey = getOrderKey(order);
+  if (!orderKey) return null;
+  
+  const event = String(order.event || defaultEvent).toLowerCase().replace(/[^a-z0-9_:-]/g, '_').slice(0, 64);
+  const templateId = order.template?.id || 'custom';
+  
+  return {
+    orderKey,
+    event,
+    templateId,
+    docId: toDocumentId(`${orderKey}__${event}__${templateId}`)
+  };
+}
+
+/**
+ * Look up earlier sends for a batch of orders. Returns a Map of order index -> ledger entry
+ * for the orders that have already had this notification.
+ */
+async function findPreviousSends(orders, defaultEvent = 'bulk') {
+  const keys = orders.map(order => getLedgerKey(order, defaultEvent));
+  const refs = keys.filter(Boolean).map(key => db.collection(SEND_LEDGER_COLLECTION).doc(key.docId));
+  const previous = new Map();
+  
+  if (refs.length === 0) {
+    return previous;
+  }
+  
+  const docs = await db.getAll(...refs);
+  const entries = new Map(docs.filter(doc => doc.exists).map(doc => [doc.id, toPlainObject(doc)]));
+  
+  keys.forEach((key, index) => {
+    if (key && entries.has(key.docId)) {
+      previous.set(index, entries.get(key.docId));
+    }
+  });
+  
+  return previous;
+}
+
+/**
+ * Earlier send of this notification to one order, or null
+ */
+async function findPreviousSend(order, defaultEvent = 'bulk') {
+  const key = getLedgerKey(order, defaultEvent);
+  if (!key) return null;
+  
+  const doc = await db.collection(SEND_LEDGER_COLLECTION).doc(key.docId).get();
+  return doc.exists ? toPlainObject(doc) : null;
+}
+
+/**
+ * Why an order is being skipped, e.g. "Already sent order_packed on Sat 8 Mar, 5:02 pm"
+ */
+function describePreviousSend(entry) {
+  const sentAt = entry.lastSentAt instanceof Date ? entry.lastSentAt : new Date(entry.lastSentAt);
+  const when = sentAt.toLocaleString('en-AU', {
+    timeZone: BUSINESS_TIMEZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  return `Already sent ${entry.event} on ${when} - resend to send it again`;
+}
+
+/**
+ * Record a successful send. Resends update the entry and bump sendCount.
+ */
+async function recordSend(order, { defaultEvent = 'bulk', phone, customerName = null, message, sid = null, campaignId = null, sentBy = null }) {
+  const key = getLedgerKey(order, defaultEvent);
+  if (!key) return;
+  
+  const docRef = db.collection(SEND_LEDGER_COLLECTION).doc(key.docId);
+  const now = new Date();
+  
+  try {
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const existing = doc.exists ? doc.data() : null;
+      
+      transaction.set(docRef, {
+        orderKey: key.orderKey,
+        orderNumber: order.orderNumber || null,
+        event: key.event,
+        templateId: key.templateId,
+        templateVersion: order.template?.version ?? null,
+        templateName: order.template?.name || null,
+        phone,
+        customerName,
+        message,
+        sid,
+        campaignId,
+        sentBy,
+        sendCount: (existing?.sendCount || 0) + 1,
+        firstSentAt: existing?.firstSentAt || now,
+        lastSentAt: now
+      });
+    });
+  } catch (error) {
+    // The message has gone - a missing ledger entry only means it could be sent again
+    console.error(`⚠️ Failed to record send for order ${key.orderKey}: ${error.message}`);
+  }
+}
+
+/**
+ * Everything recorded for one order, most recent first
+ */
+async function listOrderSends(orderKey) {
+  const snapshot = await db.collection(SEND_LEDGER_COLLECTION)
+    .where('orderKey', '==', String(orderKey))
+    .get();
+  
+  return snapshot.docs.map(toPlainObject)
+    .sort((a, b) => (b.lastSentAt?.getTime?.() || 0) - (a.lastSentAt?.getTime?.() || 0));
+}
+
+/**
+ * Ledger entries for a page of orders, as a Map of order key -> entries (most recent first)
+ */
+async function listSendsForOrders(orderKeys) {
+  const keys = [...new Set(orderKeys.filter(Boolean).map(String))];
+  const sends = new Map();
+  
+  for (let i = 0; i < keys.length; i += IN_QUERY_LIMIT) {
+    const snapshot = await db.collection(SEND_LEDGER_COLLECTION)
+      .where('orderKey', 'in', keys.slice(i, i + IN_QUERY_LIMIT))
+      .get();
+    
+    snapshot.docs.map(toPlainObject).forEach(entry => {
+      if (!sends.has(entry.orderKey)) sends.set(entry.orderKey, []);
+      sends.get(entry.orderKey).push(entry);
+    });
+  }
+  
+  sends.forEach(entries => entries.sort((a, b) => (b.lastSentAt?.getTime?.() || 0) - (a.lastSentAt?.getTime?.() || 0)));
+  return sends;
+}
+
+module.exports = {
+  getOrderKey,
+  findPreviousSends,
+  findPreviousSend,
+  describePreviousSend,
+  recordSend,
+  listOrderSends,
+  listSendsForOrders
+};
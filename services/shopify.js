@@ -1,48 +1,34 @@
 const axios = require('axios');
+const { normalizePhoneNumber, toNationalFormat } = require('./phone');
 
 const SHOP = process.env.SHOPIFY_SHOP;
 const TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
 const API_VERSION = process.env.SHOPIFY_API_VERSION || '2023-10';
 
-/**
- * Normalize phone number to E.164 format for consistent matching
- */
-function normalizePhoneNumber(phoneNumber) {
-  if (!phoneNumber) return '';
-  
-  // Remove all non-digits
-  const digits = phoneNumber.replace(/\D/g, '');
-  
-  // If it starts with 1 and is 11 digits, it's already in good format
-  if (digits.length === 11 && digits.startsWith('1')) {
-    return '+' + digits;
-  }
-  
-  // If it's 10 digits, add +1 for US/Canada
-  if (digits.length === 10) {
-    return '+1' + digits;
-  }
-  
-  // For other formats, just add + if not present
-  if (phoneNumber.startsWith('+')) {
-    return '+' + phoneNumber.replace(/\D/g, '');
-  }
-  
-  return '+' + digits;
-}
+// Order history reads for audiences - Shopify's largest page, and only the fields toSmsOrder needs
+const HISTORY_PAGE_SIZE = 250;
+const HISTORY_FIELDS = 'id,name,order_number,created_at,tags,customer,billing_address,shipping_address,shipping_lines,line_items,total_price,fulfillment_status,financial_status';
+const MAX_HISTORY_ORDERS = parseInt(process.env.AUDIENCE_MAX_ORDERS, 10) || 5000;
 
 /**
  * Search Shopify for customer by phone number (tries multiple formats)
  */
 async function getShopifyCustomerData(phoneNumber) {
   try {
-    // Try multiple phone number formats
-    const phoneFormats = [
-      phoneNumber,
-      normalizePhoneNumber(phoneNumber),
-      phoneNumber.replace(/\D/g, ''), // digits only
-      phoneNumber.replace('+1', ''), // remove +1 prefix
-    ];
+    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+    
+    if (!normalizedPhone) {
+      console.log(`⚠️ Skipping Shopify lookup for invalid phone number: ${phoneNumber}`);
+      return null;
+    }
+    
+    // Try multiple phone number formats (E.164 first, then how customers often type it)
+    const phoneFormats = [...new Set([
+      normalizedPhone,
+      toNationalFormat(normalizedPhone), // e.g. 0412345678
+      normalizedPhone.replace(/\D/g, ''), // digits only
+      phoneNumber
+    ])];
     
     for (const phone of phoneFormats) {
       if (!phone) continue;
@@ -87,6 +73,101 @@ async function getShopifyCustomerIdByPhone(phoneNumber) {
   }
 }
 
+/**
+ * Work out Pickup or Home Delivery from the order's first shipping line. Titles that match
+ * neither are passed through for manual review; no shipping lines at all is 'Unknown'.
+ */
+function getDeliveryMethod(order) {
+  const shippingLines = order.shipping_lines || [];
+  if (shippingLines.length === 0) {
+    return 'Unknown';
+  }
+  
+  const shippingTitle = (shippingLines[0].title || '').toLowerCase();
+  const shippingCode = shippingLines[0].code?.toLowerCase() || '';
+  
+  // Check for pickup keywords in title or code
+  if (shippingTitle.includes('pickup') || 
+      shippingTitle.includes('collection') || 
+      shippingTitle.includes('collect') ||
+      shippingTitle.includes('market') ||
+      shippingCode.includes('pickup') ||
+      shippingCode.includes('collection')) {
+    return 'Pickup';
+  }
+  
+  // Check for delivery keywords in title or code
+  if (shippingTitle.includes('delivery') || 
+      shippingTitle.includes('shipping') || 
+      shippingTitle.includes('post') ||
+      shippingTitle.includes('courier') ||
+      shippingTitle.includes('express') ||
+      shippingCode.includes('delivery') ||
+      shippingCode.includes('shipping')) {
+    return 'Home Delivery';
+  }
+  
+  return shippingLines[0].title || 'Unknown';
+}
+
+/**
+ * Convert a Shopify order into the shape the Orders tab, templates and bulk sends use
+ */
+function toSmsOrder(order) {
+  const customerName = order.customer ? 
+    `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim() : 
+    'Unknown Customer';
+  
+  const phone = order.customer?.phone || 
+               order.billing_address?.phone || 
+               order.shipping_address?.phone || '';
+  
+  // Create a readable order description from line items
+  const orderDescription = order.line_items && order.line_items.length > 0
+    ? order.line_items.map(item => {
+        if (item.quantity > 1) {
+          return `${item.quantity} x ${item.name}`;
+        }
+        return item.name;
+      }).join(', ')
+    : 'order';
+  
+  // Enhanced address information for delivery
+  const shippingAddress = order.shipping_address;
+  const billingAddress = order.billing_address;
+  
+  return {
+    id: order.id,
+    orderNumber: order.order_number || order.name,
+    name: order.name, // Shopify order name (e.g., #1001)
+    customer: {
+      id: order.customer?.id,
+      name: customerName,
+      phone: phone,
+      email: order.customer?.email,
+      first_name: order.customer?.first_name,
+      last_name: order.customer?.last_name
+    },
+    deliveryMethod: getDeliveryMethod(order),
+    fulfillmentStatus: order.fulfillment_status || 'unfulfilled',
+    financialStatus: order.financial_status || 'pending',
+    tags: order.tags ? order.tags.split(',').map(tag => tag.trim()) : [],
+    createdAt: order.created_at,
+    totalPrice: order.total_price,
+    total_price: order.total_price,
+    subscriptionItems: orderDescription,
+    shipping_lines: order.shipping_lines || [],
+    shipping_address: shippingAddress,
+    billing_address: billingAddress,
+    lineItems: order.line_items?.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      variant_title: item.variant_title
+    })) || []
+  };
+}
+
 /**
  * Fetch orders for SMS notifications
  */
@@ -115,106 +196,21 @@ async function fetchOrdersForSMS({ status = 'fulfilled', limit = 50, days = 7, t
     
     // Process orders for SMS data
     const processedOrders = orders.map(order => {
-      const customerName = order.customer ? 
-        `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim() : 
-        'Unknown Customer';
-      
-      const phone = order.customer?.phone || 
-                   order.billing_address?.phone || 
-                   order.shipping_address?.phone || '';
-      
-      // Determine delivery method from shipping lines
-      let deliveryMethod = null;
       const shippingLines = order.shipping_lines || [];
-      
-      // Primary: Use shipping line title to determine delivery method
       if (shippingLines.length > 0) {
-        const shippingTitle = shippingLines[0].title.toLowerCase();
-        const shippingCode = shippingLines[0].code?.toLowerCase() || '';
-        
         console.log(`🚚 Analyzing shipping for order ${order.order_number}:`, {
           title: shippingLines[0].title,
           code: shippingLines[0].code,
           source: shippingLines[0].source,
           price: shippingLines[0].price
         });
-        
-        // Check for pickup keywords in title or code
-        if (shippingTitle.includes('pickup') || 
-            shippingTitle.includes('collection') || 
-            shippingTitle.includes('collect') ||
-            shippingTitle.includes('market') ||
-            shippingCode.includes('pickup') ||
-            shippingCode.includes('collection')) {
-          deliveryMethod = 'Pickup';
-        }
-        // Check for delivery keywords in title or code
-        else if (shippingTitle.includes('delivery') || 
-                 shippingTitle.includes('shipping') || 
-                 shippingTitle.includes('post') ||
-                 shippingTitle.includes('courier') ||
-                 shippingTitle.includes('express') ||
-                 shippingCode.includes('delivery') ||
-                 shippingCode.includes('shipping')) {
-          deliveryMethod = 'Home Delivery';
-        }
-        // Store the original shipping title for manual review
-        else {
-          deliveryMethod = shippingLines[0].title;
-          console.log(`⚠️ Unknown shipping method for order ${order.order_number}: "${shippingLines[0].title}"`);
-        }
       }
       
-      // Fallback: No shipping lines means likely pickup or special handling
-      if (!deliveryMethod) {
-        deliveryMethod = 'Unknown';
+      const processed = toSmsOrder(order);
+      if (!['Pickup', 'Home Delivery', 'Unknown'].includes(processed.deliveryMethod)) {
+        console.log(`⚠️ Unknown shipping method for order ${order.order_number}: "${processed.deliveryMethod}"`);
       }
-      
-      // Create a readable order description from line items
-      const orderDescription = order.line_items && order.line_items.length > 0
-        ? order.line_items.map(item => {
-            if (item.quantity > 1) {
-              return `${item.quantity} x ${item.name}`;
-            }
-            return item.name;
-          }).join(', ')
-        : 'order';
-
-      // Enhanced address information for delivery
-      const shippingAddress = order.shipping_address;
-      const billingAddress = order.billing_address;
-      const deliveryAddress = shippingAddress || billingAddress;
-
-      return {
-        id: order.id,
-        orderNumber: order.order_number || order.name,
-        name: order.name, // Shopify order name (e.g., #1001)
-        customer: {
-          id: order.customer?.id,
-          name: customerName,
-          phone: phone,
-          email: order.customer?.email,
-          first_name: order.customer?.first_name,
-          last_name: order.customer?.last_name
-        },
-        deliveryMethod,
-        fulfillmentStatus: order.fulfillment_status || 'unfulfilled',
-        financialStatus: order.financial_status || 'pending',
-        tags: order.tags ? order.tags.split(',').map(tag => tag.trim()) : [],
-        createdAt: order.created_at,
-        totalPrice: order.total_price,
-        total_price: order.total_price,
-        subscriptionItems: orderDescription,
-        shipping_lines: order.shipping_lines || [],
-        shipping_address: shippingAddress,
-        billing_address: billingAddress,
-        lineItems: order.line_items?.map(item => ({
-          name: item.name,
-          quantity: item.quantity,
-          price: item.price,
-          variant_title: item.variant_title
-        })) || []
-      };
+      return processed;
     });
     
     console.log(`Fetched ${processedOrders.length} orders for SMS`);
@@ -226,9 +222,47 @@ async function fetchOrdersForSMS({ status = 'fulfilled', limit = 50, days = 7, t
   }
 }
 
+/**
+ * Read every order created in the last `days` days, following Shopify's page_info cursor.
+ * Stops after maxOrders so a long lookback can't run past the request time limit - check
+ * `truncated` on the result.
+ */
+async function fetchOrderHistory({ days, maxOrders = MAX_HISTORY_ORDERS }) {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+  
+  const orders = [];
+  let url = `https://${SHOP}/admin/api/${API_VERSION}/orders.json?status=any&limit=${HISTORY_PAGE_SIZE}` +
+    `&created_at_min=${encodeURIComponent(since.toISOString())}&fields=${HISTORY_FIELDS}`;
+  
+  try {
+    while (url && orders.length < maxOrders) {
+      const response = await axios.get(url, {
+        headers: { 'X-Shopify-Access-Token': TOKEN },
+        timeout: 15000
+      });
+      
+      orders.push(...(response.data.orders || []).map(toSmsOrder));
+      
+      // Link: <https://...page_info=abc>; rel="next"
+      const nextLink = /<([^>]+)>;\s*rel="next"/.exec(response.headers.link || '');
+      url = nextLink ? nextLink[1] : null;
+    }
+  } catch (error) {
+    console.error(`Error fetching order history: ${error.message}`);
+    throw new Error(`Failed to fetch order history: ${error.message}`);
+  }
+  
+  const truncated = Boolean(url);
+  console.log(`Fetched ${orders.length} orders from the last ${days} days${truncated ? ' (stopped at the limit)' : ''}`);
+  return { orders: orders.slice(0, maxOrders), truncated };
+}
+
 module.exports = {
   getShopifyCustomerData,
   getShopifyCustomerIdByPhone,
   fetchOrdersForSMS,
-  normalizePhoneNumber
+  fetchOrderHistory,
+  getDeliveryMethod,
+  toSmsOrder
 };
\ No newline at end of file
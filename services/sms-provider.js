@@ -0,0 +1,59 @@
+/**
+ * SMS provider selection. SMS_PROVIDER picks the implementation - twilio (default) or mock for
+ * local development and tests. Every provider exports:
+ *
+ *   name, phoneNumber, requiredEnvVars
+ *   send({ to, body, mediaUrls, statusCallback })  -> { sid, status }; throws an Error with .code on failure
+ *   getMessageStatus(sid)                          -> { sid, status, errorCode, errorMessage }
+ *   listMessages({ to, limit })                    -> [{ sid, from, to, body, status, dateCreated }], newest first
+ *   parseInboundMessage(webhookBody)               -> { sid, from, to, body, numMedia, media: [{ url, contentType }] }
+ *   parseStatusCallback(webhookBody)               -> { sid, status, errorCode, errorMessage }
+ *   validateSignature(req, url)                    -> whether a webhook request really came from the provider
+ *   buildWebhookResponse(replies, inbound)         -> { contentType, body } answering an inbound webhook
+ *   downloadMedia(url, { maxBytes })               -> { buffer, contentType } for an inbound attachment
+ *   validateConfig()                               -> Promise<boolean>, checks the credentials work
+ */
+
+const PROVIDERS = {
+  twilio: () => require('./providers/twilio'),
+  mock: () => require('./providers/mock')
+};
+
+const SMS_PROVIDER = (process.env.SMS_PROVIDER || 'twilio').trim().toLowerCase();
+
+let provider = null;
+
+/**
+ * The configured provider, loaded on first use so an unused provider's SDK is never required
+ */
+function getSmsProvider() {
+  if (!provider) {
+    if (!PROVIDERS[SMS_PROVIDER]) {
+      throw new Error(`Unknown SMS_PROVIDER "${SMS_PROVIDER}" - use ${Object.keys(PROVIDERS).join(' or ')}`);
+    }
+    provider = PROVIDERS[SMS_PROVIDER]();
+  }
+  return provider;
+}
+
+/**
+ * Rebuild the public URL the provider signed for this request.
+ * Uses PUBLIC_BASE_URL when set, otherwise the forwarded headers Vercel's proxy adds.
+ */
+function getWebhookUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') + req.originalUrl;
+  }
+  
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  const host = (req.get('x-forwarded-host') || req.get('host') || '').split(',')[0].trim();
+  
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+module.exports = {
+  SMS_PROVIDER,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  getSmsProvider,
+  getWebhookUrl
+};
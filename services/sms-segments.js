@@ -0,0 +1,115 @@
+/**
+ * SMS segment calculator, shared by the server and the browser (served as /js/sms-segments.js).
+ * Messages that fit the GSM-7 alphabet get 160 characters (153 per part when split); a single
+ * character outside it - an emoji, a curly apostrophe - sends the whole message as UCS-2,
+ * which only fits 70 (67 per part).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SmsSegments = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+  
+  // Extension table characters take two septets (escape + character)
+  const GSM_EXTENDED = '^{}\\[~]|€\f';
+  
+  const LIMITS = {
+    'GSM-7': { single: 160, multipart: 153 },
+    'UCS-2': { single: 70, multipart: 67 }
+  };
+  
+  // Lookalikes that quietly force UCS-2 - mostly pasted in from word processors and phones
+  const SMART_REPLACEMENTS = {
+    '‘': '\'', '’': '\'', '‚': '\'', '‛': '\'', '′': '\'', '´': '\'',
+    '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+    '–': '-', '—': '-', '‒': '-', '―': '-', '•': '-',
+    '…': '...', '\u00a0': ' ', '\u2009': ' ', '\u202f': ' ', '\u200b': ''
+  };
+  
+  /**
+   * Septets a character takes in GSM-7, or null if it isn't in the alphabet
+   */
+  function gsmSeptets(character) {
+    if (GSM_BASIC.includes(character)) return 1;
+    if (GSM_EXTENDED.includes(character)) return 2;
+    return null;
+  }
+  
+  /**
+   * Split per-character sizes into segments without breaking a character across two parts
+   */
+  function countSegments(sizes, limits) {
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    if (total <= limits.single) {
+      return { units: total, segments: total === 0 ? 0 : 1, remaining: limits.single - total };
+    }
+    
+    let segments = 1;
+    let used = 0;
+    for (const size of sizes) {
+      if (used + size > limits.multipart) {
+        segments++;
+        used = 0;
+      }
+      used += size;
+    }
+    
+    return { units: total, segments, remaining: limits.multipart - used };
+  }
+  
+  /**
+   * Work out the encoding and number of segments a message will be sent as.
+   * nonGsmCharacters lists the characters that forced UCS-2; fixableCharacters the ones
+   * replaceSmartCharacters can swap for plain equivalents.
+   */
+  function calculateSegments(text) {
+    const characters = Array.from(String(text || ''));
+    const nonGsmCharacters = [...new Set(characters.filter(character => gsmSeptets(character) === null))];
+    const encoding = nonGsmCharacters.length > 0 ? 'UCS-2' : 'GSM-7';
+    
+    // UCS-2 counts UTF-16 code units, so emoji outside the basic plane take two
+    const sizes = encoding === 'GSM-7' ?
+      characters.map(gsmSeptets) :
+      characters.map(character => character.length);
+    
+    return {
+      encoding,
+      length: characters.length,
+      ...countSegments(sizes, LIMITS[encoding]),
+      nonGsmCharacters,
+      fixableCharacters: nonGsmCharacters.filter(character => character in SMART_REPLACEMENTS)
+    };
+  }
+  
+  /**
+   * Swap smart quotes, dashes, ellipses and odd spaces for GSM-7 equivalents
+   */
+  function replaceSmartCharacters(text) {
+    return Array.from(String(text || ''))
+      .map(character => (character in SMART_REPLACEMENTS ? SMART_REPLACEMENTS[character] : character))
+      .join('');
+  }
+  
+  /**
+   * Estimated cost of sending a number of segments at a per-segment price
+   */
+  function estimateCost(segments, pricePerSegment, currency = 'USD') {
+    return {
+      segments,
+      pricePerSegment,
+      currency,
+      amount: Math.round(segments * pricePerSegment * 10000) / 10000
+    };
+  }
+  
+  return {
+    LIMITS,
+    calculateSegments,
+    replaceSmartCharacters,
+    estimateCost
+  };
+});
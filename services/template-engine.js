@@ -0,0 +1,305 @@
+const { BUSINESS_TIMEZONE } = require('./timezone');
+
+/**
+ * Template language shared by previews, test sends, campaigns and schedules:
+ *
+ *   {firstName}                  placeholder
+ *   {firstName|there}            with a fallback when the value is empty
+ *   {totalPrice:currency}        formatted ($45.00, en-AU)
+ *   {#if tag:urgent}...{else}...{/if}   conditionals on order tags, delivery method
+ *   {#if delivery:pickup}...{/if}       or any placeholder being non-empty ({#if !items})
+ */
+
+/**
+ * First name the way the inbox has always greeted customers
+ */
+function getFirstName(order) {
+  return order.customer?.first_name || (order.customer?.name || '').split(' ')[0] || '';
+}
+
+/**
+ * Line items as "2 x Beef Box" strings, falling back to the pre-joined description
+ */
+function getItemList(order) {
+  if (Array.isArray(order.lineItems) && order.lineItems.length > 0) {
+    return order.lineItems.map(item => (item.quantity > 1 ? `${item.quantity} x ${item.name}` : item.name));
+  }
+  return order.subscriptionItems && order.subscriptionItems !== 'order' ? order.subscriptionItems.split(', ') : [];
+}
+
+/**
+ * Order tags as a list (Shopify sends them as one comma-separated string)
+ */
+function getTags(order) {
+  const tags = Array.isArray(order.tags) ? order.tags : String(order.tags || '').split(',');
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+const PLACEHOLDERS = {
+  customerName: { value: getFirstName, defaultValue: 'there' },
+  firstName: { value: getFirstName },
+  lastName: { value: order => order.customer?.last_name || (order.customer?.name || '').split(' ').slice(1).join(' ') },
+  fullName: { value: order => order.customer?.name || [order.customer?.first_name, order.customer?.last_name].filter(Boolean).join(' ') },
+  orderNumber: { value: order => order.orderNumber || order.name || order.order_number },
+  deliveryMethod: { value: order => order.deliveryMethod },
+  totalPrice: { value: order => order.totalPrice ?? order.total_price },
+  orderDate: { value: order => order.createdAt || order.created_at, defaultFormat: 'date' },
+  items: { value: getItemList, defaultFormat: 'list' },
+  orderItems: { value: order => order.subscriptionItems, defaultValue: 'order' },
+  subscriptionItems: { value: order => order.subscriptionItems, defaultValue: 'order' },
+  tags: { value: getTags, defaultFormat: 'list' }
+};
+
+/**
+ * Join a list the way you'd write it: "A, B and C"
+ */
+function joinList(values) {
+  if (values.length <= 1) return values.join('');
+  return `${values.slice(0, -1).join(', ')} and ${values[values.length - 1]}`;
+}
+
+const FORMATS = {
+  currency: value => {
+    const amount = parseFloat(value);
+    return isNaN(amount) ? String(value) : new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount);
+  },
+  date: value => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) :
+      date.toLocaleDateString('en-AU', { timeZone: BUSINESS_TIMEZONE, weekday: 'short', day: 'numeric', month: 'short' });
+  },
+  longdate: value => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) :
+      date.toLocaleDateString('en-AU', { timeZone: BUSINESS_TIMEZONE, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  },
+  list: value => (Array.isArray(value) ? joinList(value) : String(value)),
+  lines: value => (Array.isArray(value) ? value.map(item => `• ${item}`).join('\n') : String(value)),
+  upper: value => String(Array.isArray(value) ? joinList(value) : value).toUpperCase(),
+  lower: value => String(Array.isArray(value) ? joinList(value) : value).toLowerCase()
+};
+
+const PLACEHOLDER_PATTERN = /^([A-Za-z]+)(?::([A-Za-z]+))?(?:\|([^]*))?$/;
+const CONDITION_PATTERN = /^(!?)(?:(tag|delivery):(.+)|([A-Za-z]+))$/;
+
+/**
+ * Parse a template into a tree of text, placeholder and if-block nodes, collecting every problem found
+ */
+function parseTemplate(template) {
+  const errors = [];
+  const root = { children: [] };
+  const stack = [root];
+  const tokenPattern = /\{([^{}]*)\}/g;
+  let lastIndex = 0;
+  let match;
+  
+  const current = () => stack[stack.length - 1];
+  const target = () => (current().inElse ? current().otherwise : current().children);
+  
+  while ((match = tokenPattern.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      target().push({ type: 'text', text: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = tokenPattern.lastIndex;
+    
+    const token = match[1].trim();
+    
+    if (token.startsWith('#if')) {
+      const condition = token.slice(3).trim();
+      const conditionMatch = CONDITION_PATTERN.exec(condition);
+      if (!conditionMatch) {
+        errors.push(`Invalid condition {${token}} - use tag:name, delivery:pickup or a placeholder name`);
+      } else if (conditionMatch[4] && !PLACEHOLDERS[conditionMatch[4]]) {
+        errors.push(`Unknown placeholder in condition {${token}}`);
+      }
+      const block = { type: 'if', condition, children: [], otherwise: [], inElse: false };
+      target().push(block);
+      stack.push(block);
+    } else if (token === 'else') {
+      if (stack.length === 1 || current().inElse) {
+        errors.push('{else} without a matching {#if}');
+      } else {
+        current().inElse = true;
+      }
+    } else if (token === '/if') {
+      if (stack.length === 1) {
+        errors.push('{/if} without a matching {#if}');
+      } else {
+        stack.pop();
+      }
+    } else {
+      const placeholderMatch = PLACEHOLDER_PATTERN.exec(token);
+      if (!placeholderMatch) {
+        errors.push(`Invalid placeholder {${match[1]}}`);
+      } else if (!PLACEHOLDERS[placeholderMatch[1]]) {
+        errors.push(`Unknown placeholder {${placeholderMatch[1]}}`);
+      } else if (placeholderMatch[2] && !FORMATS[placeholderMatch[2]]) {
+        errors.push(`Unknown format "${placeholderMatch[2]}" in {${token}} - use ${Object.keys(FORMATS).join(', ')}`);
+      } else {
+        target().push({
+          type: 'placeholder',
+          name: placeholderMatch[1],
+          format: placeholderMatch[2] || null,
+          fallback: placeholderMatch[3] !== undefined ? placeholderMatch[3] : null
+        });
+      }
+    }
+  }
+  
+  if (lastIndex < template.length) {
+    target().push({ type: 'text', text: template.slice(lastIndex) });
+  }
+  if (stack.length > 1) {
+    errors.push(`${stack.length - 1} {#if} block${stack.length > 2 ? 's are' : ' is'} missing {/if}`);
+  }
+  
+  return { nodes: root.children, errors };
+}
+
+/**
+ * List the problems with a template (empty when it's fine to send)
+ */
+function validateTemplate(template) {
+  return parseTemplate(template || '').errors;
+}
+
+/**
+ * Whether a value counts as present for fallbacks and {#if}
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Check an {#if} condition against an order
+ */
+function evaluateCondition(condition, order) {
+  const [, negated, kind, argument, placeholderName] = CONDITION_PATTERN.exec(condition);
+  let result;
+  
+  if (kind === 'tag') {
+    const tags = getTags(order).map(tag => tag.toLowerCase());
+    result = tags.includes(argument.trim().toLowerCase());
+  } else if (kind === 'delivery') {
+    result = String(order.deliveryMethod || '').toLowerCase().includes(argument.trim().toLowerCase());
+  } else {
+    result = hasValue(PLACEHOLDERS[placeholderName].value(order));
+  }
+  
+  return negated ? !result : result;
+}
+
+/**
+ * Render parsed nodes for an order, applying fallbacks and formats
+ */
+function renderNodes(nodes, order) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    
+    if (node.type === 'if') {
+      return renderNodes(evaluateCondition(node.condition, order) ? node.children : node.otherwise, order);
+    }
+    
+    const placeholder = PLACEHOLDERS[node.name];
+    const value = placeholder.value(order);
+    
+    if (!hasValue(value)) {
+      return node.fallback !== null ? node.fallback : (placeholder.defaultValue || '');
+    }
+    
+    const format = node.format || placeholder.defaultFormat;
+    return format ? FORMATS[format](value) : String(value);
+  }).join('');
+}
+
+/**
+ * 400 error listing every problem found in a template or message
+ */
+function templateValidationError(errors, subject = 'Template') {
+  const error = new Error(`${subject} has ${errors.length} problem${errors.length === 1 ? '' : 's'}: ${errors.join('; ')}`);
+  error.status = 400;
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Render a template for one order. Throws a 400 error listing every problem if the template is invalid.
+ */
+function renderTemplate(template, order) {
+  const { nodes, errors } = parseTemplate(template || '');
+  
+  if (errors.length > 0) {
+    throw templateValidationError(errors);
+  }
+  
+  // Blocks leave blank lines and doubled spaces behind when they render empty
+  return renderNodes(nodes, order).replace(/[ \t]{2,}/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Placeholders left in an already-rendered message, e.g. a preview that failed to render
+ */
+function findUnresolvedPlaceholders(text) {
+  return (String(text || '').match(/\{[#/]?[A-Za-z][^{}]*\}/g) || []);
+}
+
+/**
+ * Build the message for one bulk order - its individual message if provided (already rendered
+ * by a preview), otherwise the template rendered for the order
+ */
+function renderBulkMessage(order, messageTemplate) {
+  if (order.message) {
+    const unresolved = findUnresolvedPlaceholders(order.message);
+    if (unresolved.length > 0) {
+      throw templateValidationError(unresolved.map(placeholder => `Unrendered placeholder ${placeholder}`), `Message for order #${order.orderNumber}`);
+    }
+    return order.message;
+  }
+  
+  return renderTemplate(messageTemplate, order);
+}
+
+/**
+ * Check every message in a bulk send before any of it goes out.
+ * Returns one entry per order that can't be sent: { orderNumber, customerName, errors }
+ */
+function validateBulkMessages(orders, messageTemplate) {
+  const templateErrors = orders.some(order => !order.message) ? validateTemplate(messageTemplate) : [];
+  const problems = templateErrors.length > 0 ? [{ orderNumber: null, customerName: null, errors: templateErrors }] : [];
+  
+  for (const order of orders) {
+    if (!order.message) continue;
+    
+    const unresolved = findUnresolvedPlaceholders(order.message);
+    if (unresolved.length > 0) {
+      problems.push({
+        orderNumber: order.orderNumber,
+        customerName: order.customer?.name || null,
+        errors: unresolved.map(placeholder => `Unrendered placeholder ${placeholder}`)
+      });
+    }
+  }
+  
+  return problems;
+}
+
+// Stand-in order for test sends, so placeholders in a test message show realistic values
+const SAMPLE_ORDER = {
+  orderNumber: 1001,
+  customer: { name: 'Test Customer', first_name: 'Test', last_name: 'Customer' },
+  deliveryMethod: 'Pickup',
+  totalPrice: '45.00',
+  createdAt: new Date().toISOString(),
+  tags: [],
+  lineItems: [{ name: 'Sample Box', quantity: 1 }],
+  subscriptionItems: 'Sample Box'
+};
+
+module.exports = {
+  SAMPLE_ORDER,
+  renderBulkMessage,
+  validateBulkMessages,
+  validateTemplate,
+  renderTemplate,
+  findUnresolvedPlaceholders
+};
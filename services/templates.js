@@ -0,0 +1,324 @@
+const admin = require('firebase-admin');
+const { validateTemplate } = require('./template-engine');
+
+const db = admin.firestore();
+const TEMPLATES_COLLECTION = process.env.TEMPLATES_COLLECTION || 'sms-templates';
+const VERSIONS_SUBCOLLECTION = 'versions';
+
+const TEMPLATE_CATEGORIES = ['delivery', 'pickup', 'tag', 'reply', 'general'];
+const MAX_TEMPLATE_LENGTH = 1600;
+
+// Generated Firestore IDs, and the readable ones given to default and tag templates
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// gRPC status code Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// The templates the Orders tab started with - seeded the first time the library is read
+const DEFAULT_TEMPLATES = [
+  {
+    id: 'home-delivery-default',
+    name: 'Default Home Delivery',
+    category: 'delivery',
+    body: 'Hi {customerName}, your order is packed and ready to go. We will be delivering Sunday after the markets. See you soon, Allynview Farm'
+  },
+  {
+    id: 'pickup-default',
+    name: 'Default Pickup',
+    category: 'pickup',
+    body: 'Hi {customerName}, your order is packed and ready to go for pickup at the Markets on Sunday, See you there. Allynview Farm'
+  },
+  {
+    id: 'pickup-ready',
+    name: 'Ready for Pickup',
+    category: 'pickup',
+    body: 'Hi {customerName}, your {orderItems} order is ready for pickup at our location. Please bring your order confirmation.'
+  },
+  { id: 'tag-urgent', name: 'urgent', category: 'tag', tag: 'urgent', body: 'Hi {customerName}, your urgent {orderItems} order is being prioritized and will be processed today!' },
+  { id: 'tag-ready', name: 'ready', category: 'tag', tag: 'ready', body: 'Hi {customerName}, your {orderItems} order is ready!' },
+  { id: 'tag-delivery_today', name: 'delivery_today', category: 'tag', tag: 'delivery_today', body: 'Hi {customerName}, your {orderItems} order will be delivered today between 10am-4pm.' },
+  { id: 'tag-first_order', name: 'first_order', category: 'tag', tag: 'first_order', body: 'Hi {customerName}, welcome! Your first {orderItems} order is being prepared. We\'re excited to have you on board!' }
+];
+
+/**
+ * Error carrying the HTTP status the template routes should respond with
+ */
+function templateError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Convert Firestore Timestamps on a template or version to Dates for the API
+ */
+function toPlainObject(doc) {
+  const data = doc.data();
+  const result = { id: doc.id };
+  
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = value && typeof value.toDate === 'function' ? value.toDate() : value;
+  }
+  
+  return result;
+}
+
+/**
+ * Validate the editable fields of a template. Tag templates are keyed by their tag,
+ * so two live templates can't claim the same one.
+ */
+function buildTemplateFields(input, existing = null) {
+  const fields = {
+    name: (input.name ?? existing?.name ?? '').toString().trim(),
+    category: input.category ?? existing?.category ?? 'general',
+    tag: (input.tag ?? existing?.tag ?? '').toString().trim().toLowerCase() || null,
+    body: (input.body ?? existing?.body ?? '').toString()
+  };
+  
+  if (!TEMPLATE_CATEGORIES.includes(fields.category)) {
+    throw templateError(`Category must be one of ${TEMPLATE_CATEGORIES.join(', ')}`);
+  }
+  if (!fields.body.trim()) {
+    throw templateError('Template text is required');
+  }
+  if (fields.body.length > MAX_TEMPLATE_LENGTH) {
+    throw templateError(`Templates are limited to ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  
+  const problems = validateTemplate(fields.body);
+  if (problems.length > 0) {
+    const error = templateError(`Template has ${problems.length} problem${problems.length === 1 ? '' : 's'}: ${problems.join('; ')}`);
+    error.validationErrors = problems;
+    throw error;
+  }
+  if (fields.category === 'tag' && !fields.tag) {
+    throw templateError('Tag templates need the order tag they apply to');
+  }
+  if (fields.category !== 'tag') {
+    fields.tag = null;
+  }
+  if (!fields.name) {
+    fields.name = fields.tag || 'Untitled template';
+  }
+  
+  return fields;
+}
+
+/**
+ * Write a template and its first version. Returns false if the ID is already taken.
+ */
+async function createTemplateDocument(docRef, fields, createdBy) {
+  const now = new Date();
+  const batch = db.batch();
+  
+  batch.create(docRef, {
+    ...fields,
+    version: 1,
+    archived: false,
+    createdBy,
+    createdAt: now,
+    updatedBy: createdBy,
+    updatedAt: now
+  });
+  batch.create(docRef.collection(VERSIONS_SUBCOLLECTION).doc('1'), {
+    ...fields,
+    version: 1,
+    editedBy: createdBy,
+    editedAt: now
+  });
+  
+  try {
+    await batch.commit();
+    return true;
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) return false;
+    throw error;
+  }
+}
+
+/**
+ * Seed the library with the built-in templates if it's empty
+ */
+async function ensureDefaultTemplates() {
+  const existing = await db.collection(TEMPLATES_COLLECTION).limit(1).get();
+  if (!existing.empty) return;
+  
+  console.log('📝 Seeding SMS template library with the default templates');
+  for (const { id, ...template } of DEFAULT_TEMPLATES) {
+    await createTemplateDocument(db.collection(TEMPLATES_COLLECTION).doc(id), buildTemplateFields(template), 'system');
+  }
+}
+
+/**
+ * List templates by category and name (archived ones only when asked for)
+ */
+async function listTemplates({ includeArchived = false } = {}) {
+  await ensureDefaultTemplates();
+  
+  const snapshot = await db.collection(TEMPLATES_COLLECTION).get();
+  
+  return snapshot.docs
+    .map(toPlainObject)
+    .filter(template => includeArchived || !template.archived)
+    .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a template with its version history, newest first
+ */
+async function getTemplate(templateId) {
+  const docRef = db.collection(TEMPLATES_COLLECTION).doc(templateId);
+  const doc = await docRef.get();
+  
+  if (!doc.exists) {
+    throw templateError('Template not found', 404);
+  }
+  
+  const versionsSnapshot = await docRef.collection(VERSIONS_SUBCOLLECTION).orderBy('version', 'desc').get();
+  return { ...toPlainObject(doc), versions: versionsSnapshot.docs.map(toPlainObject) };
+}
+
+/**
+ * Reject a tag another live template already covers
+ */
+async function assertTagAvailable(tag, templateId = null) {
+  if (!tag) return;
+  
+  const snapshot = await db.collection(TEMPLATES_COLLECTION).where('tag', '==', tag).get();
+  if (snapshot.docs.some(doc => doc.id !== templateId && !doc.data().archived)) {
+    throw templateError(`There is already a template for the "${tag}" tag`, 409);
+  }
+}
+
+/**
+ * Create a template. Tag templates get a readable ID (tag-<tag>) so they're easy to find in Firestore.
+ */
+async function createTemplate(input, createdBy = null) {
+  const fields = buildTemplateFields(input);
+  await assertTagAvailable(fields.tag);
+  
+  const collection = db.collection(TEMPLATES_COLLECTION);
+  let docRef = fields.tag ? collection.doc(`tag-${fields.tag.replace(/[^a-z0-9_-]/g, '_')}`) : collection.doc();
+  
+  // An archived template can hold the readable ID - fall back to a generated one
+  if (!(await createTemplateDocument(docRef, fields, createdBy))) {
+    docRef = collection.doc();
+    await createTemplateDocument(docRef, fields, createdBy);
+  }
+  
+  console.log(`📝 Created template ${docRef.id} (${fields.name})`);
+  return getTemplate(docRef.id);
+}
+
+/**
+ * Save an edit as a new version. expectedVersion guards against overwriting someone
+ * else's edit made since the editor loaded the template.
+ */
+async function updateTemplate(templateId, input, updatedBy = null) {
+  const docRef = db.collection(TEMPLATES_COLLECTION).doc(templateId);
+  const existingDoc = await docRef.get();
+  
+  if (!existingDoc.exists) {
+    throw templateError('Template not found', 404);
+  }
+  
+  const preview = buildTemplateFields(input, existingDoc.data());
+  await assertTagAvailable(preview.tag, templateId);
+  
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const existing = doc.data();
+    
+    if (input.expectedVersion !== undefined && Number(input.expectedVersion) !== existing.version) {
+      throw templateError(`"${existing.name}" was changed by ${existing.updatedBy || 'someone else'} - reload before saving`, 409);
+    }
+    
+    const fields = buildTemplateFields(input, existing);
+    const unchanged = ['name', 'category', 'tag', 'body'].every(key => fields[key] === (existing[key] ?? null));
+    if (unchanged && !existing.archived) return;
+    
+    const version = existing.version + 1;
+    const now = new Date();
+    
+    transaction.update(docRef, { ...fields, version, archived: false, updatedBy, updatedAt: now });
+    transaction.set(docRef.collection(VERSIONS_SUBCOLLECTION).doc(String(version)), {
+      ...fields,
+      version,
+      editedBy: updatedBy,
+      editedAt: now
+    });
+  });
+  
+  return getTemplate(templateId);
+}
+
+/**
+ * Archive a template. Its versions are kept so sent messages can still be traced back to them.
+ */
+async function archiveTemplate(templateId, archivedBy = null) {
+  const docRef = db.collection(TEMPLATES_COLLECTION).doc(templateId);
+  const doc = await docRef.get();
+  
+  if (!doc.exists) {
+    throw templateError('Template not found', 404);
+  }
+  
+  await docRef.update({ archived: true, updatedBy: archivedBy, updatedAt: new Date() });
+  console.log(`🗄️ Archived template ${templateId}`);
+  return getTemplate(templateId);
+}
+
+/**
+ * The template and version a message claims to come from, as stored in the library - or null if
+ * there's no such template or version. Without a version it's the template's current one.
+ */
+async function findTemplateVersion(templateId, version) {
+  if (!TEMPLATE_ID_PATTERN.test(templateId)) return null;
+  
+  const docRef = db.collection(TEMPLATES_COLLECTION).doc(templateId);
+  const doc = version === null ? await docRef.get() : await docRef.collection(VERSIONS_SUBCOLLECTION).doc(String(version)).get();
+  
+  if (!doc.exists) {
+    console.log(`⚠️ Message names template ${templateId}${version === null ? '' : ` version ${version}`}, which doesn't exist - not recording it`);
+    return null;
+  }
+  
+  const { name = null, version: storedVersion } = doc.data();
+  return { id: templateId, version: storedVersion, name };
+}
+
+/**
+ * The template reference stored on a message: which template and version produced it.
+ * The id and version the editor sent are looked up in the library, and the name comes from
+ * there - a template or version that doesn't exist gives null rather than a made-up reference.
+ * edited is set when the text was changed in the editor without saving a new version.
+ * Pass the same refs Map for every message of a bulk send so each template is read once.
+ */
+async function toTemplateRef(template, refs = new Map()) {
+  if (!template || typeof template.id !== 'string' || !template.id) {
+    return null;
+  }
+  
+  const version = template.version === undefined || template.version === null || template.version === '' ? null : Number(template.version);
+  if (version !== null && !(Number.isInteger(version) && version > 0)) {
+    return null;
+  }
+  
+  const key = `${template.id}@${version ?? 'current'}`;
+  if (!refs.has(key)) {
+    refs.set(key, findTemplateVersion(template.id, version));
+  }
+  
+  const found = await refs.get(key);
+  return found ? { ...found, edited: Boolean(template.edited) } : null;
+}
+
+module.exports = {
+  TEMPLATE_CATEGORIES,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  toTemplateRef
+};
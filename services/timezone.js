@@ -0,0 +1,120 @@
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Australia/Sydney';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Customer timezones by Shopify address - Australian states and territories by province code,
+// then countries that have a single timezone
+const AUSTRALIAN_STATE_TIMEZONES = {
+  ACT: 'Australia/Sydney',
+  NSW: 'Australia/Sydney',
+  VIC: 'Australia/Melbourne',
+  TAS: 'Australia/Hobart',
+  QLD: 'Australia/Brisbane',
+  SA: 'Australia/Adelaide',
+  NT: 'Australia/Darwin',
+  WA: 'Australia/Perth'
+};
+const COUNTRY_TIMEZONES = {
+  NZ: 'Pacific/Auckland'
+};
+
+/**
+ * Calendar date, weekday and wall-clock time of an instant in a timezone
+ */
+function getZonedParts(date, timeZone = BUSINESS_TIMEZONE) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+  
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Minutes the timezone is ahead of UTC at a given instant (AEST +600, AEDT +660)
+ */
+function getTimezoneOffsetMinutes(date, timeZone = BUSINESS_TIMEZONE) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to the instant it happens
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone = BUSINESS_TIMEZONE) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  
+  // The offset depends on the instant, which depends on the offset - two passes settle it across DST changes
+  let instant = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(wallClockAsUtc), timeZone) * 60000;
+  instant = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(instant), timeZone) * 60000;
+  
+  return new Date(instant);
+}
+
+/**
+ * Parse a send time from the browser. "2025-03-08T17:00" (datetime-local) is read as
+ * business-timezone wall-clock time; strings with Z or an offset are taken as-is.
+ */
+function parseLocalDateTime(value, timeZone = BUSINESS_TIMEZONE) {
+  if (!value) return null;
+  
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/.exec(String(value).trim());
+  if (match) {
+    const [, year, month, day, hour, minute] = match.map(Number);
+    return zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+  }
+  
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format an instant as business-timezone wall-clock time for datetime-local inputs ("2025-03-08T17:00")
+ */
+function formatLocalDateTime(date, timeZone = BUSINESS_TIMEZONE) {
+  const parts = getZonedParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * A customer's timezone from a Shopify address (province_code, country_code), or null when the
+ * address doesn't settle it - an Australian address without a state, or a country with several zones
+ */
+function getAddressTimezone(address) {
+  if (!address) return null;
+  
+  const countryCode = String(address.country_code || '').toUpperCase();
+  const provinceCode = String(address.province_code || '').toUpperCase();
+  
+  if (countryCode === 'AU') {
+    return AUSTRALIAN_STATE_TIMEZONES[provinceCode] || null;
+  }
+  return COUNTRY_TIMEZONES[countryCode] || null;
+}
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseLocalDateTime,
+  formatLocalDateTime,
+  getAddressTimezone
+};
@@ -1,63 +1,155 @@
-const twilio = require('twilio');
+const { getSmsProvider, getWebhookUrl } = require('./sms-provider');
+const { normalizePhoneNumber, formatPhoneNumber } = require('./phone');
+const { checkSendWindow } = require('./quiet-hours');
+const { renderBulkMessage, validateBulkMessages } = require('./template-engine');
+const { calculateSegments, estimateCost } = require('./sms-segments');
+const { createTokenBucket, backoffDelay, sleep } = require('./rate-limit');
+const { classifySendError } = require('./send-errors');
 
-const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
-const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+// Per-segment price for cost estimates (Twilio bills in USD - check the pricing page for your destination)
+const SMS_SEGMENT_PRICE = parseFloat(process.env.SMS_SEGMENT_PRICE) || 0.0515;
+const SMS_PRICE_CURRENCY = process.env.SMS_PRICE_CURRENCY || 'USD';
 
-const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+// Twilio queues anything over the account's rate (about 1 message a second for a long code) and
+// rejects what won't fit in the queue. The limit is per process, shared by bulk sends, campaigns and replies.
+const SMS_MESSAGES_PER_SECOND = parseFloat(process.env.SMS_MESSAGES_PER_SECOND) || 1;
+const sendRateLimiter = createTokenBucket({ ratePerSecond: SMS_MESSAGES_PER_SECOND });
+
+// Transient provider errors are retried a few times straight away - campaigns retry again later on top of this
+const SEND_MAX_ATTEMPTS = parseInt(process.env.SMS_SEND_MAX_ATTEMPTS) || 3;
+const SEND_RETRY_BASE_DELAY_MS = 1000;
+const SEND_RETRY_MAX_DELAY_MS = 8000;
+
+// Twilio's dateCreated only has whole seconds, and its clock and ours can drift apart a little
+const SEND_LOOKUP_SKEW_MS = 5000;
 
 /**
- * Format phone number for display
+ * Estimated cost of sending a number of segments at the configured price
  */
-function formatPhoneNumber(phone) {
-  if (!phone) return '';
-  
-  const cleaned = phone.replace(/\D/g, '');
-  
-  if (cleaned.length === 11 && cleaned.startsWith('1')) {
-    const areaCode = cleaned.slice(1, 4);
-    const exchange = cleaned.slice(4, 7);
-    const number = cleaned.slice(7);
-    return `+1 (${areaCode}) ${exchange}-${number}`;
-  } else if (cleaned.length === 10) {
-    const areaCode = cleaned.slice(0, 3);
-    const exchange = cleaned.slice(3, 6);
-    const number = cleaned.slice(6);
-    return `+1 (${areaCode}) ${exchange}-${number}`;
-  }
-  
-  return phone;
+function estimateSegmentCost(segments) {
+  return estimateCost(segments, SMS_SEGMENT_PRICE, SMS_PRICE_CURRENCY);
+}
+
+/**
+ * Number messages are sent from, recorded on stored messages
+ */
+function getSenderNumber() {
+  return getSmsProvider().phoneNumber;
+}
+
+/**
+ * Public URL of this app that Twilio can reach (null when none is known, e.g. local dev)
+ */
+function getPublicBaseUrl() {
+  const baseUrl = process.env.PUBLIC_BASE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null);
+  return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
 }
 
 /**
- * Send a single SMS message
+ * Public URL Twilio posts delivery status updates to
  */
-async function sendSingleSMS(phone, message, customerName = 'Customer', type = 'NOTIFICATION') {
+function getStatusCallbackUrl() {
+  const baseUrl = getPublicBaseUrl();
+  return baseUrl ? `${baseUrl}/webhook/status` : null;
+}
+
+/**
+ * Send a single SMS message, or an MMS when public media URLs are given, through the configured provider.
+ * Waits for the rate limiter and retries transient errors with backoff.
+ * Returns { success, sid, status, attempts } when the provider accepts the message, or
+ * { success: false, error, errorCode, errorDescription, retryable, permanent, attempts }
+ */
+async function sendSingleSMS(phone, message, customerName = 'Customer', type = 'NOTIFICATION', mediaUrls = []) {
   try {
-    console.log(`📤 Sending ${type} SMS to ${customerName} (${phone})`);
-    console.log(`📝 Message: ${message}`);
+    const to = normalizePhoneNumber(phone);
+    if (!to) {
+      console.error(`✗ Invalid phone number for ${customerName}: ${phone}`);
+      return { success: false, error: 'Invalid phone number', permanent: true };
+    }
     
-    const messageResponse = await client.messages.create({
-      body: message,
-      from: TWILIO_PHONE_NUMBER,
-      to: phone
-    });
+    // Never text numbers on the suppression list
+    const { isPhoneSuppressed } = require('./firestore');
+    if (await isPhoneSuppressed(to)) {
+      console.log(`🚫 ${customerName} (${to}) has opted out of SMS, not sending`);
+      return { success: false, error: 'Opted out of SMS (replied STOP)', suppressed: true, permanent: true };
+    }
     
-    console.log(`✅ SMS sent to ${phone}, SID: ${messageResponse.sid}`);
-    return true;
+    console.log(`📤 Sending ${type} ${mediaUrls.length > 0 ? 'MMS' : 'SMS'} to ${customerName} (${to})`);
+    console.log(`📝 Message: ${message}${mediaUrls.length > 0 ? ` (+${mediaUrls.length} media)` : ''}`);
+    
+    const startedAt = new Date();
+    
+    for (let attempt = 1; ; attempt++) {
+      await sendRateLimiter.take();
+      
+      try {
+        const messageResponse = await getSmsProvider().send({
+          to,
+          body: message,
+          mediaUrls,
+          statusCallback: getStatusCallbackUrl()
+        });
+        
+        console.log(`✅ SMS sent to ${to}, SID: ${messageResponse.sid}`);
+        return { success: true, sid: messageResponse.sid, status: messageResponse.status, attempts: attempt };
+        
+      } catch (error) {
+        const failure = classifySendError(error);
+        
+        // No response means the message may have gone out anyway - check before sending it again
+        if (failure.noResponse && message) {
+          const existing = await findRecentOutboundMessage(to, message, startedAt).catch(() => null);
+          if (existing) {
+            console.log(`🔁 Send to ${to} failed (${error.message}) but reached the provider (${existing.sid})`);
+            return { success: true, sid: existing.sid, status: existing.status, attempts: attempt };
+          }
+        }
+        
+        if (!failure.retryable || attempt >= SEND_MAX_ATTEMPTS) {
+          console.error(`✗ SMS error to ${to}: ${error.message}${failure.errorCode ? ` (${failure.errorCode})` : ''} - ${failure.permanent ? 'permanent' : `giving up after ${attempt} attempts`}`);
+          return {
+            success: false,
+            error: error.message,
+            errorCode: failure.errorCode,
+            errorCategory: failure.category,
+            errorDescription: failure.description,
+            retryable: failure.retryable,
+            permanent: failure.permanent,
+            attempts: attempt
+          };
+        }
+        
+        const delay = backoffDelay(attempt, { baseMs: SEND_RETRY_BASE_DELAY_MS, maxMs: SEND_RETRY_MAX_DELAY_MS });
+        console.log(`⏳ SMS to ${to} failed (${failure.description}), retrying in ${delay}ms (attempt ${attempt + 1}/${SEND_MAX_ATTEMPTS})`);
+        await sleep(delay);
+      }
+    }
     
   } catch (error) {
+    // Something failed before the provider was reached (e.g. the suppression list lookup) - worth another go
     console.error(`✗ SMS error to ${phone}: ${error.message}`);
-    return false;
+    return { success: false, error: error.message, errorCode: null, retryable: true, permanent: false };
   }
 }
 
 /**
- * Send a test SMS message
+ * Send a test SMS message. template is the library template it was written from, if any.
  */
-async function sendTestSMS(testPhone, message) {
+async function sendTestSMS(phone, message, template = null) {
+  const testPhone = normalizePhoneNumber(phone);
+  
+  if (!testPhone) {
+    return {
+      success: false,
+      phone: phone,
+      message: message,
+      error: 'Invalid phone number'
+    };
+  }
+  
   try {
-    const success = await sendSingleSMS(testPhone, message, 'Test User', 'TEST');
+    const sendResult = await sendSingleSMS(testPhone, message, 'Test User', 'TEST');
+    const success = sendResult.success;
     
     // Store the test message in Firestore if successful
     if (success) {
@@ -69,11 +161,14 @@ async function sendTestSMS(testPhone, message) {
           channel: 'sms',
           direction: 'outbound',
           content: message,
+          template,
           channelData: {
-            from: process.env.TWILIO_PHONE_NUMBER,
+            from: getSenderNumber(),
             to: testPhone,
-            type: 'test'
+            type: 'test',
+            twilioSid: sendResult.sid
           },
+          status: sendResult.status,
           timestamp: new Date()
         });
         console.log(`💾 Stored test message for customer ${customerId}`);
@@ -87,7 +182,7 @@ async function sendTestSMS(testPhone, message) {
       phone: testPhone,
       message: message,
       timestamp: new Date().toISOString(),
-      ...(success ? {} : { error: 'Failed to send SMS' })
+      ...(success ? { sid: sendResult.sid } : { error: sendResult.error || 'Failed to send SMS' })
     };
     
   } catch (error) {
@@ -101,27 +196,65 @@ async function sendTestSMS(testPhone, message) {
   }
 }
 
+/**
+ * Look for a message the provider already accepted to this number since a given time.
+ * Used to find out whether a send interrupted by a crash or timeout actually went out.
+ * A message accepted in the same second as `since` is dated before it (12:00:00 against
+ * 12:00:00.400), so the window starts at the whole second, less a margin for clock skew.
+ */
+async function findRecentOutboundMessage(phone, body, since) {
+  const windowStart = Math.floor(new Date(since).getTime() / 1000) * 1000 - SEND_LOOKUP_SKEW_MS;
+  
+  const messages = await getSmsProvider().listMessages({
+    to: normalizePhoneNumber(phone) || phone,
+    limit: 20
+  });
+  
+  return messages.find(message => 
+    (message.body || '').includes(body) && message.dateCreated && new Date(message.dateCreated).getTime() >= windowStart
+  ) || null;
+}
+
 /**
  * Send bulk SMS messages to multiple customers
+ * An optional client-supplied idempotency key makes a resubmitted batch skip orders already texted.
  */
-async function sendBulkSMS(orders, messageTemplate, testMode = false) {
-  const { getCustomerIdFromPhone, storeCustomerMessage } = require('./firestore');
+async function sendBulkSMS(orders, messageTemplate, testMode = false, idempotencyKey = null) {
+  const { getCustomerIdFromPhone, getCustomerTimezone, storeCustomerMessage, claimIdempotencyKey, releaseIdempotencyKey, isPhoneSuppressed } = require('./firestore');
+  const { toTemplateRef } = require('./templates');
+  const { findPreviousSends, describePreviousSend, recordSend } = require('./send-ledger');
   
   const results = {
     success: [],
     errors: [],
+    skipped: [],
+    heldBack: [],
     totalSent: 0,
-    totalErrors: 0
+    totalErrors: 0,
+    totalSkipped: 0,
+    totalHeldBack: 0
   };
   
   console.log(`📤 Starting bulk SMS send - ${orders.length} orders (Test mode: ${testMode})`);
   
-  for (const order of orders) {
+  // Nothing goes out if any message would be sent with a broken template
+  const problems = testMode ? [] : validateBulkMessages(orders, messageTemplate);
+  if (problems.length > 0) {
+    const error = new Error(`${problems.length} message${problems.length === 1 ? '' : 's'} can't be sent: ${problems[0].errors.join('; ')}`);
+    error.status = 400;
+    error.validationErrors = problems;
+    throw error;
+  }
+  
+  // Orders that already had this notification are skipped unless they're marked for resending
+  const previousSends = await findPreviousSends(orders);
+  const templateRefs = new Map();
+  
+  for (const [index, order] of orders.entries()) {
     try {
-      const phone = order.customer.phone;
       const customerName = order.customer.name;
       
-      if (!phone) {
+      if (!order.customer.phone) {
         results.errors.push({
           orderNumber: order.orderNumber,
           customerName: customerName,
@@ -130,16 +263,56 @@ async function sendBulkSMS(orders, messageTemplate, testMode = false) {
         continue;
       }
       
-      // Use individual message if provided, otherwise use template
-      let personalizedMessage;
-      if (order.message) {
-        personalizedMessage = order.message;
-      } else {
-        personalizedMessage = messageTemplate
-          .replace(/\{customerName\}/g, customerName)
-          .replace(/\{orderNumber\}/g, order.orderNumber)
-          .replace(/\{deliveryMethod\}/g, order.deliveryMethod)
-          .replace(/\{totalPrice\}/g, `$${order.totalPrice}`);
+      const phone = normalizePhoneNumber(order.customer.phone);
+      if (!phone) {
+        results.errors.push({
+          phone: order.customer.phone,
+          orderNumber: order.orderNumber,
+          customerName: customerName,
+          error: 'Invalid phone number'
+        });
+        continue;
+      }
+      
+      if (await isPhoneSuppressed(phone)) {
+        results.skipped.push({
+          phone: phone,
+          customerName: customerName,
+          orderNumber: order.orderNumber,
+          reason: 'Opted out of SMS (replied STOP)'
+        });
+        continue;
+      }
+      
+      const previousSend = previousSends.get(index);
+      if (previousSend && !order.resend) {
+        results.skipped.push({
+          phone: phone,
+          customerName: customerName,
+          orderNumber: order.orderNumber,
+          reason: describePreviousSend(previousSend),
+          alreadySentAt: previousSend.lastSentAt,
+          alreadySent: true
+        });
+        continue;
+      }
+      
+      const personalizedMessage = renderBulkMessage(order, messageTemplate);
+      const { segments, encoding, nonGsmCharacters } = calculateSegments(personalizedMessage);
+      
+      // Campaigns defer these to the next window - a direct send can only hold them back
+      const sendWindow = checkSendWindow('bulk', await getCustomerTimezone(phone));
+      if (!sendWindow.allowed) {
+        results.heldBack.push({
+          phone: phone,
+          customerName: customerName,
+          orderNumber: order.orderNumber,
+          message: personalizedMessage,
+          segments: segments,
+          reason: sendWindow.reason,
+          nextAllowedAt: sendWindow.nextAllowedAt
+        });
+        continue;
       }
       
       if (testMode) {
@@ -149,12 +322,33 @@ async function sendBulkSMS(orders, messageTemplate, testMode = false) {
           customerName: customerName,
           orderNumber: order.orderNumber,
           message: personalizedMessage,
+          segments: segments,
+          encoding: encoding,
+          nonGsmCharacters: nonGsmCharacters,
           testMode: true
         });
       } else {
-        const success = await sendSingleSMS(phone, personalizedMessage, customerName, 'BULK');
+        let claimedKey = null;
+        if (idempotencyKey) {
+          const orderKey = `bulk_${idempotencyKey}_${order.id || order.orderNumber}`;
+          const claimed = await claimIdempotencyKey(orderKey, { orderNumber: order.orderNumber, direction: 'outbound' });
+          
+          if (!claimed) {
+            console.log(`⏭️ Order ${order.orderNumber} already sent in batch ${idempotencyKey}, skipping`);
+            results.skipped.push({
+              phone: phone,
+              customerName: customerName,
+              orderNumber: order.orderNumber,
+              reason: 'Already sent in this batch'
+            });
+            continue;
+          }
+          claimedKey = orderKey;
+        }
+        
+        const sendResult = await sendSingleSMS(phone, personalizedMessage, customerName, 'BULK');
         
-        if (success) {
+        if (sendResult.success) {
           // Store the sent message in Firestore
           try {
             const customerId = await getCustomerIdFromPhone(phone);
@@ -163,11 +357,14 @@ async function sendBulkSMS(orders, messageTemplate, testMode = false) {
               channel: 'sms',
               direction: 'outbound',
               content: personalizedMessage,
+              template: await toTemplateRef(order.template, templateRefs),
               channelData: {
-                from: process.env.TWILIO_PHONE_NUMBER,
+                from: getSenderNumber(),
                 to: phone,
-                type: 'bulk'
+                type: 'bulk',
+                twilioSid: sendResult.sid
               },
+              status: sendResult.status,
               timestamp: new Date()
             });
             console.log(`💾 Stored bulk message for customer ${customerId}`);
@@ -175,23 +372,37 @@ async function sendBulkSMS(orders, messageTemplate, testMode = false) {
             console.error(`⚠️ Failed to store bulk message: ${firestoreError.message}`);
           }
           
+          await recordSend(order, {
+            phone: phone,
+            customerName: customerName,
+            message: personalizedMessage,
+            sid: sendResult.sid
+          });
+          
           results.success.push({
             phone: phone,
             customerName: customerName,
             orderNumber: order.orderNumber,
-            message: personalizedMessage
+            message: personalizedMessage,
+            segments: segments,
+            encoding: encoding,
+            sid: sendResult.sid
           });
         } else {
+          if (claimedKey) {
+            await releaseIdempotencyKey(claimedKey);
+          }
           results.errors.push({
             phone: phone,
             customerName: customerName,
             orderNumber: order.orderNumber,
-            error: 'Failed to send SMS'
+            error: sendResult.error || 'Failed to send SMS',
+            errorCode: sendResult.errorCode || null,
+            errorDescription: sendResult.errorDescription || null,
+            permanent: Boolean(sendResult.permanent),
+            attempts: sendResult.attempts || 1
           });
         }
-        
-        // Rate limiting - wait 200ms between messages
-        await new Promise(resolve => setTimeout(resolve, 200));
       }
       
     } catch (error) {
@@ -207,36 +418,42 @@ async function sendBulkSMS(orders, messageTemplate, testMode = false) {
   
   results.totalSent = results.success.length;
   results.totalErrors = results.errors.length;
+  results.totalSkipped = results.skipped.length;
+  results.totalHeldBack = results.heldBack.length;
+  // A campaign sends held-back messages once quiet hours end, so test runs count them too
+  const billable = testMode ? [...results.success, ...results.heldBack] : results.success;
+  results.totalSegments = billable.reduce((sum, item) => sum + item.segments, 0);
+  results.estimatedCost = estimateSegmentCost(results.totalSegments);
   
-  console.log(`📊 Bulk SMS complete: ${results.totalSent} sent, ${results.totalErrors} errors`);
+  console.log(`📊 Bulk SMS complete: ${results.totalSent} sent, ${results.totalErrors} errors, ${results.totalSkipped} skipped, ${results.totalHeldBack} held back`);
   
   return results;
 }
 
 /**
- * Validate Twilio configuration
+ * Check that an incoming webhook request was signed by the provider
  */
-async function validateTwilioConfig() {
-  try {
-    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
-      throw new Error('Missing Twilio configuration');
-    }
-    
-    // Test by fetching account info
-    const account = await client.api.accounts(TWILIO_ACCOUNT_SID).fetch();
-    console.log(`✅ Twilio connection verified for account: ${account.friendlyName}`);
-    
-    return true;
-  } catch (error) {
-    console.error(`❌ Twilio configuration error: ${error.message}`);
-    return false;
-  }
+function validateWebhookSignature(req) {
+  return getSmsProvider().validateSignature(req, getWebhookUrl(req));
+}
+
+/**
+ * Validate the SMS provider configuration
+ */
+async function validateProviderConfig() {
+  return getSmsProvider().validateConfig();
 }
 
 module.exports = {
   formatPhoneNumber,
+  getSenderNumber,
+  getPublicBaseUrl,
+  getStatusCallbackUrl,
+  estimateSegmentCost,
   sendSingleSMS,
   sendTestSMS,
   sendBulkSMS,
-  validateTwilioConfig
+  findRecentOutboundMessage,
+  validateWebhookSignature,
+  validateProviderConfig
 };
\ No newline at end of file
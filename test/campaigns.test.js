@@ -0,0 +1,165 @@
+/**
+ * Campaign queueing and processing against the Firestore emulator - see test/read-state.test.js
+ * for how to run it. Skipped when no emulator is configured.
+ */
+const { describe, test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/modules');
+const { EMULATOR_HOST, requiresEmulator, loadFirestoreService } = require('./support/emulator');
+
+const MESSAGE = 'Hi {firstName}, your order {orderNumber} is packed';
+
+let campaigns;
+let db;
+let collections;
+let runId;
+let sendSingleSMS;
+
+// services/campaigns takes these when it loads, so they hand calls on to the mock of the current test
+const twilioService = {
+  sendSingleSMS: (...args) => sendSingleSMS(...args),
+  findRecentOutboundMessage: async () => null,
+  estimateSegmentCost: segments => ({ segments, amount: segments * 0.05, currency: 'USD' }),
+  getSenderNumber: () => '+61400000000'
+};
+
+before(() => {
+  if (!EMULATOR_HOST) return;
+  
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  
+  let firestore;
+  ({ firestore, db, collections, runId } = loadFirestoreService());
+  campaigns = loadModule('services/campaigns', {
+    env: collections,
+    stubs: {
+      'services/firestore': firestore,
+      'services/twilio': twilioService,
+      // Sends go out whatever time the tests run
+      'services/quiet-hours': { checkSendWindow: () => ({ allowed: true }) }
+    }
+  });
+});
+
+beforeEach(() => {
+  let sent = 0;
+  sendSingleSMS = mock.fn(async () => ({ success: true, sid: `SM${runId}${String(++sent).padStart(6, '0')}`, status: 'queued' }));
+});
+
+function ordersFor(name, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${name}-${i}`,
+    orderNumber: `#${1000 + i}`,
+    customer: { name: `Customer ${i}`, phone: `+614123450${String(i).padStart(2, '0')}` }
+  }));
+}
+
+/**
+ * Run callback the next time services/campaigns starts a transaction - the first recipient write -
+ * then let the transaction go ahead (or fail it with error)
+ */
+function beforeRecipientWrite(callback, error = null) {
+  const runTransaction = db.runTransaction;
+  mock.method(db, 'runTransaction', async function (...args) {
+    db.runTransaction.mock.restore();
+    await callback();
+    if (error) throw error;
+    return runTransaction.apply(this, args);
+  });
+}
+
+describe('createCampaign', requiresEmulator, () => {
+  test('isn\'t picked up by the worker until all its recipients are written', async () => {
+    const key = `gap-${runId}`;
+    let duringCreate;
+    beforeRecipientWrite(async () => {
+      duringCreate = {
+        run: await campaigns.processCampaignQueue({ campaignId: key }),
+        campaign: await campaigns.getCampaign(key)
+      };
+    });
+    
+    const { campaign } = await campaigns.createCampaign(ordersFor('gap', 3), MESSAGE, { idempotencyKey: key });
+    
+    assert.deepEqual(duringCreate.run, { processed: 0 });
+    assert.equal(duringCreate.campaign.status, 'creating');
+    assert.equal(campaign.status, 'queued');
+    
+    await campaigns.processCampaignQueue({ campaignId: key });
+    
+    const finished = await campaigns.getCampaign(key, { includeRecipients: true });
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.counts.sent, 3);
+    assert.ok(finished.recipients.every(recipient => recipient.status === 'sent'));
+    assert.equal(sendSingleSMS.mock.callCount(), 3);
+  });
+  
+  test('finishes queueing on a retry after the recipient write failed', async () => {
+    const key = `retry-${runId}`;
+    const orders = ordersFor('retry', 3);
+    beforeRecipientWrite(async () => {}, new Error('Deadline exceeded'));
+    
+    await assert.rejects(campaigns.createCampaign(orders, MESSAGE, { idempotencyKey: key }), /Deadline exceeded/);
+    assert.equal((await campaigns.getCampaign(key)).status, 'creating');
+    
+    const retry = await campaigns.createCampaign(orders, MESSAGE, { idempotencyKey: key });
+    
+    assert.equal(retry.duplicate, false);
+    assert.equal(retry.campaign.status, 'queued');
+    const queued = await campaigns.getCampaign(key, { includeRecipients: true });
+    assert.equal(queued.recipients.length, 3);
+    assert.ok(queued.recipients.every(recipient => recipient.status === 'pending'));
+  });
+  
+  test('returns the queued campaign for a repeated idempotency key without queueing it again', async () => {
+    const key = `repeat-${runId}`;
+    
+    const first = await campaigns.createCampaign(ordersFor('repeat', 2), MESSAGE, { idempotencyKey: key });
+    const repeat = await campaigns.createCampaign(ordersFor('repeat', 2), MESSAGE, { idempotencyKey: key });
+    
+    assert.equal(first.duplicate, false);
+    assert.equal(repeat.duplicate, true);
+    assert.equal(repeat.campaign.id, first.campaign.id);
+    assert.equal(repeat.campaign.total, 2);
+  });
+  
+  test('completes straight away when there\'s no one to send to', async () => {
+    const orders = [{ id: 'no-phone', orderNumber: '#2000', customer: { name: 'No Phone', phone: '' } }];
+    
+    const { campaign } = await campaigns.createCampaign(orders, MESSAGE, { idempotencyKey: `empty-${runId}` });
+    
+    assert.equal(campaign.status, 'completed');
+    assert.equal(campaign.counts.failed, 1);
+  });
+});
+
+describe('processCampaignQueue', requiresEmulator, () => {
+  test('lets only one run in a process send a campaign, and the other leaves its lease alone', async () => {
+    const key = `lease-${runId}`;
+    await campaigns.createCampaign(ordersFor('lease', 2), MESSAGE, { idempotencyKey: key });
+    
+    // Hold the first run in the middle of its first send
+    let sendStarted;
+    let finishSend;
+    const started = new Promise(resolve => { sendStarted = resolve; });
+    sendSingleSMS.mock.mockImplementationOnce(() => new Promise(resolve => {
+      sendStarted();
+      finishSend = () => resolve({ success: true, sid: `SM${runId}lease000001`, status: 'queued' });
+    }));
+    
+    const firstRun = campaigns.processCampaignQueue({ campaignId: key });
+    await started;
+    
+    const secondRun = await campaigns.processCampaignQueue({ campaignId: key });
+    const leaseAfterSecondRun = (await db.collection(collections.CAMPAIGNS_COLLECTION).doc(key).get()).data().lease;
+    
+    finishSend();
+    assert.deepEqual(await firstRun, { processed: 1 });
+    
+    assert.deepEqual(secondRun, { processed: 0 });
+    assert.ok(leaseAfterSecondRun.token, 'the second run released the first run\'s lease');
+    assert.equal(sendSingleSMS.mock.callCount(), 2);
+    assert.equal((await campaigns.getCampaign(key)).counts.sent, 2);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/modules');
+const { detectConsentKeyword, getKeywordReply } = require('../services/consent');
+
+describe('detectConsentKeyword', () => {
+  test('recognises the opt-out keywords', () => {
+    for (const body of ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPT OUT', 'OPTOUT', 'REVOKE']) {
+      assert.equal(detectConsentKeyword(body)?.type, 'opt_out', body);
+    }
+  });
+  
+  test('recognises the opt-in keywords', () => {
+    for (const body of ['START', 'UNSTOP', 'SUBSCRIBE', 'OPT IN', 'OPTIN']) {
+      assert.equal(detectConsentKeyword(body)?.type, 'opt_in', body);
+    }
+  });
+  
+  test('recognises the help keywords', () => {
+    assert.deepEqual(detectConsentKeyword('HELP'), { type: 'help', keyword: 'HELP' });
+    assert.deepEqual(detectConsentKeyword('info'), { type: 'help', keyword: 'INFO' });
+  });
+  
+  test('ignores case, surrounding whitespace and punctuation', () => {
+    assert.deepEqual(detectConsentKeyword('  stop\n'), { type: 'opt_out', keyword: 'STOP' });
+    assert.deepEqual(detectConsentKeyword('Stop.'), { type: 'opt_out', keyword: 'STOP' });
+    assert.deepEqual(detectConsentKeyword('STOP!!'), { type: 'opt_out', keyword: 'STOP' });
+    assert.deepEqual(detectConsentKeyword('opt   out'), { type: 'opt_out', keyword: 'OPT OUT' });
+    assert.deepEqual(detectConsentKeyword('Unstop'), { type: 'opt_in', keyword: 'UNSTOP' });
+  });
+  
+  test('only counts a keyword that is the whole message', () => {
+    for (const body of ['stop by tomorrow', 'Can you stop the delivery?', 'please cancel my order', 'Help me find my order', 'the end', 'start time?', 'STOPPED', 'Unsubscribed already']) {
+      assert.equal(detectConsentKeyword(body), null, body);
+    }
+  });
+  
+  test('ignores empty messages', () => {
+    assert.equal(detectConsentKeyword(''), null);
+    assert.equal(detectConsentKeyword('   '), null);
+    assert.equal(detectConsentKeyword(null), null);
+    assert.equal(detectConsentKeyword(undefined), null);
+  });
+});
+
+describe('getKeywordReply', () => {
+  test('confirms opt-out and opt-in, and tells HELP how to get in touch', () => {
+    assert.match(getKeywordReply('opt_out'), /unsubscribed.*Reply START/);
+    assert.match(getKeywordReply('opt_in'), /resubscribed.*Reply STOP/);
+    assert.match(getKeywordReply('help'), /for help contact .*Reply STOP/);
+    assert.equal(getKeywordReply('unknown'), null);
+  });
+});
+
+describe('handleInboundMessage keyword replies', () => {
+  let inbound;
+  let firestore;
+  
+  const message = body => ({
+    sid: 'SM0123456789abcdef0123456789abcdef',
+    from: '+61412345678',
+    to: '+61400000000',
+    body,
+    numMedia: 0,
+    media: []
+  });
+  
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+  
+  beforeEach(() => {
+    // Idempotency keys held in memory the way Firestore's create() holds them
+    const claimedKeys = new Set();
+    firestore = {
+      getCustomerIdFromPhone: async () => 'phone_61412345678',
+      storeCustomerMessage: mock.fn(async () => true),
+      setSmsConsent: mock.fn(async () => {}),
+      claimIdempotencyKey: async key => {
+        if (claimedKeys.has(key)) return false;
+        claimedKeys.add(key);
+        return true;
+      },
+      releaseIdempotencyKey: async key => {
+        claimedKeys.delete(key);
+      }
+    };
+    inbound = loadModule('services/inbound', {
+      stubs: {
+        'services/firestore': firestore,
+        'services/media': { storeInboundMedia: async () => [] }
+      }
+    });
+  });
+  
+  test('opts the number out and confirms it', async () => {
+    const result = await inbound.handleInboundMessage(message('Stop'));
+    
+    assert.equal(result.duplicate, false);
+    assert.equal(result.replies.length, 1);
+    assert.match(result.replies[0], /unsubscribed/);
+    assert.deepEqual(firestore.setSmsConsent.mock.calls[0].arguments.slice(0, 2), ['+61412345678', 'opted_out']);
+  });
+  
+  test('doesn\'t reply to or record consent for an ordinary message', async () => {
+    const result = await inbound.handleInboundMessage(message('Can you stop by tomorrow?'));
+    
+    assert.deepEqual(result.replies, []);
+    assert.equal(firestore.setSmsConsent.mock.callCount(), 0);
+    assert.equal(firestore.storeCustomerMessage.mock.callCount(), 1);
+  });
+  
+  test('answers HELP without changing consent', async () => {
+    const result = await inbound.handleInboundMessage(message('help'));
+    
+    assert.match(result.replies[0], /for help contact/);
+    assert.equal(firestore.setSmsConsent.mock.callCount(), 0);
+  });
+  
+  test('sends the confirmation once when Twilio retries the webhook', async () => {
+    const first = await inbound.handleInboundMessage(message('STOP'));
+    const retry = await inbound.handleInboundMessage(message('STOP'));
+    
+    assert.equal(first.replies.length, 1);
+    assert.deepEqual(retry.replies, []);
+    assert.equal(retry.duplicate, true);
+    assert.equal(firestore.storeCustomerMessage.mock.callCount(), 1);
+    assert.equal(firestore.setSmsConsent.mock.callCount(), 1);
+  });
+  
+  test('handles a retry in full when the first delivery failed', async () => {
+    firestore.setSmsConsent.mock.mockImplementationOnce(async () => {
+      throw new Error('Firestore unavailable');
+    });
+    
+    await assert.rejects(inbound.handleInboundMessage(message('STOP')), /Firestore unavailable/);
+    const retry = await inbound.handleInboundMessage(message('STOP'));
+    
+    assert.equal(retry.duplicate, false);
+    assert.match(retry.replies[0], /unsubscribed/);
+    assert.equal(firestore.setSmsConsent.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const admin = require('firebase-admin');
+const { loadModule } = require('./support/modules');
+
+// routes/sms takes its functions when it loads, so the stub hands calls on to a fresh mock per test
+let listConversations;
+const firestore = {
+  listConversations: (...args) => listConversations(...args)
+};
+
+// Everyone shares one login - each test starts a new session on it
+let session;
+let server;
+
+async function request(method, path, body) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/sms${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  
+  // Nothing here talks to Firestore - the app only needs to exist for the routes' services to load
+  if (!admin.apps.length) {
+    admin.initializeApp({ projectId: 'demo-sms-webhook' });
+  }
+  const router = loadModule('routes/sms', { stubs: { 'services/firestore': firestore } });
+  
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = session;
+    next();
+  });
+  app.use('/api/sms', router);
+  
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  session = { authenticated: true, email: 'orders@example.com' };
+  listConversations = mock.fn(async () => ({ conversations: [], nextCursor: null }));
+});
+
+describe('mine filter', () => {
+  test('lists the conversations assigned to the name saved for the session', async () => {
+    const saved = await request('PUT', '/staff', { name: '  Alex  ' });
+    const response = await request('GET', '/conversations?filter=mine');
+    
+    assert.deepEqual(saved.body, { success: true, staffName: 'Alex' });
+    assert.equal(response.status, 200);
+    assert.equal(listConversations.mock.calls[0].arguments[0].filter, 'mine');
+    assert.equal(listConversations.mock.calls[0].arguments[0].assignee, 'Alex');
+  });
+  
+  test('ignores an assignee asked for in the query', async () => {
+    await request('PUT', '/staff', { name: 'Alex' });
+    
+    await request('GET', '/conversations?filter=mine&assignee=Jordan');
+    
+    assert.equal(listConversations.mock.calls[0].arguments[0].assignee, 'Alex');
+  });
+  
+  test('needs a name saved for the session first', async () => {
+    const response = await request('GET', '/conversations?filter=mine&assignee=Jordan');
+    
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Set your name to see the conversations assigned to you');
+    assert.equal(listConversations.mock.callCount(), 0);
+  });
+  
+  test('rejects a blank or overlong name', async () => {
+    for (const name of ['', '   ', null, 'x'.repeat(61)]) {
+      const response = await request('PUT', '/staff', { name });
+      
+      assert.equal(response.status, 400, JSON.stringify(name));
+    }
+    assert.equal(session.staffName, undefined);
+  });
+});
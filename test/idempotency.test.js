@@ -0,0 +1,138 @@
+/**
+ * Idempotency keys against the Firestore emulator - see test/read-state.test.js for how to run it.
+ * Skipped when no emulator is configured.
+ */
+const { describe, test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EMULATOR_HOST, requiresEmulator, loadFirestoreService } = require('./support/emulator');
+
+const CUSTOMER_PHONE = '+61412345678';
+const BUSINESS_PHONE = '+61400000000';
+
+let firestore;
+let db;
+let collections;
+let runId;
+
+// Stands in for services/twilio so replies never reach a provider
+const twilioService = {
+  sendSingleSMS: async () => ({ success: true, sid: 'SM0123456789abcdef0123456789abcdef', status: 'queued' }),
+  getPublicBaseUrl: () => 'https://sms.example.com',
+  getSenderNumber: () => BUSINESS_PHONE
+};
+
+before(() => {
+  if (!EMULATOR_HOST) return;
+  
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  
+  ({ firestore, db, collections, runId } = loadFirestoreService({ stubs: { 'services/twilio': twilioService } }));
+});
+
+function customerRef(customerId) {
+  return db.collection(collections.CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId);
+}
+
+async function countMessages(customerId) {
+  const snapshot = await customerRef(customerId).collection('messages').get();
+  return snapshot.size;
+}
+
+describe('claimIdempotencyKey', requiresEmulator, () => {
+  test('lets only one of several concurrent claims win', async () => {
+    const key = `claim_${runId}`;
+    
+    const claims = await Promise.all(Array.from({ length: 5 }, () => firestore.claimIdempotencyKey(key)));
+    
+    assert.equal(claims.filter(Boolean).length, 1);
+  });
+  
+  test('can be claimed again once released', async () => {
+    const key = `release_${runId}`;
+    
+    assert.equal(await firestore.claimIdempotencyKey(key), true);
+    await firestore.releaseIdempotencyKey(key);
+    
+    assert.equal(await firestore.claimIdempotencyKey(key), true);
+    assert.equal(await firestore.claimIdempotencyKey(key), false);
+  });
+});
+
+describe('storeCustomerMessage with a repeated MessageSid', requiresEmulator, () => {
+  test('stores a webhook Twilio retried once', async () => {
+    const customerId = 'customer_webhook_retry';
+    const message = {
+      customerId,
+      channel: 'sms',
+      direction: 'inbound',
+      content: 'Where is my order?',
+      channelData: { from: CUSTOMER_PHONE, to: BUSINESS_PHONE, twilioSid: `SM${runId}retry` },
+      timestamp: new Date()
+    };
+    
+    const results = await Promise.all([firestore.storeCustomerMessage(message), firestore.storeCustomerMessage(message)]);
+    await firestore.storeCustomerMessage(message);
+    
+    assert.deepEqual(results, [true, true]);
+    assert.equal(await countMessages(customerId), 1);
+    const profile = (await customerRef(customerId).get()).data().profile;
+    assert.equal(profile.unreadCount, 1);
+  });
+});
+
+describe('sendReplyToCustomer with an idempotency key', requiresEmulator, () => {
+  beforeEach(() => {
+    mock.method(twilioService, 'sendSingleSMS', async () => ({ success: true, sid: `SM${runId}${Math.random()}`.replace('.', ''), status: 'queued' }));
+  });
+  
+  async function createCustomer(customerId) {
+    await customerRef(customerId).set({ profile: { name: 'Sam Citizen', phone: CUSTOMER_PHONE, unreadCount: 0 } });
+  }
+  
+  test('sends a resubmitted reply once and reports the repeat as already sent', async () => {
+    const customerId = 'customer_resubmitted_reply';
+    const key = `reply-key-${runId}`;
+    await createCustomer(customerId);
+    
+    const first = await firestore.sendReplyToCustomer(customerId, 'Your order is on its way', key, [], { overrideQuietHours: true });
+    const repeat = await firestore.sendReplyToCustomer(customerId, 'Your order is on its way', key, [], { overrideQuietHours: true });
+    
+    assert.equal(first.success, true);
+    assert.equal(first.duplicate, undefined);
+    assert.deepEqual(repeat, { success: true, duplicate: true, message: 'Reply already sent' });
+    assert.equal(twilioService.sendSingleSMS.mock.callCount(), 1);
+    assert.equal(await countMessages(customerId), 1);
+  });
+  
+  test('sends concurrent submissions of the same reply once', async () => {
+    const customerId = 'customer_double_click';
+    const key = `double-click-${runId}`;
+    await createCustomer(customerId);
+    
+    const results = await Promise.all([
+      firestore.sendReplyToCustomer(customerId, 'See you Saturday', key, [], { overrideQuietHours: true }),
+      firestore.sendReplyToCustomer(customerId, 'See you Saturday', key, [], { overrideQuietHours: true })
+    ]);
+    
+    assert.ok(results.every(result => result.success));
+    assert.equal(results.filter(result => result.duplicate).length, 1);
+    assert.equal(twilioService.sendSingleSMS.mock.callCount(), 1);
+  });
+  
+  test('releases the key when the send fails so a retry goes out', async () => {
+    const customerId = 'customer_failed_reply';
+    const key = `failed-${runId}`;
+    await createCustomer(customerId);
+    twilioService.sendSingleSMS.mock.mockImplementationOnce(async () => ({ success: false, error: 'Service unavailable' }));
+    
+    const failed = await firestore.sendReplyToCustomer(customerId, 'Back in stock', key, [], { overrideQuietHours: true });
+    const retried = await firestore.sendReplyToCustomer(customerId, 'Back in stock', key, [], { overrideQuietHours: true });
+    
+    assert.equal(failed.success, false);
+    assert.equal(retried.success, true);
+    assert.equal(retried.duplicate, undefined);
+    assert.equal(twilioService.sendSingleSMS.mock.callCount(), 2);
+    assert.equal(await countMessages(customerId), 1);
+  });
+});
@@ -0,0 +1,92 @@
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/modules');
+
+const MMS = {
+  sid: 'MM0123456789abcdef0123456789abcdef',
+  from: '+61412345678',
+  to: '+61400000000',
+  body: 'Photo of the damaged box',
+  numMedia: 2,
+  media: [
+    { url: 'https://api.twilio.com/Media/ME1', contentType: 'image/jpeg' },
+    { url: 'https://api.twilio.com/Media/ME2', contentType: 'image/jpeg' }
+  ]
+};
+
+let inbound;
+let firestore;
+let media;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+beforeEach(() => {
+  const claimedKeys = new Set();
+  firestore = {
+    getCustomerIdFromPhone: mock.fn(async () => 'phone_61412345678'),
+    storeCustomerMessage: mock.fn(async () => true),
+    setSmsConsent: async () => {},
+    claimIdempotencyKey: async key => {
+      if (claimedKeys.has(key)) return false;
+      claimedKeys.add(key);
+      return true;
+    },
+    releaseIdempotencyKey: async key => {
+      claimedKeys.delete(key);
+    }
+  };
+  media = {
+    storeInboundMedia: mock.fn(async message => message.media.map((item, index) => ({ index, contentType: item.contentType, url: `/api/sms/media/${message.sid}/${index}` })))
+  };
+  inbound = loadModule('services/inbound', {
+    stubs: { 'services/firestore': firestore, 'services/media': media }
+  });
+});
+
+test('stores an MMS with copies of its attachments', async () => {
+  const result = await inbound.handleInboundMessage(MMS);
+  
+  assert.equal(result.stored, true);
+  assert.equal(media.storeInboundMedia.mock.callCount(), 1);
+  const stored = firestore.storeCustomerMessage.mock.calls[0].arguments[0];
+  assert.equal(stored.channel, 'mms');
+  assert.equal(stored.media.length, 2);
+});
+
+test('doesn\'t look up the customer or download attachments again for a retried webhook', async () => {
+  await inbound.handleInboundMessage(MMS);
+  const retry = await inbound.handleInboundMessage(MMS);
+  
+  assert.equal(retry.duplicate, true);
+  assert.equal(media.storeInboundMedia.mock.callCount(), 1);
+  assert.equal(firestore.getCustomerIdFromPhone.mock.callCount(), 1);
+  assert.equal(firestore.storeCustomerMessage.mock.callCount(), 1);
+});
+
+test('answers a retry that arrives while the first delivery is still downloading', async () => {
+  let finishDownload;
+  media.storeInboundMedia.mock.mockImplementationOnce(() => new Promise(resolve => {
+    finishDownload = () => resolve([]);
+  }));
+  
+  const first = inbound.handleInboundMessage(MMS);
+  const retry = await inbound.handleInboundMessage(MMS);
+  finishDownload();
+  await first;
+  
+  assert.equal(retry.duplicate, true);
+  assert.equal(media.storeInboundMedia.mock.callCount(), 1);
+  assert.equal(firestore.storeCustomerMessage.mock.callCount(), 1);
+});
+
+test('downloads again on the retry when storing the first delivery failed', async () => {
+  firestore.storeCustomerMessage.mock.mockImplementationOnce(async () => false);
+  
+  await inbound.handleInboundMessage(MMS);
+  const retry = await inbound.handleInboundMessage(MMS);
+  
+  assert.equal(retry.duplicate, false);
+  assert.equal(media.storeInboundMedia.mock.callCount(), 2);
+});
@@ -0,0 +1,133 @@
+const { describe, test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { loadModule } = require('./support/modules');
+
+describe('normalizePhoneNumber', () => {
+  let phone;
+  
+  before(() => {
+    phone = loadModule('services/phone', { env: { DEFAULT_PHONE_REGION: undefined } });
+  });
+  
+  test('reads Australian mobiles in national format', () => {
+    assert.equal(phone.normalizePhoneNumber('0412345678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('0412 345 678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('(04) 1234-5678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('412345678'), '+61412345678');
+  });
+  
+  test('reads Australian numbers with the country code', () => {
+    assert.equal(phone.normalizePhoneNumber('+61412345678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('+61 412 345 678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('61412345678'), '+61412345678');
+  });
+  
+  test('drops the trunk prefix written after the country code', () => {
+    assert.equal(phone.normalizePhoneNumber('+61 (0)412 345 678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('+610412345678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('610412345678'), '+61412345678');
+  });
+  
+  test('reads numbers dialled with the 0011 international prefix', () => {
+    assert.equal(phone.normalizePhoneNumber('0011 61 412 345 678'), '+61412345678');
+    assert.equal(phone.normalizePhoneNumber('0011 64 21 123 4567'), '+64211234567');
+    assert.equal(phone.normalizePhoneNumber('0011 1 415 555 0123'), '+14155550123');
+  });
+  
+  test('reads Australian landlines', () => {
+    assert.equal(phone.normalizePhoneNumber('02 9876 5432'), '+61298765432');
+    assert.equal(phone.normalizePhoneNumber('(03) 9123 4567'), '+61391234567');
+    assert.equal(phone.normalizePhoneNumber('08 8123 4567'), '+61881234567');
+    assert.equal(phone.normalizePhoneNumber('+61 7 3123 4567'), '+61731234567');
+  });
+  
+  test('keeps other countries\' numbers in international format', () => {
+    assert.equal(phone.normalizePhoneNumber('+64 21 123 4567'), '+64211234567');
+    assert.equal(phone.normalizePhoneNumber('+44 7700 900123'), '+447700900123');
+    assert.equal(phone.normalizePhoneNumber('+1 (415) 555-0123'), '+14155550123');
+  });
+  
+  test('returns null for numbers that can\'t be valid', () => {
+    assert.equal(phone.normalizePhoneNumber(''), null);
+    assert.equal(phone.normalizePhoneNumber(null), null);
+    assert.equal(phone.normalizePhoneNumber(undefined), null);
+    assert.equal(phone.normalizePhoneNumber('not a number'), null);
+    assert.equal(phone.normalizePhoneNumber('12345'), null);
+    assert.equal(phone.normalizePhoneNumber('041234567'), null);
+    assert.equal(phone.normalizePhoneNumber('04123456789'), null);
+    assert.equal(phone.normalizePhoneNumber('0512345678'), null);
+    assert.equal(phone.normalizePhoneNumber('+61 412 345'), null);
+    assert.equal(phone.normalizePhoneNumber('+61 112 345 678'), null);
+  });
+  
+  test('reads national numbers in the region asked for', () => {
+    assert.equal(phone.normalizePhoneNumber('(415) 555-0123', 'US'), '+14155550123');
+    assert.equal(phone.normalizePhoneNumber('1 415 555 0123', 'us'), '+14155550123');
+    assert.equal(phone.normalizePhoneNumber('011 61 412 345 678', 'US'), '+61412345678');
+  });
+  
+  test('reads national numbers in DEFAULT_PHONE_REGION', () => {
+    const usPhone = loadModule('services/phone', { env: { DEFAULT_PHONE_REGION: 'us' } });
+    
+    assert.equal(usPhone.normalizePhoneNumber('(415) 555-0123'), '+14155550123');
+    assert.equal(usPhone.normalizePhoneNumber('+61 412 345 678'), '+61412345678');
+  });
+});
+
+describe('phone formatting', () => {
+  const { toNationalFormat, formatPhoneNumber, isValidPhoneNumber } = require('../services/phone');
+  
+  test('toNationalFormat gives the number as dialled within Australia', () => {
+    assert.equal(toNationalFormat('+61412345678'), '0412345678');
+    assert.equal(toNationalFormat('+61 2 9876 5432'), '0298765432');
+    assert.equal(toNationalFormat('+64211234567'), null);
+    assert.equal(toNationalFormat('garbage'), null);
+  });
+  
+  test('formatPhoneNumber groups mobiles and landlines', () => {
+    assert.equal(formatPhoneNumber('0412345678'), '+61 412 345 678');
+    assert.equal(formatPhoneNumber('0298765432'), '+61 2 9876 5432');
+    assert.equal(formatPhoneNumber('+14155550123'), '+1 (415) 555-0123');
+    assert.equal(formatPhoneNumber('not a number'), 'not a number');
+    assert.equal(formatPhoneNumber(null), '');
+  });
+  
+  test('isValidPhoneNumber agrees with normalizePhoneNumber', () => {
+    assert.equal(isValidPhoneNumber('0412 345 678'), true);
+    assert.equal(isValidPhoneNumber('0412'), false);
+  });
+});
+
+describe('getPhoneBasedCustomerId', () => {
+  let firestore;
+  
+  before(() => {
+    mock.method(console, 'log', () => {});
+    
+    // Nothing here talks to Firestore - the app only needs to exist for the module to load
+    if (!admin.apps.length) {
+      admin.initializeApp({ projectId: 'demo-sms-webhook' });
+    }
+    firestore = loadModule('services/firestore', {
+      env: { DEFAULT_PHONE_REGION: undefined },
+      stubs: { 'services/shopify': { getShopifyCustomerData: async () => null } }
+    });
+  });
+  
+  test('gives every way of writing a number the same ID', () => {
+    assert.equal(firestore.getPhoneBasedCustomerId('0412 345 678'), 'phone_61412345678');
+    assert.equal(firestore.getPhoneBasedCustomerId('+61 (0)412 345 678'), 'phone_61412345678');
+    assert.equal(firestore.getPhoneBasedCustomerId('0011 61 412 345 678'), 'phone_61412345678');
+  });
+  
+  test('keeps the digits of a number it can\'t normalise', () => {
+    assert.equal(firestore.getPhoneBasedCustomerId('12345'), 'phone_12345');
+  });
+  
+  test('rejects a missing phone number instead of throwing a TypeError', () => {
+    for (const phoneNumber of [undefined, null, '', 'unknown']) {
+      assert.throws(() => firestore.getPhoneBasedCustomerId(phoneNumber), { status: 400, message: /phone number is required/ });
+    }
+  });
+});
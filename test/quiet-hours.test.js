@@ -0,0 +1,211 @@
+const { describe, test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/modules');
+const { EMULATOR_HOST, requiresEmulator, loadFirestoreService } = require('./support/emulator');
+
+// The default windows - bulk 8am-8pm and replies 7am-9pm every day, in the customer's time
+function loadQuietHours(env = {}) {
+  return loadModule('services/quiet-hours', {
+    env: { BULK_SEND_WINDOW: undefined, BULK_SEND_DAYS: undefined, REPLY_SEND_WINDOW: undefined, REPLY_SEND_DAYS: undefined, BUSINESS_TIMEZONE: undefined, ...env }
+  });
+}
+
+describe('checkSendWindow', () => {
+  let checkSendWindow;
+  
+  before(() => {
+    ({ checkSendWindow } = loadQuietHours());
+  });
+  
+  test('lets bulk sends out from 8am up to 8pm Sydney time', () => {
+    // March is daylight time in Sydney (UTC+11)
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-09T20:59:00Z')).allowed, false); // Mon 7:59am
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-09T21:00:00Z')).allowed, true); // Mon 8am
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-10T08:59:00Z')).allowed, true); // Mon 7:59pm
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-10T09:00:00Z')).allowed, false); // Mon 8pm
+  });
+  
+  test('holds a bulk send after hours until 8am the next morning', () => {
+    const result = checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-10T09:00:00Z'));
+    
+    assert.equal(result.allowed, false);
+    assert.deepEqual(result.nextAllowedAt, new Date('2025-03-10T21:00:00Z')); // Tue 8am
+    assert.match(result.reason, /^Quiet hours - bulk messages go out 8am-8pm \(Australia\/Sydney\), it's Mon 8pm there\. Next window: Tue 8am$/);
+  });
+  
+  test('holds a bulk send in the small hours until 8am the same day', () => {
+    const result = checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-10T15:30:00Z')); // Tue 2:30am
+    
+    assert.deepEqual(result.nextAllowedAt, new Date('2025-03-10T21:00:00Z'));
+  });
+  
+  test('gives replies a wider window than bulk sends', () => {
+    const mondayEarly = new Date('2025-03-09T20:30:00Z'); // Mon 7:30am
+    const mondayLate = new Date('2025-03-10T09:30:00Z'); // Mon 8:30pm
+    
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', mondayEarly).allowed, false);
+    assert.equal(checkSendWindow('reply', 'Australia/Sydney', mondayEarly).allowed, true);
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', mondayLate).allowed, false);
+    assert.equal(checkSendWindow('reply', 'Australia/Sydney', mondayLate).allowed, true);
+  });
+  
+  test('stops replies at 9pm and says when they can go out again', () => {
+    const result = checkSendWindow('reply', 'Australia/Sydney', new Date('2025-03-10T10:00:00Z')); // Mon 9pm
+    
+    assert.equal(result.allowed, false);
+    assert.deepEqual(result.nextAllowedAt, new Date('2025-03-10T20:00:00Z')); // Tue 7am
+    assert.match(result.reason, /^Quiet hours - replies go out 7am-9pm/);
+  });
+  
+  test('uses the customer\'s own timezone', () => {
+    const at = new Date('2025-03-10T10:30:00Z');
+    
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', at).allowed, false); // 9:30pm
+    assert.equal(checkSendWindow('bulk', 'Australia/Brisbane', at).allowed, false); // 8:30pm, no daylight saving
+    assert.equal(checkSendWindow('bulk', 'Australia/Perth', at).allowed, true); // 6:30pm
+    
+    const perth = checkSendWindow('bulk', 'Australia/Perth', new Date('2025-03-10T13:00:00Z')); // 9pm
+    assert.deepEqual(perth.nextAllowedAt, new Date('2025-03-11T00:00:00Z')); // Tue 8am Perth
+    assert.match(perth.reason, /\(Australia\/Perth\)/);
+  });
+  
+  test('uses business time when the customer has no timezone', () => {
+    const at = new Date('2025-03-10T09:30:00Z'); // 8:30pm in Sydney
+    
+    assert.deepEqual(checkSendWindow('bulk', null, at), checkSendWindow('bulk', 'Australia/Sydney', at));
+    assert.deepEqual(checkSendWindow('bulk', undefined, at), checkSendWindow('bulk', 'Australia/Sydney', at));
+  });
+  
+  test('finds the next 8am across the start of daylight saving', () => {
+    // Clocks go forward at 2am on Sun 5 October 2025 - Saturday night is UTC+10, Sunday morning UTC+11
+    const result = checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-10-04T11:00:00Z')); // Sat 9pm AEST
+    
+    assert.deepEqual(result.nextAllowedAt, new Date('2025-10-04T21:00:00Z')); // Sun 8am AEDT
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-10-04T20:59:00Z')).allowed, false);
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-10-04T21:00:00Z')).allowed, true);
+  });
+  
+  test('finds the next 8am across the end of daylight saving', () => {
+    // Clocks go back at 3am on Sun 6 April 2025 - Saturday night is UTC+11, Sunday morning UTC+10
+    const result = checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-04-05T10:00:00Z')); // Sat 9pm AEDT
+    
+    assert.deepEqual(result.nextAllowedAt, new Date('2025-04-05T22:00:00Z')); // Sun 8am AEST
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-04-05T21:30:00Z')).allowed, false);
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-04-05T22:00:00Z')).allowed, true);
+  });
+});
+
+describe('send window settings', () => {
+  before(() => {
+    mock.method(console, 'error', () => {});
+  });
+  
+  test('BULK_SEND_DAYS holds weekend bulk sends until Monday', () => {
+    const { checkSendWindow } = loadQuietHours({ BULK_SEND_DAYS: 'Mon,Tue,Wed,Thu,Fri' });
+    const saturdayMorning = new Date('2025-03-07T23:00:00Z'); // Sat 10am
+    
+    const bulk = checkSendWindow('bulk', 'Australia/Sydney', saturdayMorning);
+    
+    assert.equal(bulk.allowed, false);
+    assert.deepEqual(bulk.nextAllowedAt, new Date('2025-03-09T21:00:00Z')); // Mon 8am
+    assert.match(bulk.reason, /Next window: Mon 8am$/);
+    assert.equal(checkSendWindow('reply', 'Australia/Sydney', saturdayMorning).allowed, true);
+  });
+  
+  test('day names are matched by their first three letters, in any case', () => {
+    const { SEND_WINDOWS } = loadQuietHours({ BULK_SEND_DAYS: 'monday, WED,fri' });
+    
+    assert.deepEqual(SEND_WINDOWS.bulk.days, [1, 3, 5]);
+  });
+  
+  test('BULK_SEND_WINDOW and REPLY_SEND_WINDOW move the windows', () => {
+    const { checkSendWindow } = loadQuietHours({ BULK_SEND_WINDOW: '09:30-17:00', REPLY_SEND_WINDOW: '06:00-22:30' });
+    
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-09T22:15:00Z')).allowed, false); // 9:15am
+    assert.equal(checkSendWindow('bulk', 'Australia/Sydney', new Date('2025-03-09T22:30:00Z')).allowed, true); // 9:30am
+    assert.equal(checkSendWindow('reply', 'Australia/Sydney', new Date('2025-03-10T11:15:00Z')).allowed, true); // 10:15pm
+  });
+  
+  test('an unreadable window falls back to the default', () => {
+    const { SEND_WINDOWS } = loadQuietHours({ BULK_SEND_WINDOW: '20:00-08:00', REPLY_SEND_WINDOW: 'evenings' });
+    
+    assert.deepEqual(SEND_WINDOWS.bulk, { start: 8 * 60, end: 20 * 60, days: [0, 1, 2, 3, 4, 5, 6] });
+    assert.deepEqual(SEND_WINDOWS.reply, { start: 7 * 60, end: 21 * 60, days: [0, 1, 2, 3, 4, 5, 6] });
+  });
+});
+
+/**
+ * A fixed-offset timezone where it's currently the given hour - so a test can be sure it's in or
+ * out of quiet hours whenever it runs
+ */
+function timezoneWhereHourIs(hour) {
+  for (let offset = -12; offset <= 14; offset++) {
+    // Etc/GMT names have the sign reversed: Etc/GMT-10 is UTC+10
+    const zone = offset === 0 ? 'Etc/GMT' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+    const localHour = parseInt(new Intl.DateTimeFormat('en-US', { timeZone: zone, hour: '2-digit', hourCycle: 'h23' }).format(new Date()));
+    if (localHour === hour) return zone;
+  }
+  throw new Error(`No fixed-offset timezone is at ${hour}:00 right now`);
+}
+
+describe('sendReplyToCustomer in quiet hours', requiresEmulator, () => {
+  let firestore;
+  let db;
+  let collections;
+  let sendSingleSMS;
+  
+  before(() => {
+    if (!EMULATOR_HOST) return;
+    
+    mock.method(console, 'log', () => {});
+    
+    const twilioService = {
+      sendSingleSMS: (...args) => sendSingleSMS(...args),
+      getPublicBaseUrl: () => 'https://sms.example.com',
+      getSenderNumber: () => '+61400000000'
+    };
+    ({ firestore, db, collections } = loadFirestoreService({ stubs: { 'services/twilio': twilioService } }));
+  });
+  
+  async function createCustomer(customerId, timezone) {
+    sendSingleSMS = mock.fn(async () => ({ success: true, sid: `SM${customerId}`, status: 'queued' }));
+    await db.collection(collections.CUSTOMER_COMMUNICATIONS_COLLECTION).doc(customerId).set({
+      profile: { name: 'Sam Citizen', phone: '+61412345678', timezone, unreadCount: 0 }
+    });
+  }
+  
+  test('refuses a reply in the customer\'s quiet hours and says when it can go', async () => {
+    await createCustomer('customer_asleep', timezoneWhereHourIs(3));
+    
+    const result = await firestore.sendReplyToCustomer('customer_asleep', 'Are you there?');
+    
+    assert.equal(result.success, false);
+    assert.equal(result.quietHours, true);
+    assert.ok(result.nextAllowedAt > new Date());
+    assert.match(result.error, /^Sam Citizen: Quiet hours - replies go out 7am-9pm/);
+    assert.equal(sendSingleSMS.mock.callCount(), 0);
+  });
+  
+  test('sends a quiet-hours reply once staff confirm it, and records who did', async () => {
+    await createCustomer('customer_confirmed', timezoneWhereHourIs(3));
+    
+    const result = await firestore.sendReplyToCustomer('customer_confirmed', 'Your driver is outside', null, [], {
+      overrideQuietHours: true,
+      sentBy: 'staff@example.com'
+    });
+    
+    assert.equal(result.success, true);
+    assert.equal(sendSingleSMS.mock.callCount(), 1);
+    const messages = await db.collection(collections.CUSTOMER_COMMUNICATIONS_COLLECTION).doc('customer_confirmed').collection('messages').get();
+    assert.equal(messages.docs[0].data().quietHoursOverride.by, 'staff@example.com');
+  });
+  
+  test('sends straight away in the customer\'s daytime, whatever the time in Sydney', async () => {
+    await createCustomer('customer_awake', timezoneWhereHourIs(12));
+    
+    const result = await firestore.sendReplyToCustomer('customer_awake', 'Your order is ready');
+    
+    assert.equal(result.success, true);
+    assert.equal(sendSingleSMS.mock.callCount(), 1);
+  });
+});
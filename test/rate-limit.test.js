@@ -0,0 +1,76 @@
+const { describe, test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenBucket, backoffDelay, sleep } = require('../services/rate-limit');
+
+/**
+ * Take count tokens at once and return how long after the start each one was given, in order given
+ */
+async function takeTimes(bucket, count) {
+  const start = Date.now();
+  const times = [];
+  await Promise.all(Array.from({ length: count }, (_, i) => bucket.take().then(() => times.push({ i, ms: Date.now() - start }))));
+  return times;
+}
+
+describe('createTokenBucket', () => {
+  test('lets the burst go straight away', async () => {
+    const times = await takeTimes(createTokenBucket({ ratePerSecond: 10, burst: 3 }), 3);
+    
+    assert.ok(times.every(({ ms }) => ms < 50), JSON.stringify(times));
+  });
+  
+  test('paces sends after the burst at the rate', async () => {
+    const times = await takeTimes(createTokenBucket({ ratePerSecond: 20, burst: 2 }), 5);
+    
+    // 50ms per token once the two in the bucket are used
+    assert.ok(times[1].ms < 40, JSON.stringify(times));
+    assert.ok(times[2].ms >= 45, JSON.stringify(times));
+    assert.ok(times[4].ms >= 145, JSON.stringify(times));
+    assert.ok(times[4].ms < 1000, JSON.stringify(times));
+  });
+  
+  test('gives tokens out in the order they were asked for', async () => {
+    const times = await takeTimes(createTokenBucket({ ratePerSecond: 50, burst: 1 }), 4);
+    
+    assert.deepEqual(times.map(({ i }) => i), [0, 1, 2, 3]);
+  });
+  
+  test('bursts by the rate when no burst is given', async () => {
+    const times = await takeTimes(createTokenBucket({ ratePerSecond: 4 }), 5);
+    
+    assert.ok(times[3].ms < 50, JSON.stringify(times));
+    assert.ok(times[4].ms >= 240, JSON.stringify(times));
+  });
+  
+  test('refills while idle, up to the burst', async () => {
+    const bucket = createTokenBucket({ ratePerSecond: 20, burst: 2 });
+    await takeTimes(bucket, 2);
+    await sleep(300);
+    
+    const times = await takeTimes(bucket, 3);
+    
+    // Idle long enough for six tokens, but the bucket only holds two
+    assert.ok(times[1].ms < 40, JSON.stringify(times));
+    assert.ok(times[2].ms >= 45, JSON.stringify(times));
+  });
+});
+
+describe('backoffDelay', () => {
+  afterEach(() => mock.restoreAll());
+  
+  test('doubles each attempt, between half and all of the step', () => {
+    mock.method(Math, 'random', () => 0);
+    assert.deepEqual([1, 2, 3, 4].map(attempt => backoffDelay(attempt, { baseMs: 1000, maxMs: 60000 })), [500, 1000, 2000, 4000]);
+    
+    mock.method(Math, 'random', () => 0.999999);
+    assert.deepEqual([1, 2, 3, 4].map(attempt => backoffDelay(attempt, { baseMs: 1000, maxMs: 60000 })), [1000, 2000, 4000, 8000]);
+  });
+  
+  test('caps the delay at maxMs', () => {
+    mock.method(Math, 'random', () => 0.999999);
+    assert.equal(backoffDelay(10, { baseMs: 1000, maxMs: 30000 }), 30000);
+    
+    mock.method(Math, 'random', () => 0);
+    assert.equal(backoffDelay(10, { baseMs: 1000, maxMs: 30000 }), 15000);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unread counts against the Firestore emulator. Start it with
+ * `firebase emulators:start --only firestore`, then run
+ * `FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm test`. Skipped when no emulator is configured.
+ */
+const { describe, test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EMULATOR_HOST, requiresEmulator, loadFirestoreService } = require('./support/emulator');
+
+const CUSTOMER_PHONE = '+61412345678';
+const BUSINESS_PHONE = '+61400000000';
+
+let firestore;
+let db;
+let customersCollection;
+let runId;
+
+before(() => {
+  if (!EMULATOR_HOST) return;
+  
+  mock.method(console, 'log', () => {});
+  
+  let collections;
+  ({ firestore, db, collections, runId } = loadFirestoreService());
+  customersCollection = collections.CUSTOMER_COMMUNICATIONS_COLLECTION;
+});
+
+let sidCounter = 0;
+
+function storeInbound(customerId, content) {
+  sidCounter++;
+  return firestore.storeCustomerMessage({
+    customerId,
+    channel: 'sms',
+    direction: 'inbound',
+    content,
+    channelData: {
+      from: CUSTOMER_PHONE,
+      to: BUSINESS_PHONE,
+      twilioSid: `SM${runId}${String(sidCounter).padStart(8, '0')}`
+    },
+    timestamp: new Date()
+  });
+}
+
+/**
+ * The stored unread count next to the number of messages that really are unread
+ */
+async function getUnreadState(customerId) {
+  const customerRef = db.collection(customersCollection).doc(customerId);
+  const [customerDoc, unreadSnapshot] = await Promise.all([
+    customerRef.get(),
+    customerRef.collection('messages').where('direction', '==', 'inbound').where('isRead', '==', false).get()
+  ]);
+  
+  return { unreadCount: customerDoc.data().profile.unreadCount, unreadMessages: unreadSnapshot.size };
+}
+
+describe('markConversationAsRead', requiresEmulator, () => {
+  test('marks more unread messages than fit in one transaction', async () => {
+    const customerId = 'customer_bulk_unread';
+    const customerRef = db.collection(customersCollection).doc(customerId);
+    const unread = 620;
+    
+    await customerRef.set({ profile: { name: 'Bulk Unread', phone: CUSTOMER_PHONE, unreadCount: unread } });
+    await firestore.commitInBatches(Array.from({ length: unread }, (_, i) => batch => batch.set(
+      customerRef.collection('messages').doc(`message_${i}`),
+      { direction: 'inbound', content: `Message ${i}`, isRead: false, readAt: null, timestamp: new Date() }
+    )));
+    
+    const result = await firestore.markConversationAsRead(customerId);
+    
+    assert.deepEqual(result, { success: true });
+    assert.deepEqual(await getUnreadState(customerId), { unreadCount: 0, unreadMessages: 0 });
+  });
+  
+  test('keeps a message that arrives after reading unread', async () => {
+    const customerId = 'customer_after_read';
+    await storeInbound(customerId, 'First');
+    await storeInbound(customerId, 'Second');
+    
+    await firestore.markConversationAsRead(customerId);
+    await storeInbound(customerId, 'Third');
+    
+    assert.deepEqual(await getUnreadState(customerId), { unreadCount: 1, unreadMessages: 1 });
+  });
+  
+  test('keeps the count in step with the messages when inbound and read events interleave', async () => {
+    const customerId = 'customer_interleaved';
+    await storeInbound(customerId, 'Opening message');
+    
+    for (let round = 0; round < 5; round++) {
+      await Promise.all([
+        storeInbound(customerId, `Round ${round} a`),
+        firestore.markConversationAsRead(customerId),
+        storeInbound(customerId, `Round ${round} b`),
+        firestore.markConversationAsRead(customerId),
+        storeInbound(customerId, `Round ${round} c`)
+      ]);
+      
+      const { unreadCount, unreadMessages } = await getUnreadState(customerId);
+      assert.equal(unreadCount, unreadMessages, `round ${round}: count ${unreadCount} but ${unreadMessages} unread messages`);
+    }
+    
+    await firestore.markConversationAsRead(customerId);
+    assert.deepEqual(await getUnreadState(customerId), { unreadCount: 0, unreadMessages: 0 });
+  });
+});
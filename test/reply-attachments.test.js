@@ -0,0 +1,100 @@
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const admin = require('firebase-admin');
+const { loadModule } = require('./support/modules');
+
+const MB = 1024 * 1024;
+
+// routes/sms takes its functions when it loads, so the stub hands calls on to a fresh mock per test
+let sendReplyToCustomer;
+const firestore = {
+  sendReplyToCustomer: (...args) => sendReplyToCustomer(...args)
+};
+
+let server;
+
+/**
+ * A reply as the inbox sends it, with a JPEG of each size given
+ */
+function replyForm(sizes) {
+  const form = new FormData();
+  form.append('customerId', 'phone_61412345678');
+  form.append('message', 'Photos of your order');
+  sizes.forEach((size, index) => form.append('attachments', new Blob([Buffer.alloc(size)], { type: 'image/jpeg' }), `photo-${index}.jpg`));
+  return form;
+}
+
+async function postReply(body, headers = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/sms/reply`, { method: 'POST', body, headers });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  
+  // Nothing here talks to Firestore - the app only needs to exist for the routes' services to load
+  if (!admin.apps.length) {
+    admin.initializeApp({ projectId: 'demo-sms-webhook' });
+  }
+  const router = loadModule('routes/sms', { stubs: { 'services/firestore': firestore } });
+  
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = { authenticated: true, email: 'staff@example.com' };
+    next();
+  });
+  app.use('/api/sms', router);
+  
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('reply attachments', () => {
+  beforeEach(() => {
+    sendReplyToCustomer = mock.fn(async () => ({ success: true, message: 'Reply sent' }));
+  });
+  
+  test('sends attachments that fit Twilio\'s 5MB limit together', async () => {
+    const response = await postReply(replyForm([2 * MB, 2 * MB]));
+    
+    assert.equal(response.status, 200);
+    assert.equal(sendReplyToCustomer.mock.callCount(), 1);
+    assert.equal(sendReplyToCustomer.mock.calls[0].arguments[3].length, 2);
+  });
+  
+  test('rejects attachments that are each under 5MB but add up to more', async () => {
+    const response = await postReply(replyForm([2 * MB, 2 * MB, 2 * MB]));
+    
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body, { success: false, error: 'Attachments must total under 5MB' });
+    assert.equal(sendReplyToCustomer.mock.callCount(), 0);
+  });
+  
+  test('rejects a single attachment over 5MB', async () => {
+    const response = await postReply(replyForm([5 * MB + 1]));
+    
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Attachments must total under 5MB');
+    assert.equal(sendReplyToCustomer.mock.callCount(), 0);
+  });
+  
+  test('turns away an upload whose attachments add up to more than 5MB', async () => {
+    // Small enough attachments that the parsed total fits - the request still claims to be too big
+    const form = replyForm([1024]);
+    const body = new Response(form);
+    const headers = { 'Content-Type': body.headers.get('content-type') };
+    const bytes = Buffer.from(await body.arrayBuffer());
+    const padded = Buffer.concat([bytes, Buffer.alloc(6 * MB)]);
+    
+    const response = await postReply(padded, headers);
+    
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Attachments must total under 5MB');
+    assert.equal(sendReplyToCustomer.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifySendError } = require('../services/send-errors');
+
+/**
+ * An error shaped like Twilio's RestException
+ */
+function twilioError(code, status) {
+  return Object.assign(new Error(`Twilio error ${code}`), { code, status });
+}
+
+/**
+ * An error from the HTTP client that never got a response
+ */
+function networkError(code) {
+  return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+describe('classifySendError', () => {
+  test('gives up on a recipient who replied STOP', () => {
+    assert.deepEqual(classifySendError(twilioError(21610, 400)), {
+      errorCode: 21610,
+      retryable: false,
+      permanent: true,
+      category: 'unsubscribed',
+      description: 'Recipient has unsubscribed (replied STOP)',
+      noResponse: false
+    });
+  });
+  
+  test('gives up on an invalid number', () => {
+    const result = classifySendError(twilioError(21211, 400));
+    
+    assert.equal(result.retryable, false);
+    assert.equal(result.permanent, true);
+    assert.equal(result.category, 'invalid_number');
+  });
+  
+  test('retries Twilio\'s rate limit', () => {
+    const result = classifySendError(twilioError(20429, 429));
+    
+    assert.equal(result.errorCode, 20429);
+    assert.equal(result.retryable, true);
+    assert.equal(result.permanent, false);
+    assert.equal(result.category, 'rate_limited');
+  });
+  
+  test('retries an HTTP 429 without a code it knows', () => {
+    const result = classifySendError(twilioError(undefined, 429));
+    
+    assert.equal(result.retryable, true);
+    assert.equal(result.category, 'provider_error');
+    assert.equal(result.description, 'SMS provider error (HTTP 429)');
+  });
+  
+  test('retries provider outages', () => {
+    for (const status of [500, 502, 503]) {
+      const result = classifySendError(twilioError(undefined, status));
+      
+      assert.equal(result.retryable, true, `HTTP ${status}`);
+      assert.equal(result.noResponse, false);
+    }
+    assert.equal(classifySendError(twilioError(20503, 503)).category, 'provider_error');
+  });
+  
+  test('retries a request that timed out, noting it may have reached the provider', () => {
+    assert.deepEqual(classifySendError(networkError('ETIMEDOUT')), {
+      errorCode: null,
+      retryable: true,
+      permanent: false,
+      category: 'network',
+      description: 'Network error reaching the SMS provider',
+      noResponse: true
+    });
+    assert.equal(classifySendError(networkError('ECONNRESET')).noResponse, true);
+    assert.equal(classifySendError(new Error('socket hang up')).noResponse, true);
+  });
+  
+  test('reads a code given as a string', () => {
+    assert.equal(classifySendError(twilioError('21610', 400)).category, 'unsubscribed');
+  });
+  
+  test('gives up on any other 4xx', () => {
+    const result = classifySendError(twilioError(21999, 400));
+    
+    assert.equal(result.errorCode, 21999);
+    assert.equal(result.retryable, false);
+    assert.equal(result.category, 'rejected');
+  });
+});
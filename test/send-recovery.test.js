@@ -0,0 +1,126 @@
+const { describe, test, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/modules');
+
+const PHONE = '+61412345678';
+const MESSAGE = 'Hi Sam, your order #1234 is ready to collect';
+
+let twilioService;
+let provider;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+function loadTwilioService(env = {}) {
+  twilioService = loadModule('services/twilio', {
+    env: { SMS_PROVIDER: 'mock', MOCK_SMS_FILE: undefined, MOCK_SMS_FAILING_NUMBERS: undefined, SMS_SEND_MAX_ATTEMPTS: undefined, ...env },
+    stubs: {
+      'services/firestore': { isPhoneSuppressed: async () => false }
+    }
+  });
+  provider = require('../services/sms-provider').getSmsProvider();
+}
+
+beforeEach(() => loadTwilioService());
+
+/**
+ * A message as Twilio lists it - dateCreated is cut to the whole second
+ */
+function twilioMessage(dateCreated, body = MESSAGE) {
+  const created = new Date(dateCreated);
+  created.setUTCMilliseconds(0);
+  return { sid: 'SM0123456789abcdef0123456789abcdef', to: PHONE, body, status: 'sent', dateCreated: created };
+}
+
+describe('findRecentOutboundMessage', () => {
+  test('finds a message accepted in the same second the send started', async () => {
+    const sendingAt = new Date('2025-03-10T01:00:00.400Z');
+    mock.method(provider, 'listMessages', async () => [twilioMessage('2025-03-10T01:00:00.900Z')]);
+    
+    const existing = await twilioService.findRecentOutboundMessage(PHONE, MESSAGE, sendingAt);
+    
+    assert.equal(existing?.sid, 'SM0123456789abcdef0123456789abcdef');
+  });
+  
+  test('allows a few seconds for Twilio\'s clock running behind ours, but no more', async () => {
+    const sendingAt = new Date('2025-03-10T01:00:00.400Z');
+    mock.method(provider, 'listMessages', async () => [twilioMessage('2025-03-10T00:59:50Z')]);
+    
+    assert.equal(await twilioService.findRecentOutboundMessage(PHONE, MESSAGE, sendingAt), null);
+    
+    mock.method(provider, 'listMessages', async () => [twilioMessage('2025-03-10T00:59:58Z')]);
+    
+    assert.ok(await twilioService.findRecentOutboundMessage(PHONE, MESSAGE, sendingAt));
+  });
+  
+  test('ignores the same text sent well before the send started', async () => {
+    const sendingAt = new Date('2025-03-10T01:00:00.400Z');
+    mock.method(provider, 'listMessages', async () => [twilioMessage('2025-03-10T00:58:00Z')]);
+    
+    assert.equal(await twilioService.findRecentOutboundMessage(PHONE, MESSAGE, sendingAt), null);
+  });
+  
+  test('ignores other messages sent to the number', async () => {
+    const sendingAt = new Date('2025-03-10T01:00:00.400Z');
+    mock.method(provider, 'listMessages', async () => [twilioMessage('2025-03-10T01:00:00Z', 'Thanks for your order')]);
+    
+    assert.equal(await twilioService.findRecentOutboundMessage(PHONE, MESSAGE, sendingAt), null);
+  });
+});
+
+describe('sendSingleSMS after a timeout', () => {
+  // The rate limiter reads the clock when it's created, so the service is loaded after faking it.
+  // One attempt each - with the clock stopped, a retry would wait on the rate limiter for ever.
+  afterEach(() => mock.timers.reset());
+  
+  /**
+   * A send Twilio accepted but whose response never arrived - the message is listed with its
+   * dateCreated cut to the second, which is before the moment the send started
+   */
+  function acceptThenTimeOut() {
+    const sent = [];
+    
+    mock.method(provider, 'send', async ({ to, body }) => {
+      sent.push(twilioMessage(Date.now(), body));
+      const error = new Error('Timeout of 30000ms exceeded');
+      error.code = 'ETIMEDOUT';
+      throw error;
+    });
+    mock.method(provider, 'listMessages', async () => sent.slice().reverse());
+    
+    return sent;
+  }
+  
+  test('returns the message Twilio accepted in the same second instead of sending it again', async () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-10T01:00:00.400Z') });
+    loadTwilioService({ SMS_SEND_MAX_ATTEMPTS: '1' });
+    const sent = acceptThenTimeOut();
+    
+    const result = await twilioService.sendSingleSMS(PHONE, MESSAGE, 'Sam', 'BULK');
+    
+    assert.equal(result.success, true);
+    assert.equal(result.sid, 'SM0123456789abcdef0123456789abcdef');
+    assert.equal(result.attempts, 1);
+    assert.equal(sent.length, 1);
+    assert.equal(provider.send.mock.callCount(), 1);
+  });
+  
+  test('reports a timeout that never reached Twilio as worth retrying', async () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-10T01:00:00.400Z') });
+    loadTwilioService({ SMS_SEND_MAX_ATTEMPTS: '1' });
+    
+    mock.method(provider, 'send', async () => {
+      const error = new Error('Timeout of 30000ms exceeded');
+      error.code = 'ETIMEDOUT';
+      throw error;
+    });
+    mock.method(provider, 'listMessages', async () => []);
+    
+    const result = await twilioService.sendSingleSMS(PHONE, MESSAGE, 'Sam', 'BULK');
+    
+    assert.equal(result.success, false);
+    assert.equal(result.retryable, true);
+    assert.equal(result.permanent, false);
+  });
+});
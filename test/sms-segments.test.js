@@ -0,0 +1,129 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSegments, replaceSmartCharacters, estimateCost } = require('../services/sms-segments');
+
+describe('calculateSegments', () => {
+  test('fits 160 GSM-7 characters in one segment', () => {
+    const result = calculateSegments('a'.repeat(160));
+    
+    assert.equal(result.encoding, 'GSM-7');
+    assert.equal(result.units, 160);
+    assert.equal(result.segments, 1);
+    assert.equal(result.remaining, 0);
+  });
+  
+  test('splits longer GSM-7 messages into 153-character parts', () => {
+    const result = calculateSegments('a'.repeat(161));
+    
+    assert.equal(result.segments, 2);
+    assert.equal(result.remaining, 153 * 2 - 161);
+    assert.equal(calculateSegments('a'.repeat(306)).segments, 2);
+    assert.equal(calculateSegments('a'.repeat(307)).segments, 3);
+  });
+  
+  test('counts extension characters as two', () => {
+    assert.equal(calculateSegments('€').units, 2);
+    assert.equal(calculateSegments('^{').units, 4);
+    assert.equal(calculateSegments('€'.repeat(80)).segments, 1);
+    assert.equal(calculateSegments('€'.repeat(81)).segments, 2);
+    
+    const result = calculateSegments('Price: €5 [was €9]');
+    assert.equal(result.encoding, 'GSM-7');
+    assert.equal(result.length, 18);
+    assert.equal(result.units, 22);
+  });
+  
+  test('doesn\'t split an extension character across two parts', () => {
+    // The € would start at septet 153, so it moves to the second part whole
+    const result = calculateSegments(`${'a'.repeat(152)}€${'a'.repeat(9)}`);
+    
+    assert.equal(result.units, 163);
+    assert.equal(result.segments, 2);
+    assert.equal(result.remaining, 153 - 11);
+  });
+  
+  test('fits 70 UCS-2 characters in one segment and 67 per part after that', () => {
+    assert.equal(calculateSegments('你'.repeat(70)).segments, 1);
+    assert.equal(calculateSegments('你'.repeat(70)).remaining, 0);
+    
+    const result = calculateSegments('你'.repeat(71));
+    assert.equal(result.encoding, 'UCS-2');
+    assert.equal(result.segments, 2);
+    assert.equal(result.remaining, 67 * 2 - 71);
+    assert.equal(calculateSegments('你'.repeat(134)).segments, 2);
+    assert.equal(calculateSegments('你'.repeat(135)).segments, 3);
+  });
+  
+  test('sends the whole message as UCS-2 for a single character outside GSM-7', () => {
+    const result = calculateSegments(`${'a'.repeat(100)}你`);
+    
+    assert.equal(result.encoding, 'UCS-2');
+    assert.equal(result.segments, 2);
+    assert.deepEqual(result.nonGsmCharacters, ['你']);
+    assert.deepEqual(result.fixableCharacters, []);
+  });
+  
+  test('counts an emoji as two UCS-2 units but one character', () => {
+    const result = calculateSegments('Hi 👍👍');
+    
+    assert.equal(result.encoding, 'UCS-2');
+    assert.equal(result.length, 5);
+    assert.equal(result.units, 7);
+    assert.deepEqual(result.nonGsmCharacters, ['👍']);
+  });
+  
+  test('doesn\'t split an emoji across two parts', () => {
+    const result = calculateSegments(`${'a'.repeat(66)}👍${'a'.repeat(3)}`);
+    
+    assert.equal(result.units, 71);
+    assert.equal(result.segments, 2);
+    assert.equal(result.remaining, 67 - 5);
+  });
+  
+  test('lists smart quotes and dashes as fixable', () => {
+    const result = calculateSegments('It’s “ready” – see you 👋');
+    
+    assert.equal(result.encoding, 'UCS-2');
+    assert.deepEqual(result.nonGsmCharacters, ['’', '“', '”', '–', '👋']);
+    assert.deepEqual(result.fixableCharacters, ['’', '“', '”', '–']);
+  });
+  
+  test('has no segments for an empty message', () => {
+    for (const text of ['', null, undefined]) {
+      const result = calculateSegments(text);
+      
+      assert.equal(result.encoding, 'GSM-7');
+      assert.equal(result.segments, 0);
+      assert.equal(result.remaining, 160);
+    }
+  });
+});
+
+describe('replaceSmartCharacters', () => {
+  test('swaps lookalikes for plain GSM-7 characters', () => {
+    const text = replaceSmartCharacters('It’s “ready” – we’ll be there… soon');
+    
+    assert.equal(text, 'It\'s "ready" - we\'ll be there... soon');
+    assert.equal(calculateSegments(text).encoding, 'GSM-7');
+  });
+  
+  test('leaves characters it has no replacement for and drops zero-width spaces', () => {
+    assert.equal(replaceSmartCharacters('Thanks 👋 ‘Sam’'), 'Thanks 👋 \'Sam\'');
+    assert.equal(replaceSmartCharacters('zero\u200bwidth'), 'zerowidth');
+  });
+  
+  test('brings a message back to 160 characters a segment', () => {
+    const pasted = `‘${'a'.repeat(150)}’`;
+    
+    assert.equal(calculateSegments(pasted).segments, 3);
+    assert.equal(calculateSegments(replaceSmartCharacters(pasted)).segments, 1);
+  });
+});
+
+describe('estimateCost', () => {
+  test('multiplies segments by the price, to four decimal places', () => {
+    assert.deepEqual(estimateCost(3, 0.0079), { segments: 3, pricePerSegment: 0.0079, currency: 'USD', amount: 0.0237 });
+    assert.equal(estimateCost(7, 0.05, 'AUD').currency, 'AUD');
+    assert.equal(estimateCost(0, 0.05).amount, 0);
+  });
+});
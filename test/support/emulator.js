@@ -0,0 +1,46 @@
+const admin = require('firebase-admin');
+const { loadModule } = require('./modules');
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+// Skips a describe() block when there's no Firestore emulator to run it against
+const requiresEmulator = { skip: !EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set' };
+
+/**
+ * Load services/firestore against the emulator with collections of its own, so runs never see
+ * each other's data. Returns the service, the Firestore handle and the collection names used.
+ */
+function loadFirestoreService({ stubs = {} } = {}) {
+  if (!admin.apps.length) {
+    admin.initializeApp({ projectId: 'demo-sms-webhook' });
+  }
+  
+  const runId = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  const collections = {
+    CUSTOMER_COMMUNICATIONS_COLLECTION: `test-customers-${runId}`,
+    IDEMPOTENCY_KEYS_COLLECTION: `test-idempotency-${runId}`,
+    CUSTOMER_ALIASES_COLLECTION: `test-aliases-${runId}`,
+    SMS_CONSENT_COLLECTION: `test-consent-${runId}`,
+    MESSAGE_STATUS_COLLECTION: `test-statuses-${runId}`,
+    SEARCH_INDEX_COLLECTION: `test-search-${runId}`,
+    CAMPAIGNS_COLLECTION: `test-campaigns-${runId}`,
+    SEND_LEDGER_COLLECTION: `test-send-ledger-${runId}`,
+    TEMPLATES_COLLECTION: `test-templates-${runId}`
+  };
+  
+  const firestore = loadModule('services/firestore', {
+    env: collections,
+    stubs: {
+      'services/shopify': { getShopifyCustomerData: async () => null },
+      ...stubs
+    }
+  });
+  
+  return { firestore, db: admin.firestore(), collections, runId };
+}
+
+module.exports = {
+  EMULATOR_HOST,
+  requiresEmulator,
+  loadFirestoreService
+};
@@ -0,0 +1,36 @@
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const TEST_DIR = path.join(ROOT, 'test');
+const NODE_MODULES_DIR = path.join(ROOT, 'node_modules');
+
+/**
+ * Require one of the app's modules (e.g. 'routes/webhook') as if the server had just started with
+ * env set. Modules read their environment when they load, so every app module is dropped from the
+ * require cache first. stubs stand in for other app modules - { 'services/firestore': { ... } } -
+ * so nothing needs Firebase credentials. env values of undefined unset the variable.
+ */
+function loadModule(modulePath, { env = {}, stubs = {} } = {}) {
+  Object.keys(require.cache)
+    .filter(file => file.startsWith(ROOT) && !file.startsWith(NODE_MODULES_DIR) && !file.startsWith(TEST_DIR))
+    .forEach(file => delete require.cache[file]);
+  
+  Object.entries(env).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+  
+  Object.entries(stubs).forEach(([stubPath, exports]) => {
+    const file = require.resolve(path.join(ROOT, stubPath));
+    require.cache[file] = { id: file, filename: file, loaded: true, exports };
+  });
+  
+  return require(path.join(ROOT, modulePath));
+}
+
+module.exports = {
+  loadModule
+};
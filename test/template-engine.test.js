@@ -0,0 +1,165 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/modules');
+
+const ORDER = {
+  orderNumber: 1042,
+  customer: { name: 'Sam Citizen', first_name: 'Sam', last_name: 'Citizen' },
+  deliveryMethod: 'Local pickup',
+  totalPrice: '1234.5',
+  createdAt: '2025-03-10T22:00:00Z', // Tue 11 March in Sydney
+  tags: 'Urgent, wholesale',
+  lineItems: [{ name: 'Beef Box', quantity: 2 }, { name: 'Lamb Box', quantity: 1 }]
+};
+
+let engine;
+
+before(() => {
+  // Dates are formatted in business time
+  engine = loadModule('services/template-engine', { env: { BUSINESS_TIMEZONE: undefined } });
+});
+
+describe('renderTemplate placeholders', () => {
+  test('fills in order and customer details', () => {
+    assert.equal(
+      engine.renderTemplate('Hi {firstName} {lastName}, order #{orderNumber} is ready', ORDER),
+      'Hi Sam Citizen, order #1042 is ready'
+    );
+    assert.equal(engine.renderTemplate('{fullName}', { customer: { first_name: 'Sam', last_name: 'Citizen' } }), 'Sam Citizen');
+  });
+  
+  test('uses the fallback after | when the value is empty', () => {
+    assert.equal(engine.renderTemplate('Hi {firstName|there}!', { customer: {} }), 'Hi there!');
+    assert.equal(engine.renderTemplate('Hi {firstName|there}!', ORDER), 'Hi Sam!');
+    assert.equal(engine.renderTemplate('Order {orderNumber|}', {}), 'Order');
+  });
+  
+  test('uses the placeholder\'s own default when there\'s no fallback', () => {
+    assert.equal(engine.renderTemplate('Hi {customerName}', {}), 'Hi there');
+    assert.equal(engine.renderTemplate('Your {orderItems} is packed', {}), 'Your order is packed');
+    assert.equal(engine.renderTemplate('Hi {firstName}', {}), 'Hi');
+  });
+  
+  test('formats currency in Australian dollars', () => {
+    assert.equal(engine.renderTemplate('{totalPrice:currency}', ORDER), '$1,234.50');
+    assert.equal(engine.renderTemplate('{totalPrice:currency}', { totalPrice: 45 }), '$45.00');
+    assert.equal(engine.renderTemplate('{totalPrice:currency}', { totalPrice: 'TBC' }), 'TBC');
+  });
+  
+  test('formats dates in business time', () => {
+    assert.equal(engine.renderTemplate('{orderDate}', ORDER), 'Tue, 11 Mar');
+    assert.equal(engine.renderTemplate('{orderDate:longdate}', ORDER), 'Tuesday 11 March 2025');
+    assert.equal(engine.renderTemplate('{orderDate}', { createdAt: 'soon' }), 'soon');
+  });
+  
+  test('writes lists out in words, or one per line', () => {
+    assert.equal(engine.renderTemplate('{items}', ORDER), '2 x Beef Box and Lamb Box');
+    assert.equal(engine.renderTemplate('{items:lines}', ORDER), '• 2 x Beef Box\n• Lamb Box');
+    assert.equal(engine.renderTemplate('{tags:upper}', ORDER), 'URGENT AND WHOLESALE');
+    assert.equal(engine.renderTemplate('{items}', { subscriptionItems: 'Beef Box, Lamb Box, Pork Box' }), 'Beef Box, Lamb Box and Pork Box');
+  });
+});
+
+describe('renderTemplate conditionals', () => {
+  test('checks order tags without regard to case', () => {
+    const template = '{#if tag:urgent}Priority: {/if}order #{orderNumber}';
+    
+    assert.equal(engine.renderTemplate(template, ORDER), 'Priority: order #1042');
+    assert.equal(engine.renderTemplate(template, { ...ORDER, tags: ['retail'] }), 'order #1042');
+  });
+  
+  test('checks the delivery method and takes the else branch when it doesn\'t match', () => {
+    const template = '{#if delivery:pickup}Collect from the shop{else}On its way{/if}';
+    
+    assert.equal(engine.renderTemplate(template, ORDER), 'Collect from the shop');
+    assert.equal(engine.renderTemplate(template, { deliveryMethod: 'Courier' }), 'On its way');
+  });
+  
+  test('checks whether a placeholder has a value, and its negation', () => {
+    assert.equal(engine.renderTemplate('{#if items}You ordered {items}{/if}', ORDER), 'You ordered 2 x Beef Box and Lamb Box');
+    assert.equal(engine.renderTemplate('{#if !items}Nothing to pack{/if}', {}), 'Nothing to pack');
+  });
+  
+  test('nests blocks', () => {
+    const template = '{#if tag:urgent}{#if delivery:pickup}Ready now{else}Sent express{/if}{else}Usual time{/if}';
+    
+    assert.equal(engine.renderTemplate(template, ORDER), 'Ready now');
+    assert.equal(engine.renderTemplate(template, { ...ORDER, deliveryMethod: 'Courier' }), 'Sent express');
+    assert.equal(engine.renderTemplate(template, { ...ORDER, tags: '' }), 'Usual time');
+  });
+  
+  test('tidies the spaces and blank lines an empty block leaves', () => {
+    assert.equal(engine.renderTemplate('Hi {#if tag:vip}VIP {/if} {firstName}', ORDER), 'Hi Sam');
+    assert.equal(engine.renderTemplate('Hi\n\n{#if tag:vip}VIP\n{/if}\n\nBye', ORDER), 'Hi\n\nBye');
+  });
+});
+
+describe('template errors', () => {
+  test('rejects an unknown placeholder with a 400', () => {
+    assert.throws(() => engine.renderTemplate('Hi {nickname}', ORDER), {
+      status: 400,
+      message: 'Template has 1 problem: Unknown placeholder {nickname}',
+      validationErrors: ['Unknown placeholder {nickname}']
+    });
+  });
+  
+  test('rejects an unknown format and lists the ones there are', () => {
+    assert.throws(() => engine.renderTemplate('{totalPrice:money}', ORDER), {
+      status: 400,
+      message: /Unknown format "money" in \{totalPrice:money\} - use currency, date, longdate, list, lines, upper, lower/
+    });
+  });
+  
+  test('reports every problem at once', () => {
+    const errors = engine.validateTemplate('{nickname} {#if colour:red}{else}{else}{/if}{/if} {#if tag:x}');
+    
+    assert.deepEqual(errors, [
+      'Unknown placeholder {nickname}',
+      'Invalid condition {#if colour:red} - use tag:name, delivery:pickup or a placeholder name',
+      '{else} without a matching {#if}',
+      '{/if} without a matching {#if}',
+      '1 {#if} block is missing {/if}'
+    ]);
+  });
+  
+  test('rejects an unknown placeholder in a condition', () => {
+    assert.deepEqual(engine.validateTemplate('{#if nickname}hi{/if}'), ['Unknown placeholder in condition {#if nickname}']);
+  });
+  
+  test('finds nothing wrong with a valid template', () => {
+    assert.deepEqual(engine.validateTemplate('Hi {firstName|there}, {#if tag:urgent}{orderDate:longdate}{/if}'), []);
+    assert.deepEqual(engine.validateTemplate(''), []);
+  });
+});
+
+describe('bulk messages', () => {
+  test('uses an order\'s own rendered message over the template', () => {
+    assert.equal(engine.renderBulkMessage({ ...ORDER, message: 'Custom text' }, 'Hi {firstName}'), 'Custom text');
+    assert.equal(engine.renderBulkMessage(ORDER, 'Hi {firstName}'), 'Hi Sam');
+  });
+  
+  test('refuses a message with placeholders left in it', () => {
+    assert.throws(() => engine.renderBulkMessage({ ...ORDER, message: 'Hi {firstName}' }, ''), {
+      status: 400,
+      message: 'Message for order #1042 has 1 problem: Unrendered placeholder {firstName}'
+    });
+  });
+  
+  test('validateBulkMessages lists every order that can\'t be sent', () => {
+    const orders = [
+      { ...ORDER, message: 'Hi {firstName}, {#if tag:x}' },
+      { ...ORDER, orderNumber: 1043, message: 'All good' }
+    ];
+    
+    assert.deepEqual(engine.validateBulkMessages(orders, '{nickname}'), [{
+      orderNumber: 1042,
+      customerName: 'Sam Citizen',
+      errors: ['Unrendered placeholder {firstName}', 'Unrendered placeholder {#if tag:x}']
+    }]);
+    assert.deepEqual(engine.validateBulkMessages([ORDER], '{nickname}'), [{
+      orderNumber: null,
+      customerName: null,
+      errors: ['Unknown placeholder {nickname}']
+    }]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Template references against the Firestore emulator - see test/read-state.test.js for how to
+ * run it. The checks that never reach Firestore run without one.
+ */
+const { describe, test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./support/modules');
+const { EMULATOR_HOST, requiresEmulator, loadFirestoreService } = require('./support/emulator');
+
+let templates;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  
+  // Nothing talks to Firestore until a reference is looked up
+  const { collections } = loadFirestoreService();
+  templates = loadModule('services/templates', { env: collections });
+});
+
+describe('toTemplateRef', () => {
+  test('is null when no template is named', async () => {
+    assert.equal(await templates.toTemplateRef(null), null);
+    assert.equal(await templates.toTemplateRef({}), null);
+    assert.equal(await templates.toTemplateRef({ id: 42, version: 1 }), null);
+  });
+  
+  test('is null for an ID or version that can\'t be in the library', async () => {
+    assert.equal(await templates.toTemplateRef({ id: 'pickup-default/versions/1' }), null);
+    assert.equal(await templates.toTemplateRef({ id: 'x'.repeat(129) }), null);
+    assert.equal(await templates.toTemplateRef({ id: 'pickup-default', version: 'latest' }), null);
+    assert.equal(await templates.toTemplateRef({ id: 'pickup-default', version: 0 }), null);
+    assert.equal(await templates.toTemplateRef({ id: 'pickup-default', version: 1.5 }), null);
+  });
+});
+
+describe('toTemplateRef against the library', requiresEmulator, () => {
+  let template;
+  
+  before(async () => {
+    if (!EMULATOR_HOST) return;
+    
+    const created = await templates.createTemplate({ name: 'Pickup reminder', category: 'pickup', body: 'Hi {firstName}, see you Sunday' }, 'staff@example.com');
+    template = await templates.updateTemplate(created.id, { name: 'Sunday pickup', body: 'Hi {firstName}, see you at the markets Sunday' }, 'staff@example.com');
+  });
+  
+  test('records the version named, with its name from the library', async () => {
+    const ref = await templates.toTemplateRef({ id: template.id, version: 1, name: 'Something else', edited: true });
+    
+    assert.deepEqual(ref, { id: template.id, version: 1, name: 'Pickup reminder', edited: true });
+  });
+  
+  test('records the current version when none is named', async () => {
+    const ref = await templates.toTemplateRef({ id: template.id });
+    
+    assert.deepEqual(ref, { id: template.id, version: 2, name: 'Sunday pickup', edited: false });
+  });
+  
+  test('reads a version given as a string', async () => {
+    assert.equal((await templates.toTemplateRef({ id: template.id, version: '2' })).version, 2);
+  });
+  
+  test('is null for a template or version that doesn\'t exist', async () => {
+    assert.equal(await templates.toTemplateRef({ id: 'no-such-template', version: 1, name: 'Made up' }), null);
+    assert.equal(await templates.toTemplateRef({ id: template.id, version: 3 }), null);
+  });
+  
+  test('still records a version of an archived template', async () => {
+    const archived = await templates.createTemplate({ name: 'Old promo', category: 'general', body: 'Sale on now' });
+    await templates.archiveTemplate(archived.id);
+    
+    assert.deepEqual(await templates.toTemplateRef({ id: archived.id, version: 1 }), { id: archived.id, version: 1, name: 'Old promo', edited: false });
+  });
+  
+  test('looks each template up once across a bulk send', async () => {
+    const refs = new Map();
+    
+    const results = await Promise.all([1, 1, 2, 1].map(version => templates.toTemplateRef({ id: template.id, version }, refs)));
+    
+    assert.deepEqual(results.map(ref => ref.version), [1, 1, 2, 1]);
+    assert.equal(refs.size, 2);
+  });
+});
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAddressTimezone } = require('../services/timezone');
+
+test('getAddressTimezone reads Australian states from the province code', () => {
+  assert.equal(getAddressTimezone({ country_code: 'AU', province_code: 'WA' }), 'Australia/Perth');
+  assert.equal(getAddressTimezone({ country_code: 'AU', province_code: 'qld' }), 'Australia/Brisbane');
+  assert.equal(getAddressTimezone({ country_code: 'AU', province_code: 'ACT' }), 'Australia/Sydney');
+});
+
+test('getAddressTimezone leaves addresses that don\'t settle a timezone to business time', () => {
+  assert.equal(getAddressTimezone({ country_code: 'AU', province_code: '' }), null);
+  assert.equal(getAddressTimezone({ country_code: 'US', province_code: 'CA' }), null);
+  assert.equal(getAddressTimezone(null), null);
+  assert.equal(getAddressTimezone({ country_code: 'NZ' }), 'Pacific/Auckland');
+});
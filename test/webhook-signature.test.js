@@ -0,0 +1,275 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const twilio = require('twilio');
+const { loadModule } = require('./support/modules');
+
+const AUTH_TOKEN = 'test-auth-token';
+const BASE_URL = 'https://sms.example.com';
+const MOCK_SECRET = 'test-mock-secret';
+
+const INBOUND_FIXTURE = {
+  MessageSid: 'SM0123456789abcdef0123456789abcdef',
+  AccountSid: 'AC0123456789abcdef0123456789abcdef',
+  From: '+61412345678',
+  To: '+61400000000',
+  Body: 'Where is my order?',
+  NumMedia: '0'
+};
+
+const STATUS_FIXTURE = {
+  MessageSid: 'SM0123456789abcdef0123456789abcdef',
+  MessageStatus: 'delivered'
+};
+
+const stubs = {
+  'services/firestore': { updateMessageStatus: async () => true },
+  'services/inbound': { handleInboundMessage: async () => ({ replies: [] }) }
+};
+
+// Don't let the developer's own .env settings leak into the checks
+const baseEnv = {
+  SMS_PROVIDER: 'twilio',
+  TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+  PUBLIC_BASE_URL: BASE_URL,
+  NODE_ENV: 'test',
+  VERCEL: undefined,
+  TWILIO_SKIP_SIGNATURE_VALIDATION: undefined,
+  MOCK_SMS_WEBHOOK_SECRET: undefined
+};
+
+/**
+ * The webhook routes mounted as server.js mounts them, on a random local port
+ */
+async function startWebhookServer(env = {}) {
+  const router = loadModule('routes/webhook', { env: { ...baseEnv, ...env }, stubs });
+  
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/webhook', router);
+  
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function stopServer(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+function sign(path, params, authToken = AUTH_TOKEN) {
+  return twilio.getExpectedTwilioSignature(authToken, `${BASE_URL}${path}`, params);
+}
+
+async function postForm(server, path, params, headers = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+  });
+  await response.text();
+  return response;
+}
+
+async function postJson(server, path, body, headers = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  await response.text();
+  return response;
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+describe('Twilio webhook signatures', () => {
+  let server;
+  
+  before(async () => {
+    server = await startWebhookServer();
+  });
+  
+  after(() => stopServer(server));
+  
+  test('accepts an inbound message signed with the auth token', async () => {
+    const response = await postForm(server, '/webhook/sms', INBOUND_FIXTURE, {
+      'X-Twilio-Signature': sign('/webhook/sms', INBOUND_FIXTURE)
+    });
+    
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/xml/);
+  });
+  
+  test('accepts a signed status callback', async () => {
+    const response = await postForm(server, '/webhook/status', STATUS_FIXTURE, {
+      'X-Twilio-Signature': sign('/webhook/status', STATUS_FIXTURE)
+    });
+    
+    assert.equal(response.status, 200);
+  });
+  
+  test('rejects an inbound message whose body was changed after signing', async () => {
+    const response = await postForm(server, '/webhook/sms', { ...INBOUND_FIXTURE, Body: 'STOP' }, {
+      'X-Twilio-Signature': sign('/webhook/sms', INBOUND_FIXTURE)
+    });
+    
+    assert.equal(response.status, 403);
+  });
+  
+  test('rejects an inbound message with an extra parameter', async () => {
+    const response = await postForm(server, '/webhook/sms', { ...INBOUND_FIXTURE, NumMedia: '1', MediaUrl0: 'https://example.com/a.jpg' }, {
+      'X-Twilio-Signature': sign('/webhook/sms', INBOUND_FIXTURE)
+    });
+    
+    assert.equal(response.status, 403);
+  });
+  
+  test('rejects a status callback whose status was changed after signing', async () => {
+    const response = await postForm(server, '/webhook/status', { ...STATUS_FIXTURE, MessageStatus: 'failed' }, {
+      'X-Twilio-Signature': sign('/webhook/status', STATUS_FIXTURE)
+    });
+    
+    assert.equal(response.status, 403);
+  });
+  
+  test('rejects a signature made for a different endpoint', async () => {
+    const response = await postForm(server, '/webhook/sms', INBOUND_FIXTURE, {
+      'X-Twilio-Signature': sign('/webhook/status', INBOUND_FIXTURE)
+    });
+    
+    assert.equal(response.status, 403);
+  });
+  
+  test('rejects a signature made with another auth token', async () => {
+    const response = await postForm(server, '/webhook/sms', INBOUND_FIXTURE, {
+      'X-Twilio-Signature': sign('/webhook/sms', INBOUND_FIXTURE, 'some-other-token')
+    });
+    
+    assert.equal(response.status, 403);
+  });
+  
+  test('rejects unsigned requests', async () => {
+    const inbound = await postForm(server, '/webhook/sms', INBOUND_FIXTURE);
+    const status = await postForm(server, '/webhook/status', STATUS_FIXTURE);
+    
+    assert.equal(inbound.status, 403);
+    assert.equal(status.status, 403);
+  });
+});
+
+describe('Twilio webhooks without an auth token', () => {
+  let server;
+  
+  before(async () => {
+    server = await startWebhookServer({ TWILIO_AUTH_TOKEN: undefined });
+  });
+  
+  after(() => stopServer(server));
+  
+  test('rejects every request, signed or not', async () => {
+    const signed = await postForm(server, '/webhook/sms', INBOUND_FIXTURE, {
+      'X-Twilio-Signature': sign('/webhook/sms', INBOUND_FIXTURE)
+    });
+    const unsigned = await postForm(server, '/webhook/sms', INBOUND_FIXTURE);
+    
+    assert.equal(signed.status, 403);
+    assert.equal(unsigned.status, 403);
+  });
+});
+
+describe('TWILIO_SKIP_SIGNATURE_VALIDATION', () => {
+  test('lets unsigned requests through in local development', async () => {
+    const server = await startWebhookServer({ TWILIO_SKIP_SIGNATURE_VALIDATION: 'true' });
+    
+    try {
+      const response = await postForm(server, '/webhook/sms', INBOUND_FIXTURE);
+      assert.equal(response.status, 200);
+    } finally {
+      await stopServer(server);
+    }
+  });
+  
+  test('is ignored when NODE_ENV is production', async () => {
+    const server = await startWebhookServer({ TWILIO_SKIP_SIGNATURE_VALIDATION: 'true', NODE_ENV: 'production' });
+    
+    try {
+      const unsigned = await postForm(server, '/webhook/sms', INBOUND_FIXTURE);
+      const tampered = await postForm(server, '/webhook/sms', { ...INBOUND_FIXTURE, Body: 'STOP' }, {
+        'X-Twilio-Signature': sign('/webhook/sms', INBOUND_FIXTURE)
+      });
+      
+      assert.equal(unsigned.status, 403);
+      assert.equal(tampered.status, 403);
+    } finally {
+      await stopServer(server);
+    }
+  });
+  
+  test('is ignored on Vercel', async () => {
+    const server = await startWebhookServer({ TWILIO_SKIP_SIGNATURE_VALIDATION: 'true', VERCEL: '1' });
+    
+    try {
+      const response = await postForm(server, '/webhook/status', STATUS_FIXTURE);
+      assert.equal(response.status, 403);
+    } finally {
+      await stopServer(server);
+    }
+  });
+  
+  test('still lets correctly signed requests through in production', async () => {
+    const server = await startWebhookServer({ TWILIO_SKIP_SIGNATURE_VALIDATION: 'true', NODE_ENV: 'production' });
+    
+    try {
+      const response = await postForm(server, '/webhook/sms', INBOUND_FIXTURE, {
+        'X-Twilio-Signature': sign('/webhook/sms', INBOUND_FIXTURE)
+      });
+      assert.equal(response.status, 200);
+    } finally {
+      await stopServer(server);
+    }
+  });
+});
+
+describe('Mock provider webhooks', () => {
+  const mockInbound = { sid: 'SMmock', from: '+61412345678', to: '+61400000000', body: 'Hello' };
+  
+  test('accept the shared secret and reject anything else', async () => {
+    const server = await startWebhookServer({ SMS_PROVIDER: 'mock', MOCK_SMS_WEBHOOK_SECRET: MOCK_SECRET });
+    
+    try {
+      const signed = await postJson(server, '/webhook/sms', mockInbound, { 'X-Mock-Signature': MOCK_SECRET });
+      const wrong = await postJson(server, '/webhook/sms', mockInbound, { 'X-Mock-Signature': 'not-the-secret' });
+      const unsigned = await postJson(server, '/webhook/sms', mockInbound);
+      
+      assert.equal(signed.status, 200);
+      assert.equal(wrong.status, 403);
+      assert.equal(unsigned.status, 403);
+    } finally {
+      await stopServer(server);
+    }
+  });
+  
+  test('without a secret are accepted in local development', async () => {
+    const server = await startWebhookServer({ SMS_PROVIDER: 'mock' });
+    
+    try {
+      assert.equal((await postJson(server, '/webhook/sms', mockInbound)).status, 200);
+    } finally {
+      await stopServer(server);
+    }
+  });
+  
+  test('without a secret are rejected in production', async () => {
+    const server = await startWebhookServer({ SMS_PROVIDER: 'mock', NODE_ENV: 'production' });
+    
+    try {
+      assert.equal((await postJson(server, '/webhook/sms', mockInbound)).status, 403);
+    } finally {
+      await stopServer(server);
+    }
+  });
+});